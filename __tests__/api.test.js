@@ -1,6 +1,14 @@
 const request = require('supertest');
 const fs = require('fs');
-const { app, DATA_FILE, loginAttempts } = require('../server');
+const path = require('path');
+const http = require('http');
+const { app, DATA_FILE, loginAttempts, createSession, sessions, liveSessions, songRequests } = require('../server');
+const { getStorage } = require('../storage');
+
+// Authorization header for a fresh session with the given role
+function auth(role = 'owner', username = 'admin') {
+    return { Authorization: `Bearer ${createSession(DATA_FILE, { username, role })}` };
+}
 
 // Helper to set up clean test data
 function setupTestData(data = null) {
@@ -59,6 +67,7 @@ describe('Songs API', () => {
         test('creates new song', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: 'New Song', lyrics: 'New lyrics' });
 
             expect(res.status).toBe(201);
@@ -70,6 +79,7 @@ describe('Songs API', () => {
         test('requires title', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ lyrics: 'Only lyrics' });
 
             expect(res.status).toBe(400);
@@ -78,6 +88,7 @@ describe('Songs API', () => {
         test('requires lyrics', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: 'Only title' });
 
             expect(res.status).toBe(400);
@@ -86,6 +97,7 @@ describe('Songs API', () => {
         test('trims whitespace from title and lyrics', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: '  Trimmed Title  ', lyrics: '  Trimmed lyrics  ' });
 
             expect(res.status).toBe(201);
@@ -96,6 +108,7 @@ describe('Songs API', () => {
         test('creates song with optional URL', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: 'Song With URL', lyrics: 'Test lyrics', url: 'https://example.com/song' });
 
             expect(res.status).toBe(201);
@@ -105,15 +118,29 @@ describe('Songs API', () => {
         test('trims URL whitespace', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: 'Song', lyrics: 'Lyrics', url: '  https://example.com  ' });
 
             expect(res.status).toBe(201);
             expect(res.body.url).toBe('https://example.com');
         });
 
+        test('keeps every song when several are added at once', async () => {
+            await Promise.all(Array.from({ length: 10 }, (_, i) =>
+                request(app)
+                    .post('/api/songs')
+                    .set(auth())
+                    .send({ title: `Song ${i}`, lyrics: 'Lyrics' })
+            ));
+
+            const res = await request(app).get('/api/songs');
+            expect(res.body).toHaveLength(13);
+        });
+
         test('ignores empty URL', async () => {
             const res = await request(app)
                 .post('/api/songs')
+                .set(auth())
                 .send({ title: 'Song', lyrics: 'Lyrics', url: '   ' });
 
             expect(res.status).toBe(201);
@@ -125,6 +152,7 @@ describe('Songs API', () => {
         test('updates existing song', async () => {
             const res = await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ title: 'Updated Title', lyrics: 'Updated lyrics' });
 
             expect(res.status).toBe(200);
@@ -135,6 +163,7 @@ describe('Songs API', () => {
         test('returns 404 for non-existent song', async () => {
             const res = await request(app)
                 .put('/api/songs/nonexistent')
+                .set(auth())
                 .send({ title: 'Updated' });
 
             expect(res.status).toBe(404);
@@ -143,6 +172,7 @@ describe('Songs API', () => {
         test('adds URL to song', async () => {
             const res = await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ url: 'https://example.com/song1' });
 
             expect(res.status).toBe(200);
@@ -153,11 +183,13 @@ describe('Songs API', () => {
             // First add a URL
             await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ url: 'https://example.com/old' });
 
             // Then update it
             const res = await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ url: 'https://example.com/new' });
 
             expect(res.status).toBe(200);
@@ -168,11 +200,13 @@ describe('Songs API', () => {
             // First add a URL
             await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ url: 'https://example.com' });
 
             // Then clear it
             const res = await request(app)
                 .put('/api/songs/song1')
+                .set(auth())
                 .send({ url: '' });
 
             expect(res.status).toBe(200);
@@ -182,7 +216,7 @@ describe('Songs API', () => {
 
     describe('DELETE /api/songs/:id', () => {
         test('deletes song', async () => {
-            const res = await request(app).delete('/api/songs/song1');
+            const res = await request(app).delete('/api/songs/song1').set(auth());
             expect(res.status).toBe(200);
             expect(res.body.success).toBe(true);
 
@@ -192,14 +226,14 @@ describe('Songs API', () => {
         });
 
         test('removes song from lists when deleted', async () => {
-            await request(app).delete('/api/songs/song1');
+            await request(app).delete('/api/songs/song1').set(auth());
 
             const listRes = await request(app).get('/api/lists/list1');
             expect(listRes.body.songIds).not.toContain('song1');
         });
 
         test('returns 404 for non-existent song', async () => {
-            const res = await request(app).delete('/api/songs/nonexistent');
+            const res = await request(app).delete('/api/songs/nonexistent').set(auth());
             expect(res.status).toBe(404);
         });
     });
@@ -237,6 +271,7 @@ describe('Lists API', () => {
             // Update list to use custom order with song3 first, then song1
             await request(app)
                 .put('/api/lists/list1')
+                .set(auth())
                 .send({ songIds: ['song3', 'song1'], useCustomOrder: true });
 
             const res = await request(app).get('/api/lists/list1');
@@ -252,10 +287,62 @@ describe('Lists API', () => {
         });
     });
 
+    describe('GET /api/lists/:id/songbook.pdf', () => {
+        // Collect the PDF as a buffer rather than text
+        function binary(res, callback) {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        }
+
+        test('returns the list as a PDF songbook', async () => {
+            const res = await request(app).get('/api/lists/list1/songbook.pdf').buffer(true).parse(binary);
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/application\/pdf/);
+            expect(res.headers['content-disposition']).toBe('inline; filename="christmas_songs.pdf"');
+            expect(res.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+            expect(res.body.toString('latin1')).toContain('/Title (Christmas Songs)');
+            // Cover, contents and one page for both songs
+            expect(res.body.toString('latin1')).toContain('/Count 3');
+        });
+
+        test('lays the songbook out in the layout asked for', async () => {
+            const res = await request(app).get('/api/lists/list1/songbook.pdf?layout=booklet').buffer(true).parse(binary);
+            expect(res.status).toBe(200);
+            // Four A5 pages, two to a landscape sheet
+            expect(res.body.toString('latin1')).toContain('/Count 2');
+            expect(res.body.toString('latin1')).toContain('/MediaBox [0 0 842 595]');
+        });
+
+        test('rejects unknown layouts', async () => {
+            const res = await request(app).get('/api/lists/list1/songbook.pdf?layout=poster');
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/Layout must be one of/);
+        });
+
+        test('takes the page\'s chord settings', async () => {
+            const res = await request(app).get('/api/lists/list1/songbook.pdf?chords=hide&transpose=song1:2,song3:-1').buffer(true).parse(binary);
+            expect(res.status).toBe(200);
+        });
+
+        test('rejects invalid transpositions', async () => {
+            const res = await request(app).get('/api/lists/list1/songbook.pdf?transpose=song1:up');
+            expect(res.status).toBe(400);
+            expect(res.body.error).toMatch(/Transpose must be/);
+        });
+
+        test('returns 404 for non-existent list', async () => {
+            const res = await request(app).get('/api/lists/nonexistent/songbook.pdf');
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBeDefined();
+        });
+    });
+
     describe('POST /api/lists', () => {
         test('creates new list', async () => {
             const res = await request(app)
                 .post('/api/lists')
+                .set(auth())
                 .send({ name: 'New List', songIds: ['song1'] });
 
             expect(res.status).toBe(201);
@@ -266,6 +353,7 @@ describe('Lists API', () => {
         test('requires name', async () => {
             const res = await request(app)
                 .post('/api/lists')
+                .set(auth())
                 .send({ songIds: ['song1'] });
 
             expect(res.status).toBe(400);
@@ -274,17 +362,54 @@ describe('Lists API', () => {
         test('allows empty songIds', async () => {
             const res = await request(app)
                 .post('/api/lists')
+                .set(auth())
                 .send({ name: 'Empty List' });
 
             expect(res.status).toBe(201);
             expect(res.body.songIds).toEqual([]);
         });
+
+        test('creates a setlist for an event', async () => {
+            const res = await request(app)
+                .post('/api/lists')
+                .set(auth())
+                .send({
+                    name: 'November Sing',
+                    songIds: ['song1', 'song2'],
+                    useCustomOrder: true,
+                    date: '2026-11-07',
+                    venue: 'The Crown',
+                    notes: 'Upstairs room',
+                    segments: [{ title: 'Opening', startsAt: 'song1' }],
+                    leaders: { song2: 'Maggie' }
+                });
+
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject({
+                date: '2026-11-07',
+                venue: 'The Crown',
+                notes: 'Upstairs room',
+                segments: [{ title: 'Opening', startsAt: 'song1' }],
+                leaders: { song2: 'Maggie' }
+            });
+        });
+
+        test('rejects invalid event details', async () => {
+            const res = await request(app)
+                .post('/api/lists')
+                .set(auth())
+                .send({ name: 'Bad Date', date: '2026-13-01' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Date must be');
+        });
     });
 
     describe('PUT /api/lists/:id', () => {
         test('updates list name', async () => {
             const res = await request(app)
                 .put('/api/lists/list1')
+                .set(auth())
                 .send({ name: 'Updated Name' });
 
             expect(res.status).toBe(200);
@@ -294,6 +419,7 @@ describe('Lists API', () => {
         test('updates list songs', async () => {
             const res = await request(app)
                 .put('/api/lists/list1')
+                .set(auth())
                 .send({ songIds: ['song2'] });
 
             expect(res.status).toBe(200);
@@ -303,317 +429,1917 @@ describe('Lists API', () => {
         test('updates useCustomOrder flag', async () => {
             const res = await request(app)
                 .put('/api/lists/list1')
+                .set(auth())
                 .send({ useCustomOrder: true });
 
             expect(res.status).toBe(200);
             expect(res.body.useCustomOrder).toBe(true);
         });
 
+        test('updates and clears event details', async () => {
+            await request(app).put('/api/lists/list1').set(auth())
+                .send({ venue: 'The Crown', leaders: { song1: 'Tom', song3: 'Maggie' } });
+
+            const res = await request(app)
+                .put('/api/lists/list1')
+                .set(auth())
+                .send({ venue: '', songIds: ['song1'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.venue).toBeUndefined();
+            expect(res.body.leaders).toEqual({ song1: 'Tom' });
+        });
+
         test('returns 404 for non-existent list', async () => {
             const res = await request(app)
                 .put('/api/lists/nonexistent')
+                .set(auth())
                 .send({ name: 'Updated' });
 
             expect(res.status).toBe(404);
         });
     });
 
+    describe('PUT /api/lists/:id/sung', () => {
+        test('records the songs sung, from the whole catalog', async () => {
+            const res = await request(app)
+                .put('/api/lists/list1/sung')
+                .set(auth('list-curator', 'curator'))
+                .send({ songIds: ['song3', 'song2'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.sung).toMatchObject({ songIds: ['song3', 'song2'], recordedBy: 'curator' });
+            expect(res.body.sung.recordedAt).toBeDefined();
+        });
+
+        test('clears the record', async () => {
+            await request(app).put('/api/lists/list1/sung').set(auth()).send({ songIds: ['song1'] });
+            const res = await request(app).put('/api/lists/list1/sung').set(auth()).send({ songIds: [] });
+            expect(res.status).toBe(200);
+            expect(res.body.sung).toBeUndefined();
+        });
+
+        test('does not show who recorded it publicly', async () => {
+            await request(app).put('/api/lists/list1/sung').set(auth()).send({ songIds: ['song1'] });
+
+            const list = await request(app).get('/api/lists/list1');
+            expect(list.body.sung.songIds).toEqual(['song1']);
+            expect(list.body.sung.recordedAt).toBeDefined();
+            expect(list.body.sung.recordedBy).toBeUndefined();
+
+            const lists = await request(app).get('/api/lists');
+            expect(lists.body.find(l => l.id === 'list1').sung.recordedBy).toBeUndefined();
+        });
+
+        test('rejects songs not in the catalog', async () => {
+            const res = await request(app).put('/api/lists/list1/sung').set(auth()).send({ songIds: ['nonexistent'] });
+            expect(res.status).toBe(400);
+        });
+
+        test('requires authentication', async () => {
+            const res = await request(app).put('/api/lists/list1/sung').send({ songIds: ['song1'] });
+            expect(res.status).toBe(401);
+        });
+
+        test('returns 404 for non-existent list', async () => {
+            const res = await request(app).put('/api/lists/nonexistent/sung').set(auth()).send({ songIds: ['song1'] });
+            expect(res.status).toBe(404);
+        });
+    });
+
     describe('DELETE /api/lists/:id', () => {
         test('deletes list', async () => {
-            const res = await request(app).delete('/api/lists/list1');
+            const res = await request(app).delete('/api/lists/list1').set(auth());
             expect(res.status).toBe(200);
             expect(res.body.success).toBe(true);
         });
 
         test('returns 404 for non-existent list', async () => {
-            const res = await request(app).delete('/api/lists/nonexistent');
+            const res = await request(app).delete('/api/lists/nonexistent').set(auth());
             expect(res.status).toBe(404);
         });
     });
 });
 
-describe('Search API', () => {
+describe('Live sessions API', () => {
     beforeEach(() => {
         setupTestData();
+        loginAttempts.clear();
     });
 
-    describe('GET /api/search', () => {
-        test('returns all songs when no query', async () => {
-            const res = await request(app).get('/api/search');
-            expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(3);
+    afterEach(() => {
+        liveSessions.end(DATA_FILE, 'list1');
+    });
+
+    describe('POST /api/lists/:id/session', () => {
+        test('starts a session', async () => {
+            const res = await request(app).post('/api/lists/list1/session').set(auth('list-curator', 'curator'));
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject({ listId: 'list1', songId: null, section: null, startedBy: 'curator', followers: 0 });
         });
 
-        test('searches by title', async () => {
-            const res = await request(app).get('/api/search?q=apple');
+        test('returns the session already running', async () => {
+            await request(app).post('/api/lists/list1/session').set(auth());
+            await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song3' });
+
+            const res = await request(app).post('/api/lists/list1/session').set(auth());
             expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(1);
-            expect(res.body[0].title).toBe('Apple Tree Wassail');
+            expect(res.body.songId).toBe('song3');
         });
 
-        test('searches by lyrics', async () => {
-            const res = await request(app).get('/api/search?q=wassail');
-            expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(1);
+        test('requires authentication', async () => {
+            const res = await request(app).post('/api/lists/list1/session');
+            expect(res.status).toBe(401);
         });
 
-        test('handles fuzzy matching with typos', async () => {
-            const res = await request(app).get('/api/search?q=chariot');
-            expect(res.status).toBe(200);
-            expect(res.body.length).toBeGreaterThan(0);
+        test('returns 404 for non-existent list', async () => {
+            const res = await request(app).post('/api/lists/nonexistent/session').set(auth());
+            expect(res.status).toBe(404);
         });
+    });
 
-        test('handles exact search with quotes', async () => {
-            const res = await request(app).get('/api/search?q="All shall be well"');
+    describe('GET /api/lists/:id/session', () => {
+        test('returns the running session to anyone', async () => {
+            await request(app).post('/api/lists/list1/session').set(auth());
+            const res = await request(app).get('/api/lists/list1/session');
             expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(1);
-            expect(res.body[0].title).toBe('The Bells of Norwich');
+            expect(res.body.listId).toBe('list1');
+            expect(res.body).not.toHaveProperty('startedBy');
         });
 
-        test('handles search spanning newlines', async () => {
-            const res = await request(app).get('/api/search?q="Swing low sweet"');
-            expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(1);
-            expect(res.body[0].title).toBe('Chariots');
+        test('returns 404 when no session is running', async () => {
+            const res = await request(app).get('/api/lists/list1/session');
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('No session running');
         });
+    });
 
-        test('filters by listId', async () => {
-            const res = await request(app).get('/api/search?listId=list1');
-            expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(2);
+    describe('PUT /api/lists/:id/session', () => {
+        beforeEach(async () => {
+            await request(app).post('/api/lists/list1/session').set(auth());
         });
 
-        test('combines search query with listId filter', async () => {
-            const res = await request(app).get('/api/search?q=apple&listId=list1');
+        test('moves the session to a song and section', async () => {
+            const res = await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song3', section: 0 });
             expect(res.status).toBe(200);
-            expect(res.body).toHaveLength(1);
+            expect(res.body).toMatchObject({ songId: 'song3', section: 0 });
         });
 
-        test('returns empty array for no matches', async () => {
-            const res = await request(app).get('/api/search?q=xyznonexistent');
-            expect(res.status).toBe(200);
-            expect(res.body).toEqual([]);
+        test('rejects songs that are not in the list', async () => {
+            const res = await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song2' });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Song is not in this list');
         });
-    });
-});
 
-describe('QR Code API', () => {
-    beforeEach(() => {
-        setupTestData();
-    });
+        test('rejects sections the song does not have', async () => {
+            for (const section of [1, -1, 'chorus']) {
+                const res = await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song3', section });
+                expect(res.status).toBe(400);
+            }
+            const noSong = await request(app).put('/api/lists/list1/session').set(auth()).send({ section: 0 });
+            expect(noSong.status).toBe(400);
+        });
 
-    describe('GET /api/qr/:listId', () => {
-        test('generates QR code for list', async () => {
-            const res = await request(app).get('/api/qr/list1');
-            expect(res.status).toBe(200);
-            expect(res.body.qrCode).toBeDefined();
-            expect(res.body.qrCode).toMatch(/^data:image\/png;base64,/);
-            expect(res.body.url).toContain('list.html?id=list1');
+        test('requires authentication', async () => {
+            const res = await request(app).put('/api/lists/list1/session').send({ songId: 'song3' });
+            expect(res.status).toBe(401);
         });
 
-        test('generates QR code for catalog', async () => {
-            const res = await request(app).get('/api/qr/catalog');
-            expect(res.status).toBe(200);
-            expect(res.body.url).toContain('catalog.html');
+        test('returns 404 when no session is running', async () => {
+            await request(app).delete('/api/lists/list1/session').set(auth());
+            const res = await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song3' });
+            expect(res.status).toBe(404);
         });
+    });
 
-        test('generates QR code for home', async () => {
-            const res = await request(app).get('/api/qr/home');
+    describe('DELETE /api/lists/:id/session', () => {
+        test('ends the session', async () => {
+            await request(app).post('/api/lists/list1/session').set(auth());
+            const res = await request(app).delete('/api/lists/list1/session').set(auth());
             expect(res.status).toBe(200);
-            expect(res.body.url).toMatch(/\/$/);
+            expect((await request(app).get('/api/lists/list1/session')).status).toBe(404);
         });
 
-        test('returns 404 for non-existent list', async () => {
-            const res = await request(app).get('/api/qr/nonexistent');
+        test('returns 404 when no session is running', async () => {
+            const res = await request(app).delete('/api/lists/list1/session').set(auth());
             expect(res.status).toBe(404);
         });
+
+        test('deleting the list ends its session', async () => {
+            await request(app).post('/api/lists/list1/session').set(auth());
+            await request(app).delete('/api/lists/list1').set(auth());
+            expect(liveSessions.get(DATA_FILE, 'list1')).toBeNull();
+        });
     });
 
-    describe('GET /api/qr/song/:songId', () => {
-        test('generates QR code for song with URL', async () => {
-            // First add a URL to a song
-            await request(app)
-                .put('/api/songs/song1')
-                .send({ url: 'https://example.com/song' });
+    describe('GET /api/lists/:id/session/events', () => {
+        let server;
 
-            const res = await request(app).get('/api/qr/song/song1');
-            expect(res.status).toBe(200);
-            expect(res.body.qrCode).toBeDefined();
-            expect(res.body.qrCode).toMatch(/^data:image\/png;base64,/);
-            expect(res.body.url).toBe('https://example.com/song');
+        beforeEach(done => {
+            server = app.listen(0, '127.0.0.1', done);
         });
 
-        test('returns 404 for song without URL', async () => {
-            const res = await request(app).get('/api/qr/song/song1');
-            expect(res.status).toBe(404);
-            expect(res.body.error).toBe('Song has no URL');
+        afterEach(done => {
+            server.close(done);
         });
 
-        test('returns 404 for non-existent song', async () => {
-            const res = await request(app).get('/api/qr/song/nonexistent');
+        // Open the event stream and collect what arrives
+        function openStream(listId) {
+            return new Promise((resolve, reject) => {
+                const { port } = server.address();
+                const req = http.get(`http://127.0.0.1:${port}/api/lists/${listId}/session/events`, res => {
+                    const stream = { req, res, text: '' };
+                    res.setEncoding('utf8');
+                    res.on('data', chunk => { stream.text += chunk; });
+                    resolve(stream);
+                });
+                req.on('error', reject);
+            });
+        }
+
+        // Wait until the stream has sent a number of session events
+        async function sessionEvents(stream, count) {
+            for (let i = 0; i < 100; i++) {
+                const events = [...stream.text.matchAll(/event: session\ndata: (.*)\n\n/g)].map(match => JSON.parse(match[1]));
+                if (events.length >= count) return events;
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            throw new Error(`Expected ${count} events, got: ${stream.text}`);
+        }
+
+        test('streams the session as the leader moves it', async () => {
+            const stream = await openStream('list1');
+            expect(stream.res.statusCode).toBe(200);
+            expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+            expect(await sessionEvents(stream, 1)).toEqual([null]);
+
+            await request(app).post('/api/lists/list1/session').set(auth());
+            expect((await request(app).get('/api/lists/list1/session')).body.followers).toBe(1);
+            await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song1' });
+            await request(app).delete('/api/lists/list1/session').set(auth());
+
+            const events = await sessionEvents(stream, 4);
+            expect(events[1]).toMatchObject({ listId: 'list1', songId: null });
+            expect(events[2]).toMatchObject({ songId: 'song1', section: null });
+            expect(events[3]).toBeNull();
+            stream.req.destroy();
+        });
+
+        test('returns 404 for non-existent list', async () => {
+            const res = await request(app).get('/api/lists/nonexistent/session/events');
             expect(res.status).toBe(404);
-            expect(res.body.error).toBe('Song not found');
         });
     });
 });
 
-describe('Auth API', () => {
-    beforeEach(() => {
+describe('Song requests API', () => {
+    let deviceNumber = 0;
+    let device;
+
+    // Headers for a page on a device of its own
+    function fromDevice(id = device) {
+        return { 'X-Device-Id': id };
+    }
+
+    beforeEach(async () => {
         setupTestData();
         loginAttempts.clear();
+        device = `test-device-${++deviceNumber}`;
+        await request(app).post('/api/lists/list1/session').set(auth());
     });
 
-    describe('POST /api/auth/login', () => {
-        test('accepts correct password', async () => {
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
+    afterEach(() => {
+        liveSessions.end(DATA_FILE, 'list1');
+        songRequests.clear(DATA_FILE, 'list1');
+    });
 
-            expect(res.status).toBe(200);
-            expect(res.body.success).toBe(true);
-            expect(res.body.token).toBeDefined();
+    describe('POST /api/lists/:id/requests', () => {
+        test('requests a song from the catalog', async () => {
+            const res = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject({ songId: 'song2', title: 'The Bells of Norwich', votes: 1, voted: true, status: 'pending', addedToList: false });
         });
 
-        test('rejects incorrect password', async () => {
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'wrongpassword' });
+        test('counts a request for a song already asked for as a vote', async () => {
+            await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            const res = await request(app).post('/api/lists/list1/requests').set(fromDevice(`${device}-b`)).send({ songId: 'song2' });
+            expect(res.status).toBe(200);
+            expect(res.body.votes).toBe(2);
 
-            expect(res.status).toBe(401);
-            expect(res.body.success).toBe(false);
+            const again = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            expect(again.body.votes).toBe(2);
+            expect((await request(app).get('/api/lists/list1/requests')).body).toHaveLength(1);
         });
 
-        test('rate limits after max attempts', async () => {
-            // Make MAX_ATTEMPTS failed attempts
-            for (let i = 0; i < 5; i++) {
-                await request(app)
-                    .post('/api/auth/login')
-                    .send({ password: 'wrongpassword' });
+        test('limits how many songs one device can request', async () => {
+            for (const songId of ['song1', 'song2', 'song3']) {
+                const res = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId });
+                expect(res.status).toBe(201);
             }
+            const [first] = (await request(app).get('/api/lists/list1/requests')).body;
+            await request(app).delete(`/api/lists/list1/requests/${first.id}`).set(auth());
 
-            // Next attempt should be rate limited
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
-
+            const res = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song1' });
             expect(res.status).toBe(429);
+            expect(res.body.error).toMatch(/^Too many requests\. Try again in \d+ minutes\.$/);
+
+            const other = await request(app).post('/api/lists/list1/requests').set(fromDevice(`${device}-b`)).send({ songId: 'song1' });
+            expect(other.status).toBe(201);
         });
 
-        test('migrates plain text password to hashed on successful login', async () => {
-            // First login with plain text password
-            await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
+        test('only takes requests while a session is running', async () => {
+            await request(app).delete('/api/lists/list1/session').set(auth());
+            const res = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            expect(res.status).toBe(409);
+            expect(res.body.error).toBe('No session running');
+        });
 
-            // Check that password is now hashed in data file
-            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            expect(data.admin.salt).toBeDefined();
-            expect(data.admin.password).not.toBe('testpass123');
+        test('returns 404 for unknown songs and lists', async () => {
+            const song = await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'nonexistent' });
+            expect(song.status).toBe(404);
+            const list = await request(app).post('/api/lists/nonexistent/requests').set(fromDevice()).send({ songId: 'song2' });
+            expect(list.status).toBe(404);
+        });
+    });
 
-            // Should still be able to login
-            loginAttempts.clear();
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
+    describe('GET /api/lists/:id/requests', () => {
+        test('lists requests, marking the ones the device voted for', async () => {
+            await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
 
-            expect(res.status).toBe(200);
-            expect(res.body.success).toBe(true);
+            const mine = await request(app).get('/api/lists/list1/requests').set(fromDevice());
+            expect(mine.status).toBe(200);
+            expect(mine.body).toHaveLength(1);
+            expect(mine.body[0]).toMatchObject({ songId: 'song2', votes: 1, voted: true });
+            expect(mine.body[0].voters).toBeUndefined();
+
+            const theirs = await request(app).get('/api/lists/list1/requests').set(fromDevice(`${device}-b`));
+            expect(theirs.body[0].voted).toBe(false);
+        });
+
+        test('empties the queue when the session ends', async () => {
+            await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            await request(app).delete('/api/lists/list1/session').set(auth());
+            expect((await request(app).get('/api/lists/list1/requests')).body).toEqual([]);
         });
     });
 
-    describe('POST /api/auth/change-password', () => {
-        test('changes password successfully with correct current password', async () => {
-            const res = await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+    describe('managing the queue', () => {
+        let requests;
+
+        beforeEach(async () => {
+            await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song2' });
+            await request(app).post('/api/lists/list1/requests').set(fromDevice()).send({ songId: 'song1' });
+            requests = (await request(app).get('/api/lists/list1/requests')).body;
+        });
 
+        test('accepts a request', async () => {
+            const res = await request(app).put(`/api/lists/list1/requests/${requests[0].id}`).set(auth('list-curator', 'curator')).send({ status: 'accepted' });
             expect(res.status).toBe(200);
-            expect(res.body.success).toBe(true);
-            expect(res.body.message).toBe('Password changed successfully');
+            expect(res.body.status).toBe('accepted');
+
+            const invalid = await request(app).put(`/api/lists/list1/requests/${requests[0].id}`).set(auth()).send({ status: 'played' });
+            expect(invalid.status).toBe(400);
+            const missing = await request(app).put('/api/lists/list1/requests/nonexistent').set(auth()).send({ status: 'accepted' });
+            expect(missing.status).toBe(404);
         });
 
-        test('can login with new password after change', async () => {
-            await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+        test('reorders requests', async () => {
+            const order = [requests[1].id, requests[0].id];
+            const res = await request(app).put('/api/lists/list1/requests').set(auth()).send({ order });
+            expect(res.status).toBe(200);
+            expect(res.body.map(r => r.id)).toEqual(order);
 
-            loginAttempts.clear();
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'newpass456' });
+            const partial = await request(app).put('/api/lists/list1/requests').set(auth()).send({ order: [requests[0].id] });
+            expect(partial.status).toBe(400);
+        });
 
+        test('dismisses a request', async () => {
+            const res = await request(app).delete(`/api/lists/list1/requests/${requests[0].id}`).set(auth());
             expect(res.status).toBe(200);
-            expect(res.body.success).toBe(true);
+            expect((await request(app).get('/api/lists/list1/requests')).body.map(r => r.songId)).toEqual(['song1']);
         });
 
-        test('cannot login with old password after change', async () => {
-            await request(app)
-                .post('/api/auth/change-password')
+        test('adds a requested song to the list after the song being sung', async () => {
+            await request(app).put('/api/lists/list1/session').set(auth()).send({ songId: 'song1' });
+            const res = await request(app).post(`/api/lists/list1/requests/${requests[0].id}/add`).set(auth()).send({});
+            expect(res.status).toBe(200);
+            expect(res.body.request).toMatchObject({ status: 'accepted', addedToList: true });
+            expect(res.body.list.songIds).toEqual(['song1', 'song2', 'song3']);
+        });
+
+        test('adds a requested song at a position, once', async () => {
+            const res = await request(app).post(`/api/lists/list1/requests/${requests[0].id}/add`).set(auth()).send({ position: 0 });
+            expect(res.body.list.songIds).toEqual(['song2', 'song1', 'song3']);
+
+            const again = await request(app).post(`/api/lists/list1/requests/${requests[0].id}/add`).set(auth()).send({ position: 2 });
+            expect(again.status).toBe(200);
+            expect(again.body.list.songIds).toEqual(['song2', 'song1', 'song3']);
+
+            const invalid = await request(app).post(`/api/lists/list1/requests/${requests[1].id}/add`).set(auth()).send({ position: -1 });
+            expect(invalid.status).toBe(400);
+        });
+
+        test('requires permission to manage the queue', async () => {
+            expect((await request(app).put(`/api/lists/list1/requests/${requests[0].id}`).send({ status: 'accepted' })).status).toBe(401);
+            expect((await request(app).delete(`/api/lists/list1/requests/${requests[0].id}`)).status).toBe(401);
+            expect((await request(app).post(`/api/lists/list1/requests/${requests[0].id}/add`)).status).toBe(401);
+        });
+    });
+});
+
+describe('Setlist history API', () => {
+    beforeEach(async () => {
+        setupTestData();
+        const recent = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        await request(app).put('/api/lists/list1').set(auth()).send({ date: recent });
+        await request(app).put('/api/lists/list1/sung').set(auth()).send({ songIds: ['song1'] });
+        await request(app).post('/api/lists').set(auth()).send({ name: 'Old Sing', songIds: ['song2'], date: '2020-01-04' });
+        const { body: lists } = await request(app).get('/api/lists');
+        await request(app).put(`/api/lists/${lists.find(l => l.name === 'Old Sing').id}/sung`).set(auth()).send({ songIds: ['song2'] });
+    });
+
+    test('reports when each song was last sung', async () => {
+        const res = await request(app).get('/api/reports/song-history');
+        expect(res.status).toBe(200);
+        expect(res.body.map(s => [s.id, s.timesSung, s.lastSung])).toEqual([
+            ['song3', 0, null],
+            ['song2', 1, '2020-01-04'],
+            ['song1', 1, expect.any(String)]
+        ]);
+    });
+
+    test('reports songs not sung in the last months', async () => {
+        const res = await request(app).get('/api/reports/not-sung?months=6');
+        expect(res.status).toBe(200);
+        expect(res.body.months).toBe(6);
+        expect(res.body.since).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(res.body.songs.map(s => s.id)).toEqual(['song3', 'song2']);
+    });
+
+    test('rejects invalid month counts', async () => {
+        for (const months of ['0', 'six', '1.5']) {
+            const res = await request(app).get(`/api/reports/not-sung?months=${months}`);
+            expect(res.status).toBe(400);
+        }
+    });
+});
+
+describe('Search API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    describe('GET /api/search', () => {
+        test('returns all songs when no query', async () => {
+            const res = await request(app).get('/api/search');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(3);
+        });
+
+        test('searches by title', async () => {
+            const res = await request(app).get('/api/search?q=apple');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(1);
+            expect(res.body[0].title).toBe('Apple Tree Wassail');
+        });
+
+        test('searches by lyrics', async () => {
+            const res = await request(app).get('/api/search?q=wassail');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(1);
+        });
+
+        test('handles fuzzy matching with typos', async () => {
+            const res = await request(app).get('/api/search?q=chariot');
+            expect(res.status).toBe(200);
+            expect(res.body.length).toBeGreaterThan(0);
+        });
+
+        test('handles exact search with quotes', async () => {
+            const res = await request(app).get('/api/search?q="All shall be well"');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(1);
+            expect(res.body[0].title).toBe('The Bells of Norwich');
+        });
+
+        test('handles search spanning newlines', async () => {
+            const res = await request(app).get('/api/search?q="Swing low sweet"');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(1);
+            expect(res.body[0].title).toBe('Chariots');
+        });
+
+        test('filters by listId', async () => {
+            const res = await request(app).get('/api/search?listId=list1');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(2);
+        });
+
+        test('combines search query with listId filter', async () => {
+            const res = await request(app).get('/api/search?q=apple&listId=list1');
+            expect(res.status).toBe(200);
+            expect(res.body).toHaveLength(1);
+        });
+
+        test('returns empty array for no matches', async () => {
+            const res = await request(app).get('/api/search?q=xyznonexistent');
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual([]);
+        });
+    });
+
+    describe('relevance', () => {
+        beforeEach(() => {
+            setupTestData({
+                songs: [
+                    { id: 'lyric', title: 'Apple Tree Wassail', lyrics: 'The wild rover came home' },
+                    { id: 'title', title: 'The Wild Rover', lyrics: 'I have been a traveller' },
+                    { id: 'other', title: 'Bells', lyrics: 'All shall be well' }
+                ],
+                lists: [],
+                stats: { songViews: {}, listViews: {} }
+            });
+        });
+
+        test('ranks title hits first and returns scores and match positions', async () => {
+            const res = await request(app).get('/api/search?q=rover');
+
+            expect(res.body.map(s => s.id)).toEqual(['title', 'lyric']);
+            expect(res.body[0].score).toBeGreaterThan(res.body[1].score);
+            expect(res.body[0].matches).toEqual([{ field: 'title', start: 9, end: 14 }]);
+            expect(res.body[1].matches).toEqual([{ field: 'lyrics', start: 9, end: 14 }]);
+        });
+
+        test('returns the matching lines as snippets', async () => {
+            const res = await request(app).get('/api/search?q=rover');
+
+            expect(res.body[0].snippets).toEqual([]);
+            expect(res.body[1].snippets).toEqual([{
+                lines: [{ number: 0, text: 'The wild rover came home', highlights: [{ start: 9, end: 14 }] }]
+            }]);
+        });
+
+        test('returns snippets for quoted phrases', async () => {
+            const res = await request(app).get('/api/search?q="shall be"');
+
+            expect(res.body.map(s => s.id)).toEqual(['other']);
+            expect(res.body[0].snippets[0].lines[0].highlights).toEqual([{ start: 4, end: 12 }]);
+        });
+
+        test('sees song edits straight away', async () => {
+            await request(app).get('/api/search?q=rover');
+            await request(app).put('/api/songs/other').set(auth()).send({ lyrics: 'A rover in the rain' });
+
+            const res = await request(app).get('/api/search?q=rover');
+            expect(res.body.map(s => s.id)).toEqual(['title', 'lyric', 'other']);
+        });
+
+        test('drops deleted songs from results', async () => {
+            await request(app).get('/api/search?q=rover');
+            await request(app).delete('/api/songs/title').set(auth());
+
+            const res = await request(app).get('/api/search?q=rover');
+            expect(res.body.map(s => s.id)).toEqual(['lyric']);
+        });
+
+        test('ignores chords in lyrics and snippets', async () => {
+            await request(app).put('/api/songs/other').set(auth()).send({ lyrics: '[G]A ro[C]ver in the [Am]rain' });
+
+            const res = await request(app).get('/api/search?q=rover');
+            const other = res.body.find(s => s.id === 'other');
+            expect(other.snippets[0].lines).toEqual([{ number: 0, text: 'A rover in the rain', highlights: [{ start: 2, end: 7 }] }]);
+
+            const chord = await request(app).get('/api/search?q=am');
+            expect(chord.body.map(s => s.id)).not.toContain('other');
+        });
+    });
+
+    describe('query syntax', () => {
+        beforeEach(() => {
+            setupTestData({
+                songs: [
+                    { id: 'lyric', title: 'Apple Tree Wassail', lyrics: 'The wild rover came home', tags: ['carol'] },
+                    { id: 'title', title: 'The Wild Rover', lyrics: 'I have been a traveller', writer: 'Trad' },
+                    { id: 'other', title: 'Bells', lyrics: 'All shall be well', tags: ['carol'] }
+                ],
+                lists: [],
+                stats: { songViews: {}, listViews: {} }
+            });
+        });
+
+        test('excludes terms', async () => {
+            const res = await request(app).get('/api/search?q=rover -apple');
+            expect(res.body.map(s => s.id)).toEqual(['title']);
+        });
+
+        test('matches either side of OR', async () => {
+            const res = await request(app).get('/api/search?q=traveller OR bells');
+            expect(res.body.map(s => s.id).sort()).toEqual(['other', 'title']);
+        });
+
+        test('scopes terms to fields', async () => {
+            expect((await request(app).get('/api/search?q=lyrics:rover')).body.map(s => s.id)).toEqual(['lyric']);
+            expect((await request(app).get('/api/search?q=tag:carol -bells')).body.map(s => s.id)).toEqual(['lyric']);
+            expect((await request(app).get('/api/search?q=author:trad')).body.map(s => s.id)).toEqual(['title']);
+        });
+
+        test('ignores accents and uses the site synonyms', async () => {
+            setupTestData({
+                songs: [
+                    { id: 'noel', title: 'The First Noël', lyrics: 'Born is the King' },
+                    { id: 'hills', title: 'Far Away', lyrics: 'O’er the hills and far away' }
+                ],
+                lists: [],
+                stats: { songViews: {}, listViews: {} }
+            });
+
+            expect((await request(app).get('/api/search?q=noel')).body.map(s => s.id)).toEqual(['noel']);
+            expect((await request(app).get('/api/search?q="over the hills"')).body.map(s => s.id)).toEqual(['hills']);
+        });
+
+        test('rejects malformed queries with an explanation', async () => {
+            const res = await request(app).get('/api/search?q=%22wild rover');
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Invalid search: Missing closing quote after "wild rover');
+
+            const facets = await request(app).get('/api/search/facets?q=rover OR');
+            expect(facets.status).toBe(400);
+            expect(facets.body.error).toMatch(/OR needs/);
+        });
+    });
+
+    describe('facet filters', () => {
+        beforeEach(() => {
+            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            Object.assign(data.songs[0], { tags: ['carol', 'wassail'], traditional: true, language: 'en' });
+            Object.assign(data.songs[1], { tags: ['round'], language: 'en', url: 'https://example.com' });
+            Object.assign(data.songs[2], { tags: ['spiritual'], createdAt: new Date().toISOString() });
+            fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+        });
+
+        test('filters search results by tag, origin, link and date added', async () => {
+            expect((await request(app).get('/api/search?tag=carol')).body.map(s => s.id)).toEqual(['song1']);
+            expect((await request(app).get('/api/search?origin=modern')).body.map(s => s.id)).toEqual(['song2', 'song3']);
+            expect((await request(app).get('/api/search?url=with')).body.map(s => s.id)).toEqual(['song2']);
+            expect((await request(app).get('/api/search?added=week')).body.map(s => s.id)).toEqual(['song3']);
+        });
+
+        test('combines filters with text search and lists', async () => {
+            const res = await request(app).get('/api/search?q=well&language=en');
+            expect(res.body.map(s => s.id)).toEqual(['song2']);
+
+            const list = await request(app).get('/api/search?listId=list1&origin=modern');
+            expect(list.body.map(s => s.id)).toEqual(['song3']);
+        });
+
+        test('rejects unknown filter values', async () => {
+            const res = await request(app).get('/api/search?origin=medieval');
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('origin');
+        });
+
+        test('returns counts per facet', async () => {
+            const res = await request(app).get('/api/search/facets');
+
+            expect(res.status).toBe(200);
+            expect(res.body.total).toBe(3);
+            expect(res.body.facets.tag).toHaveLength(4);
+            expect(res.body.facets.language).toEqual([{ value: 'en', count: 2 }]);
+            expect(res.body.facets.origin).toEqual([
+                { value: 'traditional', count: 1 },
+                { value: 'modern', count: 2 }
+            ]);
+            expect(res.body.facets.added).toEqual([
+                { value: 'week', count: 1 },
+                { value: 'month', count: 1 },
+                { value: 'year', count: 1 }
+            ]);
+        });
+
+        test('counts facets within the current search and filters', async () => {
+            const res = await request(app).get('/api/search/facets?listId=list1&tag=spiritual');
+
+            expect(res.body.total).toBe(1);
+            expect(res.body.facets.tag).toEqual([{ value: 'spiritual', count: 1 }]);
+            expect(res.body.facets.origin).toEqual([
+                { value: 'traditional', count: 0 },
+                { value: 'modern', count: 1 }
+            ]);
+        });
+
+        test('rejects unknown filter values when counting', async () => {
+            const res = await request(app).get('/api/search/facets?added=never');
+            expect(res.status).toBe(400);
+        });
+    });
+});
+
+describe('QR Code API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    describe('GET /api/qr/:listId', () => {
+        test('generates QR code for list', async () => {
+            const res = await request(app).get('/api/qr/list1');
+            expect(res.status).toBe(200);
+            expect(res.body.qrCode).toBeDefined();
+            expect(res.body.qrCode).toMatch(/^data:image\/png;base64,/);
+            expect(res.body.url).toContain('list.html?id=list1');
+        });
+
+        test('generates QR code for catalog', async () => {
+            const res = await request(app).get('/api/qr/catalog');
+            expect(res.status).toBe(200);
+            expect(res.body.url).toContain('catalog.html');
+        });
+
+        test('generates QR code for home', async () => {
+            const res = await request(app).get('/api/qr/home');
+            expect(res.status).toBe(200);
+            expect(res.body.url).toMatch(/\/$/);
+        });
+
+        test('returns 404 for non-existent list', async () => {
+            const res = await request(app).get('/api/qr/nonexistent');
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/qr/song/:songId', () => {
+        test('generates QR code for song with URL', async () => {
+            // First add a URL to a song
+            await request(app)
+                .put('/api/songs/song1')
+                .set(auth())
+                .send({ url: 'https://example.com/song' });
+
+            const res = await request(app).get('/api/qr/song/song1');
+            expect(res.status).toBe(200);
+            expect(res.body.qrCode).toBeDefined();
+            expect(res.body.qrCode).toMatch(/^data:image\/png;base64,/);
+            expect(res.body.url).toBe('https://example.com/song');
+        });
+
+        test('returns 404 for song without URL', async () => {
+            const res = await request(app).get('/api/qr/song/song1');
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Song has no URL');
+        });
+
+        test('returns 404 for non-existent song', async () => {
+            const res = await request(app).get('/api/qr/song/nonexistent');
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Song not found');
+        });
+    });
+});
+
+describe('Auth API', () => {
+    beforeEach(() => {
+        setupTestData();
+        loginAttempts.clear();
+    });
+
+    describe('POST /api/auth/login', () => {
+        test('accepts correct password', async () => {
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(res.body.token).toBeDefined();
+        });
+
+        test('rejects incorrect password', async () => {
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'wrongpassword' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.success).toBe(false);
+        });
+
+        test('rate limits after max attempts', async () => {
+            // Make MAX_ATTEMPTS failed attempts
+            for (let i = 0; i < 5; i++) {
+                await request(app)
+                    .post('/api/auth/login')
+                    .send({ password: 'wrongpassword' });
+            }
+
+            // Next attempt should be rate limited
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+
+            expect(res.status).toBe(429);
+        });
+
+        test('migrates plain text password to hashed on successful login', async () => {
+            // First login with plain text password
+            await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+
+            // Check that password is now hashed in data file
+            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            expect(data.users[0].salt).toBeDefined();
+            expect(data.users[0].password).not.toBe('testpass123');
+
+            // Should still be able to login
+            loginAttempts.clear();
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+        });
+    });
+
+    describe('POST /api/auth/change-password', () => {
+        test('changes password successfully with correct current password', async () => {
+            const res = await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+            expect(res.body.message).toBe('Password changed successfully');
+        });
+
+        test('can login with new password after change', async () => {
+            await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+
+            loginAttempts.clear();
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'newpass456' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.success).toBe(true);
+        });
+
+        test('cannot login with old password after change', async () => {
+            await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+
+            loginAttempts.clear();
+            const res = await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.success).toBe(false);
+        });
+
+        test('rejects change with incorrect current password', async () => {
+            const res = await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'wrongpassword', newPassword: 'newpass456' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.success).toBe(false);
+            expect(res.body.error).toBe('Current password is incorrect');
+        });
+
+        test('rejects new password shorter than 6 characters', async () => {
+            const res = await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'testpass123', newPassword: 'short' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.success).toBe(false);
+            expect(res.body.error).toBe('New password must be at least 6 characters');
+        });
+
+        test('rejects request without current password', async () => {
+            const res = await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ newPassword: 'newpass456' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.success).toBe(false);
+        });
+
+        test('rejects request without new password', async () => {
+            const res = await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
+                .send({ currentPassword: 'testpass123' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.success).toBe(false);
+        });
+
+        test('generates new salt when changing password', async () => {
+            // First get original salt after login migrates to hashed
+            await request(app)
+                .post('/api/auth/login')
+                .send({ password: 'testpass123' });
+            const dataBefore = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            const originalSalt = dataBefore.users[0].salt;
+
+            // Change password
+            await request(app)
+                .post('/api/auth/change-password')
+                .set(auth())
                 .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
 
-            loginAttempts.clear();
-            const res = await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
+            const dataAfter = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+            expect(dataAfter.users[0].salt).not.toBe(originalSalt);
+        });
+    });
+});
+
+describe('Session auth', () => {
+    beforeEach(() => {
+        setupTestData();
+        loginAttempts.clear();
+    });
+
+    async function login() {
+        const res = await request(app)
+            .post('/api/auth/login')
+            .send({ password: 'testpass123' });
+        return res.body.token;
+    }
+
+    test('login returns a token that authorizes writes', async () => {
+        const token = await login();
+        const res = await request(app)
+            .post('/api/songs')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'New Song', lyrics: 'New lyrics' });
+
+        expect(res.status).toBe(201);
+    });
+
+    test.each([
+        ['post', '/api/songs'],
+        ['put', '/api/songs/song1'],
+        ['delete', '/api/songs/song1'],
+        ['post', '/api/lists'],
+        ['put', '/api/lists/list1'],
+        ['delete', '/api/lists/list1'],
+        ['post', '/api/auth/change-password'],
+        ['post', '/api/auth/logout']
+    ])('rejects anonymous %s %s with 401', async (method, url) => {
+        const res = await request(app)[method](url).send({});
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe('Authentication required');
+    });
+
+    test('leaves data untouched when a write is rejected', async () => {
+        await request(app).delete('/api/songs/song1');
+
+        const res = await request(app).get('/api/songs/song1');
+        expect(res.status).toBe(200);
+    });
+
+    test('rejects a tampered token', async () => {
+        const token = await login();
+        const tampered = token.replace(/\.(\d+)\./, (_, exp) => `.${Number(exp) + 1000}.`);
+        const res = await request(app)
+            .delete('/api/songs/song1')
+            .set('Authorization', `Bearer ${tampered}`);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects an expired token', async () => {
+        const token = await login();
+        sessions.get(token.split('.')[0]).expiresAt = Date.now() - 1;
+
+        const res = await request(app)
+            .delete('/api/songs/song1')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('rejects a token issued for another site', async () => {
+        const token = createSession('/some/other/data.json', { username: 'admin', role: 'owner' });
+        const res = await request(app)
+            .delete('/api/songs/song1')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('GET /api/auth/session reports a valid session', async () => {
+        const token = await login();
+        const res = await request(app)
+            .get('/api/auth/session')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    test('logout revokes the token', async () => {
+        const token = await login();
+        const logoutRes = await request(app)
+            .post('/api/auth/logout')
+            .set('Authorization', `Bearer ${token}`);
+        expect(logoutRes.status).toBe(200);
+        expect(logoutRes.body.success).toBe(true);
+
+        const res = await request(app)
+            .delete('/api/songs/song1')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(401);
+    });
+
+    test('changing the password revokes other sessions but keeps the current one', async () => {
+        const current = await login();
+        const other = await login();
+
+        await request(app)
+            .post('/api/auth/change-password')
+            .set('Authorization', `Bearer ${current}`)
+            .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+
+        const otherRes = await request(app)
+            .get('/api/auth/session')
+            .set('Authorization', `Bearer ${other}`);
+        expect(otherRes.status).toBe(401);
+
+        const currentRes = await request(app)
+            .get('/api/auth/session')
+            .set('Authorization', `Bearer ${current}`);
+        expect(currentRes.status).toBe(200);
+    });
+});
+
+describe('Users API', () => {
+    beforeEach(() => {
+        setupTestData();
+        loginAttempts.clear();
+    });
+
+    async function invite(username, role, password = 'secret123') {
+        return request(app)
+            .post('/api/users')
+            .set(auth())
+            .send({ username, password, role });
+    }
+
+    test('migrates the legacy admin password to an owner account', async () => {
+        const res = await request(app).get('/api/users').set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([expect.objectContaining({ username: 'admin', role: 'owner' })]);
+        expect(res.body[0].password).toBeUndefined();
+        expect(res.body[0].salt).toBeUndefined();
+    });
+
+    test('owner can invite a user who can then log in', async () => {
+        const res = await invite('Alice', 'editor');
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ username: 'alice', role: 'editor' });
+
+        const loginRes = await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'alice', password: 'secret123' });
+        expect(loginRes.status).toBe(200);
+        expect(loginRes.body.user).toEqual(expect.objectContaining({ username: 'alice', role: 'editor' }));
+    });
+
+    test('stores invited passwords hashed', async () => {
+        await invite('alice', 'editor');
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        const alice = data.users.find(u => u.username === 'alice');
+        expect(alice.salt).toBeDefined();
+        expect(alice.password).not.toBe('secret123');
+    });
+
+    test('rejects invalid usernames, roles and short passwords', async () => {
+        expect((await invite('a', 'editor')).status).toBe(400);
+        expect((await invite('bob', 'superuser')).status).toBe(400);
+        expect((await invite('bob', 'editor', 'short')).status).toBe(400);
+    });
+
+    test('rejects duplicate usernames', async () => {
+        await invite('alice', 'editor');
+        const res = await invite('alice', 'list-curator');
+        expect(res.status).toBe(409);
+    });
+
+    test('owner can change a role', async () => {
+        await invite('alice', 'editor');
+        const res = await request(app)
+            .put('/api/users/alice')
+            .set(auth())
+            .send({ role: 'list-curator' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.role).toBe('list-curator');
+    });
+
+    test('cannot demote the last owner', async () => {
+        const res = await request(app)
+            .put('/api/users/admin')
+            .set(auth())
+            .send({ role: 'editor' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('owner can remove a user and revoke their sessions', async () => {
+        await invite('alice', 'editor');
+        const loginRes = await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'alice', password: 'secret123' });
+
+        const res = await request(app).delete('/api/users/alice').set(auth());
+        expect(res.status).toBe(200);
+
+        const sessionRes = await request(app)
+            .get('/api/auth/session')
+            .set('Authorization', `Bearer ${loginRes.body.token}`);
+        expect(sessionRes.status).toBe(401);
+    });
+
+    test('cannot remove your own account', async () => {
+        const res = await request(app).delete('/api/users/admin').set(auth());
+        expect(res.status).toBe(400);
+    });
+
+    test('returns 404 for unknown users', async () => {
+        const res = await request(app).delete('/api/users/nobody').set(auth());
+        expect(res.status).toBe(404);
+    });
+
+    test('non-owners cannot manage users', async () => {
+        const res = await request(app).get('/api/users').set(auth('editor', 'alice'));
+        expect(res.status).toBe(403);
+    });
+
+    test('each user changes their own password', async () => {
+        await invite('alice', 'editor');
+        const loginRes = await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'alice', password: 'secret123' });
+
+        const res = await request(app)
+            .post('/api/auth/change-password')
+            .set('Authorization', `Bearer ${loginRes.body.token}`)
+            .send({ currentPassword: 'secret123', newPassword: 'newsecret456' });
+        expect(res.status).toBe(200);
+
+        // The owner's password is unchanged
+        loginAttempts.clear();
+        const ownerRes = await request(app)
+            .post('/api/auth/login')
+            .send({ username: 'admin', password: 'testpass123' });
+        expect(ownerRes.status).toBe(200);
+    });
+});
+
+describe('Role permissions', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    test('list curators can edit lists', async () => {
+        const res = await request(app)
+            .put('/api/lists/list1')
+            .set(auth('list-curator', 'carol'))
+            .send({ name: 'Renamed' });
+
+        expect(res.status).toBe(200);
+    });
+
+    test('list curators cannot add, edit or delete songs', async () => {
+        const curator = auth('list-curator', 'carol');
+
+        const addRes = await request(app).post('/api/songs').set(curator).send({ title: 'T', lyrics: 'L' });
+        const editRes = await request(app).put('/api/songs/song1').set(curator).send({ title: 'T' });
+        const deleteRes = await request(app).delete('/api/songs/song1').set(curator);
+
+        expect(addRes.status).toBe(403);
+        expect(editRes.status).toBe(403);
+        expect(deleteRes.status).toBe(403);
+        expect(deleteRes.body.error).toBe('Insufficient permissions');
+    });
+
+    test('editors can delete songs', async () => {
+        const res = await request(app).delete('/api/songs/song1').set(auth('editor', 'ed'));
+        expect(res.status).toBe(200);
+    });
+});
+
+describe('Song metadata', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    test('creates a song with metadata', async () => {
+        const res = await request(app)
+            .post('/api/songs')
+            .set(auth())
+            .send({
+                title: 'Dirty Old Town',
+                lyrics: 'I met my love',
+                writer: 'Ewan MacColl',
+                key: 'g',
+                capo: 2,
+                tempo: '92',
+                tags: 'Folk, Union Song',
+                language: 'en',
+                copyright: '(c) Stormking Music'
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({
+            writer: 'Ewan MacColl',
+            key: 'G',
+            capo: 2,
+            tempo: 92,
+            tags: ['folk', 'union song'],
+            language: 'en'
+        });
+
+        const songs = (await request(app).get('/api/songs')).body;
+        expect(songs.find(s => s.id === res.body.id).tags).toEqual(['folk', 'union song']);
+    });
+
+    test('updates and clears metadata', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ traditional: true, tune: 'Wassail', tags: ['carol'] });
+        const res = await request(app).put('/api/songs/song1').set(auth()).send({ tune: null, tags: [] });
+
+        expect(res.body.traditional).toBe(true);
+        expect(res.body.tune).toBeUndefined();
+        expect(res.body.tags).toBeUndefined();
+    });
+
+    test('rejects invalid metadata', async () => {
+        const create = await request(app).post('/api/songs').set(auth()).send({ title: 'A', lyrics: 'B', capo: 20 });
+        expect(create.status).toBe(400);
+        expect(create.body.error).toContain('Capo');
+
+        const update = await request(app).put('/api/songs/song1').set(auth()).send({ key: 'Q' });
+        expect(update.status).toBe(400);
+        expect((await request(app).get('/api/songs/song1')).body.key).toBeUndefined();
+    });
+
+    test('records metadata changes as revisions and reverts them', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ key: 'D', tags: ['carol'] });
+
+        const revisions = (await request(app).get('/api/songs/song1/revisions').set(auth())).body;
+        expect(revisions[0].changes).toEqual(['key', 'tags']);
+
+        const res = await request(app).post('/api/songs/song1/revisions/1/revert').set(auth());
+        expect(res.body.key).toBeUndefined();
+        expect(res.body.tags).toBeUndefined();
+    });
+
+    test('imports metadata and rejects invalid values', async () => {
+        const ok = await request(app)
+            .post('/api/import')
+            .set(auth())
+            .send({ songs: [{ title: 'Rover', lyrics: 'La', tags: 'shanty', traditional: true }] });
+        expect(ok.body.songs[0]).toMatchObject({ tags: ['shanty'], traditional: true });
+
+        const bad = await request(app)
+            .post('/api/import')
+            .set(auth())
+            .send({ songs: [{ title: 'Rover', lyrics: 'La', key: 'nope' }] });
+        expect(bad.status).toBe(400);
+        expect(bad.body.error).toMatch(/^Song 1: Key/);
+    });
+
+    test('flags invalid metadata in the import preview', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth())
+            .send({ files: [{ name: 'a.cho', content: '{title: A}\n{capo: 40}\nla' }] });
+        expect(res.body.songs[0].error).toContain('Capo');
+    });
+});
+
+describe('Song sections', () => {
+    const lyrics = 'Verse 1\nFirst verse\n\nChorus:\nSing along\n\nChorus';
+
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    test('stores the sections of a new song', async () => {
+        const res = await request(app).post('/api/songs').set(auth()).send({ title: 'Song', lyrics });
+
+        expect(res.status).toBe(201);
+        expect(res.body.sections.map(s => [s.type, s.label, s.lines])).toEqual([
+            ['verse', 'Verse 1', ['First verse']],
+            ['chorus', 'Chorus', ['Sing along']],
+            ['chorus', 'Chorus', []]
+        ]);
+        expect(res.body.sections[2].repeatOf).toBe(1);
+
+        const stored = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).songs.find(s => s.id === res.body.id);
+        expect(stored.sections).toEqual(res.body.sections);
+    });
+
+    test('re-parses sections when the lyrics change', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ lyrics });
+        const res = await request(app).put('/api/songs/song1').set(auth()).send({ lyrics: '[Bridge]\nNew words' });
+
+        expect(res.body.sections).toEqual([{ type: 'bridge', label: 'Bridge', number: null, start: 1, lines: ['New words'] }]);
+    });
+
+    test('updates sections when a revision is reverted', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ lyrics });
+        const res = await request(app).post('/api/songs/song1/revisions/1/revert').set(auth());
+
+        expect(res.body.sections.map(s => s.lines)).toEqual([['Old apple tree we wassail thee']]);
+    });
+
+    test('adds sections to songs saved without them', async () => {
+        const res = await request(app).get('/api/songs/song3');
+        expect(res.body.sections).toEqual([
+            { type: 'verse', label: null, number: null, start: 0, lines: ['Swing low', 'sweet chariots'] }
+        ]);
+
+        const list = await request(app).get('/api/lists/list1');
+        expect(list.body.songs.every(s => Array.isArray(s.sections))).toBe(true);
+    });
+});
+
+describe('Song revisions API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    test('records who created a song', async () => {
+        const created = await request(app).post('/api/songs').set(auth('editor', 'erin')).send({ title: 'New', lyrics: 'La' });
+
+        const res = await request(app).get(`/api/songs/${created.body.id}/revisions`).set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveLength(1);
+        expect(res.body[0]).toMatchObject({ number: 1, author: 'erin', title: 'New', lyrics: 'La' });
+    });
+
+    test('stores every edit with what changed, newest first', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ lyrics: 'First edit' });
+        await request(app).put('/api/songs/song1').set(auth('editor', 'erin')).send({ title: 'Renamed' });
+
+        const res = await request(app).get('/api/songs/song1/revisions').set(auth());
+        expect(res.body.map(r => r.number)).toEqual([3, 2, 1]);
+        expect(res.body[0]).toMatchObject({ author: 'erin', changes: ['title'], title: 'Renamed' });
+        expect(res.body[1]).toMatchObject({ author: 'admin', changes: ['lyrics'], lyrics: 'First edit' });
+        // The text from before revisions were tracked
+        expect(res.body[2].lyrics).toBe('Old apple tree we wassail thee');
+    });
+
+    test('does not record edits that change nothing', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ title: 'Apple Tree Wassail' });
+
+        const res = await request(app).get('/api/songs/song1/revisions').set(auth());
+        expect(res.body).toEqual([]);
+    });
+
+    test('returns a revision with a line diff against the current lyrics', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ lyrics: 'Old apple tree we wassail thee\nAnd hope that thou wilt bear' });
+
+        const res = await request(app).get('/api/songs/song1/revisions/1').set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body.current.lyrics).toContain('hope');
+        expect(res.body.diff).toEqual([
+            { type: 'same', left: 'Old apple tree we wassail thee', right: 'Old apple tree we wassail thee' },
+            { type: 'added', right: 'And hope that thou wilt bear' }
+        ]);
+    });
+
+    test('reverts a song to an earlier revision', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ title: 'Oops', lyrics: 'Wrong words', url: 'https://example.com' });
+
+        const res = await request(app).post('/api/songs/song1/revisions/1/revert').set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body.title).toBe('Apple Tree Wassail');
+        expect(res.body.lyrics).toBe('Old apple tree we wassail thee');
+        expect(res.body.url).toBeUndefined();
+
+        const revisions = (await request(app).get('/api/songs/song1/revisions').set(auth())).body;
+        expect(revisions[0]).toMatchObject({ number: 3, revertedFrom: 1 });
+    });
 
-            expect(res.status).toBe(401);
-            expect(res.body.success).toBe(false);
-        });
+    test('returns 404 for unknown songs and revisions', async () => {
+        expect((await request(app).get('/api/songs/nonexistent/revisions').set(auth())).status).toBe(404);
+        expect((await request(app).get('/api/songs/song1/revisions/9').set(auth())).status).toBe(404);
+        expect((await request(app).post('/api/songs/song1/revisions/9/revert').set(auth())).status).toBe(404);
+    });
 
-        test('rejects change with incorrect current password', async () => {
-            const res = await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'wrongpassword', newPassword: 'newpass456' });
+    test('keeps the history while a song is in the trash and drops it when purged', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ lyrics: 'Edited' });
+        await request(app).delete('/api/songs/song1').set(auth());
 
-            expect(res.status).toBe(401);
-            expect(res.body.success).toBe(false);
-            expect(res.body.error).toBe('Current password is incorrect');
-        });
+        let data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        expect(data.revisions.song1).toHaveLength(2);
 
-        test('rejects new password shorter than 6 characters', async () => {
-            const res = await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'testpass123', newPassword: 'short' });
+        await request(app).delete('/api/trash/song/song1').set(auth());
+        data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        expect(data.revisions.song1).toBeUndefined();
+    });
 
-            expect(res.status).toBe(400);
-            expect(res.body.success).toBe(false);
-            expect(res.body.error).toBe('New password must be at least 6 characters');
-        });
+    test('requires permission to edit songs', async () => {
+        const res = await request(app).get('/api/songs/song1/revisions').set(auth('list-curator', 'carol'));
+        expect(res.status).toBe(403);
+    });
+});
 
-        test('rejects request without current password', async () => {
-            const res = await request(app)
-                .post('/api/auth/change-password')
-                .send({ newPassword: 'newpass456' });
+describe('Import API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
 
-            expect(res.status).toBe(400);
-            expect(res.body.success).toBe(false);
-        });
+    test('previews songs from several files', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth())
+            .send({
+                files: [
+                    { name: 'rover.txt', content: 'Wild Rover\nI have been a wild rover' },
+                    { name: 'molly.cho', content: '{title: Molly Malone}\n[G]In Dublin' },
+                    { name: 'songs.csv', content: 'title,lyrics,url\nDirty Old Town,I met my love,https://example.com\n' }
+                ]
+            });
 
-        test('rejects request without new password', async () => {
-            const res = await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'testpass123' });
+        expect(res.status).toBe(200);
+        expect(res.body.errors).toEqual([]);
+        expect(res.body.songs.map(s => s.title)).toEqual(['Wild Rover', 'Molly Malone', 'Dirty Old Town']);
+        expect(res.body.songs[2].url).toBe('https://example.com');
+        expect(res.body.songs[0].duplicateOf).toBeNull();
+    });
 
-            expect(res.status).toBe(400);
-            expect(res.body.success).toBe(false);
-        });
+    test('detects duplicates of existing songs by library sort key', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth())
+            .send({ files: [{ name: 'bells.txt', content: 'Bells of Norwich\nAll shall be well' }] });
 
-        test('generates new salt when changing password', async () => {
-            // First get original salt after login migrates to hashed
-            await request(app)
-                .post('/api/auth/login')
-                .send({ password: 'testpass123' });
-            const dataBefore = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            const originalSalt = dataBefore.admin.salt;
+        // "The Bells of Norwich" already exists
+        expect(res.body.songs[0].duplicateOf).toEqual({ id: 'song2', title: 'The Bells of Norwich' });
+    });
 
-            // Change password
-            await request(app)
-                .post('/api/auth/change-password')
-                .send({ currentPassword: 'testpass123', newPassword: 'newpass456' });
+    test('detects duplicates within the batch', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth())
+            .send({
+                files: [
+                    { name: 'a.txt', content: 'Wild Rover\nFirst copy' },
+                    { name: 'b.txt', content: 'The Wild Rover\nSecond copy' }
+                ]
+            });
+
+        expect(res.body.songs[0].duplicateOf).toBeNull();
+        expect(res.body.songs[1].duplicateOf).toEqual({ title: 'Wild Rover', batch: true });
+    });
 
-            const dataAfter = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            expect(dataAfter.admin.salt).not.toBe(originalSalt);
-        });
+    test('reports files that cannot be parsed', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth())
+            .send({ files: [{ name: 'notes.docx', content: 'x' }, { name: 'empty.txt', content: '' }] });
+
+        expect(res.body.songs).toEqual([]);
+        expect(res.body.errors.map(e => e.file)).toEqual(['notes.docx', 'empty.txt']);
+    });
+
+    test('requires files', async () => {
+        const res = await request(app).post('/api/import/preview').set(auth()).send({});
+        expect(res.status).toBe(400);
+    });
+
+    test('creates songs and a list from the batch', async () => {
+        const res = await request(app)
+            .post('/api/import')
+            .set(auth())
+            .send({
+                songs: [
+                    { title: 'Wild Rover', lyrics: 'I have been a wild rover' },
+                    { title: 'Dirty Old Town', lyrics: 'I met my love', url: 'https://example.com' }
+                ],
+                listName: 'Binder'
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.songs).toHaveLength(2);
+        expect(res.body.list.name).toBe('Binder');
+        expect(res.body.list.songIds).toEqual(res.body.songs.map(s => s.id));
+
+        const songs = (await request(app).get('/api/songs')).body;
+        expect(songs).toHaveLength(5);
+        const revisions = (await request(app).get(`/api/songs/${res.body.songs[0].id}/revisions`).set(auth())).body;
+        expect(revisions[0].author).toBe('admin');
+    });
+
+    test('creates no list without a list name', async () => {
+        const res = await request(app)
+            .post('/api/import')
+            .set(auth())
+            .send({ songs: [{ title: 'Wild Rover', lyrics: 'La' }] });
+
+        expect(res.body.list).toBeNull();
+        expect((await request(app).get('/api/lists')).body).toHaveLength(1);
+    });
+
+    test('rejects songs without a title or lyrics', async () => {
+        const res = await request(app)
+            .post('/api/import')
+            .set(auth())
+            .send({ songs: [{ title: 'Fine', lyrics: 'La' }, { title: 'No lyrics' }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain('Song 2');
+        expect((await request(app).get('/api/songs')).body).toHaveLength(3);
+    });
+
+    test('accepts batches larger than the default body limit', async () => {
+        const lyrics = 'la '.repeat(2000);
+        const songs = Array.from({ length: 100 }, (_, i) => ({ title: `Song ${i}`, lyrics }));
+
+        const res = await request(app).post('/api/import').set(auth()).send({ songs });
+        expect(res.status).toBe(201);
+    });
+
+    test('list curators cannot import', async () => {
+        const res = await request(app)
+            .post('/api/import/preview')
+            .set(auth('list-curator', 'carol'))
+            .send({ files: [{ name: 'a.txt', content: 'A\nB' }] });
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('Trash API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    function readTestData() {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    }
+
+    test('deleting a song moves it to the trash', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+
+        const res = await request(app).get('/api/trash').set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveLength(1);
+        expect(res.body[0]).toMatchObject({ type: 'song', id: 'song1', name: 'Apple Tree Wassail', deletedBy: 'admin', lists: 1 });
+        expect(new Date(res.body[0].expiresAt) > new Date()).toBe(true);
+    });
+
+    test('restores a song into its lists at the same position', async () => {
+        await request(app).put('/api/lists/list1').set(auth()).send({ songIds: ['song3', 'song1', 'song2'], useCustomOrder: true });
+        await request(app).delete('/api/songs/song1').set(auth());
+
+        expect((await request(app).get('/api/lists/list1')).body.songIds).toEqual(['song3', 'song2']);
+
+        const res = await request(app).post('/api/trash/song/song1/restore').set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body.title).toBe('Apple Tree Wassail');
+
+        expect((await request(app).get('/api/lists/list1')).body.songIds).toEqual(['song3', 'song1', 'song2']);
+        expect((await request(app).get('/api/trash').set(auth())).body).toEqual([]);
+    });
+
+    test('deleting a list moves it to the trash and restore brings it back', async () => {
+        await request(app).delete('/api/lists/list1').set(auth());
+        expect((await request(app).get('/api/lists/list1')).status).toBe(404);
+
+        const trash = (await request(app).get('/api/trash').set(auth())).body;
+        expect(trash[0]).toMatchObject({ type: 'list', id: 'list1', name: 'Christmas Songs' });
+
+        await request(app).post('/api/trash/list/list1/restore').set(auth());
+        expect((await request(app).get('/api/lists/list1')).body.songIds).toEqual(['song1', 'song3']);
+    });
+
+    test('a restored list leaves out songs that are gone', async () => {
+        await request(app).delete('/api/lists/list1').set(auth());
+        await request(app).delete('/api/songs/song3').set(auth());
+
+        await request(app).post('/api/trash/list/list1/restore').set(auth());
+        expect((await request(app).get('/api/lists/list1')).body.songIds).toEqual(['song1']);
+    });
+
+    test('returns 409 when restoring over an existing item', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        const data = readTestData();
+        data.songs.push({ id: 'song1', title: 'Replacement', lyrics: 'New' });
+        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+
+        const res = await request(app).post('/api/trash/song/song1/restore').set(auth());
+        expect(res.status).toBe(409);
+    });
+
+    test('purges a single item permanently', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+
+        const res = await request(app).delete('/api/trash/song/song1').set(auth());
+        expect(res.status).toBe(200);
+        expect(readTestData().trash).toEqual([]);
+        expect((await request(app).post('/api/trash/song/song1/restore').set(auth())).status).toBe(404);
+    });
+
+    test('empties the trash', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        await request(app).delete('/api/lists/list1').set(auth());
+
+        const res = await request(app).delete('/api/trash').set(auth());
+        expect(res.body.purged).toBe(2);
+        expect((await request(app).get('/api/trash').set(auth())).body).toEqual([]);
+    });
+
+    test('purges items older than the retention period', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        const data = readTestData();
+        data.trash[0].deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+
+        expect((await request(app).get('/api/trash').set(auth())).body).toEqual([]);
+
+        await request(app).delete('/api/songs/song2').set(auth());
+        expect(readTestData().trash.map(entry => entry.item.id)).toEqual(['song2']);
+    });
+
+    test('list curators only see and restore trashed lists', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        await request(app).delete('/api/lists/list1').set(auth());
+        const curator = auth('list-curator', 'carol');
+
+        const trash = (await request(app).get('/api/trash').set(curator)).body;
+        expect(trash.map(item => item.type)).toEqual(['list']);
+
+        expect((await request(app).post('/api/trash/song/song1/restore').set(curator)).status).toBe(403);
+        expect((await request(app).post('/api/trash/list/list1/restore').set(curator)).status).toBe(200);
+    });
+
+    test('returns 404 for unknown item types', async () => {
+        const res = await request(app).post('/api/trash/user/admin/restore').set(auth());
+        expect(res.status).toBe(404);
+    });
+
+    test('requires authentication', async () => {
+        expect((await request(app).get('/api/trash')).status).toBe(401);
+    });
+});
+
+describe('Site transfer API', () => {
+    beforeEach(() => {
+        setupTestData();
+    });
+
+    async function exportSite() {
+        const res = await request(app).get('/api/site/export').set(auth());
+        return res.body;
+    }
+
+    test('exports an archive without user accounts', async () => {
+        const res = await request(app).get('/api/site/export').set(auth());
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename=".+\.songbook\.json"/);
+        expect(res.body.format).toBe('songbook-archive');
+        expect(res.body.data.songs).toHaveLength(3);
+        expect(res.body.data.users).toBeUndefined();
+        expect(res.body.site.dataFile).toBeUndefined();
+    });
+
+    test('dry run reports changes without applying them', async () => {
+        const archive = await exportSite();
+
+        const res = await request(app)
+            .post('/api/site/import')
+            .set(auth())
+            .send({ archive, mode: 'merge', dryRun: true });
+
+        expect(res.status).toBe(200);
+        expect(res.body.dryRun).toBe(true);
+        expect(res.body.songs.renamed).toHaveLength(3);
+        expect((await request(app).get('/api/songs')).body).toHaveLength(3);
+    });
+
+    test('merges an archive, renaming conflicting ids', async () => {
+        const archive = await exportSite();
+
+        const res = await request(app).post('/api/site/import').set(auth()).send({ archive });
+
+        expect(res.status).toBe(200);
+        expect(res.body.mode).toBe('merge');
+        expect((await request(app).get('/api/songs')).body).toHaveLength(6);
+        expect((await request(app).get('/api/lists')).body).toHaveLength(2);
+    });
+
+    test('replaces the site but keeps its users', async () => {
+        const archive = await exportSite();
+        archive.data.songs = archive.data.songs.slice(0, 1);
+        archive.data.lists = [];
+        await request(app).post('/api/users').set(auth()).send({ username: 'alice', password: 'secret123', role: 'editor' });
+
+        const res = await request(app)
+            .post('/api/site/import')
+            .set(auth())
+            .send({ archive, mode: 'replace' });
+
+        expect(res.body.songs.removed).toHaveLength(3);
+        expect((await request(app).get('/api/songs')).body).toHaveLength(1);
+        const users = (await request(app).get('/api/users').set(auth())).body;
+        expect(users.map(u => u.username)).toEqual(['admin', 'alice']);
+    });
+
+    test('rejects invalid archives and options', async () => {
+        const archive = await exportSite();
+
+        expect((await request(app).post('/api/site/import').set(auth()).send({ archive: { foo: 1 } })).status).toBe(400);
+        expect((await request(app).post('/api/site/import').set(auth()).send({ archive, mode: 'append' })).status).toBe(400);
+        expect((await request(app).post('/api/site/import').set(auth()).send({ archive, conflicts: 'ask' })).status).toBe(400);
+    });
+
+    test('rejects song metadata the API would not accept, keeping search working', async () => {
+        const archive = await exportSite();
+        archive.data.songs.push({ id: 'z9', title: 'T', lyrics: 'x', language: 5, tags: 'sea' });
+
+        const res = await request(app).post('/api/site/import').set(auth()).send({ archive });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toContain('Language must be');
+        expect((await request(app).get('/api/search/facets')).status).toBe(200);
+    });
+
+    test('only owners can export or import', async () => {
+        expect((await request(app).get('/api/site/export').set(auth('editor', 'ed'))).status).toBe(403);
+        expect((await request(app).post('/api/site/import').set(auth('editor', 'ed')).send({})).status).toBe(403);
+    });
+});
+
+describe('Backups API', () => {
+    const snapshotDir = path.join(path.dirname(DATA_FILE), 'snapshots', 'data.test');
+
+    beforeEach(() => {
+        fs.rmSync(snapshotDir, { recursive: true, force: true });
+        setupTestData();
+    });
+
+    async function latestSnapshotId() {
+        const res = await request(app).get('/api/snapshots').set(auth());
+        return res.body[0].id;
+    }
+
+    test('snapshots the data on every change', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+
+        const res = await request(app).get('/api/snapshots').set(auth());
+        expect(res.status).toBe(200);
+        // Baseline plus the change
+        expect(res.body).toHaveLength(2);
+        expect(res.body[0].summary.songs.removed).toEqual([{ id: 'song1', title: 'Apple Tree Wassail' }]);
+        expect(res.body[0].createdAt).toBeDefined();
+    });
+
+    test('does not snapshot rejected changes', async () => {
+        await request(app).delete('/api/songs/nonexistent').set(auth());
+
+        const res = await request(app).get('/api/snapshots').set(auth());
+        expect(res.body).toEqual([]);
+    });
+
+    test('returns a snapshot without lyrics', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        const snapshots = (await request(app).get('/api/snapshots').set(auth())).body;
+        const baselineId = snapshots[1].id;
+
+        const res = await request(app).get(`/api/snapshots/${baselineId}`).set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body.songs).toContainEqual({ id: 'song1', title: 'Apple Tree Wassail' });
+        expect(res.body.songs[0].lyrics).toBeUndefined();
+        expect(res.body.lists).toEqual([{ id: 'list1', name: 'Christmas Songs', songCount: 2 }]);
+    });
+
+    test('returns 404 for unknown snapshots', async () => {
+        const res = await request(app).get('/api/snapshots/20000101T000000000Z-000000').set(auth());
+        expect(res.status).toBe(404);
+    });
+
+    test('restores the whole site', async () => {
+        await request(app).post('/api/songs').set(auth()).send({ title: 'Keep me?', lyrics: 'La' });
+        const snapshotId = await latestSnapshotId();
+        await request(app).delete('/api/songs/song1').set(auth());
+        await request(app).delete('/api/lists/list1').set(auth());
+
+        const res = await request(app).post(`/api/snapshots/${snapshotId}/restore`).set(auth()).send({});
+        expect(res.status).toBe(200);
+
+        const songs = (await request(app).get('/api/songs')).body;
+        expect(songs).toHaveLength(4);
+        const list = (await request(app).get('/api/lists/list1')).body;
+        expect(list.songIds).toEqual(['song1', 'song3']);
+    });
+
+    test('keeps current user accounts when restoring the whole site', async () => {
+        await request(app).delete('/api/songs/song2').set(auth());
+        const snapshotId = await latestSnapshotId();
+        await request(app).post('/api/users').set(auth()).send({ username: 'alice', password: 'secret123', role: 'editor' });
+
+        await request(app).post(`/api/snapshots/${snapshotId}/restore`).set(auth()).send({});
+
+        const users = (await request(app).get('/api/users').set(auth())).body;
+        expect(users.map(u => u.username)).toContain('alice');
+    });
+
+    test('restores a single deleted song back into its lists at the same position', async () => {
+        await request(app).put('/api/lists/list1').set(auth()).send({ songIds: ['song3', 'song1', 'song2'], useCustomOrder: true });
+        const snapshotId = await latestSnapshotId();
+        await request(app).delete('/api/songs/song1').set(auth());
+        await request(app).put('/api/songs/song2').set(auth()).send({ title: 'Changed Since' });
+
+        const res = await request(app)
+            .post(`/api/snapshots/${snapshotId}/restore`)
+            .set(auth())
+            .send({ songId: 'song1' });
+        expect(res.status).toBe(200);
+
+        const list = (await request(app).get('/api/lists/list1')).body;
+        expect(list.songIds).toEqual(['song3', 'song1', 'song2']);
+        // Other changes are left alone
+        const song2 = (await request(app).get('/api/songs/song2')).body;
+        expect(song2.title).toBe('Changed Since');
+    });
+
+    test('takes a restored song out of the trash and records a revision', async () => {
+        await request(app).put('/api/songs/song1').set(auth()).send({ title: 'Renamed' });
+        const snapshotId = await latestSnapshotId();
+        await request(app).put('/api/songs/song1').set(auth()).send({ title: 'Renamed Again' });
+        await request(app).delete('/api/songs/song1').set(auth());
+
+        await request(app)
+            .post(`/api/snapshots/${snapshotId}/restore`)
+            .set(auth())
+            .send({ songId: 'song1' });
+
+        const trash = (await request(app).get('/api/trash').set(auth())).body;
+        expect(JSON.stringify(trash)).not.toContain('song1');
+
+        const revisions = (await request(app).get('/api/songs/song1/revisions').set(auth())).body;
+        expect(revisions[0]).toMatchObject({ title: 'Renamed', changes: ['title'], restoredFrom: snapshotId, author: 'admin' });
+    });
+
+    test('takes a restored list out of the trash', async () => {
+        await request(app).put('/api/lists/list1').set(auth()).send({ name: 'Before' });
+        const snapshotId = await latestSnapshotId();
+        await request(app).delete('/api/lists/list1').set(auth());
+
+        await request(app)
+            .post(`/api/snapshots/${snapshotId}/restore`)
+            .set(auth())
+            .send({ listId: 'list1' });
+
+        const trash = (await request(app).get('/api/trash').set(auth())).body;
+        expect(JSON.stringify(trash)).not.toContain('list1');
+    });
+
+    test('restores a single list, skipping songs that no longer exist', async () => {
+        await request(app).put('/api/lists/list1').set(auth()).send({ name: 'Before' });
+        const snapshotId = await latestSnapshotId();
+        await request(app).delete('/api/lists/list1').set(auth());
+        await request(app).delete('/api/songs/song3').set(auth());
+
+        await request(app)
+            .post(`/api/snapshots/${snapshotId}/restore`)
+            .set(auth())
+            .send({ listId: 'list1' });
+
+        const list = (await request(app).get('/api/lists/list1')).body;
+        expect(list.name).toBe('Before');
+        expect(list.songIds).toEqual(['song1']);
+    });
+
+    test('returns 404 when the item is not in the snapshot', async () => {
+        await request(app).delete('/api/songs/song1').set(auth());
+        const snapshotId = await latestSnapshotId();
+
+        const res = await request(app)
+            .post(`/api/snapshots/${snapshotId}/restore`)
+            .set(auth())
+            .send({ songId: 'song1' });
+        expect(res.status).toBe(404);
+    });
+
+    test('list curators cannot restore', async () => {
+        const res = await request(app).get('/api/snapshots').set(auth('list-curator', 'carol'));
+        expect(res.status).toBe(403);
     });
 });
 
@@ -622,6 +2348,10 @@ describe('Stats API', () => {
         setupTestData();
     });
 
+    // Views are held in memory for a while; write them out before the
+    // next test replaces the data file
+    afterEach(() => getStorage(DATA_FILE).flush());
+
     describe('POST /api/stats/song/:id', () => {
         test('tracks song view and increments count', async () => {
             const res = await request(app).post('/api/stats/song/song1');
@@ -755,7 +2485,7 @@ describe('Stats API', () => {
 
         test('excludes deleted songs from top songs', async () => {
             await request(app).post('/api/stats/song/song1');
-            await request(app).delete('/api/songs/song1');
+            await request(app).delete('/api/songs/song1').set(auth());
 
             const res = await request(app).get('/api/stats');
             expect(res.status).toBe(200);
@@ -764,13 +2494,121 @@ describe('Stats API', () => {
 
         test('excludes deleted lists from top lists', async () => {
             await request(app).post('/api/stats/list/list1');
-            await request(app).delete('/api/lists/list1');
+            await request(app).delete('/api/lists/list1').set(auth());
 
             const res = await request(app).get('/api/stats');
             expect(res.status).toBe(200);
             expect(res.body.topLists.find(l => l.list.id === 'list1')).toBeUndefined();
         });
     });
+
+    describe('GET /api/stats/views', () => {
+        const today = () => new Date().toISOString().slice(0, 10);
+
+        test('returns the last 30 days by default', async () => {
+            await request(app).post('/api/stats/song/song1');
+            await request(app).post('/api/stats/song/song1');
+            await request(app).post('/api/stats/song/song2');
+            await request(app).post('/api/stats/list/list1');
+
+            const res = await request(app).get('/api/stats/views');
+            expect(res.status).toBe(200);
+            expect(res.body.to).toBe(today());
+            expect(res.body.songViews).toHaveLength(30);
+            expect(res.body.songViews[29]).toEqual({ date: today(), views: 3 });
+            expect(res.body.listViews[29]).toEqual({ date: today(), views: 1 });
+            expect(res.body.totalSongViews).toBe(3);
+            expect(res.body.totalListViews).toBe(1);
+            expect(res.body.topSongs.map(s => [s.song.id, s.views])).toEqual([['song1', 2], ['song2', 1]]);
+            expect(res.body.topLists.map(l => [l.list.id, l.views])).toEqual([['list1', 1]]);
+        });
+
+        test('counts only views in the range', async () => {
+            setupTestData({
+                songs: [{ id: 'song1', title: 'Apple Tree Wassail', lyrics: '' }],
+                lists: [],
+                stats: {
+                    songViews: { song1: 5 },
+                    listViews: {},
+                    daily: {
+                        '2026-09-30': { songViews: { song1: 4 } },
+                        '2026-10-01': { songViews: { song1: 1 } }
+                    }
+                }
+            });
+
+            const res = await request(app).get('/api/stats/views?from=2026-10-01&to=2026-10-02');
+            expect(res.status).toBe(200);
+            expect(res.body.songViews).toEqual([
+                { date: '2026-10-01', views: 1 },
+                { date: '2026-10-02', views: 0 }
+            ]);
+            expect(res.body.topSongs[0].views).toBe(1);
+        });
+
+        test('rejects invalid ranges', async () => {
+            expect((await request(app).get('/api/stats/views?from=yesterday')).status).toBe(400);
+            expect((await request(app).get('/api/stats/views?from=2026-10-02&to=2026-10-01')).status).toBe(400);
+            expect((await request(app).get('/api/stats/views?from=2020-01-01&to=2026-10-01')).status).toBe(400);
+        });
+    });
+
+    describe('GET /api/stats/trending', () => {
+        test('returns songs and lists viewed more than last week', async () => {
+            const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            setupTestData({
+                songs: [
+                    { id: 'song1', title: 'Apple Tree Wassail', lyrics: '' },
+                    { id: 'song2', title: 'The Bells of Norwich', lyrics: '' }
+                ],
+                lists: [{ id: 'list1', name: 'Christmas Songs', songIds: ['song1'] }],
+                stats: {
+                    songViews: {},
+                    listViews: {},
+                    daily: {
+                        [daysAgo(9)]: { songViews: { song1: 5, song2: 1 } },
+                        [daysAgo(2)]: { songViews: { song1: 2, song2: 4, gone: 9 }, listViews: { list1: 1 } }
+                    }
+                }
+            });
+
+            const res = await request(app).get('/api/stats/trending');
+            expect(res.status).toBe(200);
+            expect(res.body.thisWeek).toEqual({ from: daysAgo(6), to: daysAgo(0) });
+            expect(res.body.songs).toEqual([
+                { song: expect.objectContaining({ id: 'song2' }), thisWeek: 4, lastWeek: 1, change: 3 }
+            ]);
+            expect(res.body.lists.map(l => l.list.id)).toEqual(['list1']);
+        });
+    });
+
+    describe('GET /api/stats/song/:id and /api/stats/list/:id', () => {
+        test('return one song or list\'s views per day', async () => {
+            await request(app).post('/api/stats/song/song1');
+            await request(app).post('/api/stats/song/song2');
+            await request(app).post('/api/stats/list/list1');
+
+            const today = new Date().toISOString().slice(0, 10);
+            const songRes = await request(app).get(`/api/stats/song/song1?from=${today}`);
+            expect(songRes.status).toBe(200);
+            expect(songRes.body.song.id).toBe('song1');
+            expect(songRes.body.total).toBe(1);
+            expect(songRes.body.days).toEqual([{ date: today, views: 1 }]);
+
+            const listRes = await request(app).get(`/api/stats/list/list1?from=${today}`);
+            expect(listRes.status).toBe(200);
+            expect(listRes.body.days).toEqual([{ date: today, views: 1 }]);
+        });
+
+        test('return 404 for unknown songs and lists', async () => {
+            expect((await request(app).get('/api/stats/song/nonexistent')).status).toBe(404);
+            expect((await request(app).get('/api/stats/list/nonexistent')).status).toBe(404);
+        });
+
+        test('reject invalid ranges', async () => {
+            expect((await request(app).get('/api/stats/song/song1?to=soon')).status).toBe(400);
+        });
+    });
 });
 
 describe('Static Routes', () => {
@@ -822,4 +2660,46 @@ describe('Static Routes', () => {
         expect(res.status).toBe(200);
         expect(res.type).toMatch(/html/);
     });
+
+    test('serves present.html', async () => {
+        const res = await request(app).get('/present.html');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/html/);
+        expect(res.text).toContain('/js/present.js');
+    });
+
+    test('serves the shared lyrics markup script', async () => {
+        const res = await request(app).get('/js/lyrics-markup.js');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/javascript/);
+        expect(res.text).toContain('root.LyricsMarkup');
+    });
+
+    test('serves the shared chords script', async () => {
+        const res = await request(app).get('/js/chords.js');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/javascript/);
+        expect(res.text).toContain('root.Chords');
+    });
+
+    test('serves the shared print layouts script', async () => {
+        const res = await request(app).get('/js/print-layouts.js');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/javascript/);
+        expect(res.text).toContain('root.PrintLayouts');
+    });
+
+    test('serves the shared slides script', async () => {
+        const res = await request(app).get('/js/slides.js');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/javascript/);
+        expect(res.text).toContain('root.Slides');
+    });
+
+    test('serves the shared charts script', async () => {
+        const res = await request(app).get('/js/charts.js');
+        expect(res.status).toBe(200);
+        expect(res.type).toMatch(/javascript/);
+        expect(res.text).toContain('root.Charts');
+    });
 });
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ARCHIVE_VERSION,
+    collectAttachments,
+    createArchive,
+    validateArchive,
+    applyArchive,
+    writeAttachments
+} = require('../lib/archive');
+
+function siteData() {
+    return {
+        songs: [
+            { id: 's1', title: 'Wild Rover', lyrics: 'a' },
+            { id: 's2', title: 'Molly Malone', lyrics: 'b' }
+        ],
+        lists: [{ id: 'l1', name: 'Pub', songIds: ['s1', 's2'] }],
+        users: [{ username: 'admin', role: 'owner', password: 'hash', salt: 'salt' }],
+        stats: { songViews: { s1: 5 }, listViews: { l1: 2 } },
+        revisions: { s1: [{ number: 1, createdAt: '2026-01-04T20:00:00.000Z', author: 'admin', changes: ['title', 'lyrics'], title: 'Wild Rover', lyrics: 'a' }] },
+        trash: [{ type: 'song', item: { id: 's9' } }]
+    };
+}
+
+describe('Site archives', () => {
+    describe('createArchive', () => {
+        test('includes songs, lists, stats and revisions but no users or trash', () => {
+            const archive = createArchive(siteData(), { id: 'pub', name: 'Pub', dataFile: 'data/data.json' });
+
+            expect(archive.format).toBe('songbook-archive');
+            expect(archive.version).toBe(ARCHIVE_VERSION);
+            expect(Object.keys(archive.data).sort()).toEqual(['lists', 'revisions', 'songs', 'stats']);
+            expect(JSON.stringify(archive)).not.toContain('hash');
+            expect(archive.site).toEqual({ id: 'pub', name: 'Pub' });
+        });
+    });
+
+    describe('validateArchive', () => {
+        test('accepts an archive it created', () => {
+            expect(validateArchive(createArchive(siteData()))).toBeNull();
+        });
+
+        test('rejects other files and newer versions', () => {
+            expect(validateArchive({ songs: [] })).toBe('Not a site archive');
+            expect(validateArchive({ ...createArchive(siteData()), version: ARCHIVE_VERSION + 1 })).toContain('Unsupported archive version');
+        });
+
+        test('rejects malformed songs', () => {
+            const archive = createArchive(siteData());
+            archive.data.songs.push({ title: 'No id' });
+            expect(validateArchive(archive)).toContain('malformed');
+        });
+
+        test('rejects ids the server would never make', () => {
+            const archive = createArchive(siteData());
+            archive.data.songs[0].id = "a');alert(1)//";
+            expect(validateArchive(archive)).toContain('malformed');
+
+            const listArchive = createArchive(siteData());
+            listArchive.data.lists[0].songIds.push('<b>');
+            expect(validateArchive(listArchive)).toContain('malformed');
+        });
+
+        test('rejects songs without lyrics and lists without names', () => {
+            const archive = createArchive(siteData());
+            delete archive.data.songs[0].lyrics;
+            expect(validateArchive(archive)).toContain('malformed');
+
+            const listArchive = createArchive(siteData());
+            listArchive.data.lists[0].name = { html: '<b>' };
+            expect(validateArchive(listArchive)).toContain('malformed');
+        });
+
+        test('checks setlist details like the API does', () => {
+            const archive = createArchive(siteData());
+            archive.data.lists[0].date = 'next Saturday';
+            expect(validateArchive(archive)).toContain('List "Pub": Date must be');
+
+            const leaders = createArchive(siteData());
+            leaders.data.lists[0].leaders = { s1: { name: 'Maggie' } };
+            expect(validateArchive(leaders)).toContain('Leaders must be text');
+
+            const sung = createArchive(siteData());
+            sung.data.lists[0].sung = { songIds: ['s1', 's1'], recordedAt: '2026-05-02T22:00:00Z' };
+            expect(validateArchive(sung)).toContain('only be recorded once');
+
+            const unrecorded = createArchive(siteData());
+            unrecorded.data.lists[0].sung = { songIds: ['s1'] };
+            expect(validateArchive(unrecorded)).toContain('Songs sung are malformed');
+        });
+
+        test('checks song metadata like the API does', () => {
+            const archive = createArchive(siteData());
+            archive.data.songs[0].language = 5;
+            expect(validateArchive(archive)).toContain('Song "Wild Rover": Language must be');
+
+            const tags = createArchive(siteData());
+            tags.data.songs[0].tags = [{ name: 'sea' }];
+            expect(validateArchive(tags)).toContain('Tags must be');
+        });
+
+        test('rejects malformed revisions', () => {
+            const archive = createArchive(siteData());
+            archive.data.revisions.s1[0].number = '<img src=x onerror=alert(1)>';
+            expect(validateArchive(archive)).toContain('malformed revisions');
+
+            const content = createArchive(siteData());
+            content.data.revisions.s1[0].capo = 'high';
+            expect(validateArchive(content)).toContain('Revision 1: Capo must be');
+        });
+
+        test('rejects view counts that are not numbers', () => {
+            const archive = createArchive(siteData());
+            archive.data.stats.songViews.s1 = 'many';
+            expect(validateArchive(archive)).toContain('malformed view counts');
+
+            const daily = createArchive(siteData());
+            daily.data.stats.daily = { yesterday: { songViews: { s1: 1 } } };
+            expect(validateArchive(daily)).toContain('malformed view counts');
+        });
+    });
+
+    describe('applyArchive', () => {
+        let archive;
+
+        beforeEach(() => {
+            archive = createArchive(siteData());
+        });
+
+        test('replace swaps the content and keeps users', () => {
+            const data = {
+                songs: [{ id: 'x', title: 'Old', lyrics: 'o' }],
+                lists: [],
+                users: [{ username: 'me', role: 'owner' }],
+                trash: [{ type: 'song', item: { id: 'y' } }]
+            };
+
+            const report = applyArchive(data, archive, { mode: 'replace' });
+
+            expect(data.songs.map(s => s.id)).toEqual(['s1', 's2']);
+            expect(data.users).toEqual([{ username: 'me', role: 'owner' }]);
+            expect(data.trash).toEqual([]);
+            expect(report.songs.removed).toEqual([{ id: 'x', title: 'Old' }]);
+            expect(report.songs.added).toHaveLength(2);
+        });
+
+        test('normalizes song metadata like the API does', () => {
+            const data = { songs: [], lists: [] };
+            Object.assign(archive.data.songs[0], { title: ' Wild Rover ', language: 'EN', tags: 'Sea, drinking', key: '' });
+
+            applyArchive(data, archive, { mode: 'replace' });
+
+            expect(data.songs[0]).toEqual({ id: 's1', title: 'Wild Rover', lyrics: 'a', language: 'en', tags: ['sea', 'drinking'] });
+        });
+
+        test('merge adds songs and lists that are new', () => {
+            const data = { songs: [], lists: [], stats: { songViews: {}, listViews: {} } };
+
+            const report = applyArchive(data, archive);
+
+            expect(report.songs.added.map(s => s.id)).toEqual(['s1', 's2']);
+            expect(data.lists[0].songIds).toEqual(['s1', 's2']);
+            expect(data.stats.songViews.s1).toBe(5);
+            expect(data.revisions.s1).toHaveLength(1);
+        });
+
+        test('merge renames conflicting ids and updates references', () => {
+            const data = siteData();
+
+            const report = applyArchive(data, archive, { conflicts: 'rename' });
+
+            expect(data.songs).toHaveLength(4);
+            expect(report.songs.renamed).toHaveLength(2);
+            const newS1 = report.songs.renamed[0].newId;
+            const newList = data.lists[1];
+            expect(newList.id).toBe(report.lists.renamed[0].newId);
+            expect(newList.songIds[0]).toBe(newS1);
+            expect(data.stats.songViews[newS1]).toBe(5);
+            expect(data.stats.songViews.s1).toBe(5);
+            expect(data.revisions[newS1]).toHaveLength(1);
+        });
+
+        test('merge adds per-day views under renamed ids', () => {
+            const data = siteData();
+            data.stats.daily = { '2026-10-19': { songViews: { s1: 1 } } };
+            archive.data.stats.daily = { '2026-10-19': { songViews: { s1: 2 }, listViews: { l1: 1 } } };
+
+            const report = applyArchive(data, archive, { conflicts: 'rename' });
+
+            const newS1 = report.songs.renamed[0].newId;
+            const newL1 = report.lists.renamed[0].newId;
+            expect(data.stats.daily['2026-10-19']).toEqual({
+                songViews: { s1: 1, [newS1]: 2 },
+                listViews: { [newL1]: 1 }
+            });
+        });
+
+        test('replace normalizes setlist details and drops missing songs sung', () => {
+            const data = siteData();
+            Object.assign(archive.data.lists[0], {
+                name: ' Pub ',
+                venue: ' The Crown ',
+                leaders: { s1: 'Maggie', gone: 'Tom' },
+                sung: { songIds: ['s1', 'deleted'], recordedAt: '2026-05-02T22:00:00Z' }
+            });
+
+            applyArchive(data, archive, { mode: 'replace' });
+
+            expect(data.lists[0]).toEqual({
+                id: 'l1',
+                name: 'Pub',
+                songIds: ['s1', 's2'],
+                venue: 'The Crown',
+                leaders: { s1: 'Maggie' },
+                sung: { songIds: ['s1'], recordedAt: '2026-05-02T22:00:00Z' }
+            });
+        });
+
+        test('merge updates setlist details for renamed songs', () => {
+            const data = siteData();
+            Object.assign(archive.data.lists[0], {
+                segments: [{ title: 'Opening', startsAt: 's1' }],
+                leaders: { s2: 'Maggie' },
+                sung: { songIds: ['s1', 'missing'], recordedAt: '2026-05-02T22:00:00Z' }
+            });
+
+            const report = applyArchive(data, archive, { conflicts: 'rename' });
+
+            const [newS1, newS2] = report.songs.renamed.map(r => r.newId);
+            const newList = data.lists[1];
+            expect(newList.segments).toEqual([{ title: 'Opening', startsAt: newS1 }]);
+            expect(newList.leaders).toEqual({ [newS2]: 'Maggie' });
+            expect(newList.sung.songIds).toEqual([newS1]);
+        });
+
+        test('merge can skip conflicts', () => {
+            const data = siteData();
+            data.songs[0].lyrics = 'local';
+
+            const report = applyArchive(data, archive, { conflicts: 'skip' });
+
+            expect(report.songs.skipped).toHaveLength(2);
+            expect(data.songs).toHaveLength(2);
+            expect(data.songs[0].lyrics).toBe('local');
+            expect(data.stats.songViews.s1).toBe(5);
+        });
+
+        test('merge can overwrite conflicts', () => {
+            const data = siteData();
+            data.songs[0].lyrics = 'local';
+
+            const report = applyArchive(data, archive, { conflicts: 'overwrite' });
+
+            expect(report.songs.overwritten).toHaveLength(2);
+            expect(data.songs[0].lyrics).toBe('a');
+        });
+
+        test('lists drop songs that are not in the archive or the site', () => {
+            archive.data.lists[0].songIds.push('missing');
+            const data = { songs: [], lists: [] };
+
+            applyArchive(data, archive);
+            expect(data.lists[0].songIds).toEqual(['s1', 's2']);
+        });
+    });
+
+    describe('attachments', () => {
+        let publicDir;
+
+        beforeEach(() => {
+            publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-public-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(publicDir, { recursive: true, force: true });
+        });
+
+        test('round-trips the site favicon', () => {
+            fs.writeFileSync(path.join(publicDir, 'pub.ico'), 'icon');
+            const archive = createArchive(siteData(), { favicon: '/pub.ico' }, {
+                attachments: collectAttachments({ favicon: '/pub.ico' }, publicDir)
+            });
+            fs.rmSync(path.join(publicDir, 'pub.ico'));
+
+            expect(writeAttachments(archive, publicDir, { dryRun: true })).toEqual({ added: ['/pub.ico'], skipped: [] });
+            expect(fs.existsSync(path.join(publicDir, 'pub.ico'))).toBe(false);
+
+            writeAttachments(archive, publicDir);
+            expect(fs.readFileSync(path.join(publicDir, 'pub.ico'), 'utf8')).toBe('icon');
+        });
+
+        test('never overwrites files or writes outside the public directory', () => {
+            fs.writeFileSync(path.join(publicDir, 'pub.ico'), 'mine');
+            const archive = {
+                site: { favicon: '/pub.ico' },
+                attachments: [
+                    { path: '/pub.ico', encoding: 'base64', content: Buffer.from('theirs').toString('base64') },
+                    { path: '../../escape.txt', encoding: 'base64', content: '' }
+                ]
+            };
+
+            expect(writeAttachments(archive, publicDir)).toEqual({ added: [], skipped: ['/pub.ico', '../../escape.txt'] });
+            expect(fs.readFileSync(path.join(publicDir, 'pub.ico'), 'utf8')).toBe('mine');
+        });
+
+        test('only writes the files the site config names, and only images', () => {
+            const content = Buffer.from('alert(1)').toString('base64');
+            const archive = {
+                site: { favicon: '/js/evil.js' },
+                attachments: [
+                    { path: '/js/evil.js', encoding: 'base64', content },
+                    { path: '/js/other.js', encoding: 'base64', content }
+                ]
+            };
+
+            expect(writeAttachments(archive, publicDir)).toEqual({ added: [], skipped: ['/js/evil.js', '/js/other.js'] });
+            expect(fs.existsSync(path.join(publicDir, 'js'))).toBe(false);
+        });
+    });
+});
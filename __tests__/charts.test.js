@@ -0,0 +1,34 @@
+const { niceMax, lineChart } = require('../lib/charts');
+
+describe('Charts', () => {
+    test('rounds the top of the axis up', () => {
+        expect(niceMax(0)).toBe(1);
+        expect(niceMax(3)).toBe(5);
+        expect(niceMax(10)).toBe(10);
+        expect(niceMax(11)).toBe(20);
+        expect(niceMax(480)).toBe(500);
+    });
+
+    test('draws a line and points for each series', () => {
+        const svg = lineChart(['2026-10-18', '2026-10-19'], [
+            { name: 'Song views', values: [2, 10], className: 'chart-songs' },
+            { name: 'List views', values: [1, 0], className: 'chart-lists' }
+        ], { width: 100, height: 50, title: 'Views per day' });
+
+        expect(svg).toMatch(/^<svg class="chart" viewBox="0 0 100 50" role="img" aria-label="Views per day">/);
+        expect(svg.match(/<polyline/g)).toHaveLength(2);
+        expect(svg.match(/<circle/g)).toHaveLength(4);
+        expect(svg).toContain('<title>Song views, 2026-10-19: 10</title>');
+        // Gridlines at zero, the top and halfway
+        expect(svg.match(/<line class="chart-grid"/g)).toHaveLength(3);
+        expect(svg).toContain('>10</text>');
+        expect(svg).toContain('>5</text>');
+    });
+
+    test('escapes labels', () => {
+        const svg = lineChart(['<b>'], [{ name: 'views & more', values: [1] }]);
+        expect(svg).toContain('&lt;b&gt;');
+        expect(svg).toContain('views &amp; more');
+        expect(svg).not.toContain('<b>');
+    });
+});
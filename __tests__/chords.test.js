@@ -0,0 +1,75 @@
+const { transposeChord, transposeKey, prefersFlats, hasChords, stripChords } = require('../lib/chords');
+
+describe('Chords', () => {
+    describe('transposeChord', () => {
+        test.each([
+            ['G', 2, 'A'],
+            ['Em', 3, 'Gm'],
+            ['D7', -2, 'C7'],
+            ['B', 1, 'C'],
+            ['C', -1, 'B'],
+            ['Cmaj7', 12, 'Cmaj7'],
+            ['Asus4', 5, 'Dsus4'],
+            ['G/B', 2, 'A/C#'],
+            ['Am7b5', 2, 'Bm7b5']
+        ])('moves %s by %i to %s', (chord, semitones, moved) => {
+            expect(transposeChord(chord, semitones)).toBe(moved);
+        });
+
+        test('keeps each chord\'s accidentals unless told otherwise', () => {
+            expect(transposeChord('Bb', 1)).toBe('B');
+            expect(transposeChord('Eb', 1)).toBe('E');
+            expect(transposeChord('F', 1)).toBe('F#');
+            expect(transposeChord('Bb', 2)).toBe('C');
+            expect(transposeChord('Ab', -1)).toBe('G');
+            expect(transposeChord('F', 1, { flats: true })).toBe('Gb');
+            expect(transposeChord('Ab', 1, { flats: false })).toBe('A');
+            expect(transposeChord('Bb', 3, { flats: false })).toBe('C#');
+        });
+
+        test('leaves anything that is not a chord alone', () => {
+            expect(transposeChord('Bridge', 2)).toBe('Bridge');
+            expect(transposeChord('N.C.', 2)).toBe('N.C.');
+        });
+    });
+
+    describe('transposeKey', () => {
+        test.each([
+            ['G', 2, 'A'],
+            ['G', 3, 'Bb'],
+            ['C', 1, 'Db'],
+            ['A', 1, 'Bb'],
+            ['E', 2, 'F#'],
+            ['C', 3, 'Eb'],
+            ['Em', 1, 'Fm'],
+            ['Em', 2, 'F#m'],
+            ['G', 0, 'G']
+        ])('moves %s by %i to %s', (key, semitones, moved) => {
+            expect(transposeKey(key, semitones)).toBe(moved);
+        });
+
+        test('handles songs without a key', () => {
+            expect(transposeKey(undefined, 2)).toBeUndefined();
+        });
+    });
+
+    test('prefersFlats', () => {
+        expect(prefersFlats('Bb')).toBe(true);
+        expect(prefersFlats('Dm')).toBe(true);
+        expect(prefersFlats('A')).toBe(false);
+    });
+
+    describe('hasChords and stripChords', () => {
+        test('find bracketed chords only', () => {
+            expect(hasChords('[G]Oh the [C]wild')).toBe(true);
+            expect(hasChords('[F#m7]la')).toBe(true);
+            expect(hasChords('[Bridge]\nNo chords [here]')).toBe(false);
+            expect(hasChords(undefined)).toBe(false);
+        });
+
+        test('take chords out of the lyrics', () => {
+            expect(stripChords('[G]Oh the wi[C]ld [D7/F#]rover\n[Chorus]')).toBe('Oh the wild rover\n[Chorus]');
+            expect(stripChords(null)).toBe('');
+        });
+    });
+});
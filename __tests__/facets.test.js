@@ -0,0 +1,103 @@
+const { parseFacetFilters, filterSongs, facetCounts } = require('../lib/facets');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const songs = [
+    { id: 'a', title: 'A', tags: ['shanty', 'sea'], language: 'en', traditional: true, createdAt: daysAgo(2) },
+    { id: 'b', title: 'B', tags: ['sea'], language: 'ga', url: 'https://example.com', createdAt: daysAgo(20) },
+    { id: 'c', title: 'C', tags: ['carol'], language: 'en', traditional: true, createdAt: daysAgo(200) },
+    { id: 'd', title: 'D', createdAt: daysAgo(900) },
+    { id: 'e', title: 'E' }
+];
+
+function filters(query) {
+    return parseFacetFilters(query).filters;
+}
+
+describe('Catalog facets', () => {
+    describe('parseFacetFilters', () => {
+        test('reads repeated and comma-separated tags', () => {
+            expect(filters({ tag: ['Sea', 'shanty,carol', 'sea'] }).tags).toEqual(['sea', 'shanty', 'carol']);
+        });
+
+        test('defaults to no filters', () => {
+            expect(filters({})).toEqual({ tags: [], language: null, origin: null, url: null, added: null });
+        });
+
+        test('rejects unknown values', () => {
+            expect(parseFacetFilters({ origin: 'ancient' }).error).toBe('origin must be one of: traditional, modern');
+            expect(parseFacetFilters({ url: 'maybe' }).error).toContain('url must be');
+            expect(parseFacetFilters({ added: 'decade' }).error).toBe('added must be one of: week, month, year');
+        });
+    });
+
+    describe('filterSongs', () => {
+        const ids = query => filterSongs(songs, filters(query), now).map(s => s.id);
+
+        test('requires every selected tag', () => {
+            expect(ids({ tag: 'sea' })).toEqual(['a', 'b']);
+            expect(ids({ tag: ['sea', 'shanty'] })).toEqual(['a']);
+        });
+
+        test('filters by language, ignoring case', () => {
+            expect(ids({ language: 'EN' })).toEqual(['a', 'c']);
+        });
+
+        test('filters traditional and modern songs', () => {
+            expect(ids({ origin: 'traditional' })).toEqual(['a', 'c']);
+            expect(ids({ origin: 'modern' })).toEqual(['b', 'd', 'e']);
+        });
+
+        test('filters by external link', () => {
+            expect(ids({ url: 'with' })).toEqual(['b']);
+            expect(ids({ url: 'without' })).toEqual(['a', 'c', 'd', 'e']);
+        });
+
+        test('filters recently added songs, skipping songs without a date', () => {
+            expect(ids({ added: 'week' })).toEqual(['a']);
+            expect(ids({ added: 'month' })).toEqual(['a', 'b']);
+            expect(ids({ added: 'year' })).toEqual(['a', 'b', 'c']);
+        });
+
+        test('combines filters', () => {
+            expect(ids({ tag: 'sea', origin: 'modern' })).toEqual(['b']);
+        });
+    });
+
+    describe('facetCounts', () => {
+        const count = (facet, list) => Object.fromEntries(list[facet].map(({ value, count: n }) => [value, n]));
+
+        test('counts every value with no filters', () => {
+            const { total, facets } = facetCounts(songs, filters({}), now);
+
+            expect(total).toBe(5);
+            expect(facets.tag).toEqual([
+                { value: 'sea', count: 2 },
+                { value: 'carol', count: 1 },
+                { value: 'shanty', count: 1 }
+            ]);
+            expect(count('language', facets)).toEqual({ en: 2, ga: 1 });
+            expect(count('origin', facets)).toEqual({ traditional: 2, modern: 3 });
+            expect(count('url', facets)).toEqual({ with: 1, without: 4 });
+            expect(count('added', facets)).toEqual({ week: 1, month: 2, year: 3 });
+        });
+
+        test('counts a facet with the other filters applied but not its own', () => {
+            const { total, facets } = facetCounts(songs, filters({ origin: 'traditional', language: 'en' }), now);
+
+            expect(total).toBe(2);
+            expect(count('origin', facets)).toEqual({ traditional: 2, modern: 0 });
+            expect(count('language', facets)).toEqual({ en: 2 });
+            expect(count('tag', facets)).toEqual({ carol: 1, sea: 1, shanty: 1 });
+        });
+
+        test('narrows tag counts by the selected tags and keeps them listed', () => {
+            const { facets } = facetCounts(songs, filters({ tag: ['shanty', 'folk'] }), now);
+            expect(count('tag', facets)).toEqual({ folk: 0, shanty: 0 });
+
+            const sea = facetCounts(songs, filters({ tag: 'sea' }), now);
+            expect(count('tag', sea.facets)).toEqual({ sea: 2, shanty: 1 });
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const {
+    parseTextFile,
+    parseChordPro,
+    parseCsv,
+    parseCsvRows,
+    parseImportFile
+} = require('../lib/importers');
+
+describe('Song importers', () => {
+    describe('parseTextFile', () => {
+        test('uses the first line as the title', () => {
+            expect(parseTextFile('Wild Rover\n\nI\'ve been a wild rover\nFor many a year\n')).toEqual([
+                { title: 'Wild Rover', lyrics: 'I\'ve been a wild rover\nFor many a year' }
+            ]);
+        });
+
+        test('skips leading blank lines and handles Windows line endings', () => {
+            expect(parseTextFile('\r\n\r\nWhiskey\r\nin the jar\r\n')).toEqual([
+                { title: 'Whiskey', lyrics: 'in the jar' }
+            ]);
+        });
+
+        test('collapses runs of blank lines between verses', () => {
+            expect(parseTextFile('T\nverse one\n\n\n\nverse two')[0].lyrics).toBe('verse one\n\nverse two');
+        });
+
+        test('rejects files without lyrics', () => {
+            expect(() => parseTextFile('')).toThrow('File is empty');
+            expect(() => parseTextFile('Just a title\n')).toThrow('No lyrics');
+        });
+    });
+
+    describe('parseChordPro', () => {
+        test('reads the title and keeps chords inline', () => {
+            const songs = parseChordPro('{title: Molly Malone}\n{artist: Trad}\n[G]In Dublin\'s fair [Em]city\n');
+            expect(songs).toEqual([{ title: 'Molly Malone', lyrics: '[G]In Dublin\'s fair [Em]city', writer: 'Trad' }]);
+        });
+
+        test('drops bracketed text that is not a chord', () => {
+            const songs = parseChordPro('{title: A}\nSlowly [*rit.]down [D/F#]now[N.C.]\n');
+            expect(songs[0].lyrics).toBe('Slowly down [D/F#]now');
+        });
+
+        test('turns comments into italic lines and separates choruses', () => {
+            const songs = parseChordPro('{t:Song}\nverse\n{soc}\nchorus\n{eoc}\n{c: Repeat}\n');
+            expect(songs[0].lyrics).toBe('verse\n\nchorus\n\n*Repeat*');
+        });
+
+        test('splits songs on {new_song}', () => {
+            const songs = parseChordPro('{title: One}\nfirst\n{new_song}\n{title: Two}\nsecond\n');
+            expect(songs.map(s => s.title)).toEqual(['One', 'Two']);
+        });
+
+        test('ignores comment lines', () => {
+            expect(parseChordPro('# made by hand\n{title: A}\nla')[0].lyrics).toBe('la');
+        });
+
+        test('requires a title', () => {
+            expect(() => parseChordPro('no title here')).toThrow('no {title}');
+        });
+
+        test('reads metadata directives', () => {
+            const [song] = parseChordPro('{title: A}\n{artist: Band}\n{lyricist: Writer}\n{composer: C}\n{key: G}\n{capo: 2}\n{tempo: 96}\n{copyright: PD}\nla');
+            expect(song).toEqual({
+                title: 'A',
+                lyrics: 'la',
+                writer: 'Writer',
+                composer: 'C',
+                key: 'G',
+                capo: '2',
+                tempo: '96',
+                copyright: 'PD'
+            });
+        });
+    });
+
+    describe('parseCsv', () => {
+        test('handles quoted fields with commas, quotes and newlines', () => {
+            expect(parseCsvRows('a,"b, c","say ""hi""\nthere"\n')).toEqual([
+                ['a', 'b, c', 'say "hi"\nthere']
+            ]);
+        });
+
+        test('maps columns by header name', () => {
+            const songs = parseCsv('URL,Title,Lyrics\nhttps://example.com,Dirty Old Town,"I met my love\nby the gas works wall"\n,Other,Words\n');
+            expect(songs).toEqual([
+                { title: 'Dirty Old Town', lyrics: 'I met my love\nby the gas works wall', url: 'https://example.com' },
+                { title: 'Other', lyrics: 'Words' }
+            ]);
+        });
+
+        test('reads metadata columns', () => {
+            const [song] = parseCsv('title,lyrics,Tags,traditional,key,language\nRover,la,"shanty, pub",yes,D,en\n');
+            expect(song).toEqual({ title: 'Rover', lyrics: 'la', tags: 'shanty, pub', traditional: true, key: 'D', language: 'en' });
+        });
+
+        test('flags rows missing a title or lyrics', () => {
+            const songs = parseCsv('title,lyrics\nOnly title,\n');
+            expect(songs[0].error).toContain('title and lyrics are required');
+        });
+
+        test('requires title and lyrics columns', () => {
+            expect(() => parseCsv('name,words\nA,B')).toThrow('"title" and "lyrics" columns');
+        });
+
+        test('rejects unterminated quotes', () => {
+            expect(() => parseCsv('title,lyrics\nA,"open')).toThrow('Unterminated');
+        });
+    });
+
+    describe('parseImportFile', () => {
+        test('picks the parser from the extension and tags the source', () => {
+            expect(parseImportFile('song.CHO', '{title: A}\nla')).toEqual([{ title: 'A', lyrics: 'la', source: 'song.CHO' }]);
+            expect(parseImportFile('rover.txt', 'Rover\nla')[0].source).toBe('rover.txt');
+        });
+
+        test('rejects unsupported files', () => {
+            expect(() => parseImportFile('song.docx', 'x')).toThrow('Unsupported file type');
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const { EventEmitter } = require('events');
+const { formatEvent, createLiveSessions } = require('../lib/live-sessions');
+
+// A request and response pair standing in for an event stream connection
+function connection() {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        written: '',
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.written += chunk;
+        }
+    };
+    return { req, res };
+}
+
+// The data of each session event written so far
+function events(res) {
+    return [...res.written.matchAll(/event: session\ndata: (.*)\n\n/g)].map(match => JSON.parse(match[1]));
+}
+
+describe('Live sessions', () => {
+    let live;
+
+    beforeEach(() => {
+        live = createLiveSessions();
+    });
+
+    test('formats Server-Sent Events', () => {
+        expect(formatEvent('session', { songId: 'a' })).toBe('event: session\ndata: {"songId":"a"}\n\n');
+    });
+
+    test('starts a session with no song picked', () => {
+        const session = live.start('data.json', 'list1', { startedBy: 'admin' });
+
+        expect(session).toMatchObject({ listId: 'list1', songId: null, section: null, startedBy: 'admin' });
+        expect(live.get('data.json', 'list1')).toBe(session);
+        expect(live.start('data.json', 'list1')).toBe(session);
+    });
+
+    test('keeps sessions per data file and list', () => {
+        live.start('a.json', 'list1');
+        expect(live.get('b.json', 'list1')).toBeNull();
+        expect(live.get('a.json', 'list2')).toBeNull();
+    });
+
+    test('moves a running session', () => {
+        live.start('data.json', 'list1');
+        const session = live.update('data.json', 'list1', { songId: 'song1', section: 2 });
+
+        expect(session).toMatchObject({ songId: 'song1', section: 2 });
+        expect(live.get('data.json', 'list1')).toEqual(session);
+        expect(live.update('data.json', 'list2', { songId: 'song1' })).toBeNull();
+    });
+
+    test('ends a session', () => {
+        live.start('data.json', 'list1');
+        expect(live.end('data.json', 'list1')).toBe(true);
+        expect(live.get('data.json', 'list1')).toBeNull();
+        expect(live.end('data.json', 'list1')).toBe(false);
+    });
+
+    test('streams the session to followers as it changes', () => {
+        const { req, res } = connection();
+        live.follow('data.json', 'list1', req, res);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        expect(events(res)).toEqual([null]);
+
+        live.start('data.json', 'list1');
+        live.update('data.json', 'list1', { songId: 'song1', section: 0 });
+        live.end('data.json', 'list1');
+
+        const sent = events(res);
+        expect(sent).toHaveLength(4);
+        expect(sent[1]).toMatchObject({ songId: null });
+        expect(sent[2]).toMatchObject({ songId: 'song1', section: 0 });
+        expect(sent[3]).toBeNull();
+        req.emit('close');
+    });
+
+    test('does not tell followers who started the session', () => {
+        const { req, res } = connection();
+        live.follow('data.json', 'list1', req, res);
+        live.start('data.json', 'list1', { startedBy: 'admin' });
+        const other = connection();
+        live.follow('data.json', 'list1', other.req, other.res);
+
+        expect(events(res)[1]).toMatchObject({ listId: 'list1' });
+        expect(events(res)[1]).not.toHaveProperty('startedBy');
+        expect(events(other.res)[0]).not.toHaveProperty('startedBy');
+        req.emit('close');
+        other.req.emit('close');
+    });
+
+    test('sends a session already running when a follower connects', () => {
+        live.start('data.json', 'list1');
+        live.update('data.json', 'list1', { songId: 'song2' });
+        const { req, res } = connection();
+        live.follow('data.json', 'list1', req, res);
+
+        expect(events(res)).toEqual([expect.objectContaining({ songId: 'song2', section: null })]);
+        req.emit('close');
+    });
+
+    test('only streams a list to its own followers', () => {
+        const { req, res } = connection();
+        live.follow('data.json', 'list2', req, res);
+        live.start('data.json', 'list1');
+
+        expect(events(res)).toEqual([null]);
+        req.emit('close');
+    });
+
+    test('sends other events to a list\'s followers', () => {
+        const { req, res } = connection();
+        const other = connection();
+        live.follow('data.json', 'list1', req, res);
+        live.follow('data.json', 'list2', other.req, other.res);
+
+        live.send('data.json', 'list1', 'requests', [{ songId: 'a' }]);
+        expect(res.written).toContain('event: requests\ndata: [{"songId":"a"}]\n\n');
+        expect(other.res.written).not.toContain('requests');
+        req.emit('close');
+        other.req.emit('close');
+    });
+
+    test('counts followers until they go away', () => {
+        const first = connection();
+        const second = connection();
+        live.follow('data.json', 'list1', first.req, first.res);
+        live.follow('data.json', 'list1', second.req, second.res);
+        expect(live.followerCount('data.json', 'list1')).toBe(2);
+
+        first.req.emit('close');
+        expect(live.followerCount('data.json', 'list1')).toBe(1);
+        live.start('data.json', 'list1');
+        expect(events(first.res)).toHaveLength(1);
+        expect(events(second.res)).toHaveLength(2);
+
+        second.req.emit('close');
+        expect(live.followerCount('data.json', 'list1')).toBe(0);
+    });
+
+    test('keeps idle connections open with heartbeats', () => {
+        jest.useFakeTimers();
+        try {
+            live = createLiveSessions({ heartbeatMs: 1000 });
+            const { req, res } = connection();
+            live.follow('data.json', 'list1', req, res);
+
+            jest.advanceTimersByTime(2500);
+            expect(res.written.match(/: heartbeat\n\n/g)).toHaveLength(2);
+
+            req.emit('close');
+            jest.advanceTimersByTime(5000);
+            expect(res.written.match(/: heartbeat\n\n/g)).toHaveLength(2);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
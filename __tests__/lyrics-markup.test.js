@@ -0,0 +1,160 @@
+const { parseLine, renderLine, renderLyrics, plainLyrics } = require('../lib/lyrics-markup');
+
+describe('Lyrics markup', () => {
+    describe('parseLine', () => {
+        test('reads plain lines', () => {
+            expect(parseLine('Oh the wild rover')).toEqual({
+                text: 'Oh the wild rover',
+                spoken: false,
+                part: null,
+                repeat: null,
+                spans: [{ text: 'Oh the wild rover', bold: false, italic: false }],
+                chords: []
+            });
+        });
+
+        test('reads bold and italics', () => {
+            expect(parseLine('**Call** and *answer*').spans).toEqual([
+                { text: 'Call', bold: true, italic: false },
+                { text: ' and ', bold: false, italic: false },
+                { text: 'answer', bold: false, italic: true }
+            ]);
+        });
+
+        test.each([
+            ['L: Way hey', 'leader'],
+            ['Leader: Way hey', 'leader'],
+            ['G: Way hey', 'group'],
+            ['group: Way hey', 'group'],
+            ['All: Way hey', 'group']
+        ])('reads the part of %j', (line, part) => {
+            const parsed = parseLine(line);
+            expect(parsed.part).toBe(part);
+            expect(parsed.text).toBe('Way hey');
+        });
+
+        test.each([
+            ['Way hey and up she rises x3', 3],
+            ['Way hey and up she rises (x2)', 2],
+            ['Way hey and up she rises ×4', 4],
+            ['Way hey and up she rises X3', 3]
+        ])('reads the repeat in %j', (line, repeat) => {
+            const parsed = parseLine(line);
+            expect(parsed.repeat).toBe(repeat);
+            expect(parsed.text).toBe('Way hey and up she rises');
+        });
+
+        test('ignores repeats that are part of the words', () => {
+            expect(parseLine('Malcolm x1').repeat).toBeNull();
+            expect(parseLine('box3').repeat).toBeNull();
+        });
+
+        test('reads spoken lines', () => {
+            const parsed = parseLine('> And now, the last verse');
+            expect(parsed.spoken).toBe(true);
+            expect(parsed.text).toBe('And now, the last verse');
+        });
+
+        test('combines markers', () => {
+            expect(parseLine('> L: **Are you ready?** x2')).toMatchObject({
+                text: 'Are you ready?', spoken: true, part: 'leader', repeat: 2
+            });
+        });
+
+        test('keeps escaped and unmatched asterisks', () => {
+            expect(parseLine('5 \\* 5 is *twenty-five*').spans).toEqual([
+                { text: '5 * 5 is ', bold: false, italic: false },
+                { text: 'twenty-five', bold: false, italic: true }
+            ]);
+            expect(parseLine('a lone * star').text).toBe('a lone * star');
+        });
+
+        test('reads chords with their place in the words', () => {
+            const parsed = parseLine('[G]Oh the *[C]wild* ro[G]ver x3[D]');
+            expect(parsed.text).toBe('Oh the wild rover');
+            expect(parsed.repeat).toBe(3);
+            expect(parsed.spans[1]).toEqual({ text: 'wild', bold: false, italic: true });
+            expect(parsed.chords).toEqual([
+                { name: 'G', at: 0 },
+                { name: 'C', at: 7 },
+                { name: 'G', at: 14 },
+                { name: 'D', at: 17 }
+            ]);
+        });
+
+        test('leaves bracketed words that are not chords', () => {
+            expect(parseLine('[Bridge] of [sighs]')).toMatchObject({ text: '[Bridge] of [sighs]', chords: [] });
+        });
+    });
+
+    describe('renderLine', () => {
+        test('renders emphasis', () => {
+            expect(renderLine('**Call** *answer*')).toBe('<strong>Call</strong> <em>answer</em>');
+        });
+
+        test('renders parts, repeats and spoken lines', () => {
+            expect(renderLine('G: Way hey x3')).toBe(
+                '<span class="lyrics-part lyrics-part-group">All</span> Way hey <span class="lyrics-repeat">×3</span>'
+            );
+            expect(renderLine('> Spoken')).toBe('<span class="lyrics-spoken">Spoken</span>');
+        });
+
+        test('escapes HTML', () => {
+            expect(renderLine('*<b>"Tom" & Jerry\'s</b>*')).toBe('<em>&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;</em>');
+        });
+    });
+
+    describe('renderLine with chords', () => {
+        test('puts chords above the words they are played on', () => {
+            expect(renderLine('Oh [G]the *wild [C]rover*')).toBe(
+                '<span class="chord-line">' +
+                '<span class="chord-segment"><span class="chord"></span>Oh </span>' +
+                '<span class="chord-segment"><span class="chord">G</span>the <em>wild </em></span>' +
+                '<span class="chord-segment"><span class="chord">C</span><em>rover</em></span>' +
+                '</span>'
+            );
+        });
+
+        test('transposes chords', () => {
+            expect(renderLine('[G]Oh [D7/F#]the', { transpose: 3 })).toContain('<span class="chord">A#</span>');
+            expect(renderLine('[G]Oh [D7/F#]the', { transpose: 3, flats: true })).toContain('<span class="chord">Bb</span>');
+            expect(renderLine('[G]Oh [D7/F#]the', { transpose: 3, flats: false })).toContain('<span class="chord">A#</span>');
+            expect(renderLine('[G]Oh [D7/F#]the', { transpose: 3 })).toContain('<span class="chord">F7/A</span>');
+        });
+
+        test('hides chords when asked', () => {
+            expect(renderLine('[G]Oh the *wild* rover', { chords: false })).toBe('Oh the <em>wild</em> rover');
+        });
+    });
+
+    describe('renderLyrics', () => {
+        test('renders each line, keeping line breaks', () => {
+            expect(renderLyrics('*One*\n\nL: Two')).toBe(
+                '<em>One</em>\n\n<span class="lyrics-part lyrics-part-leader">Leader</span> Two'
+            );
+        });
+
+        test('handles empty lyrics', () => {
+            expect(renderLyrics('')).toBe('');
+            expect(renderLyrics(undefined)).toBe('');
+        });
+    });
+
+    describe('plainLyrics', () => {
+        test('drops emphasis and spells out the rest', () => {
+            expect(plainLyrics('**Call** *answer*\nL: Way hey ×2\n> Spoken')).toBe(
+                'Call answer\nLeader: Way hey x2\n(spoken) Spoken'
+            );
+        });
+
+        test('puts chords on a line above the words', () => {
+            expect(plainLyrics('L: [G]Oh the [C]wild ro[G]ver')).toBe('        G      C      G\nLeader: Oh the wild rover');
+            expect(plainLyrics('[G]Oh [C]the', { transpose: 2 })).toBe('A  D\nOh the');
+            expect(plainLyrics('[G]Oh [C]the', { chords: false })).toBe('Oh the');
+        });
+
+        test('spaces out chords that are close together', () => {
+            expect(plainLyrics('[Gmaj7][D]Oh')).toBe('Gmaj7 D\nOh');
+        });
+    });
+});
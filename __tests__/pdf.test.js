@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+const { createPdf, textWidth, toWinAnsi, PAGE_HEIGHT } = require('../lib/pdf');
+
+// Objects by number, as latin1 text
+function objects(buffer) {
+    const text = buffer.toString('latin1');
+    const found = {};
+    for (const match of text.matchAll(/(\d+) 0 obj\n([\s\S]*?)\nendobj/g)) found[match[1]] = match[2];
+    return found;
+}
+
+describe('PDF writer', () => {
+    test('writes a document whose cross-reference table points at its objects', () => {
+        const doc = createPdf({ title: 'Songs' });
+        doc.addPage().text(72, 72, 'Hello');
+        doc.addPage();
+        const buffer = doc.toBuffer();
+        const text = buffer.toString('latin1');
+
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+        expect(text.slice(startxref, startxref + 4)).toBe('xref');
+        const offsets = [...text.slice(startxref).matchAll(/(\d{10}) 00000 n/g)].map(match => Number(match[1]));
+        offsets.forEach((offset, i) => {
+            expect(text.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+        });
+        expect(text).toContain('/Count 2');
+        expect(text).toContain('/Title (Songs)');
+    });
+
+    test('places text from the top of the page and escapes it', () => {
+        const doc = createPdf({ compress: false });
+        doc.addPage().text(72, 100, 'Tom (and) Jerry\\', { font: 'bold', size: 10, color: [1, 0, 0] });
+        const content = Object.values(objects(doc.toBuffer())).find(body => body.includes('stream'));
+
+        expect(content).toContain(`BT 1 0 0 rg /bold 10 Tf 72 ${PAGE_HEIGHT - 100} Td (Tom \\(and\\) Jerry\\\\) Tj ET`);
+    });
+
+    test('makes pages of any size', () => {
+        const doc = createPdf({ width: 421, height: 595, compress: false });
+        doc.addPage().text(36, 100, 'A5');
+        const found = Object.values(objects(doc.toBuffer()));
+
+        expect(found.find(body => body.startsWith('<< /Type /Page '))).toContain('/MediaBox [0 0 421 595]');
+        expect(found.find(body => body.includes('stream'))).toContain('36 495 Td (A5) Tj');
+    });
+
+    test('places pages on other pages', () => {
+        const small = createPdf({ width: 421, height: 595 }).addPage().text(36, 100, 'Page');
+        const doc = createPdf({ width: 842, height: 595, compress: false });
+        doc.addPage().place(small, 421, 0);
+        const content = Object.values(objects(doc.toBuffer())).find(body => body.includes('stream'));
+
+        expect(content).toContain('q 1 0 0 1 421 0 cm\nBT 0 0 0 rg /regular 12 Tf 36 495 Td (Page) Tj ET\nQ');
+    });
+
+    test('compresses page contents', () => {
+        const doc = createPdf();
+        doc.addPage().rect(10, 20, 30, 40);
+        const text = doc.toBuffer().toString('latin1');
+        const match = text.match(/<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/);
+        const start = match.index + match[0].length;
+        const data = Buffer.from(text.slice(start, start + Number(match[1])), 'latin1');
+
+        expect(zlib.inflateSync(data).toString('latin1')).toBe(`0 0 0 rg 10 ${PAGE_HEIGHT - 60} 30 40 re f`);
+    });
+
+    test('links to other pages', () => {
+        const doc = createPdf();
+        const first = doc.addPage();
+        doc.addPage();
+        first.link(0, 0, 100, 20, 1);
+        const found = objects(doc.toBuffer());
+        const link = Object.values(found).find(body => body.includes('/Subtype /Link'));
+        const secondPage = Object.keys(found).filter(n => found[n].startsWith('<< /Type /Page '))[1];
+
+        expect(link).toContain(`/Dest [${secondPage} 0 R /Fit]`);
+        expect(link).toContain(`/Rect [0 ${PAGE_HEIGHT - 20} 100 ${PAGE_HEIGHT}]`);
+    });
+
+    test('writes characters outside ASCII in WinAnsi', () => {
+        const doc = createPdf({ compress: false });
+        doc.addPage().text(0, 0, 'Dúlamán’s ♪ ā');
+        expect(doc.toBuffer().toString('latin1')).toContain('(D\xfalam\xe1n\x92s ? a)');
+    });
+
+    test('toWinAnsi keeps what it can', () => {
+        expect(toWinAnsi('é')).toBe('é');
+        expect(toWinAnsi('“')).toBe('“');
+        expect(toWinAnsi('ŵ')).toBe('w');
+        expect(toWinAnsi('♯')).toBe('?');
+    });
+
+    test('measures text with the Helvetica metrics', () => {
+        expect(textWidth('Hi', 'regular', 10)).toBeCloseTo(9.44);
+        expect(textWidth('Hi', 'bold', 10)).toBeCloseTo(10);
+        expect(textWidth('Hi', 'italic', 10)).toBe(textWidth('Hi', 'regular', 10));
+        expect(textWidth('é', 'regular', 10)).toBe(textWidth('e', 'regular', 10));
+    });
+
+    test('rejects unknown fonts', () => {
+        expect(() => createPdf().addPage().text(0, 0, 'x', { font: 'Comic Sans' })).toThrow('Unknown font');
+    });
+});
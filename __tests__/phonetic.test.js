@@ -0,0 +1,36 @@
+const { phoneticKey } = require('../lib/phonetic');
+
+describe('phoneticKey', () => {
+    test.each([
+        ['whiskey', 'WSK'],
+        ['shenandoah', 'XNNT'],
+        ['knight', 'NT'],
+        ['thistle', '0STL'],
+        ['lamb', 'LM'],
+        ['judge', 'JJ'],
+        ['xylophone', 'SLFN'],
+        ['nation', 'NXN']
+    ])('%s sounds like %s', (word, key) => {
+        expect(phoneticKey(word)).toBe(key);
+    });
+
+    test.each([
+        ['whiskey', 'wiskee'],
+        ['bonny', 'bonnie'],
+        ['molly', 'mollie'],
+        ['catherine', 'kathryn'],
+        ['phantom', 'fantom']
+    ])('%s and %s get the same key', (a, b) => {
+        expect(phoneticKey(a)).toBe(phoneticKey(b));
+    });
+
+    test('tells different words apart', () => {
+        expect(phoneticKey('rover')).not.toBe(phoneticKey('robber'));
+        expect(phoneticKey('whiskey')).not.toBe(phoneticKey('wicked'));
+    });
+
+    test('ignores anything but letters', () => {
+        expect(phoneticKey('123')).toBe('');
+        expect(phoneticKey('')).toBe('');
+    });
+});
@@ -0,0 +1,28 @@
+const { DEFAULT_LAYOUT, LAYOUTS, isLayout, needsPdf, printStyles } = require('../lib/print-layouts');
+
+describe('Print layouts', () => {
+    test('offers the layouts by name', () => {
+        expect(Object.keys(LAYOUTS)).toEqual(['standard', 'large', 'compact', 'song-per-page', 'booklet']);
+        expect(DEFAULT_LAYOUT).toBe('standard');
+    });
+
+    test('isLayout knows only the layouts', () => {
+        expect(isLayout('large')).toBe(true);
+        expect(isLayout('poster')).toBe(false);
+        expect(isLayout('toString')).toBe(false);
+        expect(isLayout(null)).toBe(false);
+    });
+
+    test('booklets need the songbook PDF', () => {
+        expect(needsPdf('booklet')).toBe(true);
+        expect(needsPdf('compact')).toBe(false);
+    });
+
+    test('has print window styles for each layout the browser can print', () => {
+        expect(printStyles('large')).toMatch(/font-size: 16pt/);
+        expect(printStyles('compact')).toMatch(/column-count: 2/);
+        expect(printStyles('song-per-page')).toMatch(/page-break-after: always/);
+        expect(printStyles('booklet')).toBe(printStyles('standard'));
+        expect(printStyles('unknown')).toBe(printStyles('standard'));
+    });
+});
@@ -0,0 +1,107 @@
+const {
+    MAX_REVISIONS,
+    changedFields,
+    getRevisions,
+    recordRevision,
+    removeRevisions,
+    diffLines
+} = require('../lib/revisions');
+
+describe('Song revisions', () => {
+    let data;
+    let song;
+
+    beforeEach(() => {
+        song = { id: 'song1', title: 'Wassail', lyrics: 'Line one\nLine two', createdAt: '2024-01-01T00:00:00.000Z' };
+        data = { songs: [song] };
+    });
+
+    describe('changedFields', () => {
+        test('lists the versioned fields that differ', () => {
+            expect(changedFields({ title: 'A', lyrics: 'x' }, { title: 'B', lyrics: 'x', url: 'http://a' }))
+                .toEqual(['title', 'url']);
+        });
+
+        test('treats a missing url and an empty url the same', () => {
+            expect(changedFields({ title: 'A', lyrics: 'x' }, { title: 'A', lyrics: 'x', url: '' })).toEqual([]);
+        });
+    });
+
+    describe('recordRevision', () => {
+        test('records a new song as revision 1', () => {
+            const revision = recordRevision(data, song, { author: 'alice' });
+
+            expect(revision.number).toBe(1);
+            expect(revision.author).toBe('alice');
+            expect(revision.changes).toEqual(['title', 'lyrics']);
+            expect(revision.lyrics).toBe('Line one\nLine two');
+            expect(getRevisions(data, 'song1')).toHaveLength(1);
+        });
+
+        test('saves the old text of songs that had no history', () => {
+            const previous = { title: song.title, lyrics: song.lyrics };
+            song.lyrics = 'New lyrics';
+
+            const revision = recordRevision(data, song, { author: 'bob', previous });
+
+            const history = getRevisions(data, 'song1');
+            expect(history).toHaveLength(2);
+            expect(history[0]).toMatchObject({ number: 1, author: null, lyrics: 'Line one\nLine two' });
+            expect(revision).toMatchObject({ number: 2, author: 'bob', changes: ['lyrics'] });
+        });
+
+        test('records which revision a revert came from', () => {
+            recordRevision(data, song);
+            const revision = recordRevision(data, song, { previous: { title: 'Other', lyrics: 'x' }, revertedFrom: 1 });
+            expect(revision.revertedFrom).toBe(1);
+        });
+
+        test('keeps numbering going after old revisions are dropped', () => {
+            for (let i = 0; i < MAX_REVISIONS + 5; i++) {
+                recordRevision(data, song);
+            }
+
+            const history = getRevisions(data, 'song1');
+            expect(history).toHaveLength(MAX_REVISIONS);
+            expect(history[0].number).toBe(6);
+            expect(history[history.length - 1].number).toBe(MAX_REVISIONS + 5);
+        });
+    });
+
+    test('removeRevisions forgets a song\'s history', () => {
+        recordRevision(data, song);
+        removeRevisions(data, 'song1');
+        expect(getRevisions(data, 'song1')).toEqual([]);
+    });
+
+    describe('diffLines', () => {
+        test('marks identical text as unchanged', () => {
+            expect(diffLines('a\nb', 'a\nb')).toEqual([
+                { type: 'same', left: 'a', right: 'a' },
+                { type: 'same', left: 'b', right: 'b' }
+            ]);
+        });
+
+        test('pairs replaced lines side by side', () => {
+            expect(diffLines('a\nold\nc', 'a\nnew\nc')).toEqual([
+                { type: 'same', left: 'a', right: 'a' },
+                { type: 'changed', left: 'old', right: 'new' },
+                { type: 'same', left: 'c', right: 'c' }
+            ]);
+        });
+
+        test('shows added and removed lines on one side only', () => {
+            expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+                { type: 'same', left: 'a', right: 'a' },
+                { type: 'removed', left: 'b' },
+                { type: 'same', left: 'c', right: 'c' },
+                { type: 'added', right: 'd' }
+            ]);
+        });
+
+        test('handles empty text', () => {
+            expect(diffLines('', 'a')).toEqual([{ type: 'changed', left: '', right: 'a' }]);
+            expect(diffLines(undefined, undefined)).toEqual([{ type: 'same', left: '', right: '' }]);
+        });
+    });
+});
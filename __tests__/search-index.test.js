@@ -0,0 +1,279 @@
+const {
+    tokenize,
+    chorusRanges,
+    createSearchIndex,
+    syncSearchIndex,
+    setSynonyms,
+    searchIndex
+} = require('../lib/search-index');
+const { buildSynonyms } = require('../lib/text-folding');
+
+function indexOf(songs) {
+    const index = createSearchIndex();
+    syncSearchIndex(index, songs);
+    return index;
+}
+
+function ids(results) {
+    return [...results].sort((a, b) => b[1].score - a[1].score).map(([id]) => id);
+}
+
+const fuzzy = term => ({ type: 'fuzzy', term });
+const exact = term => ({ type: 'exact', term });
+
+describe('Search index', () => {
+    describe('tokenize', () => {
+        test('splits words with their offsets, keeping apostrophes inside words', () => {
+            expect(tokenize("Don't go, Molly!")).toEqual([
+                { term: 'dont', start: 0, end: 5 },
+                { term: 'go', start: 6, end: 8 },
+                { term: 'molly', start: 10, end: 15 }
+            ]);
+        });
+
+        test('handles letters outside ASCII, folding accents', () => {
+            expect(tokenize('Dúlamán na binne').map(t => t.term)).toEqual(['dulaman', 'na', 'binne']);
+        });
+
+        test('adds hyphenated words whole when asked', () => {
+            expect(tokenize('a well-to-do man', { compounds: true }).map(t => t.term)).toEqual(['a', 'well', 'to', 'do', 'welltodo', 'man']);
+            expect(tokenize('well-known').map(t => t.term)).toEqual(['well', 'known']);
+        });
+    });
+
+    describe('chorusRanges', () => {
+        test('finds stanzas headed Chorus or Refrain', () => {
+            const lyrics = 'Verse one\nline\n\nChorus:\nSing it\n\nVerse two';
+            const [range] = chorusRanges(lyrics);
+            expect(lyrics.slice(range.start, range.end)).toBe('Chorus:\nSing it');
+        });
+
+        test('finds repeated stanzas', () => {
+            const lyrics = 'Sing along\nall night\n\nVerse\n\nSing along\nall night';
+            expect(chorusRanges(lyrics)).toHaveLength(2);
+        });
+
+        test('finds nothing in songs without a chorus', () => {
+            expect(chorusRanges('One\n\nTwo')).toEqual([]);
+        });
+    });
+
+    describe('syncSearchIndex', () => {
+        test('only re-indexes songs that changed', () => {
+            const songs = [
+                { id: 'a', title: 'Whiskey', lyrics: 'in the jar' },
+                { id: 'b', title: 'Rover', lyrics: 'no never' }
+            ];
+            const index = indexOf(songs);
+
+            expect(syncSearchIndex(index, songs)).toBe(0);
+            expect(syncSearchIndex(index, [{ ...songs[0], lyrics: 'on the shelf' }, songs[1]])).toBe(1);
+            expect(searchIndex(index, fuzzy('jar')).size).toBe(0);
+            expect(searchIndex(index, fuzzy('shelf')).has('a')).toBe(true);
+        });
+
+        test('drops deleted songs', () => {
+            const index = indexOf([{ id: 'a', title: 'Whiskey', lyrics: 'jar' }]);
+
+            expect(syncSearchIndex(index, [])).toBe(1);
+            expect(index.postings.size).toBe(0);
+            expect(searchIndex(index, fuzzy('whiskey')).size).toBe(0);
+        });
+    });
+
+    describe('searchIndex', () => {
+        const songs = [
+            { id: 'title', title: 'The Wild Rover', lyrics: 'I have been a traveller' },
+            { id: 'lyrics', title: 'Jolly Tinker', lyrics: 'He met a rover on the road' },
+            { id: 'chorus', title: 'Seaside', lyrics: 'A verse\n\nChorus:\nThe rover comes home' },
+            { id: 'typo', title: 'Rovers Return', lyrics: 'nothing here' },
+            { id: 'none', title: 'Parting Glass', lyrics: 'Of all the money' }
+        ];
+        const index = indexOf(songs);
+
+        test('ranks title hits above lyric hits', () => {
+            const order = ids(searchIndex(index, fuzzy('rover')));
+            expect(order[0]).toBe('title');
+            expect(order.indexOf('typo')).toBeLessThan(order.indexOf('lyrics'));
+        });
+
+        test('boosts hits in the chorus', () => {
+            const results = searchIndex(index, fuzzy('rover'));
+            expect(results.get('chorus').score).toBeGreaterThan(results.get('lyrics').score);
+        });
+
+        test('ranks exact words above prefix and fuzzy matches', () => {
+            const results = searchIndex(indexOf([
+                { id: 'exact', title: 'x', lyrics: 'the glass is empty' },
+                { id: 'prefix', title: 'x', lyrics: 'the glasses are empty' },
+                { id: 'typo', title: 'x', lyrics: 'the grass is green' }
+            ]), fuzzy('glass'));
+
+            expect(ids(results)).toEqual(['exact', 'prefix', 'typo']);
+        });
+
+        test('requires every query word', () => {
+            expect(ids(searchIndex(index, fuzzy('rover road')))).toEqual(['lyrics']);
+        });
+
+        test('returns match positions', () => {
+            const { matches } = searchIndex(index, fuzzy('rover')).get('lyrics');
+            expect(matches).toEqual([{ field: 'lyrics', start: 9, end: 14 }]);
+        });
+
+        test('does not treat very short words as typos', () => {
+            expect(searchIndex(index, fuzzy('xe')).size).toBe(0);
+        });
+
+        test('matches quoted phrases across line breaks', () => {
+            const results = searchIndex(index, exact('chorus: the rover'));
+            expect([...results.keys()]).toEqual(['chorus']);
+            expect(results.get('chorus').matches).toEqual([{ field: 'lyrics', start: 9, end: 26 }]);
+        });
+
+        test('does not allow typos in quoted phrases', () => {
+            expect(searchIndex(index, exact('the rovr')).size).toBe(0);
+        });
+
+        test('finds nothing for queries without words', () => {
+            expect(searchIndex(index, fuzzy('!!!')).size).toBe(0);
+        });
+    });
+
+    describe('spelling variants', () => {
+        const songs = [
+            { id: 'noel', title: 'The First Noël', lyrics: 'Born is the King of Israel' },
+            { id: 'hills', title: 'Over the Hills', lyrics: 'O’er the hills and far away\nto the fo\'c\'sle' },
+            { id: 'whiskey', title: 'Whiskey in the Jar', lyrics: 'A well-known rover' },
+            { id: 'shenandoah', title: 'Shenandoah', lyrics: 'Across the wide Missouri' }
+        ];
+        const index = indexOf(songs);
+        setSynonyms(index, buildSynonyms([["o'er", 'over'], ["fo'c'sle", 'forecastle']]));
+
+        test('ignores accents', () => {
+            expect(ids(searchIndex(index, fuzzy('noel')))).toEqual(['noel']);
+            expect(searchIndex(index, exact('first noel')).get('noel').matches).toEqual([{ field: 'title', start: 4, end: 14 }]);
+        });
+
+        test('ignores apostrophes', () => {
+            expect(ids(searchIndex(index, fuzzy('focsle')))).toEqual(['hills']);
+            expect(ids(searchIndex(index, exact("o'er the hills")))).toEqual(['hills']);
+        });
+
+        test('matches hyphenated words with or without the hyphen', () => {
+            expect(ids(searchIndex(index, fuzzy('wellknown')))).toEqual(['whiskey']);
+            expect(ids(searchIndex(index, exact('well known rover')))).toEqual(['whiskey']);
+        });
+
+        test('matches words that sound alike', () => {
+            expect(ids(searchIndex(index, fuzzy('wisky')))).toEqual(['whiskey']);
+            expect(ids(searchIndex(index, fuzzy('shenendoa')))).toEqual(['shenandoah']);
+        });
+
+        test('matches synonyms in fuzzy searches and phrases', () => {
+            const results = searchIndex(index, fuzzy('forecastle'));
+            expect(ids(results)).toEqual(['hills']);
+            expect(results.get('hills').matches).toEqual([{ field: 'lyrics', start: 35, end: 43 }]);
+
+            const phrase = searchIndex(index, exact('over the hills and'));
+            expect(phrase.get('hills').matches).toEqual([{ field: 'lyrics', start: 0, end: 18 }]);
+        });
+
+        test('ranks exact spellings above synonyms', () => {
+            const results = searchIndex(index, fuzzy('over'));
+            expect(results.get('hills').matches.map(m => m.field)).toEqual(['title', 'lyrics']);
+        });
+
+        test('stops matching synonyms once they are removed', () => {
+            const withoutSynonyms = indexOf(songs);
+            expect(searchIndex(withoutSynonyms, fuzzy('forecastle')).size).toBe(0);
+        });
+    });
+
+    describe('chords', () => {
+        const index = indexOf([{ id: 'rover', title: 'x', lyrics: '[G]I\'ve been a wild ro[C]ver\n[D7]for many a [G]year' }]);
+
+        test('leaves chords out of the indexed words', () => {
+            expect(searchIndex(index, fuzzy('d7')).size).toBe(0);
+            expect(ids(searchIndex(index, fuzzy('rover')))).toEqual(['rover']);
+        });
+
+        test('gives positions in the lyrics without chords', () => {
+            expect(searchIndex(index, fuzzy('rover')).get('rover').matches).toEqual([{ field: 'lyrics', start: 17, end: 22 }]);
+            expect(searchIndex(index, exact('wild rover for many')).get('rover').matches).toEqual([{ field: 'lyrics', start: 12, end: 31 }]);
+        });
+
+        test('re-indexes songs when only their chords change', () => {
+            const songs = [{ id: 'a', title: 'x', lyrics: '[G]Rover' }];
+            const changing = indexOf(songs);
+            expect(syncSearchIndex(changing, [{ id: 'a', title: 'x', lyrics: '[A]Rover' }])).toBe(1);
+            expect(syncSearchIndex(changing, [{ id: 'a', title: 'x', lyrics: '[A]Rover' }])).toBe(0);
+        });
+    });
+
+    describe('benchmark', () => {
+        // Deterministic pseudo-random numbers so runs are comparable
+        function random(seed) {
+            let state = seed;
+            return () => {
+                state = (state * 1103515245 + 12345) % 2147483648;
+                return state / 2147483648;
+            };
+        }
+
+        // Songs of made-up words, common words used far more than rare ones
+        function makeSongs(count) {
+            const next = random(42);
+            const syllables = ['ba', 'ro', 'ver', 'lin', 'da', 'mor', 'ka', 'sel', 'tu', 'ne', 'wis', 'key', 'jar', 'sea', 'ho', 'fin', 'gal', 'pe', 'stra', 'dun'];
+            const vocabulary = syllables.flatMap(a => syllables.flatMap(b => [a + b, ...syllables.map(c => a + b + c)]));
+            const word = () => vocabulary[Math.floor(next() ** 2 * vocabulary.length)];
+            const line = () => Array.from({ length: 6 }, word).join(' ');
+            const stanza = () => Array.from({ length: 4 }, line).join('\n');
+
+            const songs = Array.from({ length: count }, (_, i) => {
+                const chorus = stanza();
+                return {
+                    id: `song${i}`,
+                    title: `${word()} ${word()}`,
+                    lyrics: [stanza(), chorus, stanza(), chorus, stanza()].join('\n\n')
+                };
+            });
+            return { songs, vocabulary };
+        }
+
+        test('stays fast at 5,000 songs', () => {
+            const { songs, vocabulary } = makeSongs(5000);
+
+            let start = process.hrtime.bigint();
+            const index = indexOf(songs);
+            const buildMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+            const phrase = songs[10].lyrics.split(' ').slice(1, 3).join(' ');
+            const queries = [
+                fuzzy(vocabulary[0]),
+                fuzzy(vocabulary[3000]),
+                fuzzy(vocabulary[8000]),
+                fuzzy(`${vocabulary[100]} ${vocabulary[2000]}`),
+                fuzzy(vocabulary[4000].slice(1)),
+                fuzzy('ba'),
+                fuzzy('strada'),
+                exact(phrase)
+            ];
+            start = process.hrtime.bigint();
+            for (const query of queries) {
+                searchIndex(index, query);
+            }
+            const queryMs = Number(process.hrtime.bigint() - start) / 1e6 / queries.length;
+
+            // Re-indexing after a single edit only touches that song
+            start = process.hrtime.bigint();
+            songs[0] = { ...songs[0], lyrics: 'changed' };
+            expect(syncSearchIndex(index, songs)).toBe(1);
+            const syncMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+            expect(buildMs).toBeLessThan(15000);
+            expect(queryMs).toBeLessThan(100);
+            expect(syncMs).toBeLessThan(100);
+        }, 60000);
+    });
+});
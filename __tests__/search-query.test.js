@@ -0,0 +1,178 @@
+const { parseQuery, runQuery } = require('../lib/search-query');
+const { createSearchIndex, syncSearchIndex } = require('../lib/search-index');
+
+const term = (value, field = null) => ({ type: 'term', value, field });
+const phrase = (value, field = null) => ({ type: 'phrase', value, field });
+const not = child => ({ type: 'not', child });
+const and = (...children) => ({ type: 'and', children });
+const or = (...children) => ({ type: 'or', children });
+
+describe('Search query', () => {
+    describe('parseQuery', () => {
+        test('returns no tree for blank queries', () => {
+            expect(parseQuery('')).toEqual({ ast: null, error: null });
+            expect(parseQuery('   ')).toEqual({ ast: null, error: null });
+            expect(parseQuery(undefined)).toEqual({ ast: null, error: null });
+        });
+
+        test('parses a single word', () => {
+            expect(parseQuery('rover').ast).toEqual(term('rover'));
+        });
+
+        test('mixes quoted phrases and fuzzy words', () => {
+            expect(parseQuery('"wild rover" whiskey').ast).toEqual(and(phrase('wild rover'), term('whiskey')));
+        });
+
+        test('parses excluded words and phrases', () => {
+            expect(parseQuery('rover -whiskey -"no nay"').ast).toEqual(
+                and(term('rover'), not(term('whiskey')), not(phrase('no nay')))
+            );
+        });
+
+        test('keeps hyphens inside words', () => {
+            expect(parseQuery('well-known').ast).toEqual(term('well-known'));
+        });
+
+        test('binds OR more loosely than the implicit AND', () => {
+            expect(parseQuery('wild rover OR tinker').ast).toEqual(
+                or(and(term('wild'), term('rover')), term('tinker'))
+            );
+        });
+
+        test('reads lowercase or as a word', () => {
+            expect(parseQuery('rover or tinker').ast).toEqual(and(term('rover'), term('or'), term('tinker')));
+        });
+
+        test('accepts an explicit AND', () => {
+            expect(parseQuery('rover AND tinker').ast).toEqual(and(term('rover'), term('tinker')));
+        });
+
+        test('groups with parentheses', () => {
+            expect(parseQuery('(rover OR tinker) -sea').ast).toEqual(
+                and(or(term('rover'), term('tinker')), not(term('sea')))
+            );
+        });
+
+        test('scopes words, phrases and groups to a field', () => {
+            expect(parseQuery('title:rover lyrics:"no nay" tag:(shanty OR "sea song") Author:Trad').ast).toEqual(and(
+                term('rover', 'title'),
+                phrase('no nay', 'lyrics'),
+                or(term('shanty', 'tag'), phrase('sea song', 'tag')),
+                term('Trad', 'author')
+            ));
+        });
+
+        test('excludes field matches', () => {
+            expect(parseQuery('-tag:shanty').ast).toEqual(not(term('shanty', 'tag')));
+        });
+
+        test('reads other prefixes as plain words', () => {
+            expect(parseQuery('http://example.com').ast).toEqual(term('http://example.com'));
+            expect(parseQuery('note: rover').ast).toEqual(and(term('note:'), term('rover')));
+            expect(parseQuery('singer:bob').ast).toEqual(term('singer:bob'));
+        });
+
+        test('leaves out words and phrases with nothing to search for', () => {
+            expect(parseQuery('rover -"-"').ast).toEqual(term('rover'));
+            expect(parseQuery('rover & author:"-"').ast).toEqual(term('rover'));
+            expect(parseQuery('rover OR "…"').ast).toEqual(term('rover'));
+        });
+
+        test.each([
+            ['"wild rover', 'Missing closing quote after "wild rover'],
+            ['rover ""', 'Empty phrase "" - put some words between the quotes'],
+            ['rover -', '"-" must be followed by a word or phrase to exclude'],
+            ['rover - whiskey', '"-" must be followed by a word or phrase to exclude'],
+            ['"-"', 'Nothing to search for - use letters or numbers'],
+            ['author:"-" &', 'Nothing to search for - use letters or numbers'],
+            ['title: rover', '"title:" must be followed by a word, phrase or group'],
+            ['title:', '"title:" must be followed by a word, phrase or group'],
+            ['OR rover', 'OR needs a word or phrase on both sides'],
+            ['rover OR', 'OR needs a word or phrase on both sides'],
+            ['rover OR OR tinker', 'OR needs a word or phrase on both sides'],
+            ['AND rover', 'AND needs a word or phrase on both sides'],
+            ['rover AND', 'AND needs a word or phrase on both sides'],
+            ['()', 'Empty parentheses ()'],
+            ['(rover OR tinker', 'Missing closing parenthesis ")"'],
+            ['rover)', 'Unexpected ")" without a matching "("']
+        ])('rejects %s', (input, error) => {
+            expect(parseQuery(input)).toEqual({ ast: null, error });
+        });
+    });
+
+    describe('runQuery', () => {
+        const songs = [
+            { id: 'rover', title: 'The Wild Rover', lyrics: 'No nay never no more\nwill I play the wild rover', tags: ['drinking'], writer: 'Trad' },
+            { id: 'tinker', title: 'Jolly Tinker', lyrics: 'He met a rover on the road\nand drank whiskey', tags: ['sea shanty'] },
+            { id: 'whiskey', title: 'Whiskey in the Jar', lyrics: 'Musha ring dum a doo dum a da', tags: ['drinking'], composer: 'Jim Smith' }
+        ];
+        const index = createSearchIndex();
+        syncSearchIndex(index, songs);
+        const songMap = new Map(songs.map(s => [s.id, s]));
+
+        const search = input => runQuery(index, songMap, parseQuery(input).ast);
+        const ids = input => [...search(input)].sort((a, b) => b[1].score - a[1].score).map(([id]) => id);
+
+        test('requires every word', () => {
+            expect(ids('rover road')).toEqual(['tinker']);
+        });
+
+        test('excludes words', () => {
+            expect(ids('rover -whiskey')).toEqual(['rover']);
+        });
+
+        test('returns every other song for a query that only excludes', () => {
+            expect(ids('-rover').sort()).toEqual(['whiskey']);
+        });
+
+        test('matches either side of OR, scoring songs that match both higher', () => {
+            const results = search('jar OR road');
+            expect([...results.keys()].sort()).toEqual(['tinker', 'whiskey']);
+
+            const both = search('rover OR whiskey');
+            expect(both.get('tinker').score).toBeGreaterThan(search('rover').get('tinker').score);
+        });
+
+        test('scopes words to the title or lyrics', () => {
+            expect(ids('title:whiskey')).toEqual(['whiskey']);
+            expect(ids('lyrics:whiskey')).toEqual(['tinker']);
+            expect(search('title:rover').get('rover').matches).toEqual([{ field: 'title', start: 9, end: 14 }]);
+        });
+
+        test('matches tags exactly', () => {
+            expect(ids('tag:"sea shanty"')).toEqual(['tinker']);
+            expect(ids('tag:sea')).toEqual([]);
+            expect(ids('tag:drinking -title:jar')).toEqual(['rover']);
+        });
+
+        test('matches part of a writer or composer name', () => {
+            expect(ids('author:trad')).toEqual(['rover']);
+            expect(ids('author:smith')).toEqual(['whiskey']);
+        });
+
+        test('never matches every song on an empty field value or phrase', () => {
+            expect(ids('rover author:"-"')).toEqual(['rover', 'tinker']);
+            expect(ids('rover -"-"')).toEqual(['rover', 'tinker']);
+        });
+
+        test('combines phrases and words', () => {
+            expect(ids('"no nay" rover')).toEqual(['rover']);
+            expect(ids('"nay no" rover')).toEqual([]);
+        });
+
+        test('ignores accents and apostrophes in words, phrases and fields', () => {
+            const folded = [
+                { id: 'noel', title: 'The First Noël', lyrics: 'O’er the fields', tags: ['carol'], writer: 'Seán Ó Riada' }
+            ];
+            const foldedIndex = createSearchIndex();
+            syncSearchIndex(foldedIndex, folded);
+            const foldedIds = input => [...runQuery(foldedIndex, new Map(folded.map(s => [s.id, s])), parseQuery(input).ast).keys()];
+
+            expect(foldedIds('noel')).toEqual(['noel']);
+            expect(foldedIds('"oer the fields"')).toEqual(['noel']);
+            expect(foldedIds('title:"first noel"')).toEqual(['noel']);
+            expect(foldedIds('author:"sean o riada"')).toEqual(['noel']);
+            expect(foldedIds('tag:CARÓL')).toEqual(['noel']);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const { parseMarker, parseSections, syncSections, ensureSections } = require('../lib/sections');
+
+describe('Song sections', () => {
+    describe('parseMarker', () => {
+        test.each([
+            ['Chorus:', { type: 'chorus', label: 'Chorus', number: null }],
+            ['Chorus', { type: 'chorus', label: 'Chorus', number: null }],
+            ['Verse 2', { type: 'verse', label: 'Verse 2', number: 2 }],
+            ['[Bridge]', { type: 'bridge', label: 'Bridge', number: null }],
+            ['  (refrain)  ', { type: 'chorus', label: 'Refrain', number: null }],
+            ['[Pre-Chorus]', { type: 'prechorus', label: 'Pre-chorus', number: null }],
+            ['VERSE 3:', { type: 'verse', label: 'Verse 3', number: 3 }]
+        ])('reads %j', (line, marker) => {
+            expect(parseMarker(line)).toEqual(marker);
+        });
+
+        test.each([
+            'Chorus of angels singing',
+            'The verse goes',
+            '[Chorus of angels]',
+            ''
+        ])('leaves lyrics alone: %j', line => {
+            expect(parseMarker(line)).toBeNull();
+        });
+    });
+
+    describe('parseSections', () => {
+        test('splits stanzas into verses', () => {
+            expect(parseSections('One\nTwo\n\nThree')).toEqual([
+                { type: 'verse', label: null, number: null, start: 0, lines: ['One', 'Two'] },
+                { type: 'verse', label: null, number: null, start: 3, lines: ['Three'] }
+            ]);
+        });
+
+        test('reads marked sections and chorus references', () => {
+            const lyrics = 'Verse 1\nFirst verse\n\nChorus:\nSing along\nAll night\n\nVerse 2\nSecond verse\n\nChorus\n\n[Bridge]\nA bridge';
+            expect(parseSections(lyrics)).toEqual([
+                { type: 'verse', label: 'Verse 1', number: 1, start: 1, lines: ['First verse'] },
+                { type: 'chorus', label: 'Chorus', number: null, start: 4, lines: ['Sing along', 'All night'] },
+                { type: 'verse', label: 'Verse 2', number: 2, start: 8, lines: ['Second verse'] },
+                { type: 'chorus', label: 'Chorus', number: null, start: 10, lines: [], repeatOf: 1 },
+                { type: 'bridge', label: 'Bridge', number: null, start: 13, lines: ['A bridge'] }
+            ]);
+        });
+
+        test('starts a new section at a marker without a blank line', () => {
+            const sections = parseSections('Verse line\nChorus\nChorus line');
+            expect(sections.map(s => [s.type, s.lines])).toEqual([
+                ['verse', ['Verse line']],
+                ['chorus', ['Chorus line']]
+            ]);
+        });
+
+        test('lets a first marker head the stanza after a blank line', () => {
+            const sections = parseSections('Chorus:\n\nSing along');
+            expect(sections).toEqual([{ type: 'chorus', label: 'Chorus', number: null, start: 2, lines: ['Sing along'] }]);
+        });
+
+        test('repeats a numbered section by its number', () => {
+            const sections = parseSections('Verse 1\nOne\n\nVerse 2\nTwo\n\nVerse 1');
+            expect(sections[2].repeatOf).toBe(0);
+        });
+
+        test('keeps a marker with nothing to repeat', () => {
+            expect(parseSections('Verse\nOne\n\nBridge')).toEqual([
+                { type: 'verse', label: 'Verse', number: null, start: 1, lines: ['One'] },
+                { type: 'bridge', label: 'Bridge', number: null, start: 3, lines: [] }
+            ]);
+        });
+
+        test('gives written-out repeats the type of the original', () => {
+            const sections = parseSections('Chorus:\nSing along\n\nA verse\n\nSing along');
+            expect(sections.map(s => s.type)).toEqual(['chorus', 'verse', 'chorus']);
+        });
+
+        test('spots written-out repeats whatever their chords', () => {
+            const sections = parseSections('Chorus:\n[G]Sing a[D]long\n\nA verse\n\nSing along');
+            expect(sections.map(s => s.type)).toEqual(['chorus', 'verse', 'chorus']);
+        });
+
+        test('handles empty lyrics', () => {
+            expect(parseSections('')).toEqual([]);
+            expect(parseSections(undefined)).toEqual([]);
+        });
+    });
+
+    describe('syncSections', () => {
+        test('parses new songs and songs whose lyrics changed', () => {
+            const unchanged = { id: 'a', lyrics: 'One', sections: [] };
+            const changed = { id: 'b', lyrics: 'Two', sections: [] };
+            const added = { id: 'c', lyrics: 'Three' };
+
+            expect(syncSections([unchanged, changed, added], [{ id: 'a', lyrics: 'One' }, { id: 'b', lyrics: 'Old' }])).toBe(2);
+            expect(unchanged.sections).toEqual([]);
+            expect(changed.sections[0].lines).toEqual(['Two']);
+            expect(added.sections[0].lines).toEqual(['Three']);
+        });
+    });
+
+    describe('ensureSections', () => {
+        test('only parses songs without sections', () => {
+            const songs = [{ id: 'a', lyrics: 'One', sections: [] }, { id: 'b', lyrics: 'Two' }];
+            ensureSections(songs);
+            expect(songs[0].sections).toEqual([]);
+            expect(songs[1].sections).toHaveLength(1);
+        });
+    });
+});
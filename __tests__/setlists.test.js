@@ -0,0 +1,98 @@
+const { parseSetlist, applySetlist, validateSung, sungOn, songHistory, monthsBefore, songsWithHistory, notSungSince } = require('../lib/setlists');
+
+describe('Setlists', () => {
+    test('only picks up fields that are present', () => {
+        expect(parseSetlist({ name: 'x', venue: ' The Crown ' })).toEqual({
+            values: { venue: 'The Crown' },
+            error: null
+        });
+    });
+
+    test('checks dates are real days', () => {
+        expect(parseSetlist({ date: '2026-11-07' }).values.date).toBe('2026-11-07');
+        expect(parseSetlist({ date: '2026-02-30' }).error).toContain('Date must be');
+        expect(parseSetlist({ date: '7 Nov 2026' }).error).toContain('Date must be');
+        expect(parseSetlist({ date: '' }).values).toEqual({ date: undefined });
+    });
+
+    test('checks segments', () => {
+        expect(parseSetlist({ segments: [{ title: ' Opening ', startsAt: 'a' }] }).values.segments).toEqual([{ title: 'Opening', startsAt: 'a' }]);
+        expect(parseSetlist({ segments: [{ title: '', startsAt: 'a' }] }).error).toContain('needs a title');
+        expect(parseSetlist({ segments: [{ title: 'Opening' }] }).error).toContain('needs a title');
+        expect(parseSetlist({ segments: [{ title: 'A', startsAt: 'a' }, { title: 'B', startsAt: 'a' }] }).error).toContain('Only one segment');
+        expect(parseSetlist({ segments: 'Opening' }).error).toContain('must be a list');
+    });
+
+    test('keeps leaders with names', () => {
+        expect(parseSetlist({ leaders: { a: ' Maggie ', b: '', c: null } }).values.leaders).toEqual({ a: 'Maggie' });
+        expect(parseSetlist({ leaders: { a: '' } }).values.leaders).toBeUndefined();
+        expect(parseSetlist({ leaders: ['Maggie'] }).error).toContain('Leaders');
+        expect(parseSetlist({ leaders: { a: 5 } }).error).toContain('Leaders must be text');
+    });
+
+    test('applies fields and drops ones for songs not in the list', () => {
+        const list = { songIds: ['a', 'b'], venue: 'Old Venue' };
+        applySetlist(list, {
+            venue: undefined,
+            segments: [{ title: 'Opening', startsAt: 'a' }, { title: 'Gone', startsAt: 'z' }],
+            leaders: { b: 'Tom', z: 'Nobody' }
+        });
+        expect(list).toEqual({ songIds: ['a', 'b'], segments: [{ title: 'Opening', startsAt: 'a' }], leaders: { b: 'Tom' } });
+
+        list.songIds = ['c'];
+        applySetlist(list, {});
+        expect(list).toEqual({ songIds: ['c'] });
+    });
+
+    test('checks songs recorded as sung', () => {
+        const catalog = new Set(['a', 'b']);
+        expect(validateSung(['a', 'b'], catalog)).toBeNull();
+        expect(validateSung([], catalog)).toBeNull();
+        expect(validateSung('a', catalog)).toContain('list of song ids');
+        expect(validateSung(['a', 'a'], catalog)).toContain('only be recorded once');
+        expect(validateSung(['z'], catalog)).toContain('songs in the catalog');
+    });
+
+    describe('history', () => {
+        const songs = [
+            { id: 'a', title: 'Apple Tree' },
+            { id: 'b', title: 'Bells' },
+            { id: 'c', title: 'Chariots' },
+            { id: 'd', title: 'Drunken Sailor' }
+        ];
+        const lists = [
+            { id: 'may', date: '2026-05-02', songIds: ['a', 'b'], sung: { songIds: ['a', 'b'], recordedAt: '2026-05-03T10:00:00Z' } },
+            { id: 'sep', songIds: ['a'], sung: { songIds: ['a', 'c'], recordedAt: '2026-09-05T22:00:00Z' } },
+            { id: 'plan', date: '2026-11-07', songIds: ['d'] }
+        ];
+
+        test('dates lists by their event, or when they were recorded', () => {
+            expect(sungOn(lists[0])).toBe('2026-05-02');
+            expect(sungOn(lists[1])).toBe('2026-09-05');
+            expect(sungOn(lists[2])).toBeNull();
+        });
+
+        test('counts when each song was sung', () => {
+            const history = songHistory(lists);
+            expect(history.get('a')).toEqual({ timesSung: 2, lastSung: '2026-09-05', lastListId: 'sep' });
+            expect(history.get('b')).toEqual({ timesSung: 1, lastSung: '2026-05-02', lastListId: 'may' });
+            expect(history.has('d')).toBe(false);
+        });
+
+        test('lists songs never sung first, then the longest since', () => {
+            expect(songsWithHistory(songs, lists).map(s => s.id)).toEqual(['d', 'b', 'a', 'c']);
+            expect(songsWithHistory(songs, lists)[0]).toEqual({ id: 'd', title: 'Drunken Sailor', timesSung: 0, lastSung: null, lastListId: null });
+        });
+
+        test('finds songs not sung since a day', () => {
+            expect(notSungSince(songs, lists, '2026-06-01').map(s => s.id)).toEqual(['d', 'b']);
+            expect(notSungSince(songs, lists, '2026-05-02').map(s => s.id)).toEqual(['d']);
+        });
+    });
+
+    test('counts back months, clamping to shorter months', () => {
+        expect(monthsBefore(new Date('2026-10-19T12:00:00Z'), 6)).toBe('2026-04-19');
+        expect(monthsBefore(new Date('2026-08-31T12:00:00Z'), 6)).toBe('2026-02-28');
+        expect(monthsBefore(new Date('2026-03-15T00:00:00Z'), 12)).toBe('2025-03-15');
+    });
+});
@@ -3,16 +3,20 @@ const path = require('path');
 
 // Test data file path (NODE_ENV is set in env.js)
 const TEST_DATA_FILE = path.join(__dirname, '..', 'data', 'data.test.json');
+const TEST_SNAPSHOT_DIR = path.join(__dirname, '..', 'data', 'snapshots', 'data.test');
 
-// Clean up test data file before and after tests
-beforeAll(() => {
-    if (fs.existsSync(TEST_DATA_FILE)) {
-        fs.unlinkSync(TEST_DATA_FILE);
+// The data file plus the backup/journal files and snapshots written alongside it
+function removeTestDataFiles() {
+    for (const file of [TEST_DATA_FILE, `${TEST_DATA_FILE}.bak`, `${TEST_DATA_FILE}.journal`]) {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
     }
-});
 
-afterAll(() => {
-    if (fs.existsSync(TEST_DATA_FILE)) {
-        fs.unlinkSync(TEST_DATA_FILE);
-    }
-});
+    fs.rmSync(TEST_SNAPSHOT_DIR, { recursive: true, force: true });
+}
+
+// Clean up test data file before and after tests
+beforeAll(removeTestDataFiles);
+
+afterAll(removeTestDataFiles);
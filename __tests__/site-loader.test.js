@@ -136,6 +136,28 @@ describe('Site Loader', () => {
             expect(defaults.features).toBeDefined();
             expect(defaults.labels).toBeDefined();
         });
+
+        test('defaults to JSON storage', () => {
+            expect(defaults.storage).toBe('json');
+        });
+
+        test('enables rolling backups with retention limits', () => {
+            expect(defaults.backups.enabled).toBe(true);
+            expect(defaults.backups.keep).toBeGreaterThan(0);
+            expect(defaults.backups.maxAgeDays).toBeGreaterThan(0);
+        });
+
+        test('keeps deleted items in the trash for a while', () => {
+            expect(defaults.trash.retentionDays).toBeGreaterThan(0);
+        });
+
+        test('has no search synonyms', () => {
+            expect(defaults.search.synonyms).toEqual([]);
+        });
+
+        test('prints in the standard layout', () => {
+            expect(defaults.print.layout).toBe('standard');
+        });
     });
 });
 
@@ -0,0 +1,67 @@
+const { MAX_LINES, sectionLabel, buildSlides, findSlide } = require('../lib/slides');
+const { parseSections } = require('../lib/sections');
+
+function song(id, title, lyrics) {
+    return { id, title, lyrics, sections: parseSections(lyrics) };
+}
+
+const amazing = song('s1', 'Amazing Grace', 'Verse 1\nAmazing grace\nHow sweet the sound\n\nChorus\nSing it\nLoud\n\nThat saved a wretch\nLike me\n\nChorus');
+const quiet = song('s2', 'Quiet Song', 'Only verse\nHere');
+
+describe('Slides', () => {
+    test('names sections by marker, or by type and number', () => {
+        expect(sectionLabel(amazing, 0)).toBe('Verse 1');
+        expect(sectionLabel(amazing, 1)).toBe('Chorus');
+        expect(sectionLabel(amazing, 2)).toBe('Verse 2');
+    });
+
+    test('gives each song a title slide, then a slide per section', () => {
+        const slides = buildSlides([amazing, quiet]);
+        expect(slides.map(s => [s.songNumber, s.section, s.label])).toEqual([
+            [1, null, null],
+            [1, 0, 'Verse 1'],
+            [1, 1, 'Chorus'],
+            [1, 2, 'Verse 2'],
+            [1, 3, 'Chorus'],
+            [2, null, null],
+            [2, 0, 'Verse 1']
+        ]);
+        expect(slides[0]).toMatchObject({ songId: 's1', songTitle: 'Amazing Grace', type: null, lines: [] });
+        expect(slides[2]).toMatchObject({ type: 'chorus', lines: ['Sing it', 'Loud'], part: 1, parts: 1 });
+    });
+
+    test('writes repeated sections out in full', () => {
+        const slides = buildSlides([amazing]);
+        expect(slides[4].lines).toEqual(['Sing it', 'Loud']);
+        expect(slides[4].type).toBe('chorus');
+    });
+
+    test('splits long sections evenly over slides', () => {
+        const lines = Array.from({ length: MAX_LINES + 2 }, (_, i) => `Line ${i + 1}`);
+        const slides = buildSlides([song('s3', 'Long', lines.join('\n'))]);
+        expect(slides).toHaveLength(3);
+        expect(slides[1]).toMatchObject({ section: 0, part: 1, parts: 2 });
+        expect(slides[1].lines).toHaveLength(5);
+        expect(slides[2]).toMatchObject({ section: 0, part: 2, parts: 2 });
+        expect(slides[2].lines).toEqual(lines.slice(5));
+    });
+
+    test('takes a smaller number of lines per slide', () => {
+        const slides = buildSlides([amazing], { maxLines: 1 });
+        expect(slides.filter(s => s.section === 0).map(s => s.lines)).toEqual([['Amazing grace'], ['How sweet the sound']]);
+    });
+
+    test('handles songs without sections', () => {
+        const slides = buildSlides([{ id: 's4', title: 'Untitled', lyrics: '' }]);
+        expect(slides).toHaveLength(1);
+        expect(slides[0].section).toBeNull();
+    });
+
+    test('finds the first slide of a section, or the song title', () => {
+        const slides = buildSlides([amazing, quiet]);
+        expect(findSlide(slides, 's1', 2)).toBe(3);
+        expect(findSlide(slides, 's2')).toBe(5);
+        expect(findSlide(slides, 's2', 9)).toBe(5);
+        expect(findSlide(slides, 'missing', 0)).toBe(-1);
+    });
+});
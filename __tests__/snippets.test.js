@@ -0,0 +1,74 @@
+const { buildSnippets } = require('../lib/snippets');
+
+const lyrics = [
+    'Oh the summertime is coming',  // 0
+    'And the trees are sweetly blooming',
+    'And the wild mountain thyme',  // 2
+    'Grows around the blooming heather',
+    '',                             // 4
+    'Will ye go, lassie, go?',
+    '',                             // 6
+    'I will build my love a bower',
+    'By yon clear crystal fountain' // 8
+].join('\n');
+
+// Offset of a word in the lyrics
+function match(word, nth = 0) {
+    let start = -1;
+    for (let i = 0; i <= nth; i++) start = lyrics.indexOf(word, start + 1);
+    return { field: 'lyrics', start, end: start + word.length };
+}
+
+describe('Search snippets', () => {
+    test('returns the matched line with a line of context either side', () => {
+        expect(buildSnippets(lyrics, [match('wild')])).toEqual([{
+            lines: [
+                { number: 1, text: 'And the trees are sweetly blooming', highlights: [] },
+                { number: 2, text: 'And the wild mountain thyme', highlights: [{ start: 8, end: 12 }] },
+                { number: 3, text: 'Grows around the blooming heather', highlights: [] }
+            ]
+        }]);
+    });
+
+    test('merges nearby matches into one snippet', () => {
+        const snippets = buildSnippets(lyrics, [match('blooming'), match('blooming', 1)]);
+
+        expect(snippets).toHaveLength(1);
+        expect(snippets[0].lines.map(l => l.number)).toEqual([0, 1, 2, 3]);
+        expect(snippets[0].lines.filter(l => l.highlights.length).map(l => l.number)).toEqual([1, 3]);
+    });
+
+    test('skips blank context lines', () => {
+        const [snippet] = buildSnippets(lyrics, [match('lassie')]);
+        expect(snippet.lines.map(l => l.number)).toEqual([5]);
+    });
+
+    test('prefers lines with the most matches and keeps them in order', () => {
+        const snippets = buildSnippets(lyrics, [match('summertime'), match('bower'), match('love'), match('Will')], { maxSnippets: 2 });
+
+        expect(snippets.map(s => s.lines.find(l => l.highlights.length).number)).toEqual([0, 7]);
+        expect(snippets[1].lines.find(l => l.number === 7).highlights).toEqual([
+            { start: 16, end: 20 },
+            { start: 23, end: 28 }
+        ]);
+    });
+
+    test('splits phrase matches that span lines', () => {
+        const start = lyrics.indexOf('thyme');
+        const end = lyrics.indexOf('Grows') + 'Grows'.length;
+        const [snippet] = buildSnippets(lyrics, [{ field: 'lyrics', start, end }]);
+
+        expect(snippet.lines.filter(l => l.highlights.length)).toEqual([
+            { number: 2, text: 'And the wild mountain thyme', highlights: [{ start: 22, end: 27 }] },
+            { number: 3, text: 'Grows around the blooming heather', highlights: [{ start: 0, end: 5 }] }
+        ]);
+    });
+
+    test('ignores title matches', () => {
+        expect(buildSnippets(lyrics, [{ field: 'title', start: 0, end: 4 }])).toEqual([]);
+    });
+
+    test('handles songs without lyrics', () => {
+        expect(buildSnippets('', [match('wild')])).toEqual([]);
+    });
+});
@@ -0,0 +1,58 @@
+const { parseMetadata, applyMetadata } = require('../lib/song-metadata');
+
+describe('Song metadata', () => {
+    test('only picks up fields that are present', () => {
+        expect(parseMetadata({ title: 'x', writer: 'Ewan MacColl' })).toEqual({
+            values: { writer: 'Ewan MacColl' },
+            error: null
+        });
+    });
+
+    test('normalizes keys', () => {
+        expect(parseMetadata({ key: 'f#' }).values.key).toBe('F#');
+        expect(parseMetadata({ key: 'Bbm' }).values.key).toBe('Bbm');
+        expect(parseMetadata({ key: 'E minor' }).error).toContain('Key must be');
+        expect(parseMetadata({ key: 'Eminor' }).values.key).toBe('Em');
+        expect(parseMetadata({ key: 'H' }).error).toContain('Key must be');
+    });
+
+    test('accepts tags as a list or comma-separated text', () => {
+        expect(parseMetadata({ tags: 'Shanty, union  song, shanty' }).values.tags).toEqual(['shanty', 'union song']);
+        expect(parseMetadata({ tags: ['Carol'] }).values.tags).toEqual(['carol']);
+        expect(parseMetadata({ tags: [1] }).error).toContain('Tags');
+    });
+
+    test('limits the number and length of tags', () => {
+        expect(parseMetadata({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }).error).toContain('at most 20 tags');
+        expect(parseMetadata({ tags: ['x'.repeat(41)] }).error).toContain('at most 40 characters');
+    });
+
+    test('checks capo and tempo ranges, accepting numeric text', () => {
+        expect(parseMetadata({ capo: '3', tempo: 120 }).values).toEqual({ capo: 3, tempo: 120 });
+        expect(parseMetadata({ capo: 13 }).error).toBe('Capo must be a whole number from 0 to 12');
+        expect(parseMetadata({ tempo: 1.5 }).error).toContain('Tempo');
+    });
+
+    test('normalizes language codes', () => {
+        expect(parseMetadata({ language: 'EN' }).values.language).toBe('en');
+        expect(parseMetadata({ language: 'de-ch' }).values.language).toBe('de-CH');
+        expect(parseMetadata({ language: 'English' }).error).toContain('Language');
+    });
+
+    test('requires booleans for the traditional flag', () => {
+        expect(parseMetadata({ traditional: true }).values.traditional).toBe(true);
+        expect(parseMetadata({ traditional: 'yes' }).error).toContain('true or false');
+    });
+
+    test('clears fields set to empty values', () => {
+        const song = { title: 'x', writer: 'Someone', tags: ['a'], traditional: true };
+        const { values } = parseMetadata({ writer: '', tags: [], traditional: false });
+
+        applyMetadata(song, values);
+        expect(song).toEqual({ title: 'x' });
+    });
+
+    test('rejects text that is too long', () => {
+        expect(parseMetadata({ writer: 'x'.repeat(201) }).error).toBe('Writer must be at most 200 characters');
+    });
+});
@@ -0,0 +1,116 @@
+const { REQUEST_LIMIT, ADDRESS_LIMIT, createSongRequests } = require('../lib/song-requests');
+
+describe('Song requests', () => {
+    let requests;
+
+    beforeEach(() => {
+        requests = createSongRequests();
+    });
+
+    function ask(songId, device = 'phone1', listId = 'list1') {
+        return requests.add('data.json', listId, { songId, title: `Song ${songId}` }, device);
+    }
+
+    test('queues a new request with the asking device\'s vote', () => {
+        const { request, created } = ask('a');
+        expect(created).toBe(true);
+        expect(request).toMatchObject({ songId: 'a', title: 'Song a', votes: 1, voted: true, status: 'pending', addedToList: false });
+        const [listed] = requests.list('data.json', 'list1');
+        expect(listed).toMatchObject({ id: request.id, songId: 'a', votes: 1 });
+        expect(listed.voted).toBeUndefined();
+    });
+
+    test('turns a request for a song already asked for into a vote', () => {
+        ask('a', 'phone1');
+        const { request, created } = ask('a', 'phone2');
+        expect(created).toBe(false);
+        expect(request.votes).toBe(2);
+
+        expect(ask('a', 'phone2').request.votes).toBe(2);
+        expect(requests.list('data.json', 'list1', 'phone3')[0]).toMatchObject({ votes: 2, voted: false });
+    });
+
+    test('keeps queues per data file and list', () => {
+        ask('a');
+        expect(requests.list('data.json', 'list2')).toEqual([]);
+        expect(requests.list('other.json', 'list1')).toEqual([]);
+    });
+
+    test('limits new requests per device, but not votes', () => {
+        for (let i = 0; i < REQUEST_LIMIT; i++) ask(`song${i}`);
+        expect(ask('another')).toEqual({ error: 'limit', remaining: 10 });
+        expect(ask('song0', 'phone1').created).toBe(false);
+        expect(ask('another', 'phone2').created).toBe(true);
+        expect(ask('another', 'phone1').request.votes).toBe(2);
+    });
+
+    test('limits new requests and votes per address, whatever devices say they are', () => {
+        requests = createSongRequests({ limit: 1, addressLimit: 2 });
+        const askFrom = (songId, device) => requests.add('data.json', 'list1', { songId, title: songId }, device, 'ip:1.2.3.4');
+
+        expect(askFrom('a', 'made-up-1').created).toBe(true);
+        expect(askFrom('b', 'made-up-2').created).toBe(true);
+        expect(askFrom('c', 'made-up-3')).toEqual({ error: 'limit', remaining: 10 });
+        expect(requests.add('data.json', 'list1', { songId: 'c', title: 'c' }, 'phone', 'ip:5.6.7.8').created).toBe(true);
+
+        expect(askFrom('c', 'made-up-4').request.votes).toBe(2);
+        expect(askFrom('c', 'made-up-5').request.votes).toBe(3);
+        expect(askFrom('c', 'made-up-6').request.votes).toBe(3);
+        expect(ADDRESS_LIMIT).toBeGreaterThan(REQUEST_LIMIT);
+    });
+
+    test('forgets what devices asked for when the queue is cleared', () => {
+        for (let i = 0; i < REQUEST_LIMIT; i++) ask(`song${i}`);
+        expect(ask('another').error).toBe('limit');
+
+        requests.clear('data.json', 'list1');
+        expect(ask('another').created).toBe(true);
+    });
+
+    test('lets devices request again once the window has passed', () => {
+        jest.useFakeTimers();
+        try {
+            requests = createSongRequests({ limit: 1, windowMs: 60000 });
+            ask('a');
+            expect(ask('b').error).toBe('limit');
+            jest.advanceTimersByTime(60000);
+            expect(ask('b').created).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('refuses requests once the queue is full', () => {
+        requests = createSongRequests({ maxQueue: 2 });
+        ask('a', 'phone1');
+        ask('b', 'phone2');
+        expect(ask('c', 'phone3')).toEqual({ error: 'full' });
+    });
+
+    test('accepts, dismisses and clears requests', () => {
+        const { request } = ask('a');
+        ask('b');
+
+        expect(requests.update('data.json', 'list1', request.id, { status: 'accepted' }).status).toBe('accepted');
+        expect(requests.get('data.json', 'list1', request.id).status).toBe('accepted');
+        expect(requests.update('data.json', 'list1', 'missing', { status: 'accepted' })).toBeNull();
+
+        expect(requests.dismiss('data.json', 'list1', request.id)).toBe(true);
+        expect(requests.dismiss('data.json', 'list1', request.id)).toBe(false);
+        expect(requests.list('data.json', 'list1').map(r => r.songId)).toEqual(['b']);
+
+        requests.clear('data.json', 'list1');
+        expect(requests.list('data.json', 'list1')).toEqual([]);
+    });
+
+    test('reorders given every request once', () => {
+        const a = ask('a').request;
+        const b = ask('b').request;
+
+        expect(requests.reorder('data.json', 'list1', [b.id, a.id]).map(r => r.songId)).toEqual(['b', 'a']);
+        expect(requests.reorder('data.json', 'list1', [a.id])).toBeNull();
+        expect(requests.reorder('data.json', 'list1', [a.id, a.id])).toBeNull();
+        expect(requests.reorder('data.json', 'list1', 'b,a')).toBeNull();
+        expect(requests.list('data.json', 'list1').map(r => r.songId)).toEqual(['b', 'a']);
+    });
+});
@@ -0,0 +1,197 @@
+const zlib = require('zlib');
+const { bookletSheets, parseTranspose, buildSongbook } = require('../lib/songbook');
+
+// The content of each page
+function pageContents(pdf) {
+    const text = pdf.toString('latin1');
+    return [...text.matchAll(/<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(match => {
+        const start = match.index + match[0].length;
+        return zlib.inflateSync(Buffer.from(text.slice(start, start + Number(match[1])), 'latin1')).toString('latin1');
+    });
+}
+
+// The text drawn on each page, one string per text operation
+function pageTexts(pdf) {
+    return pageContents(pdf).map(content => [...content.matchAll(/\((.*)\) Tj/g)].map(m => m[1].replace(/\\(.)/g, '$1')));
+}
+
+// Where each piece of text on a page starts, by text
+function textPositions(content) {
+    const positions = {};
+    for (const match of content.matchAll(/ Tf ([\d.]+) ([\d.]+) Td \((.*)\) Tj/g)) {
+        positions[match[3]] = { x: Number(match[1]), y: Number(match[2]) };
+    }
+    return positions;
+}
+
+function song(title, lines, extra = {}) {
+    return { id: title, title, lyrics: Array.from({ length: lines }, (_, i) => `${title} line ${i + 1}`).join('\n'), ...extra };
+}
+
+const options = { siteName: 'Pub Sings', listName: 'Friday Session', url: 'http://example.com/list.html?id=abc' };
+
+describe('Songbook', () => {
+    test('starts with a cover page and a table of contents', () => {
+        const { pdf, contents, pageCount } = buildSongbook({ ...options, songs: [song('One', 4), song('Two', 4)] });
+        const pages = pageTexts(pdf);
+
+        expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+        expect(pageCount).toBe(3);
+        expect(pages[0]).toEqual(['Pub Sings', 'Friday Session', '2 songs', 'http://example.com/list.html?id=abc']);
+        expect(contents).toEqual([{ title: 'One', page: 3 }, { title: 'Two', page: 3 }]);
+        expect(pages[1][0]).toBe('Contents');
+        expect(pages[1]).toContain('One');
+        expect(pages[1].filter(text => text === '3')).toHaveLength(2);
+    });
+
+    test('draws the list QR code on the cover', () => {
+        const { pdf } = buildSongbook({ ...options, songs: [] });
+        const cover = zlib.inflateSync(Buffer.from(pdf.toString('latin1').match(/stream\n([\s\S]*?)\nendstream/)[1], 'latin1'));
+        expect(cover.toString('latin1').match(/ re f/g).length).toBeGreaterThan(50);
+    });
+
+    test('links contents entries to their pages', () => {
+        const { pdf } = buildSongbook({ ...options, songs: [song('One', 4)] });
+        expect(pdf.toString('latin1')).toMatch(/\/Subtype \/Link .* \/Dest \[\d+ 0 R \/Fit\]/);
+    });
+
+    test('numbers every page but the cover', () => {
+        const pages = pageTexts(buildSongbook({ ...options, songs: [song('One', 4)] }).pdf);
+        expect(pages[0]).not.toContain('1');
+        expect(pages[1][pages[1].length - 1]).toBe('2');
+        expect(pages[2][pages[2].length - 1]).toBe('3');
+    });
+
+    test('moves a song that does not fit to the next page', () => {
+        const { contents, pdf } = buildSongbook({ ...options, songs: [song('Long', 30), song('Next', 20)] });
+        expect(contents).toEqual([{ title: 'Long', page: 3 }, { title: 'Next', page: 4 }]);
+        expect(pageTexts(pdf)[3]).not.toContain('Long (continued)');
+    });
+
+    test('continues a song too long for one page', () => {
+        const { contents, pageCount, pdf } = buildSongbook({ ...options, songs: [song('Epic', 60)] });
+        const pages = pageTexts(pdf);
+
+        expect(contents).toEqual([{ title: 'Epic', page: 3 }]);
+        expect(pageCount).toBe(4);
+        expect(pages[3][0]).toBe('Epic (continued)');
+        expect(pages.flat().filter(text => /^Epic line/.test(text))).toHaveLength(60);
+    });
+
+    test('breaks long songs between stanzas', () => {
+        const stanza = n => Array.from({ length: 8 }, (_, i) => `Stanza ${n} line ${i + 1}`).join('\n');
+        const lyrics = [1, 2, 3, 4, 5, 6].map(stanza).join('\n\n');
+        const pages = pageTexts(buildSongbook({ ...options, songs: [{ id: 's', title: 'Stanzas', lyrics }] }).pdf);
+
+        expect(pages[3][1]).toBe('Stanza 5 line 1');
+    });
+
+    test('adds pages of contents for long lists', () => {
+        const songs = Array.from({ length: 60 }, (_, i) => song(`Song ${String(i + 1).padStart(2, '0')}`, 2));
+        const { contents, pdf } = buildSongbook({ ...options, songs });
+        const pages = pageTexts(pdf);
+
+        expect(contents[0].page).toBe(4);
+        expect(pages[2]).toContain('Song 60');
+        expect(pages[3]).toContain('Song 01');
+    });
+
+    test('sets lyrics with their markup and chords', () => {
+        const lyrics = 'Chorus:\n[G]Way hey and [D]up she rises x3\nL: **What** shall we *do*\n> Spoken';
+        const pages = pageTexts(buildSongbook({ ...options, songs: [{ id: 's', title: 'Drunken Sailor', lyrics, key: 'Dm', capo: 2 }] }).pdf);
+
+        // Text comes out in WinAnsi bytes, which match Latin-1 for · and ×
+        expect(pages[2]).toEqual(expect.arrayContaining([
+            'Key of Dm · Capo 2', 'CHORUS', 'Way hey and up she rises', ' ×3', 'G', 'D',
+            'Leader: What', ' shall we ', 'do', '(spoken) Spoken'
+        ]));
+    });
+
+    test('transposes songs and leaves chords out when asked', () => {
+        const lyrics = '[G]Way hey and [D]up she rises';
+        const songs = [{ id: 's', title: 'Drunken Sailor', lyrics, key: 'G' }, { id: 't', title: 'Other', lyrics: '[G]Hey' }];
+
+        const transposed = pageTexts(buildSongbook({ ...options, songs, transpose: { s: 3 } }).pdf)[2];
+        expect(transposed).toEqual(expect.arrayContaining(['Key of Bb', 'Bb', 'F', 'G']));
+        expect(transposed).not.toContain('D');
+
+        const withoutChords = pageTexts(buildSongbook({ ...options, songs, chords: false }).pdf)[2];
+        expect(withoutChords).toContain('Way hey and up she rises');
+        expect(withoutChords).not.toContain('G');
+    });
+
+    test('reads transpositions from the address', () => {
+        expect(parseTranspose(undefined)).toEqual({ transpose: {}, error: null });
+        expect(parseTranspose('abc:2,def:-3')).toEqual({ transpose: { abc: 2, def: -3 }, error: null });
+        expect(parseTranspose('abc:12').error).toContain('Transpose must be');
+        expect(parseTranspose('abc').error).toContain('Transpose must be');
+    });
+
+    test('wraps lines too long for the page', () => {
+        const lyrics = 'word '.repeat(60).trim();
+        const pages = pageTexts(buildSongbook({ ...options, songs: [{ id: 's', title: 'Wordy', lyrics }] }).pdf);
+        const lines = pages[2].filter(text => text.startsWith('word'));
+
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines.join('').replace(/\s+/g, ' ').trim()).toBe(lyrics);
+    });
+
+    test('says so when the list is empty', () => {
+        const { pdf, pageCount } = buildSongbook({ ...options, songs: [], emptyMessage: 'This list is empty.' });
+        expect(pageCount).toBe(2);
+        expect(pageTexts(pdf)[1]).toContain('This list is empty.');
+    });
+
+    describe('layouts', () => {
+        const songs = [song('One', 4), song('Two', 4), song('Three', 4)];
+
+        test('sets large print on more pages', () => {
+            const standard = buildSongbook({ ...options, songs: [song('Long', 30)] });
+            const large = buildSongbook({ ...options, songs: [song('Long', 30)], layout: 'large' });
+
+            expect(large.pageCount).toBeGreaterThan(standard.pageCount);
+            expect(pageContents(large.pdf)[2]).toMatch(/\/regular 15.95 Tf/);
+        });
+
+        test('sets compact songbooks in two columns', () => {
+            const { contents, pdf } = buildSongbook({ ...options, songs: [song('Left', 40), song('Right', 40)], layout: 'compact' });
+            const positions = textPositions(pageContents(pdf)[2]);
+
+            expect(contents).toEqual([{ title: 'Left', page: 3 }, { title: 'Right', page: 3 }]);
+            expect(positions.Left.x).toBe(36);
+            expect(positions.Right.x).toBeGreaterThan(300);
+            expect(positions.Right.y).toBe(positions.Left.y);
+        });
+
+        test('starts every song on a new page', () => {
+            const { contents } = buildSongbook({ ...options, songs, layout: 'song-per-page' });
+            expect(contents.map(entry => entry.page)).toEqual([3, 4, 5]);
+        });
+
+        test('imposes booklets two pages to a sheet', () => {
+            const { pdf, contents, pageCount } = buildSongbook({ ...options, songs, layout: 'booklet' });
+            const text = pdf.toString('latin1');
+            const sides = pageContents(pdf);
+
+            // Cover, contents and a page of songs, made up to four
+            expect(pageCount).toBe(4);
+            expect(contents[0].page).toBe(3);
+            expect(text).toContain('/Count 2');
+            expect(text).toContain('/MediaBox [0 0 842 595]');
+            expect(text).not.toContain('/Subtype /Link');
+            // The back cover (blank) beside the front cover, then pages 2 and 3
+            expect(sides[0]).toMatch(/^q 1 0 0 1 0 0 cm\nQ\nq 1 0 0 1 421 0 cm\n/);
+            expect(sides[0]).toContain('(Friday Session) Tj');
+            expect(sides[1]).toMatch(/^q 1 0 0 1 0 0 cm\n[\s\S]*\(Contents\) Tj[\s\S]*q 1 0 0 1 421 0 cm\n[\s\S]*\(One\) Tj/);
+        });
+
+        test('rejects unknown layouts', () => {
+            expect(() => buildSongbook({ ...options, songs, layout: 'poster' })).toThrow('Unknown print layout: poster');
+        });
+    });
+
+    test('orders booklet pages for folding', () => {
+        expect(bookletSheets(4)).toEqual([[3, 0], [1, 2]]);
+        expect(bookletSheets(8)).toEqual([[7, 0], [1, 6], [5, 2], [3, 4]]);
+    });
+});
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getStorage,
+    closeStorage,
+    migrateStorage,
+    inferStorageType
+} = require('../storage');
+const { VIEW_FLUSH_DELAY } = require('../storage/json-storage');
+const {
+    getSnapshotDir,
+    summarizeChanges,
+    recordSnapshot,
+    listSnapshots,
+    readSnapshot,
+    pruneSnapshots,
+    isValidSnapshotId
+} = require('../storage/snapshots');
+const { main: migrateCommand } = require('../scripts/migrate-to-sqlite');
+
+let tmpDir;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+afterEach(() => {
+    for (const file of fs.readdirSync(tmpDir)) {
+        closeStorage(path.join(tmpDir, file));
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function sampleData() {
+    return {
+        songs: [
+            { id: 'song2', title: 'Second', lyrics: 'Two' },
+            { id: 'song1', title: 'First', lyrics: 'One', url: 'https://example.com' }
+        ],
+        lists: [
+            { id: 'list1', name: 'Favourites', songIds: ['song2', 'song1'], useCustomOrder: true }
+        ],
+        users: [
+            { username: 'admin', role: 'owner', password: 'hash', salt: 'salt' }
+        ],
+        stats: {
+            songViews: { song1: 3 },
+            listViews: { list1: 1 }
+        }
+    };
+}
+
+describe('inferStorageType', () => {
+    test('uses sqlite for database extensions', () => {
+        expect(inferStorageType('data/site.db')).toBe('sqlite');
+        expect(inferStorageType('data/site.sqlite')).toBe('sqlite');
+        expect(inferStorageType('data/site.sqlite3')).toBe('sqlite');
+    });
+
+    test('uses json otherwise', () => {
+        expect(inferStorageType('data/data.json')).toBe('json');
+    });
+});
+
+describe('getStorage', () => {
+    test('returns the same adapter for the same file', () => {
+        const file = path.join(tmpDir, 'data.json');
+        expect(getStorage(file)).toBe(getStorage(file));
+    });
+
+    test('rejects unknown storage types', () => {
+        expect(() => getStorage(path.join(tmpDir, 'data.xml'), 'xml')).toThrow(/Unknown storage type/);
+    });
+});
+
+describe.each(['json', 'sqlite'])('%s storage', (type) => {
+    let storage;
+
+    beforeEach(() => {
+        storage = getStorage(path.join(tmpDir, type === 'json' ? 'data.json' : 'data.db'), type);
+    });
+
+    test('creates initial data with an owner account', () => {
+        const data = storage.read();
+        expect(data.songs).toEqual([]);
+        expect(data.lists).toEqual([]);
+        expect(data.users).toEqual([expect.objectContaining({ username: 'admin', role: 'owner' })]);
+        expect(data.stats).toEqual({ songViews: {}, listViews: {} });
+    });
+
+    test('round-trips data, preserving order', async () => {
+        await storage.write(sampleData());
+        expect(storage.read()).toEqual(sampleData());
+    });
+
+    test('removes deleted items on write', async () => {
+        await storage.write(sampleData());
+        const data = storage.read();
+        data.songs = data.songs.filter(s => s.id !== 'song1');
+        delete data.stats.songViews.song1;
+        await storage.write(data);
+
+        const reread = storage.read();
+        expect(reread.songs.map(s => s.id)).toEqual(['song2']);
+        expect(reread.stats.songViews).toEqual({});
+    });
+
+    test('keeps other top-level keys', async () => {
+        await storage.write({ ...sampleData(), admin: { password: 'legacy' } });
+        expect(storage.read().admin).toEqual({ password: 'legacy' });
+    });
+
+    test('exists checks songs, lists and users', async () => {
+        await storage.write(sampleData());
+        expect(storage.exists('songs', 'song1')).toBe(true);
+        expect(storage.exists('songs', 'missing')).toBe(false);
+        expect(storage.exists('lists', 'list1')).toBe(true);
+        expect(storage.exists('users', 'admin')).toBe(true);
+    });
+
+    test('update writes the mutated data and returns the result', async () => {
+        await storage.write(sampleData());
+        const result = await storage.update(data => {
+            data.songs.push({ id: 'song3', title: 'Third', lyrics: 'Three' });
+            return 'added';
+        });
+
+        expect(result).toBe('added');
+        expect(storage.read().songs).toHaveLength(3);
+    });
+
+    test('update skips the write when the mutator returns null', async () => {
+        await storage.write(sampleData());
+        await storage.update(data => {
+            data.songs = [];
+            return null;
+        });
+
+        expect(storage.read().songs).toHaveLength(2);
+    });
+
+    test('update writes nothing when the mutator throws', async () => {
+        await storage.write(sampleData());
+        await expect(storage.update(data => {
+            data.songs = [];
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(storage.read().songs).toHaveLength(2);
+    });
+
+    test('updates started together run one after another', async () => {
+        await storage.write(sampleData());
+        await Promise.all(['a', 'b', 'c'].map(id => storage.update(data => {
+            data.songs.push({ id, title: id, lyrics: id });
+            return true;
+        })));
+
+        expect(storage.read().songs.map(s => s.id)).toEqual(['song2', 'song1', 'a', 'b', 'c']);
+    });
+
+    test('incrementView counts views', async () => {
+        await storage.write(sampleData());
+        expect(storage.incrementView('songViews', 'song1')).toBe(4);
+        expect(storage.incrementView('songViews', 'song2')).toBe(1);
+        expect(storage.incrementView('listViews', 'list1')).toBe(2);
+        expect(storage.read().stats.songViews).toEqual({ song1: 4, song2: 1 });
+    });
+
+    test('incrementView counts views per day', async () => {
+        await storage.write(sampleData());
+        storage.incrementView('songViews', 'song1', '2026-10-18');
+        storage.incrementView('songViews', 'song1', '2026-10-19');
+        storage.incrementView('songViews', 'song1', '2026-10-19');
+        storage.incrementView('listViews', 'list1', '2026-10-19');
+
+        const { stats } = storage.read();
+        expect(stats.songViews.song1).toBe(6);
+        expect(stats.daily).toEqual({
+            '2026-10-18': { songViews: { song1: 1 } },
+            '2026-10-19': { songViews: { song1: 2 }, listViews: { list1: 1 } }
+        });
+    });
+
+    test('incrementView counts today by default', async () => {
+        await storage.write(sampleData());
+        storage.incrementView('songViews', 'song2');
+
+        const today = new Date().toISOString().slice(0, 10);
+        expect(storage.read().stats.daily[today]).toEqual({ songViews: { song2: 1 } });
+    });
+
+    test('per-day counts round trip through write', async () => {
+        const data = sampleData();
+        data.stats.daily = { '2026-10-19': { songViews: { song1: 2 } } };
+        await storage.write(data);
+        expect(storage.read().stats.daily).toEqual(data.stats.daily);
+
+        delete data.stats.daily;
+        await storage.write(data);
+        expect(storage.read().stats.daily).toBeUndefined();
+    });
+});
+
+describe('JSON crash safety', () => {
+    let file;
+
+    beforeEach(() => {
+        file = path.join(tmpDir, 'data.json');
+    });
+
+    test('leaves no journal or temp files behind after a write', async () => {
+        const storage = getStorage(file, 'json');
+        await storage.write(sampleData());
+        await storage.write(sampleData());
+
+        expect(fs.readdirSync(tmpDir).sort()).toEqual(['data.json', 'data.json.bak']);
+    });
+
+    test('keeps the previous version as the last good copy', async () => {
+        const storage = getStorage(file, 'json');
+        await storage.write(sampleData());
+        await storage.write({ ...sampleData(), songs: [] });
+
+        const backup = JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8'));
+        expect(backup.songs).toHaveLength(2);
+    });
+
+    test('falls back to the last good copy when the data file is truncated', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(`${file}.bak`, JSON.stringify(sampleData()));
+        fs.writeFileSync(file, '{"songs": [{"id": "so');
+
+        const data = getStorage(file, 'json').read();
+
+        expect(data.songs).toHaveLength(2);
+        expect(fs.readdirSync(tmpDir).some(name => name.startsWith('data.json.corrupt-'))).toBe(true);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('treats an empty data file as corrupt', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(`${file}.bak`, JSON.stringify(sampleData()));
+        fs.writeFileSync(file, '');
+
+        expect(getStorage(file, 'json').read().songs).toHaveLength(2);
+        jest.restoreAllMocks();
+    });
+
+    test('throws a clear error when the file is corrupt and there is no backup', () => {
+        fs.writeFileSync(file, '{"songs": [');
+        expect(() => getStorage(file, 'json').read()).toThrow(/corrupt and no valid backup/);
+    });
+
+    test('replays a complete journal left by a crash', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(file, JSON.stringify({ ...sampleData(), songs: [] }));
+        fs.writeFileSync(`${file}.journal`, JSON.stringify(sampleData()));
+
+        expect(getStorage(file, 'json').read().songs).toHaveLength(2);
+        expect(fs.existsSync(`${file}.journal`)).toBe(false);
+        jest.restoreAllMocks();
+    });
+
+    test('discards a journal that was itself cut short', () => {
+        fs.writeFileSync(file, JSON.stringify(sampleData()));
+        fs.writeFileSync(`${file}.journal`, '{"songs": [');
+
+        expect(getStorage(file, 'json').read().songs).toHaveLength(2);
+        expect(fs.existsSync(`${file}.journal`)).toBe(false);
+    });
+
+    test('removes temp files from interrupted writes', () => {
+        fs.writeFileSync(file, JSON.stringify(sampleData()));
+        fs.writeFileSync(`${file}.tmp-123-0`, '{"songs": []');
+
+        getStorage(file, 'json').read();
+
+        expect(fs.existsSync(`${file}.tmp-123-0`)).toBe(false);
+    });
+
+    test('counts views in memory until they are flushed', async () => {
+        const storage = getStorage(file, 'json');
+        await storage.write(sampleData());
+        storage.incrementView('songViews', 'song1');
+
+        const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).stats.songViews.song1;
+        expect(onDisk()).toBe(3);
+        expect(storage.read().stats.songViews.song1).toBe(4);
+
+        await storage.flush();
+        expect(onDisk()).toBe(4);
+        expect(storage.read().stats.songViews.song1).toBe(4);
+    });
+
+    test('writes views with the next change, or after a delay', async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            const storage = getStorage(file, 'json');
+            await storage.write(sampleData());
+            const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).stats;
+
+            storage.incrementView('songViews', 'song1');
+            await storage.update(data => {
+                data.songs.pop();
+                return true;
+            });
+            expect(onDisk().songViews.song1).toBe(4);
+
+            storage.incrementView('listViews', 'list1');
+            jest.advanceTimersByTime(VIEW_FLUSH_DELAY);
+            await storage.flush();
+            expect(onDisk().listViews.list1).toBe(2);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('keeps views for later when an update writes nothing', async () => {
+        const storage = getStorage(file, 'json');
+        await storage.write(sampleData());
+        storage.incrementView('songViews', 'song1');
+
+        await storage.update(() => null);
+        await expect(storage.update(() => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(storage.read().stats.songViews.song1).toBe(4);
+        await storage.flush();
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).stats.songViews.song1).toBe(4);
+    });
+});
+
+describe('snapshots', () => {
+    let file;
+
+    beforeEach(() => {
+        file = path.join(tmpDir, 'site-data.json');
+    });
+
+    function withoutSong(data, id) {
+        return { ...data, songs: data.songs.filter(s => s.id !== id) };
+    }
+
+    test('stores snapshots next to the data file', () => {
+        expect(getSnapshotDir(file)).toBe(path.join(tmpDir, 'snapshots', 'site-data'));
+    });
+
+    test('summarizes added, removed and changed songs and lists', () => {
+        const before = sampleData();
+        const after = withoutSong(sampleData(), 'song1');
+        after.songs.push({ id: 'song3', title: 'Third', lyrics: 'Three' });
+        after.lists[0] = { ...after.lists[0], name: 'Renamed' };
+
+        const summary = summarizeChanges(before, after);
+
+        expect(summary.songs.added).toEqual([{ id: 'song3', title: 'Third' }]);
+        expect(summary.songs.removed).toEqual([{ id: 'song1', title: 'First' }]);
+        expect(summary.songs.changed).toEqual([]);
+        expect(summary.lists.changed).toEqual([{ id: 'list1', name: 'Renamed' }]);
+    });
+
+    test('records a baseline before the first change', () => {
+        recordSnapshot(file, sampleData(), withoutSong(sampleData(), 'song1'));
+
+        const snapshots = listSnapshots(file);
+        expect(snapshots).toHaveLength(2);
+        expect(snapshots[1].baseline).toBe(true);
+        expect(snapshots[0].summary.songs.removed).toEqual([{ id: 'song1', title: 'First' }]);
+    });
+
+    test('lists snapshots newest first and reads their data', () => {
+        const first = recordSnapshot(file, sampleData(), withoutSong(sampleData(), 'song1'));
+        const second = recordSnapshot(file, withoutSong(sampleData(), 'song1'), withoutSong(sampleData(), 'song2'));
+
+        const ids = listSnapshots(file).map(entry => entry.id);
+        expect(ids.slice(0, 2)).toEqual([second.id, first.id]);
+        expect(readSnapshot(file, first.id).data.songs.map(s => s.id)).toEqual(['song2']);
+    });
+
+    test('leaves user accounts out of snapshots', () => {
+        const entry = recordSnapshot(file, sampleData(), withoutSong(sampleData(), 'song1'));
+        expect(readSnapshot(file, entry.id).data.users).toBeUndefined();
+    });
+
+    test('skips changes that only touch user accounts', () => {
+        const after = { ...sampleData(), users: [] };
+        expect(recordSnapshot(file, sampleData(), after)).toBeNull();
+        expect(listSnapshots(file)).toEqual([]);
+    });
+
+    test('keeps only the configured number of snapshots', () => {
+        let data = sampleData();
+        for (let i = 0; i < 5; i++) {
+            const next = { ...data, songs: [...data.songs, { id: `new${i}`, title: `New ${i}`, lyrics: '' }] };
+            recordSnapshot(file, data, next, { keep: 3 });
+            data = next;
+        }
+
+        const snapshots = listSnapshots(file);
+        expect(snapshots).toHaveLength(3);
+        expect(fs.readdirSync(getSnapshotDir(file)).filter(f => f !== 'index.json')).toHaveLength(3);
+    });
+
+    test('drops snapshots older than maxAgeDays but always keeps the newest', () => {
+        const longAgo = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000);
+        recordSnapshot(file, sampleData(), withoutSong(sampleData(), 'song1'), { now: longAgo });
+
+        expect(pruneSnapshots(file, { maxAgeDays: 30 })).toBe(1);
+        expect(listSnapshots(file)).toHaveLength(1);
+    });
+
+    test('rejects snapshot ids that are not ours', () => {
+        expect(isValidSnapshotId('../../data')).toBe(false);
+        expect(readSnapshot(file, '../data')).toBeNull();
+        expect(isValidSnapshotId('20241224T183000123Z-1a2b3c')).toBe(true);
+    });
+});
+
+describe('migrateStorage', () => {
+    test('copies a JSON file into SQLite', async () => {
+        const source = path.join(tmpDir, 'data.json');
+        const target = path.join(tmpDir, 'data.db');
+        fs.writeFileSync(source, JSON.stringify(sampleData()));
+
+        const counts = await migrateStorage(source, target);
+
+        expect(counts).toEqual({ songs: 2, lists: 1, users: 1 });
+        expect(getStorage(target).type).toBe('sqlite');
+        expect(getStorage(target).read()).toEqual(sampleData());
+    });
+
+    test('turns the legacy admin password into an owner account', async () => {
+        const source = path.join(tmpDir, 'data.json');
+        const target = path.join(tmpDir, 'data.db');
+        const legacy = { ...sampleData(), admin: { password: 'admin123' } };
+        delete legacy.users;
+        fs.writeFileSync(source, JSON.stringify(legacy));
+
+        const counts = await migrateStorage(source, target);
+
+        expect(counts.users).toBe(1);
+        const data = getStorage(target).read();
+        expect(data.users).toEqual([{ username: 'admin', role: 'owner', password: 'admin123' }]);
+        expect(data.admin).toBeUndefined();
+    });
+});
+
+describe('migrate:sqlite command', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('migrates a data file to a .db file alongside it', async () => {
+        const source = path.join(tmpDir, 'site-data.json');
+        fs.writeFileSync(source, JSON.stringify(sampleData()));
+
+        expect(await migrateCommand([source])).toBe(0);
+
+        const target = path.join(tmpDir, 'site-data.db');
+        expect(fs.existsSync(target)).toBe(true);
+        expect(getStorage(target).read().songs).toHaveLength(2);
+    });
+
+    test('refuses to overwrite an existing database', async () => {
+        const source = path.join(tmpDir, 'data.json');
+        const target = path.join(tmpDir, 'existing.db');
+        fs.writeFileSync(source, JSON.stringify(sampleData()));
+        fs.writeFileSync(target, '');
+
+        expect(await migrateCommand([source, target])).toBe(1);
+    });
+
+    test('fails without arguments or for a missing file', async () => {
+        expect(await migrateCommand([])).toBe(1);
+        expect(await migrateCommand([path.join(tmpDir, 'missing.json')])).toBe(1);
+    });
+});
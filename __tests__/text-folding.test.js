@@ -0,0 +1,108 @@
+const {
+    foldText,
+    foldWithOffsets,
+    originalRange,
+    normalizeWord,
+    buildSynonyms,
+    validateSynonyms,
+    phrasePattern
+} = require('../lib/text-folding');
+
+describe('Text folding', () => {
+    describe('foldText', () => {
+        test('lowercases and strips accents', () => {
+            expect(foldText('Noël Café Dúlamán')).toBe('noel cafe dulaman');
+        });
+
+        test('spells out letters without a base letter', () => {
+            expect(foldText('Straße Æsir Søren Łódź')).toBe('strasse aesir soren lodz');
+        });
+
+        test('drops apostrophes of every kind', () => {
+            expect(foldText("O’er fo'c'sle ʼtis")).toBe('oer focsle tis');
+        });
+
+        test('reads hyphens as spaces', () => {
+            expect(foldText('well-known')).toBe('well known');
+        });
+
+        test('handles missing text', () => {
+            expect(foldText(undefined)).toBe('');
+        });
+    });
+
+    describe('foldWithOffsets', () => {
+        test('keeps plain ASCII offsets as they are', () => {
+            expect(foldWithOffsets('Wild Rover')).toEqual({ text: 'wild rover', starts: null });
+        });
+
+        test('maps folded ranges back to the original text', () => {
+            const original = 'The Straße o’er Noël';
+            const folded = foldWithOffsets(original);
+            expect(folded.text).toBe('the strasse oer noel');
+
+            const range = (word) => {
+                const start = folded.text.indexOf(word);
+                const { start: from, end: to } = originalRange(folded, start, start + word.length);
+                return original.slice(from, to);
+            };
+            expect(range('strasse')).toBe('Straße');
+            expect(range('oer')).toBe('o’er');
+            expect(range('noel')).toBe('Noël');
+        });
+    });
+
+    describe('normalizeWord', () => {
+        test('leaves only letters and digits', () => {
+            expect(normalizeWord("Fo'c'sle")).toBe('focsle');
+            expect(normalizeWord('well-known')).toBe('wellknown');
+        });
+    });
+
+    describe('buildSynonyms', () => {
+        test('maps every word to the rest of its groups', () => {
+            const synonyms = buildSynonyms([["o'er", 'over'], ['over', 'above']]);
+            expect([...synonyms.get('oer')]).toEqual(['over']);
+            expect([...synonyms.get('over')].sort()).toEqual(['above', 'oer']);
+        });
+
+        test('builds each config once', () => {
+            const groups = [['whisky', 'whiskey']];
+            expect(buildSynonyms(groups)).toBe(buildSynonyms(groups));
+        });
+
+        test('returns no synonyms without groups', () => {
+            expect(buildSynonyms(undefined).size).toBe(0);
+        });
+    });
+
+    describe('validateSynonyms', () => {
+        test('accepts groups of single words', () => {
+            expect(validateSynonyms([["o'er", 'over']])).toBeNull();
+            expect(validateSynonyms(undefined)).toBeNull();
+        });
+
+        test.each([
+            ['over', 'search.synonyms must be a list of word groups'],
+            [[['over']], 'search.synonyms[0] must be a list of at least two words'],
+            [[['a', 'b'], 'c'], 'search.synonyms[1] must be a list of at least two words'],
+            [[['whisky', 'uisce beatha']], 'search.synonyms[0]: "uisce beatha" must be a single word'],
+            [[['whisky', '!!']], 'search.synonyms[0]: "!!" must be a single word']
+        ])('rejects %j', (groups, error) => {
+            expect(validateSynonyms(groups)).toBe(error);
+        });
+    });
+
+    describe('phrasePattern', () => {
+        test('matches words anywhere and across line breaks', () => {
+            expect(phrasePattern('wild rover').test(foldText('the wild\nrovers'))).toBe(true);
+        });
+
+        test('matches synonyms only as whole words', () => {
+            const synonyms = buildSynonyms([["o'er", 'over']]);
+            expect(phrasePattern('over the hills', synonyms).test(foldText('O’er the hills'))).toBe(true);
+            expect(phrasePattern('over the hills', synonyms).test(foldText('doer the hills'))).toBe(false);
+            expect(phrasePattern("o'er the", synonyms).test(foldText('Over the'))).toBe(true);
+        });
+    });
+});
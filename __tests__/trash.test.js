@@ -0,0 +1,122 @@
+const {
+    trashSong,
+    trashList,
+    restoreFromTrash,
+    purgeTrash,
+    purgeExpiredTrash,
+    expiresAt
+} = require('../lib/trash');
+
+describe('Trash', () => {
+    let data;
+
+    beforeEach(() => {
+        data = {
+            songs: [
+                { id: 'a', title: 'A', lyrics: 'a' },
+                { id: 'b', title: 'B', lyrics: 'b' }
+            ],
+            lists: [
+                { id: 'l1', name: 'One', songIds: ['b', 'a'] },
+                { id: 'l2', name: 'Two', songIds: ['a'] }
+            ],
+            revisions: { a: [{ number: 1 }] }
+        };
+    });
+
+    test('trashSong records the song\'s list positions', () => {
+        const entry = trashSong(data, 'a', { deletedBy: 'alice' });
+
+        expect(entry.listPositions).toEqual([
+            { listId: 'l1', position: 1 },
+            { listId: 'l2', position: 0 }
+        ]);
+        expect(entry.deletedBy).toBe('alice');
+        expect(data.songs.map(s => s.id)).toEqual(['b']);
+        expect(data.lists[0].songIds).toEqual(['b']);
+    });
+
+    test('returns null for unknown songs and lists', () => {
+        expect(trashSong(data, 'nope')).toBeNull();
+        expect(trashList(data, 'nope')).toBeNull();
+        expect(data.trash).toBeUndefined();
+    });
+
+    test('restoring a song puts it back at its old positions', () => {
+        trashSong(data, 'a');
+        data.lists[0].songIds.push('c');
+
+        restoreFromTrash(data, 'song', 'a');
+
+        expect(data.lists[0].songIds).toEqual(['b', 'a', 'c']);
+        expect(data.lists[1].songIds).toEqual(['a']);
+        expect(data.trash).toEqual([]);
+    });
+
+    test('restoring a song puts back its segment heading and leader', () => {
+        Object.assign(data.lists[0], {
+            songIds: ['b', 'a', 'c'],
+            segments: [
+                { title: 'Opening', startsAt: 'b' },
+                { title: 'Middle', startsAt: 'a' },
+                { title: 'Encore', startsAt: 'c' }
+            ],
+            leaders: { a: 'Maggie', b: 'Tom' }
+        });
+        data.lists[1].leaders = { a: 'Sean' };
+
+        const entry = trashSong(data, 'a');
+        expect(entry.listPositions[0]).toEqual({ listId: 'l1', position: 1, segment: { title: 'Middle', startsAt: 'a' }, leader: 'Maggie' });
+        expect(data.lists[0].segments).toEqual([{ title: 'Opening', startsAt: 'b' }, { title: 'Encore', startsAt: 'c' }]);
+        expect(data.lists[0].leaders).toEqual({ b: 'Tom' });
+        expect(data.lists[1].leaders).toBeUndefined();
+
+        restoreFromTrash(data, 'song', 'a');
+
+        expect(data.lists[0].segments).toEqual([
+            { title: 'Opening', startsAt: 'b' },
+            { title: 'Middle', startsAt: 'a' },
+            { title: 'Encore', startsAt: 'c' }
+        ]);
+        expect(data.lists[0].leaders).toEqual({ b: 'Tom', a: 'Maggie' });
+        expect(data.lists[1].leaders).toEqual({ a: 'Sean' });
+    });
+
+    test('skips lists that no longer exist', () => {
+        trashSong(data, 'a');
+        data.lists.pop();
+
+        restoreFromTrash(data, 'song', 'a');
+        expect(data.lists).toHaveLength(1);
+    });
+
+    test('restoreFromTrash returns null when the item is not trashed', () => {
+        expect(restoreFromTrash(data, 'list', 'l1')).toBeNull();
+    });
+
+    test('purging a song drops its revisions', () => {
+        trashSong(data, 'a');
+        trashList(data, 'l2');
+
+        expect(purgeTrash(data, entry => entry.type === 'song')).toBe(1);
+        expect(data.revisions.a).toBeUndefined();
+        expect(data.trash.map(entry => entry.type)).toEqual(['list']);
+    });
+
+    test('purgeExpiredTrash only drops items past the retention period', () => {
+        const now = new Date('2024-12-31T00:00:00.000Z');
+        trashSong(data, 'a', { now: new Date('2024-11-01T00:00:00.000Z') });
+        trashSong(data, 'b', { now: new Date('2024-12-30T00:00:00.000Z') });
+
+        expect(purgeExpiredTrash(data, 30, now)).toBe(1);
+        expect(data.trash.map(entry => entry.item.id)).toEqual(['b']);
+        expect(expiresAt(data.trash[0], 30)).toBe('2025-01-29T00:00:00.000Z');
+    });
+
+    test('keeps items forever when retention is turned off', () => {
+        trashSong(data, 'a', { now: new Date('2000-01-01T00:00:00.000Z') });
+
+        expect(purgeExpiredTrash(data, 0)).toBe(0);
+        expect(expiresAt(data.trash[0], 0)).toBeNull();
+    });
+});
@@ -1,9 +1,4 @@
 const {
-    normalizeWhitespace,
-    levenshteinDistance,
-    fuzzyMatch,
-    exactMatch,
-    parseSearchQuery,
     librarySortKey,
     sortSongs,
     generateId,
@@ -13,146 +8,16 @@ const {
     recordFailedAttempt,
     loginAttempts,
     ensureStats,
+    createSession,
+    verifySession,
+    revokeSession,
+    getRequestToken,
+    hasPermission,
+    normalizeUsername,
+    ensureUsers,
     MAX_ATTEMPTS
 } = require('../server');
 
-describe('normalizeWhitespace', () => {
-    test('converts newlines to spaces', () => {
-        expect(normalizeWhitespace('hello\nworld')).toBe('hello world');
-    });
-
-    test('converts multiple spaces to single space', () => {
-        expect(normalizeWhitespace('hello    world')).toBe('hello world');
-    });
-
-    test('converts tabs to spaces', () => {
-        expect(normalizeWhitespace('hello\tworld')).toBe('hello world');
-    });
-
-    test('trims leading and trailing whitespace', () => {
-        expect(normalizeWhitespace('  hello world  ')).toBe('hello world');
-    });
-
-    test('handles complex whitespace', () => {
-        expect(normalizeWhitespace('hello\n\n  world\t\tfoo')).toBe('hello world foo');
-    });
-
-    test('handles empty string', () => {
-        expect(normalizeWhitespace('')).toBe('');
-    });
-});
-
-describe('levenshteinDistance', () => {
-    test('returns 0 for identical strings', () => {
-        expect(levenshteinDistance('hello', 'hello')).toBe(0);
-    });
-
-    test('returns correct distance for single character difference', () => {
-        expect(levenshteinDistance('hello', 'hallo')).toBe(1);
-    });
-
-    test('returns correct distance for insertions', () => {
-        expect(levenshteinDistance('hello', 'helloo')).toBe(1);
-    });
-
-    test('returns correct distance for deletions', () => {
-        expect(levenshteinDistance('hello', 'helo')).toBe(1);
-    });
-
-    test('returns correct distance for multiple changes', () => {
-        expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
-    });
-
-    test('handles empty strings', () => {
-        expect(levenshteinDistance('', 'hello')).toBe(5);
-        expect(levenshteinDistance('hello', '')).toBe(5);
-        expect(levenshteinDistance('', '')).toBe(0);
-    });
-});
-
-describe('fuzzyMatch', () => {
-    test('matches exact substring', () => {
-        expect(fuzzyMatch('hello world', 'hello')).toBe(true);
-    });
-
-    test('matches case insensitively', () => {
-        expect(fuzzyMatch('Hello World', 'hello')).toBe(true);
-    });
-
-    test('handles query spanning newlines', () => {
-        expect(fuzzyMatch('hello\nworld', 'hello world')).toBe(true);
-    });
-
-    test('allows small typos in longer words', () => {
-        expect(fuzzyMatch('shepherds arise', 'sheperds')).toBe(true); // missing h
-    });
-
-    test('requires exact match for short queries', () => {
-        expect(fuzzyMatch('hello world', 'hx')).toBe(false);
-        expect(fuzzyMatch('hello world', 'he')).toBe(true);
-    });
-
-    test('handles multiple word queries', () => {
-        expect(fuzzyMatch('The quick brown fox', 'quick fox')).toBe(true);
-    });
-
-    test('rejects non-matching queries', () => {
-        expect(fuzzyMatch('hello world', 'xyz')).toBe(false);
-    });
-
-    test('matches words with typos in multi-word text', () => {
-        expect(fuzzyMatch('apple tree wassail', 'aple tre')).toBe(true);
-    });
-});
-
-describe('exactMatch', () => {
-    test('matches exact substring', () => {
-        expect(exactMatch('hello world', 'hello')).toBe(true);
-    });
-
-    test('matches case insensitively', () => {
-        expect(exactMatch('Hello World', 'hello world')).toBe(true);
-    });
-
-    test('handles query spanning newlines', () => {
-        expect(exactMatch('hello\nworld', 'hello world')).toBe(true);
-    });
-
-    test('does not match with typos', () => {
-        expect(exactMatch('hello world', 'helo world')).toBe(false);
-    });
-});
-
-describe('parseSearchQuery', () => {
-    test('parses quoted string as exact search', () => {
-        expect(parseSearchQuery('"hello world"')).toEqual({
-            type: 'exact',
-            term: 'hello world'
-        });
-    });
-
-    test('parses unquoted string as fuzzy search', () => {
-        expect(parseSearchQuery('hello world')).toEqual({
-            type: 'fuzzy',
-            term: 'hello world'
-        });
-    });
-
-    test('handles partial quotes as fuzzy', () => {
-        expect(parseSearchQuery('"hello')).toEqual({
-            type: 'fuzzy',
-            term: '"hello'
-        });
-    });
-
-    test('handles empty quotes', () => {
-        expect(parseSearchQuery('""')).toEqual({
-            type: 'fuzzy',
-            term: '""'
-        });
-    });
-});
-
 describe('librarySortKey', () => {
     test('removes leading "The"', () => {
         expect(librarySortKey('The Beatles')).toBe('beatles');
@@ -319,6 +184,112 @@ describe('rate limiting', () => {
     });
 });
 
+describe('sessions', () => {
+    const dataFile = '/tmp/sessions-test.json';
+    const user = { username: 'admin', role: 'owner' };
+
+    test('verifies a freshly created token', () => {
+        const token = createSession(dataFile, user);
+        const session = verifySession(token, dataFile);
+        expect(session).not.toBeNull();
+        expect(session.dataFile).toBe(dataFile);
+        expect(session.username).toBe('admin');
+        expect(session.role).toBe('owner');
+    });
+
+    test('rejects malformed tokens', () => {
+        expect(verifySession(undefined, dataFile)).toBeNull();
+        expect(verifySession('admin-token-123', dataFile)).toBeNull();
+        expect(verifySession('a.b.c', dataFile)).toBeNull();
+    });
+
+    test('rejects a token for a different data file', () => {
+        const token = createSession(dataFile, user);
+        expect(verifySession(token, '/tmp/other.json')).toBeNull();
+    });
+
+    test('rejects a revoked token', () => {
+        const token = createSession(dataFile, user);
+        revokeSession(token.split('.')[0]);
+        expect(verifySession(token, dataFile)).toBeNull();
+    });
+
+    test('getRequestToken reads a bearer token', () => {
+        const req = { get: () => 'Bearer abc.123.def' };
+        expect(getRequestToken(req)).toBe('abc.123.def');
+    });
+
+    test('getRequestToken returns null without a bearer token', () => {
+        expect(getRequestToken({ get: () => undefined })).toBeNull();
+        expect(getRequestToken({ get: () => 'Basic xyz' })).toBeNull();
+    });
+});
+
+describe('hasPermission', () => {
+    test('owners can manage users', () => {
+        expect(hasPermission('owner', 'users:manage')).toBe(true);
+    });
+
+    test('editors can delete songs but not manage users', () => {
+        expect(hasPermission('editor', 'songs:delete')).toBe(true);
+        expect(hasPermission('editor', 'users:manage')).toBe(false);
+    });
+
+    test('list curators can only write lists', () => {
+        expect(hasPermission('list-curator', 'lists:write')).toBe(true);
+        expect(hasPermission('list-curator', 'songs:write')).toBe(false);
+        expect(hasPermission('list-curator', 'songs:delete')).toBe(false);
+    });
+
+    test('unknown roles have no permissions', () => {
+        expect(hasPermission('guest', 'lists:write')).toBe(false);
+    });
+});
+
+describe('normalizeUsername', () => {
+    test('lowercases and trims', () => {
+        expect(normalizeUsername('  Alice ')).toBe('alice');
+    });
+
+    test('allows dots, dashes and underscores', () => {
+        expect(normalizeUsername('mary-jane.o_neil')).toBe('mary-jane.o_neil');
+    });
+
+    test('rejects invalid usernames', () => {
+        expect(normalizeUsername('a')).toBeNull();
+        expect(normalizeUsername('has space')).toBeNull();
+        expect(normalizeUsername(undefined)).toBeNull();
+    });
+});
+
+describe('ensureUsers', () => {
+    test('migrates legacy admin password to an owner account', () => {
+        const data = { admin: { password: 'hash', salt: 'salt' } };
+        ensureUsers(data);
+        expect(data.admin).toBeUndefined();
+        expect(data.users).toEqual([{ username: 'admin', role: 'owner', password: 'hash', salt: 'salt' }]);
+    });
+
+    test('does not overwrite existing users', () => {
+        const users = [{ username: 'alice', role: 'owner' }];
+        const data = { users };
+        ensureUsers(data);
+        expect(data.users).toBe(users);
+    });
+
+    test('migrates the legacy admin when the users list is empty', () => {
+        // As read back from SQLite, which always has a users table
+        const data = { admin: { password: 'hash', salt: 'salt' }, users: [] };
+        ensureUsers(data);
+        expect(data.admin).toBeUndefined();
+        expect(data.users).toEqual([{ username: 'admin', role: 'owner', password: 'hash', salt: 'salt' }]);
+    });
+
+    test('creates an empty users array when there is no admin', () => {
+        expect(ensureUsers({}).users).toEqual([]);
+    });
+});
+
 describe('ensureStats', () => {
     test('adds stats structure to data without stats', () => {
         const data = {
@@ -0,0 +1,56 @@
+const { addDays, daysBetween, parseRange, viewsByDay, viewsInRange, trending } = require('../lib/view-stats');
+
+describe('View statistics', () => {
+    const stats = {
+        songViews: { a: 9, b: 4 },
+        daily: {
+            '2026-10-01': { songViews: { a: 2 } },
+            '2026-10-08': { songViews: { a: 1, b: 1 }, listViews: { l: 3 } },
+            '2026-10-15': { songViews: { b: 3, c: 1 } },
+            '2026-10-19': { songViews: { a: 1 } }
+        }
+    };
+
+    test('counts days across months and years', () => {
+        expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+        expect(addDays('2027-01-01', -1)).toBe('2026-12-31');
+        expect(daysBetween('2026-02-27', '2026-03-01')).toEqual(['2026-02-27', '2026-02-28', '2026-03-01']);
+    });
+
+    test('parses date ranges', () => {
+        expect(parseRange({}, '2026-10-19')).toEqual({ from: '2026-09-20', to: '2026-10-19', error: null });
+        expect(parseRange({ from: '2026-10-01', to: '2026-10-07' })).toEqual({ from: '2026-10-01', to: '2026-10-07', error: null });
+        expect(parseRange({ to: '2026-10-07' }).from).toBe('2026-09-08');
+        expect(parseRange({ from: '2026-02-30' }).error).toContain('Dates must be');
+        expect(parseRange({ from: 'last week' }).error).toContain('Dates must be');
+        expect(parseRange({ from: '2026-10-08', to: '2026-10-07' }).error).toContain('start before it ends');
+        expect(parseRange({ from: '2025-10-19', to: '2026-10-19' }).error).toBeNull();
+        expect(parseRange({ from: '2025-10-18', to: '2026-10-19' }).error).toContain('at most 366 days');
+    });
+
+    test('lists views for every day in a range', () => {
+        expect(viewsByDay(stats, 'songViews', '2026-10-07', '2026-10-09')).toEqual([
+            { date: '2026-10-07', views: 0 },
+            { date: '2026-10-08', views: 2 },
+            { date: '2026-10-09', views: 0 }
+        ]);
+        expect(viewsByDay(stats, 'songViews', '2026-10-15', '2026-10-15', 'c')).toEqual([{ date: '2026-10-15', views: 1 }]);
+        expect(viewsByDay(stats, 'listViews', '2026-10-08', '2026-10-08')).toEqual([{ date: '2026-10-08', views: 3 }]);
+        expect(viewsByDay({}, 'songViews', '2026-10-08', '2026-10-08')).toEqual([{ date: '2026-10-08', views: 0 }]);
+    });
+
+    test('adds up views in a range', () => {
+        expect(viewsInRange(stats, 'songViews', '2026-10-01', '2026-10-08')).toEqual(new Map([['a', 3], ['b', 1]]));
+        expect(viewsInRange(stats, 'listViews', '2026-10-09', '2026-10-19').size).toBe(0);
+    });
+
+    test('finds songs viewed more this week than last', () => {
+        const result = trending(stats, 'songViews', '2026-10-19');
+        expect(result.thisWeek).toEqual({ from: '2026-10-13', to: '2026-10-19' });
+        expect(result.lastWeek).toEqual({ from: '2026-10-06', to: '2026-10-12' });
+        expect(result.items).toEqual([
+            { id: 'b', thisWeek: 3, lastWeek: 1, change: 2 },
+            { id: 'c', thisWeek: 1, lastWeek: 0, change: 1 }
+        ]);
+    });
+});
@@ -6,6 +6,8 @@
  */
 const fs = require('fs');
 const path = require('path');
+const { validateSynonyms } = require('../lib/text-folding');
+const { DEFAULT_LAYOUT, LAYOUTS, isLayout } = require('../lib/print-layouts');
 
 // Default configuration values
 const defaults = {
@@ -14,6 +16,24 @@ const defaults = {
     tagline: 'Welcome',
     basePath: '',
     dataFile: 'data/data.json',
+    storage: 'json',
+    backups: {
+        enabled: true,
+        keep: 50,          // Number of snapshots to keep
+        maxAgeDays: 90     // Drop snapshots older than this (newest is always kept)
+    },
+    trash: {
+        retentionDays: 30  // Deleted songs and lists are purged after this
+    },
+    search: {
+        // Groups of words that should find each other, e.g. ["o'er", 'over']
+        synonyms: []
+    },
+    print: {
+        // Layout offered first when printing and for songbooks: standard,
+        // large, compact, song-per-page or booklet
+        layout: DEFAULT_LAYOUT
+    },
     favicon: null,
     theme: {
         light: {
@@ -38,6 +58,7 @@ const defaults = {
         statistics: true,
         admin: true,
         search: true,
+        filters: true,
         print: true,
         download: true
     },
@@ -58,6 +79,10 @@ const defaults = {
         copy: 'Copy',
         shareLink: 'Share Link',
         printAll: 'Print All',
+        songbook: 'Songbook PDF',
+        browseFreely: 'Browse freely',
+        requestSong: 'Request a song',
+        present: 'Present',
         downloadAll: 'Download All'
     }
 };
@@ -96,6 +121,14 @@ function loadSiteConfigs() {
             const config = require(path.join(sitesDir, file));
             const mergedConfig = deepMerge(defaults, config);
 
+            const synonymsError = validateSynonyms(mergedConfig.search.synonyms);
+            if (synonymsError) {
+                throw new Error(synonymsError);
+            }
+            if (!isLayout(mergedConfig.print.layout)) {
+                throw new Error(`print.layout must be one of: ${Object.keys(LAYOUTS).join(', ')}`);
+            }
+
             // Normalize basePath (ensure no trailing slash, but keep leading slash if present)
             if (mergedConfig.basePath && mergedConfig.basePath !== '/') {
                 mergedConfig.basePath = mergedConfig.basePath.replace(/\/$/, '');
@@ -15,6 +15,9 @@ module.exports = {
     // Data file location (relative to project root)
     dataFile: 'data/community_support-data.json',
 
+    // Storage backend: 'json' or 'sqlite' (see docs/MULTI_SITE_SETUP.md)
+    storage: 'json',
+
     // Favicon path (relative to public directory, or null for none)
     favicon: null,
 
@@ -66,6 +69,10 @@ module.exports = {
         copy: 'Copy',
         shareLink: 'Share Link',
         printAll: 'Print All',
+        songbook: 'Songbook PDF',
+        browseFreely: 'Browse freely',
+        requestSong: 'Request a song',
+        present: 'Present',
         downloadAll: 'Download All'
     }
 };
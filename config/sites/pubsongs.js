@@ -15,6 +15,28 @@ module.exports = {
     // Data file location (relative to project root)
     dataFile: 'data/data.json',
 
+    // Storage backend: 'json' or 'sqlite' (see docs/MULTI_SITE_SETUP.md)
+    storage: 'json',
+
+    // Search: variant spellings and synonyms that should find each other.
+    // Case, accents and apostrophes are already ignored.
+    search: {
+        synonyms: [
+            ["o'er", 'over'],
+            ["e'er", 'ever'],
+            ["ne'er", 'never'],
+            ["fo'c'sle", 'forecastle'],
+            ["bo'sun", 'boatswain'],
+            ['whisky', 'whiskey']
+        ]
+    },
+
+    // Printing: the layout offered first for printouts and songbooks
+    // (standard, large, compact, song-per-page or booklet)
+    print: {
+        layout: 'standard'
+    },
+
     // Favicon path (relative to public directory, or null for none)
     favicon: null,
 
@@ -67,6 +89,10 @@ module.exports = {
         copy: 'Copy',
         shareLink: 'Share Link',
         printAll: 'Print All',
+        songbook: 'Songbook PDF',
+        browseFreely: 'Browse freely',
+        requestSong: 'Request a song',
+        present: 'Present',
         downloadAll: 'Download All'
     }
 };
@@ -8,6 +8,8 @@ module.exports = {
     collectCoverageFrom: [
         'server.js',
         'config/site-loader.js',
+        'storage/**/*.js',
+        'lib/**/*.js',
         '!node_modules/**',
         '!coverage/**'
     ],
@@ -0,0 +1,377 @@
+/**
+ * Site Archives
+ *
+ * A portable, versioned copy of a site for moving it between servers:
+ *
+ *   {
+ *     format: 'songbook-archive',
+ *     version: 1,
+ *     exportedAt,
+ *     site: { ...site config },
+ *     data: { songs, lists, stats, revisions },
+ *     attachments: [{ path, encoding: 'base64', content }]
+ *   }
+ *
+ * User accounts (and so password hashes) and the trash are never exported.
+ * Attachments are the site's files under public/, such as its favicon.
+ *
+ * Importing either replaces the site's songs, lists, stats and revisions,
+ * or merges the archive into them. When merging, an archived song or list
+ * whose id is already taken is skipped, overwrites the existing one, or
+ * (by default) is imported under a new id.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseMetadata, applyMetadata } = require('./song-metadata');
+const { parseSetlist, applySetlist, pruneSetlist, validateSung } = require('./setlists');
+const { isDay } = require('./view-stats');
+
+const ARCHIVE_FORMAT = 'songbook-archive';
+const ARCHIVE_VERSION = 1;
+
+const IMPORT_MODES = ['merge', 'replace'];
+const CONFLICT_STRATEGIES = ['rename', 'skip', 'overwrite'];
+
+// Site config keys that only make sense on the server the site came from
+const LOCAL_CONFIG_KEYS = ['dataFile', 'storage', 'backups'];
+
+// Site config keys that name files under public/
+const ATTACHMENT_CONFIG_KEYS = ['favicon'];
+
+// Kinds of file an attachment may be. public/ is shared by every site, so
+// nothing a browser would run (scripts, pages, SVG) is ever written there.
+const ATTACHMENT_EXTENSIONS = ['.ico', '.png', '.gif', '.jpg', '.jpeg', '.webp'];
+
+// Song and list ids as the server makes them. Ids end up in the admin
+// panel's markup, so nothing else is let in.
+const ID_PATTERN = /^[a-z0-9]{1,64}$/i;
+
+function isId(value) {
+    return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptionalText(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function generateArchiveId() {
+    return Date.now().toString(36) + crypto.randomBytes(6).toString('hex');
+}
+
+// Resolve a public URL path to a file inside publicDir, or null if it
+// points anywhere else
+function resolvePublicFile(publicDir, urlPath) {
+    if (typeof urlPath !== 'string' || !urlPath) return null;
+    const root = path.resolve(publicDir);
+    const file = path.resolve(root, urlPath.replace(/^\/+/, ''));
+    return file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * Read the files a site config refers to (e.g. its favicon)
+ */
+function collectAttachments(site, publicDir) {
+    const attachments = [];
+    for (const key of ATTACHMENT_CONFIG_KEYS) {
+        const file = resolvePublicFile(publicDir, site && site[key]);
+        if (file && fs.existsSync(file)) {
+            attachments.push({
+                path: site[key],
+                encoding: 'base64',
+                content: fs.readFileSync(file).toString('base64')
+            });
+        }
+    }
+    return attachments;
+}
+
+/**
+ * Build an archive of a site's data
+ */
+function createArchive(data, site = {}, { attachments = [], now = new Date() } = {}) {
+    const config = { ...site };
+    for (const key of LOCAL_CONFIG_KEYS) {
+        delete config[key];
+    }
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: now.toISOString(),
+        site: config,
+        data: {
+            songs: data.songs || [],
+            lists: data.lists || [],
+            stats: data.stats || {},
+            revisions: data.revisions || {}
+        },
+        attachments
+    };
+}
+
+/**
+ * Check an uploaded archive. Returns an error message, or null if it can
+ * be imported.
+ */
+function validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+        return 'Not a site archive';
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        return `Unsupported archive version ${archive.version} (this server reads up to version ${ARCHIVE_VERSION})`;
+    }
+    const data = archive.data;
+    if (!data || !Array.isArray(data.songs) || !Array.isArray(data.lists)) {
+        return 'Archive has no songs or lists';
+    }
+    if (data.songs.some(s => !s || !isId(s.id) || !isText(s.title) || typeof s.lyrics !== 'string' || !isOptionalText(s.url)) ||
+        data.lists.some(l => !l || !isId(l.id) || !isText(l.name) || !Array.isArray(l.songIds) || !l.songIds.every(isId))) {
+        return 'Archive contains malformed songs or lists';
+    }
+    for (const song of data.songs) {
+        const error = parseMetadata(song).error;
+        if (error) return `Song "${song.title}": ${error}`;
+    }
+    for (const list of data.lists) {
+        const error = parseSetlist(list).error || sungError(list.sung);
+        if (error) return `List "${list.name}": ${error}`;
+    }
+    return statsError(data.stats) || revisionsError(data.revisions);
+}
+
+// View counts, lifetime and per day (see lib/view-stats.js)
+function isCounts(counts) {
+    return counts === undefined || (isObject(counts) && Object.values(counts).every(n => Number.isInteger(n) && n >= 0));
+}
+
+function statsError(stats) {
+    if (stats === undefined) return null;
+    const valid = isObject(stats) && isCounts(stats.songViews) && isCounts(stats.listViews) &&
+        (stats.daily === undefined || (isObject(stats.daily) && Object.entries(stats.daily).every(([day, counts]) =>
+            isDay(day) && isObject(counts) && isCounts(counts.songViews) && isCounts(counts.listViews))));
+    return valid ? null : 'Archive contains malformed view counts';
+}
+
+// Revisions are shown in the admin panel and can be reverted to, so their
+// content is checked like a song's (see lib/revisions.js)
+function isRevision(revision) {
+    return isObject(revision) &&
+        Number.isInteger(revision.number) && revision.number > 0 &&
+        typeof revision.createdAt === 'string' &&
+        isOptionalText(revision.author) &&
+        Array.isArray(revision.changes) && revision.changes.every(field => typeof field === 'string') &&
+        (revision.revertedFrom === undefined || Number.isInteger(revision.revertedFrom)) &&
+        (revision.restoredFrom === undefined || typeof revision.restoredFrom === 'string') &&
+        ['title', 'lyrics', 'url'].every(field => isOptionalText(revision[field]));
+}
+
+function revisionsError(revisions) {
+    if (revisions === undefined) return null;
+    if (!isObject(revisions) || !Object.entries(revisions).every(([id, history]) => isId(id) && Array.isArray(history) && history.every(isRevision))) {
+        return 'Archive contains malformed revisions';
+    }
+    for (const history of Object.values(revisions)) {
+        for (const revision of history) {
+            const error = parseMetadata(revision).error;
+            if (error) return `Revision ${revision.number}: ${error}`;
+        }
+    }
+    return null;
+}
+
+// Check a list's record of the songs sung. They may include songs that
+// were deleted before the export, so only their ids are checked here.
+function sungError(sung) {
+    if (sung === undefined) return null;
+    if (!sung || typeof sung.recordedAt !== 'string' || (sung.recordedBy !== undefined && typeof sung.recordedBy !== 'string')) {
+        return 'Songs sung are malformed';
+    }
+    const songIds = Array.isArray(sung.songIds) ? sung.songIds : null;
+    return validateSung(songIds, new Set((songIds || []).filter(isId)));
+}
+
+// An archived song with its metadata normalized like a song sent to the
+// API (see lib/song-metadata.js)
+function cleanSong(song) {
+    return applyMetadata({ ...song, title: song.title.trim() }, parseMetadata(song).values);
+}
+
+// An archived list with its setlist fields normalized like ones sent to
+// the API (see lib/setlists.js), keeping only the songs sung that exist
+function cleanList(list, songExists) {
+    const cleaned = { ...list, name: list.name.trim() };
+    applySetlist(cleaned, parseSetlist(list).values);
+    if (cleaned.sung) {
+        cleaned.sung = { ...cleaned.sung, songIds: cleaned.sung.songIds.filter(songExists) };
+        if (cleaned.sung.songIds.length === 0) delete cleaned.sung;
+    }
+    return cleaned;
+}
+
+function emptyReport() {
+    return { added: [], overwritten: [], renamed: [], skipped: [] };
+}
+
+// Merge one collection, returning a map of archived id -> id used here
+// (missing for skipped items)
+function mergeCollection(existing, incoming, conflicts, report, label) {
+    const ids = new Map();
+    const taken = new Set(existing.map(item => item.id));
+
+    for (const item of incoming) {
+        const describe = { id: item.id, [label]: item[label] };
+
+        if (!taken.has(item.id)) {
+            existing.push(item);
+            taken.add(item.id);
+            ids.set(item.id, item.id);
+            report.added.push(describe);
+        } else if (conflicts === 'skip') {
+            report.skipped.push(describe);
+        } else if (conflicts === 'overwrite') {
+            existing[existing.findIndex(e => e.id === item.id)] = item;
+            ids.set(item.id, item.id);
+            report.overwritten.push(describe);
+        } else {
+            let newId = generateArchiveId();
+            while (taken.has(newId)) newId = generateArchiveId();
+            existing.push({ ...item, id: newId });
+            taken.add(newId);
+            ids.set(item.id, newId);
+            report.renamed.push({ ...describe, newId });
+        }
+    }
+    return ids;
+}
+
+function mergeViews(target, source, ids) {
+    for (const [id, count] of Object.entries(source || {})) {
+        const newId = ids.get(id);
+        if (newId) {
+            target[newId] = (target[newId] || 0) + count;
+        }
+    }
+}
+
+/**
+ * Apply an archive to a site's data (in place) and report what changed.
+ * User accounts are never touched.
+ */
+function applyArchive(data, archive, { mode = 'merge', conflicts = 'rename' } = {}) {
+    const incoming = structuredClone(archive.data);
+    incoming.songs = incoming.songs.map(cleanSong);
+    const report = { mode, conflicts, songs: emptyReport(), lists: emptyReport() };
+
+    if (mode === 'replace') {
+        report.songs.removed = (data.songs || []).map(s => ({ id: s.id, title: s.title }));
+        report.lists.removed = (data.lists || []).map(l => ({ id: l.id, name: l.name }));
+        const archivedSongIds = new Set(incoming.songs.map(s => s.id));
+        data.songs = incoming.songs;
+        data.lists = incoming.lists.map(list => cleanList(list, id => archivedSongIds.has(id)));
+        data.stats = incoming.stats || { songViews: {}, listViews: {} };
+        data.revisions = incoming.revisions || {};
+        data.trash = [];
+        report.songs.added = incoming.songs.map(s => ({ id: s.id, title: s.title }));
+        report.lists.added = data.lists.map(l => ({ id: l.id, name: l.name }));
+        return report;
+    }
+
+    if (!data.songs) data.songs = [];
+    if (!data.lists) data.lists = [];
+
+    const songIds = mergeCollection(data.songs, incoming.songs, conflicts, report.songs, 'title');
+
+    // Imported lists point at the imported songs' ids here; songs that
+    // were skipped keep pointing at the existing song with that id
+    const knownSongIds = new Set(data.songs.map(s => s.id));
+    const songId = id => songIds.get(id) || id;
+    const lists = incoming.lists.map(archived => {
+        const list = cleanList(archived, id => knownSongIds.has(songId(id)));
+        const merged = {
+            ...list,
+            songIds: list.songIds
+                .map(songId)
+                .filter(id => knownSongIds.has(id))
+        };
+        // Setlist details point at songs too (see lib/setlists.js)
+        if (list.segments) merged.segments = list.segments.map(segment => ({ ...segment, startsAt: songId(segment.startsAt) }));
+        if (list.leaders) merged.leaders = Object.fromEntries(Object.entries(list.leaders).map(([id, name]) => [songId(id), name]));
+        if (list.sung) merged.sung = { ...list.sung, songIds: list.sung.songIds.map(songId) };
+        pruneSetlist(merged);
+        return merged;
+    });
+    const listIds = mergeCollection(data.lists, lists, conflicts, report.lists, 'name');
+
+    const stats = incoming.stats || {};
+    if (!data.stats) data.stats = {};
+    if (!data.stats.songViews) data.stats.songViews = {};
+    if (!data.stats.listViews) data.stats.listViews = {};
+    mergeViews(data.stats.songViews, stats.songViews, songIds);
+    mergeViews(data.stats.listViews, stats.listViews, listIds);
+
+    // Per-day counts (see lib/view-stats.js)
+    for (const [day, counts] of Object.entries(stats.daily || {})) {
+        if (!data.stats.daily) data.stats.daily = {};
+        if (!data.stats.daily[day]) data.stats.daily[day] = {};
+        for (const [kind, ids] of [['songViews', songIds], ['listViews', listIds]]) {
+            if (!counts[kind]) continue;
+            if (!data.stats.daily[day][kind]) data.stats.daily[day][kind] = {};
+            mergeViews(data.stats.daily[day][kind], counts[kind], ids);
+        }
+    }
+
+    if (!data.revisions) data.revisions = {};
+    for (const [id, history] of Object.entries(incoming.revisions || {})) {
+        const newId = songIds.get(id);
+        if (newId) {
+            data.revisions[newId] = history;
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Write an archive's attachments under publicDir. Only the files the
+ * archived site config names (its favicon) are written, and existing files
+ * are never overwritten. Returns the paths written and skipped.
+ */
+function writeAttachments(archive, publicDir, { dryRun = false } = {}) {
+    const site = archive.site || {};
+    const named = new Set(ATTACHMENT_CONFIG_KEYS.map(key => site[key]).filter(value => typeof value === 'string'));
+    const result = { added: [], skipped: [] };
+    for (const attachment of archive.attachments || []) {
+        const file = named.has(attachment.path) ? resolvePublicFile(publicDir, attachment.path) : null;
+        if (!file || !ATTACHMENT_EXTENSIONS.includes(path.extname(file).toLowerCase()) || attachment.encoding !== 'base64' || typeof attachment.content !== 'string' || fs.existsSync(file)) {
+            result.skipped.push(attachment.path);
+            continue;
+        }
+        if (!dryRun) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, Buffer.from(attachment.content, 'base64'));
+        }
+        result.added.push(attachment.path);
+    }
+    return result;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    IMPORT_MODES,
+    CONFLICT_STRATEGIES,
+    collectAttachments,
+    createArchive,
+    validateArchive,
+    applyArchive,
+    writeAttachments
+};
@@ -0,0 +1,91 @@
+/**
+ * Charts
+ *
+ * Line charts drawn as inline SVG, so the stats in the admin panel need no
+ * outside chart service or library. Shared by the server and the browser
+ * (served as /js/charts.js, where it's window.Charts). Colours come from
+ * the stylesheet: each series' line and points get its className.
+ */
+(function (root, factory) {
+    const charts = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = charts;
+    } else {
+        root.Charts = charts;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Room around the plot for the axis labels
+    const PADDING = { top: 10, right: 12, bottom: 24, left: 40 };
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * The smallest round number (1, 2 or 5 times a power of ten) at least
+     * as big as a value, for the top of the y axis
+     */
+    function niceMax(value) {
+        if (value <= 1) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(s => s * power >= value);
+        return step * power;
+    }
+
+    // Two decimal places are plenty for SVG coordinates
+    function round(n) {
+        return Math.round(n * 100) / 100;
+    }
+
+    /**
+     * An SVG line chart. `labels` name the points along the x axis (dates,
+     * say) and each series is { name, values, className }, one value per
+     * label. Options: width and height (in SVG units; the chart scales to
+     * its container), title (for screen readers).
+     */
+    function lineChart(labels, series, { width = 640, height = 220, title = 'Chart' } = {}) {
+        const plotWidth = width - PADDING.left - PADDING.right;
+        const plotHeight = height - PADDING.top - PADDING.bottom;
+        const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+
+        const x = i => round(PADDING.left + (labels.length > 1 ? (i / (labels.length - 1)) * plotWidth : plotWidth / 2));
+        const y = value => round(PADDING.top + plotHeight - (value / max) * plotHeight);
+
+        const parts = [];
+
+        // Gridlines and y axis labels: zero, the top and halfway if it's a whole number
+        const ticks = max % 2 === 0 ? [0, max / 2, max] : [0, max];
+        for (const tick of ticks) {
+            parts.push(`<line class="chart-grid" x1="${PADDING.left}" y1="${y(tick)}" x2="${width - PADDING.right}" y2="${y(tick)}"/>`);
+            parts.push(`<text class="chart-axis" x="${PADDING.left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`);
+        }
+
+        // X axis labels: first, middle and last
+        const shown = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])].filter(i => i >= 0);
+        for (const i of shown) {
+            let anchor = 'middle';
+            if (labels.length > 1 && i === 0) anchor = 'start';
+            if (labels.length > 1 && i === labels.length - 1) anchor = 'end';
+            parts.push(`<text class="chart-axis" x="${x(i)}" y="${height - 6}" text-anchor="${anchor}">${escapeXml(labels[i])}</text>`);
+        }
+
+        for (const { name, values, className = '' } of series) {
+            const points = values.map((value, i) => `${x(i)},${y(value)}`).join(' ');
+            parts.push(`<polyline class="chart-line ${escapeXml(className)}" points="${points}"/>`);
+            values.forEach((value, i) => {
+                parts.push(`<circle class="chart-point ${escapeXml(className)}" cx="${x(i)}" cy="${y(value)}" r="2.5"><title>${escapeXml(`${name}, ${labels[i]}: ${value}`)}</title></circle>`);
+            });
+        }
+
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">${parts.join('')}</svg>`;
+    }
+
+    return {
+        niceMax,
+        lineChart
+    };
+});
@@ -0,0 +1,97 @@
+/**
+ * Chords
+ *
+ * Lyrics can carry ChordPro-style chords in square brackets, just before
+ * the syllable they're played on:
+ *
+ *   [G]Oh the [C]wild ro[G]ver, [D7]no [G]more
+ *
+ * Only bracketed text that reads as a chord (G, F#m, Bbmaj7, Dsus4, G/B,
+ * ...) counts, so section markers like [Bridge] are left alone. Shared by
+ * the server and the browser (served as /js/chords.js, where it's
+ * window.Chords).
+ */
+(function (root, factory) {
+    const chords = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = chords;
+    } else {
+        root.Chords = chords;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+    // Keys written with flats; every other key uses sharps
+    const FLAT_KEYS = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Dm', 'Gm', 'Cm', 'Fm', 'Bbm', 'Ebm'];
+
+    const NOTE = '[A-G][#b]?';
+    const QUALITY = '(?:maj|min|m|M|dim|aug|sus|add|\\+|°|ø|\\d|[#b](?=\\d))*';
+    const CHORD = `${NOTE}${QUALITY}(?:/${NOTE})?`;
+
+    const CHORD_NAME_PATTERN = new RegExp(`^(${NOTE})(${QUALITY})(?:/(${NOTE}))?$`);
+    const CHORD_PATTERN = new RegExp(`\\[(${CHORD})\\]`, 'g');
+
+    function noteIndex(note) {
+        const index = SHARP_NOTES.indexOf(note);
+        return index !== -1 ? index : FLAT_NOTES.indexOf(note);
+    }
+
+    function transposeNote(note, semitones, flats) {
+        const index = noteIndex(note);
+        if (index === -1) return note;
+        const names = flats === undefined ? (note.includes('b') ? FLAT_NOTES : SHARP_NOTES) : (flats ? FLAT_NOTES : SHARP_NOTES);
+        return names[(((index + semitones) % 12) + 12) % 12];
+    }
+
+    /**
+     * A chord name moved by a number of semitones. `flats` picks how
+     * accidentals are written; left out, each chord keeps its own style.
+     * Anything that isn't a chord comes back unchanged.
+     */
+    function transposeChord(chord, semitones, { flats } = {}) {
+        const match = String(chord).match(CHORD_NAME_PATTERN);
+        if (!match || !semitones) return chord;
+        const bass = match[3] ? `/${transposeNote(match[3], semitones, flats)}` : '';
+        return transposeNote(match[1], semitones, flats) + match[2] + bass;
+    }
+
+    /**
+     * A key (G, F#, Bbm, ...) moved by a number of semitones, spelled the
+     * way that key usually is
+     */
+    function transposeKey(key, semitones) {
+        if (!key || !semitones) return key;
+        const sharp = transposeChord(key, semitones, { flats: false });
+        const flat = transposeChord(key, semitones, { flats: true });
+        return FLAT_KEYS.includes(flat) ? flat : sharp;
+    }
+
+    // Whether chords in a key are written with flats
+    function prefersFlats(key) {
+        return FLAT_KEYS.includes(key);
+    }
+
+    /**
+     * Whether lyrics have any chords
+     */
+    function hasChords(text) {
+        return new RegExp(CHORD_PATTERN.source).test(String(text || ''));
+    }
+
+    /**
+     * Lyrics with the chords taken out
+     */
+    function stripChords(text) {
+        return String(text || '').replace(CHORD_PATTERN, '');
+    }
+
+    return {
+        CHORD_PATTERN,
+        transposeChord,
+        transposeKey,
+        prefersFlats,
+        hasChords,
+        stripChords
+    };
+});
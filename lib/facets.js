@@ -0,0 +1,171 @@
+/**
+ * Catalog Facets
+ *
+ * Filters for browsing songs by their metadata, and how many songs each
+ * filter value would match. Filters come from the query string:
+ *
+ *   tag       One or more tags (repeated or comma-separated); a song must
+ *             have all of them
+ *   language  Language code, e.g. en or de-CH
+ *   origin    traditional or modern
+ *   url       with or without an external link
+ *   added     week, month or year: songs created within that period
+ *
+ * Counts for a facet are computed with every other filter applied, so the
+ * numbers show what choosing a different value would give. Tag counts
+ * include the selected tags, since choosing another tag narrows further.
+ */
+
+const ORIGINS = ['traditional', 'modern'];
+const URL_FILTERS = ['with', 'without'];
+
+// Period -> days
+const ADDED_PERIODS = { week: 7, month: 30, year: 365 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function listParam(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .filter(v => typeof v === 'string')
+        .flatMap(v => v.split(','))
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function singleParam(value) {
+    const [first] = listParam(value);
+    return first || null;
+}
+
+/**
+ * Read facet filters from a query object. Returns { filters, error }.
+ */
+function parseFacetFilters(query = {}) {
+    const filters = {
+        tags: [...new Set(listParam(query.tag))],
+        language: singleParam(query.language),
+        origin: singleParam(query.origin),
+        url: singleParam(query.url),
+        added: singleParam(query.added)
+    };
+
+    if (filters.origin && !ORIGINS.includes(filters.origin)) {
+        return { filters: null, error: `origin must be one of: ${ORIGINS.join(', ')}` };
+    }
+    if (filters.url && !URL_FILTERS.includes(filters.url)) {
+        return { filters: null, error: `url must be one of: ${URL_FILTERS.join(', ')}` };
+    }
+    if (filters.added && !ADDED_PERIODS[filters.added]) {
+        return { filters: null, error: `added must be one of: ${Object.keys(ADDED_PERIODS).join(', ')}` };
+    }
+    return { filters, error: null };
+}
+
+function songLanguage(song) {
+    return song.language ? song.language.toLowerCase() : null;
+}
+
+function songOrigin(song) {
+    return song.traditional ? 'traditional' : 'modern';
+}
+
+function songUrl(song) {
+    return song.url ? 'with' : 'without';
+}
+
+function addedWithin(song, period, now) {
+    const created = Date.parse(song.createdAt);
+    return !Number.isNaN(created) && created >= now.getTime() - ADDED_PERIODS[period] * DAY;
+}
+
+// Each facet's test for one song, skipped when the filter isn't set
+const MATCHERS = {
+    tags: (song, tags) => tags.every(tag => (song.tags || []).includes(tag)),
+    language: (song, language) => songLanguage(song) === language,
+    origin: (song, origin) => songOrigin(song) === origin,
+    url: (song, url) => songUrl(song) === url,
+    added: (song, period, now) => addedWithin(song, period, now)
+};
+
+function isSet(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function matchesFilters(song, filters, now, except = null) {
+    return Object.entries(MATCHERS).every(([facet, matches]) =>
+        facet === except || !isSet(filters[facet]) || matches(song, filters[facet], now)
+    );
+}
+
+/**
+ * Songs matching every filter
+ */
+function filterSongs(songs, filters, now = new Date()) {
+    return songs.filter(song => matchesFilters(song, filters, now));
+}
+
+function countBy(songs, valuesOf) {
+    const counts = new Map();
+    for (const song of songs) {
+        for (const value of valuesOf(song)) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+// Most common first, then alphabetically
+function rankedCounts(counts) {
+    return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Counts in a fixed order, including values no song has
+function fixedCounts(values, counts) {
+    return values.map(value => ({ value, count: counts.get(value) || 0 }));
+}
+
+/**
+ * Filter counts for the given songs and filters:
+ *   { total, facets: { tag, language, origin, url, added } }
+ * where each facet is a list of { value, count }.
+ */
+function facetCounts(songs, filters, now = new Date()) {
+    const without = facet => songs.filter(song => matchesFilters(song, filters, now, facet));
+    const matching = filterSongs(songs, filters, now);
+
+    const tagCounts = countBy(matching, song => song.tags || []);
+    for (const tag of filters.tags) {
+        if (!tagCounts.has(tag)) tagCounts.set(tag, 0);
+    }
+
+    const languageCounts = countBy(without('language'), song => (songLanguage(song) ? [songLanguage(song)] : []));
+    if (filters.language && !languageCounts.has(filters.language)) {
+        languageCounts.set(filters.language, 0);
+    }
+
+    const periods = Object.keys(ADDED_PERIODS);
+    const addedCounts = countBy(without('added'), song => periods.filter(period => addedWithin(song, period, now)));
+
+    return {
+        total: matching.length,
+        facets: {
+            tag: rankedCounts(tagCounts),
+            language: rankedCounts(languageCounts),
+            origin: fixedCounts(ORIGINS, countBy(without('origin'), song => [songOrigin(song)])),
+            url: fixedCounts(URL_FILTERS, countBy(without('url'), song => [songUrl(song)])),
+            added: fixedCounts(periods, addedCounts)
+        }
+    };
+}
+
+module.exports = {
+    ORIGINS,
+    URL_FILTERS,
+    ADDED_PERIODS,
+    parseFacetFilters,
+    filterSongs,
+    facetCounts
+};
@@ -0,0 +1,247 @@
+/**
+ * Song Importers
+ *
+ * Turn uploaded files into songs ({ title, lyrics, url? }) for bulk import:
+ *
+ *   .txt         One song per file; the first non-blank line is the title
+ *   .cho / .pro  ChordPro; the title comes from {title:}, chords stay inline
+ *                (see lib/chords.js), and {key}, {capo}, {tempo}, {composer},
+ *                {lyricist} and {copyright} fill in song metadata
+ *   .csv         One song per row, with title, lyrics and (optional) url and
+ *                metadata columns (see lib/song-metadata.js)
+ *
+ * Metadata values are passed through as found; the import route validates
+ * them like any other song edit.
+ *
+ * Parsers throw an Error with a readable message for files they can't use.
+ */
+const path = require('path');
+const { METADATA_FIELD_NAMES } = require('./song-metadata');
+const { CHORD_PATTERN } = require('./chords');
+
+// One [chord] as songs store them
+const CHORD_TOKEN = new RegExp(`^${CHORD_PATTERN.source}$`);
+
+// ChordPro directives that map onto song metadata fields
+const CHORDPRO_METADATA = {
+    key: 'key',
+    capo: 'capo',
+    tempo: 'tempo',
+    composer: 'composer',
+    lyricist: 'writer',
+    artist: 'writer',
+    copyright: 'copyright'
+};
+
+const IMPORT_FORMATS = {
+    '.txt': 'text',
+    '.cho': 'chordpro',
+    '.chopro': 'chordpro',
+    '.pro': 'chordpro',
+    '.csv': 'csv'
+};
+
+function normalizeNewlines(content) {
+    return content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Trim blank lines from both ends and trailing spaces from every line
+function tidyLyrics(lines) {
+    const trimmed = lines.map(line => line.replace(/\s+$/, ''));
+    while (trimmed.length && !trimmed[0]) trimmed.shift();
+    while (trimmed.length && !trimmed[trimmed.length - 1]) trimmed.pop();
+    // Collapse runs of blank lines into one
+    return trimmed.filter((line, i) => line || trimmed[i - 1]).join('\n');
+}
+
+/**
+ * Plain text: first non-blank line is the title, the rest is the lyrics
+ */
+function parseTextFile(content) {
+    const lines = normalizeNewlines(content).split('\n');
+    const titleIndex = lines.findIndex(line => line.trim());
+    if (titleIndex === -1) {
+        throw new Error('File is empty');
+    }
+
+    const lyrics = tidyLyrics(lines.slice(titleIndex + 1));
+    if (!lyrics) {
+        throw new Error('No lyrics after the title line');
+    }
+    return [{ title: lines[titleIndex].trim(), lyrics }];
+}
+
+/**
+ * ChordPro: {title: ...} (or {t: ...}) gives the title, chords in [brackets]
+ * are kept where they are (other bracketed text, such as [*annotations],
+ * is removed), comments become italic lines and other directives are
+ * dropped. Several songs in one file are separated by {new_song}.
+ */
+function parseChordPro(content) {
+    const songs = [];
+    let title = null;
+    let lines = [];
+    let metadata = {};
+
+    function finishSong() {
+        const lyrics = tidyLyrics(lines);
+        if (title || lyrics) {
+            if (!title) throw new Error('Song has no {title} directive');
+            if (!lyrics) throw new Error(`"${title}" has no lyrics`);
+            songs.push({ title, lyrics, ...metadata });
+        }
+        title = null;
+        lines = [];
+        metadata = {};
+    }
+
+    for (const line of normalizeNewlines(content).split('\n')) {
+        if (line.trim().startsWith('#')) continue;
+
+        const directive = line.trim().match(/^\{([^:}]+)(?::\s*(.*?))?\s*\}$/);
+        if (directive) {
+            const name = directive[1].trim().toLowerCase();
+            const value = (directive[2] || '').trim();
+            if (name === 'title' || name === 't') {
+                title = value;
+            } else if (CHORDPRO_METADATA[name] && value) {
+                // {lyricist} wins over {artist} for the writer
+                const field = CHORDPRO_METADATA[name];
+                if (!(name === 'artist' && metadata[field])) metadata[field] = value;
+            } else if (name === 'new_song' || name === 'ns') {
+                finishSong();
+            } else if ((name === 'comment' || name === 'c' || name === 'comment_italic' || name === 'ci') && value) {
+                lines.push(`*${value}*`);
+            } else if (name === 'start_of_chorus' || name === 'soc' || name === 'end_of_chorus' || name === 'eoc') {
+                lines.push('');
+            }
+            continue;
+        }
+
+        lines.push(line.replace(/\[[^\]]*\]/g, token => CHORD_TOKEN.test(token) ? token : '').replace(/ {2,}/g, ' '));
+    }
+    finishSong();
+
+    if (songs.length === 0) {
+        throw new Error('No songs found');
+    }
+    return songs;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, newlines and doubled quotes)
+ */
+function parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = normalizeNewlines(content);
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * CSV: a header row naming title, lyrics and optionally url columns
+ */
+function parseCsv(content) {
+    const [header, ...rows] = parseCsvRows(content);
+    if (!header) {
+        throw new Error('File is empty');
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const titleColumn = columns.indexOf('title');
+    const lyricsColumn = columns.indexOf('lyrics');
+    const urlColumn = columns.indexOf('url');
+    if (titleColumn === -1 || lyricsColumn === -1) {
+        throw new Error('CSV needs a header row with "title" and "lyrics" columns');
+    }
+    const metadataColumns = METADATA_FIELD_NAMES
+        .map(field => [field, columns.indexOf(field.toLowerCase())])
+        .filter(([, column]) => column !== -1);
+
+    return rows.map((row, i) => {
+        const title = (row[titleColumn] || '').trim();
+        const lyrics = tidyLyrics(normalizeNewlines(row[lyricsColumn] || '').split('\n'));
+        const song = { title, lyrics };
+        if (urlColumn !== -1 && row[urlColumn] && row[urlColumn].trim()) {
+            song.url = row[urlColumn].trim();
+        }
+        for (const [field, column] of metadataColumns) {
+            const value = (row[column] || '').trim();
+            if (value) {
+                song[field] = field === 'traditional' ? /^(yes|y|true|1)$/i.test(value) : value;
+            }
+        }
+        if (!title || !lyrics) {
+            song.error = `Row ${i + 1} (after the header): title and lyrics are required`;
+        }
+        return song;
+    });
+}
+
+const PARSERS = {
+    text: parseTextFile,
+    chordpro: parseChordPro,
+    csv: parseCsv
+};
+
+/**
+ * Parse one uploaded file by its extension. Returns the songs found, each
+ * tagged with the file name as `source`.
+ */
+function parseImportFile(name, content) {
+    const format = IMPORT_FORMATS[path.extname(name || '').toLowerCase()];
+    if (!format) {
+        throw new Error(`Unsupported file type (expected ${Object.keys(IMPORT_FORMATS).join(', ')})`);
+    }
+    if (typeof content !== 'string') {
+        throw new Error('File has no content');
+    }
+    return PARSERS[format](content).map(song => ({ ...song, source: name }));
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    parseTextFile,
+    parseChordPro,
+    parseCsv,
+    parseCsvRows,
+    parseImportFile
+};
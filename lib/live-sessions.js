@@ -0,0 +1,167 @@
+/**
+ * Live Sessions
+ *
+ * A sing-along led from the admin panel: the leader starts a session on a
+ * list and picks the current song, and the section of it being sung, and
+ * every phone on the list page follows along. Followers listen with
+ * Server-Sent Events; each event is
+ *
+ *   event: session
+ *   data: { listId, songId, section, startedAt, updatedAt }
+ *
+ * sent when they connect and whenever the session changes, with null data
+ * when no session is running (or it has just ended). Other events can be
+ * sent to followers too (see send). songId and section
+ * (an index into the song's sections, see lib/sections.js) are null until
+ * the leader picks them. Sessions also keep who started them (startedBy),
+ * for the admin panel only.
+ *
+ * Sessions are kept in memory, one per list: they end when the leader
+ * ends them, the list is deleted or the server restarts.
+ */
+
+// Comment lines sent to keep idle connections open through proxies
+const HEARTBEAT_MS = 25000;
+
+/**
+ * One Server-Sent Event
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * A session as followers see it, without who started it
+ */
+function publicSession(session) {
+    if (!session) return null;
+    const { listId, songId, section, startedAt, updatedAt } = session;
+    return { listId, songId, section, startedAt, updatedAt };
+}
+
+/**
+ * Start an empty set of sessions. Sessions and followers are kept per
+ * data file, so sites sharing a server don't see each other's lists.
+ * Options: heartbeatMs.
+ */
+function createLiveSessions({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    // Key -> session state
+    const sessions = new Map();
+    // Key -> Set of open event stream responses
+    const followers = new Map();
+
+    function key(dataFile, listId) {
+        return `${dataFile}\n${listId}`;
+    }
+
+    function broadcast(sessionKey) {
+        const event = formatEvent('session', publicSession(sessions.get(sessionKey)));
+        for (const res of followers.get(sessionKey) || []) res.write(event);
+    }
+
+    /**
+     * A list's running session, or null
+     */
+    function get(dataFile, listId) {
+        return sessions.get(key(dataFile, listId)) || null;
+    }
+
+    /**
+     * Start a session on a list, or return the one already running
+     */
+    function start(dataFile, listId, { startedBy = null } = {}) {
+        const sessionKey = key(dataFile, listId);
+        if (sessions.has(sessionKey)) return sessions.get(sessionKey);
+
+        const now = new Date().toISOString();
+        const session = { listId, songId: null, section: null, startedBy, startedAt: now, updatedAt: now };
+        sessions.set(sessionKey, session);
+        broadcast(sessionKey);
+        return session;
+    }
+
+    /**
+     * Move a running session to a song and section (null for the top of
+     * the song). Returns the session, or null if none is running.
+     */
+    function update(dataFile, listId, { songId, section = null }) {
+        const sessionKey = key(dataFile, listId);
+        const current = sessions.get(sessionKey);
+        if (!current) return null;
+
+        const session = { ...current, songId, section, updatedAt: new Date().toISOString() };
+        sessions.set(sessionKey, session);
+        broadcast(sessionKey);
+        return session;
+    }
+
+    /**
+     * End a list's session; false if none was running
+     */
+    function end(dataFile, listId) {
+        const sessionKey = key(dataFile, listId);
+        if (!sessions.delete(sessionKey)) return false;
+        broadcast(sessionKey);
+        return true;
+    }
+
+    /**
+     * Answer a request with an event stream of a list's session, kept
+     * open until the client goes away
+     */
+    function follow(dataFile, listId, req, res) {
+        const sessionKey = key(dataFile, listId);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Don't let nginx hold events back
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(formatEvent('session', publicSession(sessions.get(sessionKey))));
+
+        if (!followers.has(sessionKey)) followers.set(sessionKey, new Set());
+        followers.get(sessionKey).add(res);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            const listFollowers = followers.get(sessionKey);
+            listFollowers.delete(res);
+            if (listFollowers.size === 0) followers.delete(sessionKey);
+        });
+    }
+
+    /**
+     * Send followers of a list some other event, such as the song
+     * request queue changing (see lib/song-requests.js)
+     */
+    function send(dataFile, listId, event, data) {
+        const message = formatEvent(event, data);
+        for (const res of followers.get(key(dataFile, listId)) || []) res.write(message);
+    }
+
+    /**
+     * How many pages are following a list
+     */
+    function followerCount(dataFile, listId) {
+        const listFollowers = followers.get(key(dataFile, listId));
+        return listFollowers ? listFollowers.size : 0;
+    }
+
+    return {
+        get,
+        start,
+        update,
+        end,
+        follow,
+        send,
+        followerCount
+    };
+}
+
+module.exports = {
+    formatEvent,
+    publicSession,
+    createLiveSessions
+};
@@ -0,0 +1,233 @@
+/**
+ * Lyrics Markup
+ *
+ * The formatting allowed in lyrics, rendered the same way by the server
+ * and the browser (served as /js/lyrics-markup.js, where it's
+ * window.LyricsMarkup):
+ *
+ *   *words*          italics: the part everyone sings
+ *   **words**        bold: a call, answered by the group
+ *   > words          a spoken line
+ *   L: words         a line for the leader (also Leader:)
+ *   G: words         a line for the group (also Group:, All:)
+ *   words x3         sing the line three times (also (x3) or ×3)
+ *   \*               a literal asterisk
+ *   [G]words         a chord, shown above the word it's played on
+ *                    (see lib/chords.js)
+ *
+ * Section markers (Chorus:, Verse 2, [Bridge]) are read separately, by
+ * lib/sections.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chords'));
+    } else {
+        root.LyricsMarkup = factory(root.Chords);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Chords) {
+    // Line prefix -> part
+    const PARTS = {
+        l: 'leader',
+        leader: 'leader',
+        g: 'group',
+        group: 'group',
+        all: 'group'
+    };
+
+    const PART_LABELS = { leader: 'Leader', group: 'All' };
+
+    const PART_PATTERN = /^\s*(l|leader|g|group|all)\s*:\s*/i;
+    const SPOKEN_PATTERN = /^\s*>\s?/;
+    const REPEAT_PATTERN = /\s+\(?[x×]\s?(\d+)\)?\s*$/i;
+
+    // Escaped asterisks first, so they can't open emphasis, then bold
+    // before italics, so ** isn't read as two empty italics
+    const EMPHASIS_PATTERN = /\\\*|\*\*((?:\\\*|[^*])+)\*\*|\*((?:\\\*|[^*])+)\*/g;
+
+    // Stands in for a chord while the rest of the line is read
+    const CHORD_MARK = '\uE000';
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function unescapeAsterisks(text) {
+        return text.replace(/\\\*/g, '*');
+    }
+
+    /**
+     * Read one line: { text, spoken, part, repeat, spans, chords }, where
+     * spans are [{ text, bold, italic }], text is the line without its
+     * markup and chords are [{ name, at }], at being an offset into text
+     */
+    function parseLine(line) {
+        const chordNames = [];
+        let rest = String(line || '').replace(Chords.CHORD_PATTERN, (match, name) => {
+            chordNames.push(name);
+            return CHORD_MARK;
+        });
+        let spoken = false;
+        let part = null;
+        let repeat = null;
+
+        if (SPOKEN_PATTERN.test(rest)) {
+            spoken = true;
+            rest = rest.replace(SPOKEN_PATTERN, '');
+        }
+        const partMatch = rest.match(PART_PATTERN);
+        if (partMatch) {
+            part = PARTS[partMatch[1].toLowerCase()];
+            rest = rest.slice(partMatch[0].length);
+        }
+        // A repeat can be followed by chords played after the line
+        const trailingChords = rest.match(/\uE000*$/)[0];
+        const repeatMatch = rest.slice(0, rest.length - trailingChords.length).match(REPEAT_PATTERN);
+        if (repeatMatch && Number(repeatMatch[1]) > 1) {
+            repeat = Number(repeatMatch[1]);
+            rest = rest.slice(0, repeatMatch.index) + trailingChords;
+        }
+
+        const spans = [];
+        let position = 0;
+        for (const match of rest.matchAll(EMPHASIS_PATTERN)) {
+            if (match[1] === undefined && match[2] === undefined) continue;
+            if (match.index > position) {
+                spans.push({ text: unescapeAsterisks(rest.slice(position, match.index)), bold: false, italic: false });
+            }
+            spans.push({ text: unescapeAsterisks(match[1] || match[2]), bold: Boolean(match[1]), italic: Boolean(match[2]) });
+            position = match.index + match[0].length;
+        }
+        if (position < rest.length || spans.length === 0) {
+            spans.push({ text: unescapeAsterisks(rest.slice(position)), bold: false, italic: false });
+        }
+
+        // Chords written inside a part or repeat marker are kept, at the end
+        const chords = [];
+        let text = '';
+        for (const span of spans) {
+            const pieces = span.text.split(CHORD_MARK);
+            pieces.forEach((piece, i) => {
+                if (i > 0) chords.push({ name: chordNames[chords.length], at: text.length });
+                text += piece;
+            });
+            span.text = pieces.join('');
+        }
+        while (chords.length < chordNames.length) chords.push({ name: chordNames[chords.length], at: text.length });
+
+        return { text, spoken, part, repeat, spans, chords };
+    }
+
+    // The spans between two offsets of a line's text, as HTML
+    function spansHtml(spans, from, to) {
+        let html = '';
+        let position = 0;
+        for (const span of spans) {
+            const start = Math.max(from, position);
+            const end = Math.min(to, position + span.text.length);
+            if (end > start) {
+                const text = escapeHtml(span.text.slice(start - position, end - position));
+                html += span.bold ? `<strong>${text}</strong>` : span.italic ? `<em>${text}</em>` : text;
+            }
+            position += span.text.length;
+        }
+        return html;
+    }
+
+    // Words with their chords above them, one segment per chord
+    function chordsHtml(parsed, { transpose, flats }) {
+        const first = parsed.chords[0].at;
+        const segments = first > 0 ? [`<span class="chord-segment"><span class="chord"></span>${spansHtml(parsed.spans, 0, first)}</span>`] : [];
+        parsed.chords.forEach((chord, i) => {
+            const end = i + 1 < parsed.chords.length ? parsed.chords[i + 1].at : parsed.text.length;
+            const name = escapeHtml(Chords.transposeChord(chord.name, transpose, { flats }));
+            segments.push(`<span class="chord-segment"><span class="chord">${name}</span>${spansHtml(parsed.spans, chord.at, end)}</span>`);
+        });
+        return `<span class="chord-line">${segments.join('')}</span>`;
+    }
+
+    /**
+     * One line as HTML. Options: chords (show them, default true),
+     * transpose (semitones) and flats (see transposeChord in lib/chords.js).
+     */
+    function renderLine(line, { chords = true, transpose = 0, flats } = {}) {
+        const parsed = parseLine(line);
+        let html = chords && parsed.chords.length > 0
+            ? chordsHtml(parsed, { transpose, flats })
+            : spansHtml(parsed.spans, 0, parsed.text.length);
+
+        if (parsed.part) {
+            html = `<span class="lyrics-part lyrics-part-${parsed.part}">${PART_LABELS[parsed.part]}</span> ${html}`;
+        }
+        if (parsed.repeat) {
+            html += ` <span class="lyrics-repeat">×${parsed.repeat}</span>`;
+        }
+        if (parsed.spoken) {
+            html = `<span class="lyrics-spoken">${html}</span>`;
+        }
+        return html;
+    }
+
+    /**
+     * Lyrics (one or more lines) as HTML, line breaks kept. Takes the same
+     * options as renderLine.
+     */
+    function renderLyrics(text, options) {
+        return String(text || '').split('\n').map(line => renderLine(line, options)).join('\n');
+    }
+
+    // A line of chord names lined up over the words of a plain text line,
+    // which start at `indent`
+    function plainChordLine(parsed, indent, { transpose, flats }) {
+        let chordLine = '';
+        for (const chord of parsed.chords) {
+            const column = indent + chord.at;
+            // Chords too close together are pushed along, a space apart
+            chordLine += ' '.repeat(Math.max(column - chordLine.length, chordLine ? 1 : 0));
+            chordLine += Chords.transposeChord(chord.name, transpose, { flats });
+        }
+        return chordLine;
+    }
+
+    /**
+     * Lyrics as readable plain text, e.g. for downloads and copies: no
+     * emphasis, with parts and spoken lines spelled out and chords on a
+     * line of their own above the words. Takes the same options as
+     * renderLine.
+     */
+    function plainLyrics(text, { chords = true, transpose = 0, flats } = {}) {
+        return String(text || '').split('\n').map(line => {
+            const parsed = parseLine(line);
+            let prefix = '';
+            if (parsed.spoken) prefix += '(spoken) ';
+            if (parsed.part) prefix += `${PART_LABELS[parsed.part]}: `;
+            const plain = prefix + parsed.text + (parsed.repeat ? ` x${parsed.repeat}` : '');
+
+            if (!chords || parsed.chords.length === 0) return plain;
+            return `${plainChordLine(parsed, prefix.length, { transpose, flats })}\n${plain}`;
+        }).join('\n');
+    }
+
+    // Styles for print windows, which don't load the site stylesheet
+    const PRINT_STYLES = `
+        .lyrics-spoken { font-style: italic; color: #555; }
+        .lyrics-spoken::before { content: '(spoken) '; font-size: 0.8em; }
+        .lyrics-part, .lyrics-repeat { font-size: 0.75em; font-weight: 600; text-transform: uppercase; color: #555; }
+        .chord-segment { display: inline-block; vertical-align: bottom; white-space: pre; }
+        .chord { display: block; min-height: 1.2em; padding-right: 0.3em; font-size: 0.85em; font-weight: 700; font-style: normal; line-height: 1.2; }
+    `;
+
+    return {
+        PART_LABELS,
+        PRINT_STYLES,
+        escapeHtml,
+        parseLine,
+        renderLine,
+        renderLyrics,
+        plainLyrics
+    };
+});
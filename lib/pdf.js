@@ -0,0 +1,242 @@
+/**
+ * PDF Writer
+ *
+ * Just enough PDF to lay out text documents such as songbooks: pages of
+ * text in Helvetica (the standard fonts every PDF reader has, so nothing
+ * is embedded), filled rectangles, links between pages and pages placed
+ * on other pages (to print several to a sheet).
+ *
+ *   const doc = createPdf({ title: 'Songbook' });
+ *   const page = doc.addPage();
+ *   page.text(72, 72, 'Hello', { font: 'bold', size: 14 });
+ *   doc.toBuffer();
+ *
+ * Coordinates are in points (1/72 inch) from the top left of the page;
+ * text is placed by its baseline. Text is written in the WinAnsi
+ * character set, which covers Western European languages; other letters
+ * lose their accents, and anything else becomes "?".
+ */
+const zlib = require('zlib');
+
+// US Letter, the default page size
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique'
+};
+
+// Glyph widths (per 1000 units of font size) of characters 32-126, from
+// the Adobe font metrics; the obliques match their upright fonts
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi characters outside Latin-1 -> their byte
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+    'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+    '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+    '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Widths of the WinAnsi punctuation that differs much from a letter
+const EXTRA_WIDTHS = {
+    '…': 1000, '—': 1000, '–': 556, '•': 350, '‘': 222, '’': 222, '“': 333, '”': 333,
+    '‚': 222, '„': 333, '×': 584, '°': 400, '·': 278, '«': 556, '»': 556, '\u00a0': 278
+};
+
+function isBold(font) {
+    return font === 'bold' || font === 'boldItalic';
+}
+
+/**
+ * The WinAnsi form of a character: itself, its letter without accents, or
+ * "?"
+ */
+function toWinAnsi(char) {
+    const code = char.charCodeAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS[char]) return char;
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return base.length === 1 && base.charCodeAt(0) >= 32 && base.charCodeAt(0) <= 126 ? base : '?';
+}
+
+function charWidth(char, font) {
+    const widths = isBold(font) ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return widths[code - 32];
+    if (EXTRA_WIDTHS[char]) return EXTRA_WIDTHS[char];
+    // Accented letters are as wide as the letter
+    const base = char.normalize('NFD').charCodeAt(0);
+    return base >= 32 && base <= 126 ? widths[base - 32] : 556;
+}
+
+/**
+ * Width of text in points
+ */
+function textWidth(text, font = 'regular', size = 12) {
+    let width = 0;
+    for (const char of String(text)) width += charWidth(toWinAnsi(char), font);
+    return (width * size) / 1000;
+}
+
+// A PDF string literal, in WinAnsi bytes (as a latin1 string)
+function pdfString(text) {
+    let bytes = '';
+    for (const char of String(text)) {
+        const ansi = toWinAnsi(char);
+        bytes += WIN_ANSI_EXTRAS[ansi] ? String.fromCharCode(WIN_ANSI_EXTRAS[ansi]) : ansi;
+    }
+    return `(${bytes.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function number(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function colorOp(color, op) {
+    return color.map(number).join(' ') + ' ' + op;
+}
+
+/**
+ * Start a document. Options: title, author, width and height (of its
+ * pages, in points; US Letter by default) and compress (deflate page
+ * contents, default true).
+ */
+function createPdf({ title = '', author = '', width = PAGE_WIDTH, height = PAGE_HEIGHT, compress = true } = {}) {
+    const pages = [];
+
+    function addPage() {
+        const page = { width, height, content: [], links: [] };
+
+        // Text at (x, y), y being the baseline. Options: font (regular,
+        // bold, italic or boldItalic), size, color ([r, g, b] from 0 to 1).
+        page.text = (x, y, text, { font = 'regular', size = 12, color = [0, 0, 0] } = {}) => {
+            if (!FONTS[font]) throw new Error(`Unknown font: ${font}`);
+            page.content.push(
+                `BT ${colorOp(color, 'rg')} /${font} ${number(size)} Tf ${number(x)} ${number(height - y)} Td ${pdfString(text)} Tj ET`
+            );
+            return page;
+        };
+
+        // A filled rectangle with its top left corner at (x, y)
+        page.rect = (x, y, rectWidth, rectHeight, { color = [0, 0, 0] } = {}) => {
+            page.content.push(`${colorOp(color, 'rg')} ${number(x)} ${number(height - y - rectHeight)} ${number(rectWidth)} ${number(rectHeight)} re f`);
+            return page;
+        };
+
+        // A clickable area that goes to another page (by index from 0)
+        page.link = (x, y, linkWidth, linkHeight, pageIndex) => {
+            page.links.push({ rect: [x, height - y - linkHeight, x + linkWidth, height - y], pageIndex });
+            return page;
+        };
+
+        // Another page's content (from any document), its top left corner
+        // at (x, y). Its links aren't copied, as they point into its own
+        // document.
+        page.place = (other, x, y) => {
+            page.content.push(`q 1 0 0 1 ${number(x)} ${number(height - y - other.height)} cm`, ...other.content, 'Q');
+            return page;
+        };
+
+        pages.push(page);
+        return page;
+    }
+
+    /**
+     * The finished document
+     */
+    function toBuffer() {
+        // Object numbers: 1 catalog, 2 page tree, 3 info, 4-7 fonts, then
+        // each page, its contents and its links
+        const fontNames = Object.keys(FONTS);
+        const firstPageObject = 4 + fontNames.length;
+        const pageObjects = [];
+        let next = firstPageObject;
+        for (const page of pages) {
+            pageObjects.push({ page: next, content: next + 1, links: page.links.map((link, i) => next + 2 + i) });
+            next += 2 + page.links.length;
+        }
+
+        const objects = [];
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageObjects.map(o => `${o.page} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = `<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (Song Lyrics Manager) >>`;
+        fontNames.forEach((name, i) => {
+            objects[4 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name]} /Encoding /WinAnsiEncoding >>`;
+        });
+        const fontResources = fontNames.map((name, i) => `/${name} ${4 + i} 0 R`).join(' ');
+
+        pages.forEach((page, index) => {
+            const numbers = pageObjects[index];
+            const annots = numbers.links.length ? ` /Annots [${numbers.links.map(n => `${n} 0 R`).join(' ')}]` : '';
+            objects[numbers.page] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${numbers.content} 0 R${annots} >>`;
+
+            const stream = Buffer.from(page.content.join('\n'), 'latin1');
+            const data = compress ? zlib.deflateSync(stream) : stream;
+            objects[numbers.content] = [
+                Buffer.from(`<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+                data,
+                Buffer.from('\nendstream', 'latin1')
+            ];
+
+            page.links.forEach((link, i) => {
+                const target = pageObjects[link.pageIndex];
+                objects[numbers.links[i]] = `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(number).join(' ')}] ` +
+                    `/Border [0 0 0] /Dest [${target.page} 0 R /Fit] >>`;
+            });
+        });
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let length = chunks[0].length;
+        const offsets = [];
+        for (let i = 1; i < objects.length; i++) {
+            offsets[i] = length;
+            const body = Array.isArray(objects[i]) ? objects[i] : [Buffer.from(objects[i], 'latin1')];
+            for (const chunk of [Buffer.from(`${i} 0 obj\n`, 'latin1'), ...body, Buffer.from('\nendobj\n', 'latin1')]) {
+                chunks.push(chunk);
+                length += chunk.length;
+            }
+        }
+
+        const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+        for (let i = 1; i < objects.length; i++) {
+            xref.push(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+        }
+        xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+        chunks.push(Buffer.from(xref.join(''), 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+
+    return {
+        pages,
+        addPage,
+        toBuffer
+    };
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    createPdf,
+    textWidth,
+    toWinAnsi
+};
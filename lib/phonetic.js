@@ -0,0 +1,116 @@
+/**
+ * Phonetic Keys
+ *
+ * A Metaphone key for a word: a rough spelling of how it sounds, so that
+ * phonetic and misheard spellings of a word get the same key:
+ *
+ *   whiskey, whisky, wiskee  ->  WSK
+ *   shenandoah, shenendoa    ->  XNNT
+ *
+ * Words should be folded first (lowercase, no accents or apostrophes);
+ * anything other than a-z is ignored. "0" stands for "th".
+ */
+
+// Shorter words have too many sound-alikes to be worth matching on
+const MIN_PHONETIC_LENGTH = 4;
+
+const VOWELS = 'aeiou';
+
+// Leading letter pairs whose first letter is silent
+const SILENT_STARTS = ['ae', 'gn', 'kn', 'pn', 'wr'];
+
+function isVowel(char) {
+    return char !== undefined && VOWELS.includes(char);
+}
+
+/**
+ * The phonetic key of a word, in capitals; empty for words without letters
+ */
+function phoneticKey(word) {
+    let letters = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return '';
+
+    if (SILENT_STARTS.includes(letters.slice(0, 2))) letters = letters.slice(1);
+    if (letters[0] === 'x') letters = `s${letters.slice(1)}`;
+    if (letters.startsWith('wh')) letters = `w${letters.slice(2)}`;
+
+    let key = '';
+    for (let i = 0; i < letters.length; i++) {
+        const char = letters[i];
+        const prev = letters[i - 1];
+        const next = letters[i + 1];
+        const after = letters[i + 2];
+
+        // Doubled letters sound once, except "cc" as in "accent"
+        if (char === prev && char !== 'c') continue;
+
+        switch (char) {
+        case 'a': case 'e': case 'i': case 'o': case 'u':
+            // Vowels only count at the start of a word
+            if (i === 0) key += 'A';
+            break;
+        case 'b':
+            if (!(prev === 'm' && i === letters.length - 1)) key += 'B';
+            break;
+        case 'c':
+            if (next === 'i' && after === 'a') key += 'X';
+            else if (next === 'h') key += prev === 's' ? 'K' : 'X';
+            else if ('iey'.includes(next || '_')) key += prev === 's' ? '' : 'S';
+            else key += 'K';
+            break;
+        case 'd':
+            key += next === 'g' && 'iey'.includes(after || '_') ? 'J' : 'T';
+            break;
+        case 'g':
+            if (next === 'h' && i + 2 < letters.length && !isVowel(after)) break;
+            if (next === 'n' && (i + 2 === letters.length || letters.slice(i + 1) === 'ned')) break;
+            if (prev === 'd' && 'iey'.includes(next || '_')) break;
+            key += 'iey'.includes(next || '_') && prev !== 'g' ? 'J' : 'K';
+            break;
+        case 'h':
+            if ('cgpst'.includes(prev || '_')) break;
+            if (isVowel(prev) && !isVowel(next)) break;
+            key += 'H';
+            break;
+        case 'k':
+            if (prev !== 'c') key += 'K';
+            break;
+        case 'p':
+            key += next === 'h' ? 'F' : 'P';
+            break;
+        case 'q':
+            key += 'K';
+            break;
+        case 's':
+            key += next === 'h' || (next === 'i' && 'oa'.includes(after || '_')) ? 'X' : 'S';
+            break;
+        case 't':
+            if (next === 'i' && 'oa'.includes(after || '_')) key += 'X';
+            else if (next === 'h') key += '0';
+            else if (!(next === 'c' && after === 'h')) key += 'T';
+            break;
+        case 'v':
+            key += 'F';
+            break;
+        case 'w':
+        case 'y':
+            if (isVowel(next)) key += char.toUpperCase();
+            break;
+        case 'x':
+            key += 'KS';
+            break;
+        case 'z':
+            key += 'S';
+            break;
+        default:
+            // f, j, l, m, n, r sound as written
+            key += char.toUpperCase();
+        }
+    }
+    return key;
+}
+
+module.exports = {
+    MIN_PHONETIC_LENGTH,
+    phoneticKey
+};
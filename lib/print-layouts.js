@@ -0,0 +1,97 @@
+/**
+ * Print Layouts
+ *
+ * The ways a list can be printed, chosen at print time, with a default
+ * for each site (print.layout in config/sites/*.js):
+ *
+ *   standard        letter pages, songs kept whole where they fit
+ *   large           large print, for singers who find the usual size hard
+ *   compact         two columns of smaller type, to save paper
+ *   song-per-page   every song starts a new page
+ *   booklet         A5 pages printed two to a landscape A4 sheet, in the
+ *                   order that folds and staples into a booklet
+ *
+ * Songbooks (lib/songbook.js) support them all. The browser's print
+ * window uses the styles here (served as /js/print-layouts.js, where it's
+ * window.PrintLayouts); only a PDF can order pages for a booklet.
+ */
+(function (root, factory) {
+    const layouts = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = layouts;
+    } else {
+        root.PrintLayouts = layouts;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_LAYOUT = 'standard';
+
+    // Layout -> its name in menus
+    const LAYOUTS = {
+        standard: 'Standard',
+        large: 'Large print',
+        compact: 'Two-column compact',
+        'song-per-page': 'One song per page',
+        booklet: 'Booklet (A5, fold and staple)'
+    };
+
+    // Layouts that need the songbook PDF to print
+    const PDF_ONLY = ['booklet'];
+
+    // Print window styles for each layout, on top of the page's own
+    const STYLES = {
+        standard: `
+            @page { size: letter; margin: 0.75in; }
+            .song { page-break-inside: avoid; }
+            .page-break { page-break-after: always; }
+        `,
+        large: `
+            @page { size: letter; margin: 0.6in; }
+            body { font-size: 16pt; }
+            h1 { font-size: 26pt; }
+            .song { page-break-inside: avoid; }
+            .song-title { font-size: 20pt; }
+            .lyrics, .song-lyrics { font-size: 16pt; line-height: 1.7; }
+        `,
+        compact: `
+            @page { size: letter; margin: 0.5in; }
+            body { font-size: 9pt; padding: 0; }
+            h1 { font-size: 14pt; margin-bottom: 0.2in; }
+            .songs { column-count: 2; column-gap: 0.35in; }
+            .song { break-inside: avoid; page-break-inside: avoid; margin-bottom: 0.25in; }
+            .song-title { font-size: 11pt; margin-bottom: 0.05in; }
+            .lyrics, .song-lyrics { font-size: 9pt; line-height: 1.4; }
+        `,
+        'song-per-page': `
+            @page { size: letter; margin: 0.75in; }
+            .song { page-break-after: always; break-after: page; margin-bottom: 0; }
+            .song:last-child { page-break-after: auto; break-after: auto; }
+        `
+    };
+
+    function isLayout(layout) {
+        return Object.prototype.hasOwnProperty.call(LAYOUTS, layout);
+    }
+
+    /**
+     * Whether a layout can only be printed from the songbook PDF
+     */
+    function needsPdf(layout) {
+        return PDF_ONLY.includes(layout);
+    }
+
+    /**
+     * Print window styles for a layout; layouts the browser can't print
+     * get the standard ones
+     */
+    function printStyles(layout) {
+        return STYLES[layout] || STYLES[DEFAULT_LAYOUT];
+    }
+
+    return {
+        DEFAULT_LAYOUT,
+        LAYOUTS,
+        isLayout,
+        needsPdf,
+        printStyles
+    };
+});
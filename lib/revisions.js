@@ -0,0 +1,181 @@
+/**
+ * Song Revisions
+ *
+ * Every change to a song's title, lyrics, URL or metadata is stored as a
+ * revision: a full copy of those fields plus who made the change, when,
+ * and which fields it touched. Revisions live in data.revisions, keyed by
+ * song id, oldest first, and are numbered per song starting at 1.
+ */
+const { METADATA_FIELD_NAMES } = require('./song-metadata');
+
+// Song fields that are versioned
+const TRACKED_FIELDS = ['title', 'lyrics', 'url', ...METADATA_FIELD_NAMES];
+
+// Oldest revisions beyond this are dropped
+const MAX_REVISIONS = 100;
+
+/**
+ * The versioned part of a song
+ */
+function songContent(song) {
+    const content = {};
+    for (const field of TRACKED_FIELDS) {
+        if (!isUnset(song[field])) content[field] = structuredClone(song[field]);
+    }
+    return content;
+}
+
+/**
+ * Replace a song's versioned fields with the given content
+ */
+function applyContent(song, content) {
+    for (const field of TRACKED_FIELDS) {
+        if (isUnset(content[field])) {
+            delete song[field];
+        } else {
+            song[field] = structuredClone(content[field]);
+        }
+    }
+    return song;
+}
+
+function isUnset(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Fields whose values differ between two versions of a song
+ */
+function changedFields(before, after) {
+    const comparable = value => (isUnset(value) ? null : JSON.stringify(value));
+    return TRACKED_FIELDS.filter(field => comparable(before[field]) !== comparable(after[field]));
+}
+
+function ensureRevisions(data) {
+    if (!data.revisions) data.revisions = {};
+    return data.revisions;
+}
+
+/**
+ * Revisions for a song, oldest first
+ */
+function getRevisions(data, songId) {
+    return (data.revisions && data.revisions[songId]) || [];
+}
+
+function getRevision(data, songId, number) {
+    return getRevisions(data, songId).find(r => r.number === number) || null;
+}
+
+/**
+ * Store a song's current content as a new revision. `previous` is the
+ * content before the change; songs edited before revisions existed get it
+ * saved as their first revision so the old text isn't lost. revertedFrom
+ * (a revision number) or restoredFrom (a snapshot id) say where the
+ * content came back from.
+ */
+function recordRevision(data, song, { author = null, previous = null, revertedFrom, restoredFrom, now = new Date() } = {}) {
+    const revisions = ensureRevisions(data);
+    const history = revisions[song.id] || (revisions[song.id] = []);
+
+    if (history.length === 0 && previous) {
+        history.push({
+            number: 1,
+            createdAt: song.createdAt || now.toISOString(),
+            author: null,
+            changes: [],
+            ...previous
+        });
+    }
+
+    const last = history[history.length - 1];
+    const revision = {
+        number: last ? last.number + 1 : 1,
+        createdAt: now.toISOString(),
+        author,
+        changes: previous ? changedFields(previous, song) : Object.keys(songContent(song)),
+        ...songContent(song)
+    };
+    if (revertedFrom !== undefined) revision.revertedFrom = revertedFrom;
+    if (restoredFrom !== undefined) revision.restoredFrom = restoredFrom;
+
+    history.push(revision);
+    if (history.length > MAX_REVISIONS) {
+        history.splice(0, history.length - MAX_REVISIONS);
+    }
+    return revision;
+}
+
+/**
+ * Forget a song's history
+ */
+function removeRevisions(data, songId) {
+    if (data.revisions) delete data.revisions[songId];
+}
+
+/**
+ * Line diff of two texts, as rows for a side-by-side view:
+ *   { type: 'same', left, right }
+ *   { type: 'changed', left, right }
+ *   { type: 'removed', left }
+ *   { type: 'added', right }
+ */
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // Longest common subsequence lengths, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    // Pair up a run of removed and added lines so edits show side by side
+    function flush() {
+        const paired = Math.min(removed.length, added.length);
+        for (let k = 0; k < paired; k++) {
+            rows.push({ type: 'changed', left: removed[k], right: added[k] });
+        }
+        removed.slice(paired).forEach(left => rows.push({ type: 'removed', left }));
+        added.slice(paired).forEach(right => rows.push({ type: 'added', right }));
+        removed = [];
+        added = [];
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush();
+            rows.push({ type: 'same', left: a[i], right: b[j] });
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            added.push(b[j++]);
+        } else {
+            removed.push(a[i++]);
+        }
+    }
+    flush();
+
+    return rows;
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    MAX_REVISIONS,
+    songContent,
+    applyContent,
+    changedFields,
+    getRevisions,
+    getRevision,
+    recordRevision,
+    removeRevisions,
+    diffLines
+};
@@ -0,0 +1,474 @@
+/**
+ * Search Index
+ *
+ * An in-memory inverted index of song titles and lyrics, one per data
+ * file. It maps each word to the songs containing it, scored by how often
+ * it appears in the title, the lyrics and the chorus, and keeps every
+ * song's word positions so results can say where they matched.
+ *
+ * The index is brought up to date with the songs before each search and
+ * after each write; only songs whose title or lyrics changed are
+ * re-indexed, so edits made by other processes are picked up too.
+ *
+ * Results are ranked by relevance: title hits above lyric hits, exact
+ * words above synonyms, prefixes, substrings, typos and sound-alikes, and
+ * chorus hits boosted.
+ *
+ * Words are folded before indexing (see lib/text-folding.js), so case,
+ * accents and apostrophes don't matter, and each word is also filed under
+ * its phonetic key (see lib/phonetic.js) to find misheard spellings.
+ *
+ * Chords (see lib/chords.js) are taken out of the lyrics before indexing,
+ * so match positions in the lyrics are positions in the chord-free text.
+ */
+const { stripChords } = require('./chords');
+const { normalizeWord, foldWithOffsets, originalRange, phrasePattern, synonymsOf, NO_SYNONYMS } = require('./text-folding');
+const { phoneticKey, MIN_PHONETIC_LENGTH } = require('./phonetic');
+
+// Word characters; apostrophes inside words are kept together ("don't")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’ʼ][\p{L}\p{N}]+)*/gu;
+
+// Between the parts of a hyphenated word
+const HYPHEN_PATTERN = /^[-‐‑]$/;
+
+// How well a query word matches an indexed word
+const MATCH_QUALITY = {
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.8,
+    substring: 0.6,
+    fuzzy: 0.5,
+    phonetic: 0.4
+};
+
+// Indexed song fields
+const SEARCH_FIELDS = ['title', 'lyrics'];
+
+const TITLE_WEIGHT = 10;
+const CHORUS_BONUS = 1.5;
+const PHRASE_BONUS = { title: TITLE_WEIGHT, lyrics: 2 };
+
+// Query words shorter than this only match as (part of) a word, never as a typo
+const MIN_FUZZY_LENGTH = 3;
+
+// Match positions returned per song; short queries can match most words
+const MAX_MATCHES = 50;
+
+// Expanded query words remembered per index, until the vocabulary changes
+const MAX_CACHED_EXPANSIONS = 500;
+
+const indexes = new Map();
+
+/**
+ * Split text into words: [{ term, start, end }], with character offsets
+ * into the original text. With `compounds`, hyphenated words are also
+ * added whole ("well-known" gives well, known and wellknown).
+ */
+function tokenize(text, { compounds = false } = {}) {
+    const source = text || '';
+    const tokens = [];
+    let compound = null;
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        const token = { term: normalizeWord(match[0]), start: match.index, end: match.index + match[0].length };
+        const last = tokens[tokens.length - 1];
+
+        if (compounds && last && HYPHEN_PATTERN.test(source.slice(last.end, token.start))) {
+            compound = compound
+                ? { ...compound, term: compound.term + token.term, end: token.end }
+                : { term: last.term + token.term, start: last.start, end: token.end };
+        } else if (compound) {
+            tokens.push(compound);
+            compound = null;
+        }
+        tokens.push(token);
+    }
+    if (compound) tokens.push(compound);
+    return tokens;
+}
+
+/**
+ * Character ranges of the lyrics that are a chorus: stanzas headed
+ * "Chorus" or "Refrain", and stanzas that appear more than once
+ */
+function chorusRanges(lyrics) {
+    const stanzas = [];
+    const pattern = /[^\n]+(?:\n[ \t]*\S[^\n]*)*/g;
+    for (const match of (lyrics || '').matchAll(pattern)) {
+        const text = match[0].trim();
+        if (text) stanzas.push({ start: match.index, end: match.index + match[0].length, key: text.toLowerCase().replace(/\s+/g, ' ') });
+    }
+
+    const seen = new Map();
+    stanzas.forEach(stanza => seen.set(stanza.key, (seen.get(stanza.key) || 0) + 1));
+
+    return stanzas
+        .filter(stanza => seen.get(stanza.key) > 1 || /^\W*(chorus|refrain)\b/i.test(stanza.key))
+        .map(({ start, end }) => ({ start, end }));
+}
+
+function inRanges(position, ranges) {
+    return ranges.some(range => position >= range.start && position < range.end);
+}
+
+function createSearchIndex() {
+    return {
+        // id -> { title, lyrics, tokens: { title: [term, start, end, ...], lyrics: [...] } }
+        songs: new Map(),
+        // term -> Map(id -> [title score, lyrics score] of the term in that song)
+        postings: new Map(),
+        // phonetic key -> Set(terms)
+        phonetic: new Map(),
+        synonyms: NO_SYNONYMS,
+        expansions: new Map()
+    };
+}
+
+// Flatten tokens into [term, start, end, ...] to keep the index compact
+function flatTokens(tokens) {
+    const flat = [];
+    for (const { term, start, end } of tokens) flat.push(term, start, end);
+    return flat;
+}
+
+// How much a word counts for a song's title and for its lyrics, from how
+// often it appears in the title, the lyrics and the chorus
+function termScores([titleCount, lyricsCount, chorusCount]) {
+    return [
+        titleCount > 0 ? TITLE_WEIGHT : 0,
+        (lyricsCount > 0 ? 1 + Math.log(lyricsCount) : 0) + (chorusCount > 0 ? CHORUS_BONUS : 0)
+    ];
+}
+
+// A term's score in one field, or both when field is null
+function fieldScore([titleScore, lyricsScore], field) {
+    if (field === 'title') return titleScore;
+    if (field === 'lyrics') return lyricsScore;
+    return titleScore + lyricsScore;
+}
+
+function addTerm(index, term) {
+    index.postings.set(term, new Map());
+    const key = phoneticKey(term);
+    if (!key) return;
+    if (!index.phonetic.has(key)) index.phonetic.set(key, new Set());
+    index.phonetic.get(key).add(term);
+}
+
+function deleteTerm(index, term) {
+    index.postings.delete(term);
+    const key = phoneticKey(term);
+    const terms = index.phonetic.get(key);
+    if (!terms) return;
+    terms.delete(term);
+    if (terms.size === 0) index.phonetic.delete(key);
+}
+
+function addSong(index, song) {
+    const titleTokens = tokenize(song.title, { compounds: true });
+    const lyrics = stripChords(song.lyrics);
+    const lyricTokens = tokenize(lyrics, { compounds: true });
+    const choruses = chorusRanges(lyrics);
+    const stats = new Map();
+    const statsFor = term => stats.get(term) || stats.set(term, [0, 0, 0]).get(term);
+
+    titleTokens.forEach(({ term }) => statsFor(term)[0]++);
+    for (const { term, start } of lyricTokens) {
+        const termStats = statsFor(term);
+        termStats[1]++;
+        if (inRanges(start, choruses)) termStats[2]++;
+    }
+
+    for (const [term, termStats] of stats) {
+        if (!index.postings.has(term)) addTerm(index, term);
+        index.postings.get(term).set(song.id, termScores(termStats));
+    }
+
+    index.songs.set(song.id, {
+        title: song.title,
+        lyrics,
+        source: song.lyrics,
+        tokens: { title: flatTokens(titleTokens), lyrics: flatTokens(lyricTokens) }
+    });
+}
+
+function removeSong(index, id) {
+    const entry = index.songs.get(id);
+    if (!entry) return;
+
+    for (const field of ['title', 'lyrics']) {
+        const tokens = entry.tokens[field];
+        for (let i = 0; i < tokens.length; i += 3) {
+            const songs = index.postings.get(tokens[i]);
+            if (!songs) continue;
+            songs.delete(id);
+            if (songs.size === 0) deleteTerm(index, tokens[i]);
+        }
+    }
+    index.songs.delete(id);
+}
+
+/**
+ * Re-index songs whose title or lyrics changed and drop songs that are
+ * gone. Returns the number of songs added, updated or removed.
+ */
+function syncSearchIndex(index, songs) {
+    let changes = 0;
+    const ids = new Set();
+
+    for (const song of songs) {
+        ids.add(song.id);
+        const entry = index.songs.get(song.id);
+        if (entry && entry.title === song.title && entry.source === song.lyrics) continue;
+        removeSong(index, song.id);
+        addSong(index, song);
+        changes++;
+    }
+    for (const id of [...index.songs.keys()]) {
+        if (!ids.has(id)) {
+            removeSong(index, id);
+            changes++;
+        }
+    }
+
+    if (changes > 0) index.expansions.clear();
+    return changes;
+}
+
+/**
+ * Use a site's synonyms (see buildSynonyms in lib/text-folding.js)
+ */
+function setSynonyms(index, synonyms) {
+    if (index.synonyms === synonyms) return;
+    index.synonyms = synonyms;
+    index.expansions.clear();
+}
+
+/**
+ * The up-to-date index for a data file's songs, searching with the given
+ * synonyms
+ */
+function getSearchIndex(dataFile, songs, { synonyms = NO_SYNONYMS } = {}) {
+    if (!indexes.has(dataFile)) indexes.set(dataFile, createSearchIndex());
+    const index = indexes.get(dataFile);
+    setSynonyms(index, synonyms);
+    syncSearchIndex(index, songs);
+    return index;
+}
+
+/**
+ * Bring a data file's index up to date after a write, if it has one
+ */
+function refreshSearchIndex(dataFile, songs) {
+    if (indexes.has(dataFile)) syncSearchIndex(indexes.get(dataFile), songs);
+}
+
+// Levenshtein distance, giving up once it must exceed maxDistance. Runs
+// for thousands of indexed words per query, so it reuses two rows.
+let previousRow = new Uint16Array(64);
+let currentRow = new Uint16Array(64);
+
+function boundedDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    if (b.length >= previousRow.length) {
+        previousRow = new Uint16Array(b.length + 1);
+        currentRow = new Uint16Array(b.length + 1);
+    }
+
+    let previous = previousRow;
+    let current = currentRow;
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = a[i - 1] === b[j - 1]
+                ? previous[j - 1]
+                : 1 + Math.min(previous[j - 1], previous[j], current[j - 1]);
+            if (current[j] < rowMin) rowMin = current[j];
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+/**
+ * Indexed words a query word matches: Map(term -> quality). Allows one
+ * typo per seven letters (at least one), for words of similar length.
+ * Synonyms always match; typos and sound-alikes only when fuzzy.
+ */
+function expandWord(index, word, { fuzzy = true } = {}) {
+    const cacheKey = `${fuzzy ? '~' : '='}${word}`;
+    if (index.expansions.has(cacheKey)) return index.expansions.get(cacheKey);
+
+    const maxDistance = Math.max(1, Math.floor(word.length * 0.15));
+    const allowTypos = fuzzy && word.length >= MIN_FUZZY_LENGTH;
+    const matches = new Map();
+
+    for (const term of index.postings.keys()) {
+        if (term === word) {
+            matches.set(term, MATCH_QUALITY.exact);
+        } else if (term.startsWith(word)) {
+            matches.set(term, MATCH_QUALITY.prefix);
+        } else if (term.includes(word)) {
+            matches.set(term, MATCH_QUALITY.substring);
+        } else if (allowTypos && Math.abs(term.length - word.length) <= 2 && boundedDistance(word, term, maxDistance) <= maxDistance) {
+            matches.set(term, MATCH_QUALITY.fuzzy);
+        }
+    }
+
+    for (const synonym of synonymsOf(index.synonyms, word)) {
+        if (index.postings.has(synonym) && (matches.get(synonym) || 0) < MATCH_QUALITY.synonym) {
+            matches.set(synonym, MATCH_QUALITY.synonym);
+        }
+    }
+    if (fuzzy && word.length >= MIN_PHONETIC_LENGTH) {
+        for (const term of index.phonetic.get(phoneticKey(word)) || []) {
+            if (!matches.has(term)) matches.set(term, MATCH_QUALITY.phonetic);
+        }
+    }
+
+    if (index.expansions.size >= MAX_CACHED_EXPANSIONS) index.expansions.clear();
+    index.expansions.set(cacheKey, matches);
+    return matches;
+}
+
+// Ids of songs containing any of the given terms
+function songsWithTerms(index, terms) {
+    const ids = new Set();
+    for (const term of terms.keys()) {
+        for (const id of index.postings.get(term).keys()) ids.add(id);
+    }
+    return ids;
+}
+
+function intersect(sets) {
+    if (sets.length === 0) return new Set();
+    const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+    return new Set([...smallest].filter(id => rest.every(set => set.has(id))));
+}
+
+// Positions of the given terms in a song, in text order
+function termPositions(entry, terms, fields) {
+    const matches = [];
+    for (const field of fields) {
+        const tokens = entry.tokens[field];
+        for (let i = 0; i < tokens.length && matches.length < MAX_MATCHES; i += 3) {
+            if (terms.has(tokens[i])) matches.push({ field, start: tokens[i + 1], end: tokens[i + 2] });
+        }
+    }
+    return matches;
+}
+
+// A song's folded title or lyrics, worked out the first time a phrase
+// is searched for in it
+function foldedField(entry, field) {
+    if (!entry.folded) entry.folded = {};
+    if (!entry.folded[field]) entry.folded[field] = foldWithOffsets(entry[field]);
+    return entry.folded[field];
+}
+
+// Positions of a phrase pattern (see phrasePattern in lib/text-folding.js)
+function phrasePositions(entry, pattern, fields) {
+    const matches = [];
+    for (const field of fields) {
+        const folded = foldedField(entry, field);
+        for (const match of folded.text.matchAll(pattern)) {
+            matches.push({ field, ...originalRange(folded, match.index, match.index + match[0].length) });
+        }
+    }
+    return matches;
+}
+
+// Best score per song for one query word: Map(id -> score)
+function wordScores(index, terms, field) {
+    const scores = new Map();
+    for (const [term, quality] of terms) {
+        for (const [id, scoresInSong] of index.postings.get(term)) {
+            const score = quality * fieldScore(scoresInSong, field);
+            if (score > (scores.get(id) || 0)) scores.set(id, score);
+        }
+    }
+    return scores;
+}
+
+function fuzzySearch(index, term, field) {
+    const words = [...new Set(tokenize(term).map(token => token.term))];
+    if (words.length === 0) return [];
+
+    const fields = field ? [field] : SEARCH_FIELDS;
+    const expansions = words.map(word => expandWord(index, word));
+    // Songs must match every word; start from the word with fewest songs
+    const [fewest, ...rest] = expansions.map(terms => wordScores(index, terms, field)).sort((a, b) => a.size - b.size);
+    const phrase = words.length > 1 ? phrasePattern(term, index.synonyms) : null;
+    const matchedTerms = new Set(expansions.flatMap(terms => [...terms.keys()]));
+
+    const results = [];
+    for (const [id, first] of fewest) {
+        if (!rest.every(scores => scores.has(id))) continue;
+        let score = rest.reduce((sum, scores) => sum + scores.get(id), first);
+
+        const entry = index.songs.get(id);
+        if (phrase) {
+            for (const match of phrasePositions(entry, phrase, fields)) {
+                score += PHRASE_BONUS[match.field];
+            }
+        }
+        results.push({ id, score: Math.round(score * 100) / 100, matches: termPositions(entry, matchedTerms, fields) });
+    }
+    return results;
+}
+
+function exactSearch(index, term, field) {
+    const phrase = term.trim();
+    if (!phrase) return [];
+
+    const fields = field ? [field] : SEARCH_FIELDS;
+    // Every word of the phrase must appear in (part of) an indexed word
+    const words = [...new Set(tokenize(phrase).map(token => token.term))];
+    const candidates = words.length > 0
+        ? intersect(words.map(word => songsWithTerms(index, expandWord(index, word, { fuzzy: false }))))
+        : new Set(index.songs.keys());
+
+    const pattern = phrasePattern(phrase, index.synonyms);
+    const results = [];
+    for (const id of candidates) {
+        const entry = index.songs.get(id);
+        const matches = phrasePositions(entry, pattern, fields);
+        if (matches.length === 0) continue;
+
+        const choruses = chorusRanges(entry.lyrics);
+        const lyricMatches = matches.filter(m => m.field === 'lyrics');
+        const score = fieldScore(termScores([
+            matches.length - lyricMatches.length,
+            lyricMatches.length,
+            lyricMatches.filter(m => inRanges(m.start, choruses)).length
+        ]), null);
+        results.push({ id, score: Math.round(score * 100) / 100, matches: matches.slice(0, MAX_MATCHES) });
+    }
+    return results;
+}
+
+/**
+ * Search the index. `query` is { type: 'fuzzy' | 'exact', term, field? },
+ * where field limits the search to 'title' or 'lyrics'. Returns
+ * Map(id -> { score, matches }), where matches are
+ * [{ field: 'title' | 'lyrics', start, end }] character ranges.
+ */
+function searchIndex(index, { type, term, field = null }) {
+    const results = type === 'exact' ? exactSearch(index, term, field) : fuzzySearch(index, term, field);
+    return new Map(results.map(({ id, ...result }) => [id, result]));
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    tokenize,
+    chorusRanges,
+    createSearchIndex,
+    syncSearchIndex,
+    setSynonyms,
+    getSearchIndex,
+    refreshSearchIndex,
+    searchIndex
+};
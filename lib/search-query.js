@@ -0,0 +1,335 @@
+/**
+ * Search Query Language
+ *
+ * Parses search box input into a query tree and runs it against the
+ * search index:
+ *
+ *   wild rover            songs matching both words (fuzzy)
+ *   "wild rover"          the exact phrase
+ *   rover -whiskey        rover but not whiskey
+ *   rover OR tinker       either word
+ *   (rover OR tinker) sea groups
+ *   title:rover           only in the title; also lyrics:, tag:, author:
+ *   tag:"sea shanty"      fields take phrases and groups too
+ *
+ * Anything else before a colon (http://..., note:) is an ordinary word.
+ * Words and phrases with no letters or numbers in them ("-", &) are left
+ * out, as they would match every song.
+ *
+ * The tree is made of:
+ *
+ *   { type: 'term', value, field }     a word; field is null for title and lyrics
+ *   { type: 'phrase', value, field }   a quoted phrase
+ *   { type: 'not', child }
+ *   { type: 'and', children }
+ *   { type: 'or', children }
+ */
+const { searchIndex } = require('./search-index');
+const { foldText } = require('./text-folding');
+
+const QUERY_FIELDS = ['title', 'lyrics', 'tag', 'author'];
+
+// Fields matched against song metadata rather than the text index
+const METADATA_FIELDS = ['tag', 'author'];
+
+// Score for a tag or author match, half a title hit
+const METADATA_SCORE = 5;
+
+/**
+ * Split input into tokens: words, phrases, fields, -, OR, AND and parens
+ */
+function lex(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, start: i, end: i + 1 });
+            i++;
+        } else if (char === '"') {
+            const close = input.indexOf('"', i + 1);
+            if (close === -1) {
+                throw new Error(`Missing closing quote after ${input.slice(i)}`);
+            }
+            const value = input.slice(i + 1, close).trim();
+            if (!value) {
+                throw new Error('Empty phrase "" - put some words between the quotes');
+            }
+            tokens.push({ type: 'phrase', value, start: i, end: close + 1 });
+            i = close + 1;
+        } else if (char === '-') {
+            // Hyphens inside words ("well-known") are read with the word
+            if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+                throw new Error('"-" must be followed by a word or phrase to exclude');
+            }
+            tokens.push({ type: 'not', start: i, end: i + 1 });
+            i++;
+        } else {
+            const match = input.slice(i).match(/^[^\s()"]+/);
+            const word = match[0];
+            const field = word.match(/^([a-zA-Z]+):/);
+            if (field && QUERY_FIELDS.includes(field[1].toLowerCase())) {
+                tokens.push({ type: 'field', value: field[1].toLowerCase(), start: i, end: i + field[0].length });
+                i += field[0].length;
+            } else if (word === 'OR' || word === 'AND') {
+                tokens.push({ type: word.toLowerCase(), start: i, end: i + word.length });
+                i += word.length;
+            } else {
+                tokens.push({ type: 'term', value: word, start: i, end: i + word.length });
+                i += word.length;
+            }
+        }
+    }
+    return tokens;
+}
+
+function describeToken(token) {
+    if (!token) return 'the end of the query';
+    if (token.type === 'or') return 'OR';
+    if (token.type === 'and') return 'AND';
+    return `"${token.type}"`;
+}
+
+// Recursive descent parser over the tokens:
+//   or    := and ('OR' and)*
+//   and   := unary (('AND')? unary)*
+//   unary := '-' unary | field unary | '(' or ')' | phrase | term
+function parseTokens(tokens) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            next();
+            if (!peek() || peek().type === ')' || peek().type === 'or') {
+                throw new Error('OR needs a word or phrase on both sides');
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [];
+        while (peek() && peek().type !== ')' && peek().type !== 'or') {
+            if (peek().type === 'and') {
+                next();
+                if (children.length === 0 || !peek() || [')', 'or', 'and'].includes(peek().type)) {
+                    throw new Error('AND needs a word or phrase on both sides');
+                }
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        if (children.length === 0) {
+            throw new Error(peek() && peek().type === 'or'
+                ? 'OR needs a word or phrase on both sides'
+                : `Expected a word or phrase before ${describeToken(peek())}`);
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        const token = next();
+        if (!token) {
+            throw new Error('Expected a word or phrase at the end of the query');
+        }
+
+        switch (token.type) {
+        case 'not':
+            return { type: 'not', child: parseUnary() };
+        case 'field': {
+            const following = peek();
+            if (!following || following.start !== token.end) {
+                throw new Error(`"${token.value}:" must be followed by a word, phrase or group`);
+            }
+            return scopeTo(parseUnary(), token.value);
+        }
+        case '(': {
+            if (peek() && peek().type === ')') {
+                throw new Error('Empty parentheses ()');
+            }
+            const group = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('Missing closing parenthesis ")"');
+            }
+            next();
+            return group;
+        }
+        case 'phrase':
+        case 'term':
+            return { type: token.type, value: token.value, field: null };
+        default:
+            throw new Error(`Unexpected ${describeToken(token)}`);
+        }
+    }
+
+    const tree = parseOr();
+    if (peek()) {
+        throw new Error(peek().type === ')' ? 'Unexpected ")" without a matching "("' : `Unexpected ${describeToken(peek())}`);
+    }
+    return tree;
+}
+
+// Apply a field to every word and phrase in a subtree that has none
+function scopeTo(node, field) {
+    if (node.type === 'term' || node.type === 'phrase') {
+        return { ...node, field: node.field || field };
+    }
+    if (node.type === 'not') {
+        return { type: 'not', child: scopeTo(node.child, field) };
+    }
+    return { ...node, children: node.children.map(child => scopeTo(child, field)) };
+}
+
+// Leave out words and phrases with nothing to search for once folded.
+// Returns null if nothing is left.
+function prune(node) {
+    if (node.type === 'term' || node.type === 'phrase') {
+        return /[\p{L}\p{N}]/u.test(foldText(node.value)) ? node : null;
+    }
+    if (node.type === 'not') {
+        const child = prune(node.child);
+        return child && { type: 'not', child };
+    }
+    const children = node.children.map(prune).filter(Boolean);
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { ...node, children };
+}
+
+/**
+ * Parse a search query. Returns { ast, error }; ast is null for a blank
+ * query, error a message for a malformed one.
+ */
+function parseQuery(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return { ast: null, error: null };
+    }
+    try {
+        const ast = prune(parseTokens(lex(input)));
+        if (!ast) {
+            throw new Error('Nothing to search for - use letters or numbers');
+        }
+        return { ast, error: null };
+    } catch (err) {
+        return { ast: null, error: err.message };
+    }
+}
+
+// Results are Map(id -> { score, matches })
+function combine(a, b) {
+    return { score: a.score + b.score, matches: [...a.matches, ...b.matches] };
+}
+
+function intersectResults(results) {
+    const [fewest, ...rest] = [...results].sort((a, b) => a.size - b.size);
+    const combined = new Map();
+    for (const [id, result] of fewest) {
+        if (rest.every(other => other.has(id))) {
+            combined.set(id, rest.reduce((sum, other) => combine(sum, other.get(id)), result));
+        }
+    }
+    return combined;
+}
+
+function unionResults(results) {
+    const combined = new Map();
+    for (const result of results) {
+        for (const [id, hit] of result) {
+            combined.set(id, combined.has(id) ? combine(combined.get(id), hit) : hit);
+        }
+    }
+    return combined;
+}
+
+function allSongs(songs) {
+    return new Map([...songs.keys()].map(id => [id, { score: 0, matches: [] }]));
+}
+
+function normalizeText(text) {
+    return foldText(text).replace(/\s+/g, ' ').trim();
+}
+
+// Tag and author matches, which have no positions in the title or lyrics
+function searchMetadata(songs, { field, value }) {
+    const wanted = normalizeText(value);
+    const matches = field === 'tag'
+        ? song => (song.tags || []).some(tag => normalizeText(tag) === wanted)
+        : song => [song.writer, song.composer].some(name => normalizeText(name).includes(wanted));
+
+    const results = new Map();
+    for (const [id, song] of songs) {
+        if (matches(song)) results.set(id, { score: METADATA_SCORE, matches: [] });
+    }
+    return results;
+}
+
+function searchLeaf(index, songs, node) {
+    if (METADATA_FIELDS.includes(node.field)) {
+        return searchMetadata(songs, node);
+    }
+    return searchIndex(index, { type: node.type === 'phrase' ? 'exact' : 'fuzzy', term: node.value, field: node.field });
+}
+
+function evaluate(index, songs, node) {
+    switch (node.type) {
+    case 'term':
+    case 'phrase':
+        return searchLeaf(index, songs, node);
+    case 'not': {
+        const excluded = evaluate(index, songs, node.child);
+        return new Map([...allSongs(songs)].filter(([id]) => !excluded.has(id)));
+    }
+    case 'or':
+        return unionResults(node.children.map(child => evaluate(index, songs, child)));
+    case 'and': {
+        // Plain words are searched together, so a run of them that appears
+        // as a phrase ranks higher
+        const words = node.children.filter(child => child.type === 'term' && !child.field);
+        const others = node.children.filter(child => !words.includes(child));
+        const positive = others.filter(child => child.type !== 'not');
+        const negative = others.filter(child => child.type === 'not');
+
+        const results = positive.map(child => evaluate(index, songs, child));
+        if (words.length > 0) {
+            results.push(searchIndex(index, { type: 'fuzzy', term: words.map(w => w.value).join(' ') }));
+        }
+
+        let combined = results.length > 0 ? intersectResults(results) : allSongs(songs);
+        for (const { child } of negative) {
+            const excluded = evaluate(index, songs, child);
+            combined = new Map([...combined].filter(([id]) => !excluded.has(id)));
+        }
+        return combined;
+    }
+    default:
+        throw new Error(`Unknown query node ${node.type}`);
+    }
+}
+
+/**
+ * Run a parsed query. `songs` is Map(id -> song) of every indexed song.
+ * Returns Map(id -> { score, matches }) like searchIndex.
+ */
+function runQuery(index, songs, ast) {
+    const results = evaluate(index, songs, ast);
+    for (const [id, result] of results) {
+        const matches = result.matches
+            .sort((a, b) => (a.field === b.field ? a.start - b.start : a.field === 'title' ? -1 : 1))
+            .filter((match, i, all) => i === 0 || match.field !== all[i - 1].field || match.start >= all[i - 1].end);
+        results.set(id, { score: Math.round(result.score * 100) / 100, matches });
+    }
+    return results;
+}
+
+module.exports = {
+    QUERY_FIELDS,
+    parseQuery,
+    runQuery
+};
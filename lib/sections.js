@@ -0,0 +1,158 @@
+/**
+ * Song Sections
+ *
+ * Lyrics are written as plain text, with stanzas separated by blank lines
+ * and optional section markers on a line of their own:
+ *
+ *   Verse 2        Chorus:        [Bridge]        (Refrain)
+ *
+ * A marker with no lines under it repeats the last section of that kind,
+ * the usual way of writing "sing the chorus again". Songs keep their
+ * lyrics as written and store the parsed sections alongside, in order:
+ *
+ *   {
+ *     type: 'verse' | 'chorus' | 'prechorus' | 'bridge' | 'intro' | 'outro',
+ *     label: 'Verse 2',    // the marker as written, or null
+ *     number: 2,           // or null
+ *     start: 4,            // line number (from 0) of the first line,
+ *                          // or of the marker for a repeat
+ *     lines: ['...'],      // empty for a repeat
+ *     repeatOf: 1          // index of the repeated section, for repeats
+ *   }
+ *
+ * Stanzas without a marker are verses, unless they're a word-for-word copy
+ * of an earlier section, in which case they take its type.
+ */
+
+const { stripChords } = require('./chords');
+
+// Marker words -> section type
+const MARKER_TYPES = {
+    verse: 'verse',
+    chorus: 'chorus',
+    refrain: 'chorus',
+    prechorus: 'prechorus',
+    'pre-chorus': 'prechorus',
+    bridge: 'bridge',
+    intro: 'intro',
+    outro: 'outro'
+};
+
+const SECTION_TYPES = [...new Set(Object.values(MARKER_TYPES))];
+
+const MARKER_NAMES = Object.keys(MARKER_TYPES).join('|');
+const MARKER_PATTERN = new RegExp(
+    `^\\s*(?:\\[\\s*(${MARKER_NAMES})(?:\\s*(\\d+))?\\s*:?\\s*\\]|\\(\\s*(${MARKER_NAMES})(?:\\s*(\\d+))?\\s*\\)|(${MARKER_NAMES})(?:\\s*(\\d+))?\\s*:?)\\s*$`,
+    'i'
+);
+
+/**
+ * The section a marker line starts ({ type, label, number }), or null if
+ * the line is lyrics
+ */
+function parseMarker(line) {
+    const match = line.match(MARKER_PATTERN);
+    if (!match) return null;
+
+    const name = match[1] || match[3] || match[5];
+    const number = match[2] || match[4] || match[6];
+    const word = name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+    return {
+        type: MARKER_TYPES[name.toLowerCase()],
+        label: number ? `${word} ${number}` : word,
+        number: number ? Number(number) : null
+    };
+}
+
+// Lines match whatever chords are written over them
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, i) => stripChords(line).trim() === stripChords(b[i]).trim());
+}
+
+// The latest written-out section a bare marker repeats
+function findRepeated(sections, marker) {
+    for (let i = sections.length - 1; i >= 0; i--) {
+        const section = sections[i];
+        if (section.repeatOf === undefined && section.lines.length > 0 && section.type === marker.type &&
+            (marker.number === null || section.number === marker.number)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse lyrics into sections
+ */
+function parseSections(lyrics) {
+    const sections = [];
+    let current = null;
+
+    function close() {
+        if (!current) return;
+        if (current.lines.length === 0) {
+            const repeated = findRepeated(sections, current);
+            if (repeated !== -1) current.repeatOf = repeated;
+        } else if (!current.label) {
+            const copy = sections.find(section => section.lines.length > 0 && sameLines(section.lines, current.lines));
+            if (copy) current.type = copy.type;
+        }
+        sections.push(current);
+        current = null;
+    }
+
+    String(lyrics || '').split('\n').forEach((line, number) => {
+        const marker = parseMarker(line);
+        if (marker) {
+            close();
+            current = { ...marker, start: number, lines: [] };
+        } else if (!line.trim()) {
+            // A marker with nothing to repeat heads the stanza after it,
+            // even with a blank line in between
+            if (current && current.lines.length === 0 && findRepeated(sections, current) === -1) return;
+            close();
+        } else {
+            if (!current) current = { type: 'verse', label: null, number: null, start: number, lines: [] };
+            if (current.lines.length === 0) current.start = number;
+            current.lines.push(line);
+        }
+    });
+    close();
+
+    return sections;
+}
+
+/**
+ * Give songs sections for their current lyrics: songs without sections,
+ * and songs whose lyrics differ from their previous version (by id), are
+ * parsed. Returns the number of songs updated.
+ */
+function syncSections(songs, previousSongs = []) {
+    const previousLyrics = new Map(previousSongs.map(song => [song.id, song.lyrics]));
+    let updated = 0;
+    for (const song of songs) {
+        if (Array.isArray(song.sections) && previousLyrics.get(song.id) === song.lyrics) continue;
+        song.sections = parseSections(song.lyrics);
+        updated++;
+    }
+    return updated;
+}
+
+/**
+ * Make sure every song has sections, for data written before songs had
+ * them
+ */
+function ensureSections(songs) {
+    for (const song of songs) {
+        if (!Array.isArray(song.sections)) song.sections = parseSections(song.lyrics);
+    }
+    return songs;
+}
+
+module.exports = {
+    SECTION_TYPES,
+    parseMarker,
+    parseSections,
+    syncSections,
+    ensureSections
+};
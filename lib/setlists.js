@@ -0,0 +1,234 @@
+/**
+ * Setlists
+ *
+ * Lists double as setlists for events. Alongside name, songIds and
+ * useCustomOrder a list can have
+ *
+ *   {
+ *     date: '2026-11-07',                  // day of the event
+ *     venue: 'The Crown',
+ *     notes: 'Bring song sheets',
+ *     segments: [                          // headings in the running order,
+ *       { title: 'Opening', startsAt: 'songId' }   // each above a song
+ *     ],
+ *     leaders: { songId: 'Maggie' },       // who leads each song
+ *     sung: {                              // recorded after the event
+ *       songIds: ['...'], recordedAt, recordedBy
+ *     }
+ *   }
+ *
+ * Fields are validated and normalized on the way in, like song metadata
+ * (see lib/song-metadata.js); a field set to null, '' or [] is removed.
+ * The songs recorded as sung make up each song's history, dated by the
+ * event (or by when they were recorded, for lists without a date).
+ */
+
+const { isEmpty, text } = require('./song-metadata');
+
+const MAX_SEGMENTS = 50;
+
+// Field -> normalizer, as for song metadata
+const SETLIST_FIELDS = {
+    date: eventDate,
+    venue: text('Venue', 200),
+    notes: text('Notes', 2000),
+    segments: segmentList,
+    leaders: leaderMap
+};
+
+const SETLIST_FIELD_NAMES = Object.keys(SETLIST_FIELDS);
+
+// Calendar dates as YYYY-MM-DD
+function isDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+function eventDate(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (!isDate(trimmed)) throw new Error('Date must be a date like 2026-11-07');
+    return trimmed;
+}
+
+const segmentTitle = text('Segment titles', 100);
+
+function segmentList(value) {
+    if (!Array.isArray(value)) throw new Error('Segments must be a list');
+    if (value.length > MAX_SEGMENTS) throw new Error(`A list can have at most ${MAX_SEGMENTS} segments`);
+
+    const segments = value.map(segment => {
+        if (!segment || typeof segment.startsAt !== 'string') {
+            throw new Error('Each segment needs a title and the song it starts at');
+        }
+        const title = segmentTitle(segment.title === undefined ? '' : segment.title);
+        if (!title) throw new Error('Each segment needs a title and the song it starts at');
+        return { title, startsAt: segment.startsAt };
+    });
+    if (new Set(segments.map(s => s.startsAt)).size !== segments.length) {
+        throw new Error('Only one segment can start at each song');
+    }
+    return segments.length ? segments : undefined;
+}
+
+const leaderName = text('Leaders', 100);
+
+// Song id -> leader's name; songs with no name given are left out
+function leaderMap(value) {
+    if (typeof value !== 'object' || Array.isArray(value)) throw new Error('Leaders must map songs to names');
+    const leaders = {};
+    for (const [songId, name] of Object.entries(value)) {
+        const cleaned = isEmpty(name) ? undefined : leaderName(name);
+        if (cleaned) leaders[songId] = cleaned;
+    }
+    return Object.keys(leaders).length ? leaders : undefined;
+}
+
+/**
+ * Validate the setlist fields present in `input`. Returns
+ * { values, error }, where values maps each given field to its cleaned
+ * value (undefined meaning "clear it").
+ */
+function parseSetlist(input) {
+    const values = {};
+    for (const field of SETLIST_FIELD_NAMES) {
+        if (!input || !(field in input)) continue;
+        const value = input[field];
+        try {
+            values[field] = isEmpty(value) ? undefined : SETLIST_FIELDS[field](value);
+        } catch (err) {
+            return { values: null, error: err.message };
+        }
+    }
+    return { values, error: null };
+}
+
+/**
+ * Apply parsed setlist values to a list, then drop segments and leaders
+ * for songs no longer in it
+ */
+function applySetlist(list, values) {
+    for (const [field, value] of Object.entries(values)) {
+        if (value === undefined) {
+            delete list[field];
+        } else {
+            list[field] = value;
+        }
+    }
+    pruneSetlist(list);
+}
+
+/**
+ * Drop a list's segments and leaders for songs that aren't in it
+ */
+function pruneSetlist(list) {
+    if (list.segments) {
+        list.segments = list.segments.filter(segment => list.songIds.includes(segment.startsAt));
+        if (list.segments.length === 0) delete list.segments;
+    }
+    if (list.leaders) {
+        for (const songId of Object.keys(list.leaders)) {
+            if (!list.songIds.includes(songId)) delete list.leaders[songId];
+        }
+        if (Object.keys(list.leaders).length === 0) delete list.leaders;
+    }
+}
+
+/**
+ * Check the songs recorded as sung at an event: ids of songs in the
+ * catalog, each once. Returns an error message, or null.
+ */
+function validateSung(songIds, catalogIds) {
+    if (!Array.isArray(songIds) || songIds.some(id => typeof id !== 'string')) {
+        return 'Songs sung must be a list of song ids';
+    }
+    if (new Set(songIds).size !== songIds.length) {
+        return 'Each song can only be recorded once';
+    }
+    if (songIds.some(id => !catalogIds.has(id))) {
+        return 'Songs sung must be songs in the catalog';
+    }
+    return null;
+}
+
+/**
+ * The day a list's songs were sung: its date, or the day they were
+ * recorded. Null if nothing has been recorded.
+ */
+function sungOn(list) {
+    if (!list.sung) return null;
+    return list.date || list.sung.recordedAt.slice(0, 10);
+}
+
+/**
+ * Every song's history from the lists recorded as sung: song id ->
+ * { timesSung, lastSung, lastListId }
+ */
+function songHistory(lists) {
+    const history = new Map();
+    for (const list of lists) {
+        const day = sungOn(list);
+        if (!day) continue;
+
+        for (const songId of list.sung.songIds) {
+            const entry = history.get(songId) || { timesSung: 0, lastSung: null, lastListId: null };
+            entry.timesSung++;
+            if (!entry.lastSung || day > entry.lastSung) {
+                entry.lastSung = day;
+                entry.lastListId = list.id;
+            }
+            history.set(songId, entry);
+        }
+    }
+    return history;
+}
+
+/**
+ * The day a number of months before a date (YYYY-MM-DD, UTC), clamped to
+ * the end of shorter months
+ */
+function monthsBefore(date, months) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() - months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Songs with their history, each as { id, title, timesSung, lastSung,
+ * lastListId }: those never sung first, then the longest since
+ */
+function songsWithHistory(songs, lists) {
+    const history = songHistory(lists);
+    return songs
+        .map(song => ({ id: song.id, title: song.title, ...(history.get(song.id) || { timesSung: 0, lastSung: null, lastListId: null }) }))
+        .sort((a, b) => {
+            if (a.lastSung !== b.lastSung) {
+                if (!a.lastSung) return -1;
+                if (!b.lastSung) return 1;
+                return a.lastSung < b.lastSung ? -1 : 1;
+            }
+            return a.title.localeCompare(b.title);
+        });
+}
+
+/**
+ * Songs not sung since a day (YYYY-MM-DD), never sung first
+ */
+function notSungSince(songs, lists, since) {
+    return songsWithHistory(songs, lists).filter(song => !song.lastSung || song.lastSung < since);
+}
+
+module.exports = {
+    SETLIST_FIELD_NAMES,
+    MAX_SEGMENTS,
+    parseSetlist,
+    applySetlist,
+    pruneSetlist,
+    validateSung,
+    sungOn,
+    songHistory,
+    monthsBefore,
+    songsWithHistory,
+    notSungSince
+};
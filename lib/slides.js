@@ -0,0 +1,93 @@
+/**
+ * Slides
+ *
+ * A list's songs as presentation slides for a projector: a title slide
+ * for each song, then a slide for each of its sections (see
+ * lib/sections.js), with repeated choruses written out in full. Long
+ * sections are split over several slides. Shared by the server and the
+ * browser (served as /js/slides.js, where it's window.Slides).
+ *
+ * Each slide is
+ *
+ *   {
+ *     songId, songTitle,
+ *     songNumber: 1,       // position of the song in the list, from 1
+ *     section: 2,          // index into the song's sections, or null
+ *                          // for the title slide
+ *     type: 'chorus',      // the section's type; null for the title slide
+ *     label: 'Chorus',     // null for the title slide
+ *     lines: ['...'],      // lyrics as written, markup and all
+ *     part: 1, parts: 2    // for a section split over slides
+ *   }
+ */
+(function (root, factory) {
+    const slides = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = slides;
+    } else {
+        root.Slides = slides;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Most lines on one slide before a section is split
+    const MAX_LINES = 8;
+
+    /**
+     * A section's name: its marker as written, or its type and number
+     * among sections of that type ("Verse 2")
+     */
+    function sectionLabel(song, index) {
+        const section = song.sections[index];
+        if (section.label) return section.label;
+        const number = song.sections.slice(0, index + 1).filter(s => s.type === section.type).length;
+        return `${section.type.charAt(0).toUpperCase()}${section.type.slice(1)} ${number}`;
+    }
+
+    // Lines split into runs of at most max, as evenly as possible
+    function splitLines(lines, max) {
+        const parts = Math.ceil(lines.length / max);
+        const size = Math.ceil(lines.length / parts);
+        const chunks = [];
+        for (let i = 0; i < lines.length; i += size) chunks.push(lines.slice(i, i + size));
+        return chunks;
+    }
+
+    /**
+     * The slides for songs, in order. Options: maxLines (per slide).
+     */
+    function buildSlides(songs, { maxLines = MAX_LINES } = {}) {
+        const slides = [];
+        songs.forEach((song, i) => {
+            const base = { songId: song.id, songTitle: song.title, songNumber: i + 1 };
+            slides.push({ ...base, section: null, type: null, label: null, lines: [], part: 1, parts: 1 });
+
+            (song.sections || []).forEach((section, index) => {
+                const shown = section.repeatOf !== undefined ? song.sections[section.repeatOf] : section;
+                if (!shown || shown.lines.length === 0) return;
+
+                const chunks = splitLines(shown.lines, maxLines);
+                chunks.forEach((lines, part) => {
+                    slides.push({
+                        ...base, section: index, type: section.type, label: sectionLabel(song, index), lines, part: part + 1, parts: chunks.length
+                    });
+                });
+            });
+        });
+        return slides;
+    }
+
+    /**
+     * Index of the first slide of a song's section (or of its title slide,
+     * for a null section); -1 if there's none
+     */
+    function findSlide(slides, songId, section = null) {
+        const index = slides.findIndex(slide => slide.songId === songId && slide.section === section);
+        return index !== -1 || section === null ? index : findSlide(slides, songId, null);
+    }
+
+    return {
+        MAX_LINES,
+        sectionLabel,
+        buildSlides,
+        findSlide
+    };
+});
@@ -0,0 +1,99 @@
+/**
+ * Search Snippets
+ *
+ * The lines of a song's lyrics where a search matched, with a line of
+ * context either side, so results can show where they matched without
+ * expanding every song:
+ *
+ *   [{
+ *     lines: [
+ *       { number: 3, text: 'He met a rover on the road', highlights: [{ start: 9, end: 14 }] },
+ *       { number: 4, text: 'And asked him for a song', highlights: [] }
+ *     ]
+ *   }]
+ *
+ * Line numbers count from 0; highlight offsets are within the line.
+ */
+
+// Snippets per song, and lines of context around each matched line
+const MAX_SNIPPETS = 3;
+const CONTEXT_LINES = 1;
+
+// Start offset of every line in the text
+function lineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        starts.push(i + 1);
+    }
+    return starts;
+}
+
+// Index of the line containing an offset
+function lineAt(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * Build snippets from search matches ([{ field, start, end }]). Lines with
+ * the most matches are preferred; nearby lines share a snippet.
+ */
+function buildSnippets(lyrics, matches, { maxSnippets = MAX_SNIPPETS, context = CONTEXT_LINES } = {}) {
+    if (!lyrics) return [];
+
+    const starts = lineStarts(lyrics);
+    const lines = lyrics.split('\n');
+
+    // Line number -> highlights within that line. A match spanning lines
+    // (a quoted phrase) is split at the line breaks.
+    const highlighted = new Map();
+    for (const { field, start, end } of matches) {
+        if (field !== 'lyrics') continue;
+        for (let line = lineAt(starts, start); line < lines.length && starts[line] < end; line++) {
+            const from = Math.max(start, starts[line]) - starts[line];
+            const to = Math.min(end, starts[line] + lines[line].length) - starts[line];
+            if (to <= from) continue;
+            if (!highlighted.has(line)) highlighted.set(line, []);
+            highlighted.get(line).push({ start: from, end: to });
+        }
+    }
+
+    const chosen = [...highlighted.keys()]
+        .sort((a, b) => highlighted.get(b).length - highlighted.get(a).length || a - b)
+        .slice(0, maxSnippets)
+        .sort((a, b) => a - b);
+
+    // Merge the context windows of lines that are close together
+    const windows = [];
+    for (const line of chosen) {
+        const from = Math.max(0, line - context);
+        const to = Math.min(lines.length - 1, line + context);
+        const last = windows[windows.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = to;
+        } else {
+            windows.push({ from, to });
+        }
+    }
+
+    return windows.map(({ from, to }) => {
+        const snippetLines = [];
+        for (let number = from; number <= to; number++) {
+            const highlights = (highlighted.get(number) || []).sort((a, b) => a.start - b.start);
+            // Blank context lines (stanza breaks) add nothing
+            if (highlights.length === 0 && !lines[number].trim()) continue;
+            snippetLines.push({ number, text: lines[number], highlights });
+        }
+        return { lines: snippetLines };
+    });
+}
+
+module.exports = {
+    MAX_SNIPPETS,
+    buildSnippets
+};
@@ -0,0 +1,133 @@
+/**
+ * Song Metadata
+ *
+ * Optional structured fields stored on each song alongside title, lyrics
+ * and url. Values are validated and normalized on the way in; a field set
+ * to null, '' or [] is removed from the song.
+ */
+
+// Field -> normalizer. Normalizers return the cleaned value, undefined to
+// clear the field, or throw an Error with a message for the API response.
+const METADATA_FIELDS = {
+    writer: text('Writer', 200),
+    composer: text('Composer', 200),
+    traditional: flag('Traditional'),
+    tune: text('Tune', 200),
+    key: musicalKey,
+    capo: integer('Capo', 0, 12),
+    tempo: integer('Tempo', 20, 300),
+    tags: tagList,
+    copyright: text('Copyright', 1000),
+    language: languageCode
+};
+
+const METADATA_FIELD_NAMES = Object.keys(METADATA_FIELDS);
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// A value that clears its field. Setlist fields (lib/setlists.js) share
+// this and text()
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function text(label, maxLength) {
+    return value => {
+        if (typeof value !== 'string') throw new Error(`${label} must be text`);
+        const trimmed = value.trim();
+        if (trimmed.length > maxLength) throw new Error(`${label} must be at most ${maxLength} characters`);
+        return trimmed || undefined;
+    };
+}
+
+function flag(label) {
+    return value => {
+        if (typeof value !== 'boolean') throw new Error(`${label} must be true or false`);
+        // Only a true flag is stored
+        return value || undefined;
+    };
+}
+
+function integer(label, min, max) {
+    return value => {
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`${label} must be a whole number from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+// Keys like G, F#, Bb, Ebm, C#m
+function musicalKey(value) {
+    const match = typeof value === 'string' && value.trim().match(/^([A-Ga-g])([#b♯♭]?)(m|min|minor)?$/);
+    if (!match) throw new Error('Key must be a note name like G, F#, Bb or Em');
+    const accidental = { '♯': '#', '♭': 'b' }[match[2]] || match[2];
+    return match[1].toUpperCase() + accidental + (match[3] ? 'm' : '');
+}
+
+// Tags are lowercase, trimmed and unique. Accepts an array or a
+// comma-separated string.
+function tagList(value) {
+    const tags = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new Error('Tags must be a list of text');
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) throw new Error(`A song can have at most ${MAX_TAGS} tags`);
+    if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw new Error(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    return normalized.length ? normalized : undefined;
+}
+
+// Language codes like en, ga, de-CH
+function languageCode(value) {
+    const match = typeof value === 'string' && value.trim().match(/^([a-zA-Z]{2,3})((?:-[a-zA-Z0-9]{2,8})*)$/);
+    if (!match) throw new Error('Language must be a language code like en, ga or de-CH');
+    const subtags = match[2].split('-').filter(Boolean).map(tag => (tag.length === 2 ? tag.toUpperCase() : tag));
+    return [match[1].toLowerCase(), ...subtags].join('-');
+}
+
+/**
+ * Validate the metadata fields present in `input`. Returns
+ * { values, error }, where values maps each given field to its cleaned
+ * value (undefined meaning "clear it").
+ */
+function parseMetadata(input) {
+    const values = {};
+    for (const field of METADATA_FIELD_NAMES) {
+        if (!input || !(field in input)) continue;
+        const value = input[field];
+        try {
+            values[field] = isEmpty(value) ? undefined : METADATA_FIELDS[field](value);
+        } catch (err) {
+            return { values: null, error: err.message };
+        }
+    }
+    return { values, error: null };
+}
+
+/**
+ * Apply parsed metadata values to a song
+ */
+function applyMetadata(song, values) {
+    for (const [field, value] of Object.entries(values)) {
+        if (value === undefined) {
+            delete song[field];
+        } else {
+            song[field] = value;
+        }
+    }
+    return song;
+}
+
+module.exports = {
+    METADATA_FIELD_NAMES,
+    isEmpty,
+    text,
+    parseMetadata,
+    applyMetadata
+};
@@ -0,0 +1,226 @@
+/**
+ * Song Requests
+ *
+ * Singers' requests during a live session (see lib/live-sessions.js):
+ * anyone with the list open can ask for a song from the catalog, and
+ * asking for a song already in the queue adds a vote to it instead. The
+ * leader works through the queue from the admin panel, accepting,
+ * reordering or dismissing requests. Each request is
+ *
+ *   {
+ *     id, songId, title,
+ *     votes: 3,            // devices asking for it, the first included
+ *     status: 'pending' | 'accepted',
+ *     addedToList: false,  // true once the leader has put it in the list
+ *     requestedAt
+ *   }
+ *
+ * Devices are told apart by an id the page makes up and keeps (or by
+ * their address if they don't send one) and may each make only a few new
+ * requests in a while; votes don't count towards that, but each device
+ * votes once per request. Since a page can make up a new id whenever it
+ * likes, each address also has a limit: more generous, as a room full of
+ * singers often shares one, on both new requests and votes per request.
+ *
+ * Queues are kept in memory, one per list, and go when the session ends.
+ */
+
+const crypto = require('crypto');
+
+// New requests one device may make on a list...
+const REQUEST_LIMIT = 3;
+// ...in this long
+const REQUEST_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+// New requests one address may make on a list in the same time, and votes
+// it may cast for one request
+const ADDRESS_LIMIT = 20;
+// Requests waiting on a list at most
+const MAX_QUEUE = 50;
+
+const STATUSES = ['pending', 'accepted'];
+
+/**
+ * Start an empty set of queues, kept per data file like live sessions.
+ * Options: limit and windowMs (new requests per device), addressLimit,
+ * maxQueue.
+ */
+function createSongRequests({ limit = REQUEST_LIMIT, windowMs = REQUEST_WINDOW_MS, addressLimit = ADDRESS_LIMIT, maxQueue = MAX_QUEUE } = {}) {
+    // Key -> requests in the leader's order, with the devices voting and
+    // the votes from each address
+    const queues = new Map();
+    // Key + device or address -> times of its recent new requests
+    const recent = new Map();
+
+    function key(dataFile, listId) {
+        return `${dataFile}\n${listId}`;
+    }
+
+    function queueFor(dataFile, listId) {
+        return queues.get(key(dataFile, listId)) || [];
+    }
+
+    // A request as sent to pages, marked voted for the device asking
+    function publicRequest(request, device = null) {
+        const { id, songId, title, voters, status, addedToList, requestedAt } = request;
+        const body = { id, songId, title, votes: voters.size, status, addedToList, requestedAt };
+        if (device !== null) body.voted = voters.has(device);
+        return body;
+    }
+
+    // Forget new requests older than the window
+    function pruneRecent() {
+        const now = Date.now();
+        for (const [recentKey, times] of recent) {
+            const current = times.filter(time => now - time < windowMs);
+            if (current.length === 0) {
+                recent.delete(recentKey);
+            } else {
+                recent.set(recentKey, current);
+            }
+        }
+    }
+
+    // Minutes until a device or address may make another new request, or 0
+    function waitFor(recentKey, max) {
+        const times = recent.get(recentKey) || [];
+        return times.length < max ? 0 : Math.ceil((windowMs - (Date.now() - times[times.length - max])) / 1000 / 60);
+    }
+
+    function remember(recentKey) {
+        recent.set(recentKey, [...(recent.get(recentKey) || []), Date.now()]);
+    }
+
+    /**
+     * A list's requests, in the leader's order
+     */
+    function list(dataFile, listId, device = null) {
+        return queueFor(dataFile, listId).map(request => publicRequest(request, device));
+    }
+
+    /**
+     * Ask for a song on behalf of a device at an address: a new request,
+     * or a vote for the one already asking for it. Returns
+     * { request, created }, or { error, remaining } when the device or
+     * address has asked too often (remaining is in minutes) or the queue
+     * is full. Votes past the address's limit are ignored.
+     */
+    function add(dataFile, listId, { songId, title }, device, address = device) {
+        const listKey = key(dataFile, listId);
+        const queue = queueFor(dataFile, listId);
+
+        const existing = queue.find(r => r.songId === songId);
+        if (existing) {
+            const votes = existing.addresses.get(address) || 0;
+            if (!existing.voters.has(device) && votes < addressLimit) {
+                existing.voters.add(device);
+                existing.addresses.set(address, votes + 1);
+            }
+            return { request: publicRequest(existing, device), created: false };
+        }
+
+        pruneRecent();
+        const deviceKey = `${listKey}\n${device}`;
+        const addressKey = `${listKey}\n${address}`;
+        const remaining = Math.max(waitFor(deviceKey, limit), waitFor(addressKey, addressLimit));
+        if (remaining > 0) return { error: 'limit', remaining };
+        if (queue.length >= maxQueue) return { error: 'full' };
+
+        const request = {
+            id: crypto.randomBytes(6).toString('hex'),
+            songId,
+            title,
+            voters: new Set([device]),
+            addresses: new Map([[address, 1]]),
+            status: 'pending',
+            addedToList: false,
+            requestedAt: new Date().toISOString()
+        };
+        queues.set(listKey, [...queue, request]);
+        remember(deviceKey);
+        if (addressKey !== deviceKey) remember(addressKey);
+        return { request: publicRequest(request, device), created: true };
+    }
+
+    /**
+     * Change a request: status ('pending' or 'accepted') and addedToList.
+     * Returns the request, or null if there's no such request.
+     */
+    function update(dataFile, listId, requestId, changes) {
+        const request = queueFor(dataFile, listId).find(r => r.id === requestId);
+        if (!request) return null;
+
+        if (changes.status !== undefined) request.status = changes.status;
+        if (changes.addedToList !== undefined) request.addedToList = changes.addedToList;
+        return publicRequest(request);
+    }
+
+    /**
+     * A list's request by id, or null
+     */
+    function get(dataFile, listId, requestId) {
+        const request = queueFor(dataFile, listId).find(r => r.id === requestId);
+        return request ? publicRequest(request) : null;
+    }
+
+    /**
+     * Dismiss a request; false if there's no such request
+     */
+    function dismiss(dataFile, listId, requestId) {
+        const listKey = key(dataFile, listId);
+        const queue = queueFor(dataFile, listId);
+        const remaining = queue.filter(r => r.id !== requestId);
+        if (remaining.length === queue.length) return false;
+
+        if (remaining.length === 0) {
+            queues.delete(listKey);
+        } else {
+            queues.set(listKey, remaining);
+        }
+        return true;
+    }
+
+    /**
+     * Put a list's requests in a new order, given every request's id once.
+     * Returns the requests, or null if the ids don't match the queue.
+     */
+    function reorder(dataFile, listId, requestIds) {
+        const queue = queueFor(dataFile, listId);
+        if (!Array.isArray(requestIds) || requestIds.length !== queue.length) return null;
+
+        const reordered = requestIds.map(id => queue.find(r => r.id === id));
+        if (reordered.some(r => !r) || new Set(requestIds).size !== queue.length) return null;
+
+        if (reordered.length > 0) queues.set(key(dataFile, listId), reordered);
+        return list(dataFile, listId);
+    }
+
+    /**
+     * Drop a list's queue, and what its devices have asked for
+     */
+    function clear(dataFile, listId) {
+        const listKey = key(dataFile, listId);
+        queues.delete(listKey);
+        for (const recentKey of recent.keys()) {
+            if (recentKey.startsWith(`${listKey}\n`)) recent.delete(recentKey);
+        }
+    }
+
+    return {
+        list,
+        get,
+        add,
+        update,
+        dismiss,
+        reorder,
+        clear
+    };
+}
+
+module.exports = {
+    REQUEST_LIMIT,
+    REQUEST_WINDOW_MS,
+    ADDRESS_LIMIT,
+    MAX_QUEUE,
+    STATUSES,
+    createSongRequests
+};
@@ -0,0 +1,489 @@
+/**
+ * Songbooks
+ *
+ * A list as a printable PDF songbook (see lib/pdf.js): a cover page with
+ * the site and list names and a QR code for the list, a table of
+ * contents with page numbers, then the songs. A song starts on a new page
+ * (or column) when it won't fit on the current one but would fit on a
+ * page of its own; longer songs break between stanzas where they can.
+ * Every page but the cover is numbered. Pages are laid out in one of the
+ * print layouts (see lib/print-layouts.js).
+ *
+ * Lyrics are set with their markup (see lib/lyrics-markup.js): emphasis,
+ * parts, spoken lines, repeats and chords, with section markers as small
+ * headings. Like the page they're printed from, songbooks can leave the
+ * chords out or transpose songs (see public/js/song-chords.js).
+ */
+const QRCode = require('qrcode');
+const { createPdf, textWidth, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf');
+const { parseLine, PART_LABELS } = require('./lyrics-markup');
+const { DEFAULT_LAYOUT, isLayout } = require('./print-layouts');
+const { parseMarker } = require('./sections');
+const { transposeChord, transposeKey, prefersFlats } = require('./chords');
+
+// Page setups for each print layout (see lib/print-layouts.js). Type
+// sizes and margins are in points, the sizes scaled from SIZES.
+const LETTER = { width: PAGE_WIDTH, height: PAGE_HEIGHT };
+// Half of a landscape A4 sheet
+const A5 = { width: 421, height: 595 };
+const LAYOUT_SETUPS = {
+    standard: { page: LETTER, margin: 54, scale: 1, columns: 1 },
+    large: { page: LETTER, margin: 48, scale: 1.45, columns: 1 },
+    compact: { page: LETTER, margin: 36, scale: 0.8, columns: 2 },
+    'song-per-page': { page: LETTER, margin: 54, scale: 1, columns: 1, songPerPage: true },
+    booklet: { page: A5, margin: 36, scale: 0.85, columns: 1, sheet: { width: 2 * A5.width, height: A5.height } }
+};
+
+// Font sizes, in points
+const SIZES = {
+    siteName: 14,
+    listName: 28,
+    heading: 20,
+    contents: 11,
+    title: 14,
+    details: 9,
+    label: 8.5,
+    lyrics: 11,
+    chord: 9,
+    pageNumber: 9
+};
+
+// Line height, as a multiple of the font size
+const LEADING = 1.45;
+
+const GRAY = [0.4, 0.4, 0.4];
+const STANZA_GAP = 8;
+const SONG_GAP = 28;
+const COLUMN_GAP = 24;
+// Indent of the rest of a lyric line that had to wrap
+const WRAP_INDENT = 18;
+const QR_SIZE = 180;
+
+/**
+ * The measurements of a layout: page size, margins, columns, the lowest
+ * point of the text (leaving room for the page number) and type sizes
+ */
+function pageSetup(layout) {
+    const { page, margin, scale, columns, songPerPage = false, sheet = null } = LAYOUT_SETUPS[layout];
+    const contentWidth = page.width - 2 * margin;
+    const sizes = {};
+    for (const [name, size] of Object.entries(SIZES)) sizes[name] = size * scale;
+    return {
+        width: page.width,
+        height: page.height,
+        margin,
+        bottom: page.height - margin - 2 * sizes.pageNumber,
+        contentWidth,
+        columns,
+        columnWidth: (contentWidth - (columns - 1) * COLUMN_GAP) / columns,
+        songPerPage,
+        sheet,
+        sizes
+    };
+}
+
+function lineHeight(size) {
+    return size * LEADING;
+}
+
+function centerText(page, y, text, options) {
+    page.text((page.width - textWidth(text, options.font, options.size)) / 2, y, text, options);
+}
+
+// Text cut to a width, with an ellipsis if it had to be shortened
+function fitText(text, width, font, size) {
+    if (textWidth(text, font, size) <= width) return text;
+    let fitted = text;
+    while (fitted && textWidth(fitted + '…', font, size) > width) fitted = fitted.slice(0, -1);
+    return fitted.trimEnd() + '…';
+}
+
+// Words wrapped into lines no wider than width
+function wrapWords(text, width, font, size) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(candidate, font, size) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines.map(text => fitText(text, width, font, size));
+}
+
+function spanFont(bold, italic) {
+    if (bold) return italic ? 'boldItalic' : 'bold';
+    return italic ? 'italic' : 'regular';
+}
+
+/**
+ * A line of lyrics as characters with their fonts, and its chords by the
+ * index of the character they're over. Options: chords (false to leave
+ * them out), transpose and flats (see transposeChord in lib/chords.js).
+ */
+function lyricCharacters(line, { chords = true, transpose = 0, flats } = {}) {
+    const parsed = parseLine(line);
+    const chars = [];
+    const push = (text, font) => {
+        for (const char of text) chars.push({ char, font });
+    };
+
+    if (parsed.spoken) push('(spoken) ', 'italic');
+    if (parsed.part) push(`${PART_LABELS[parsed.part]}: `, 'bold');
+    const offset = chars.length;
+    for (const span of parsed.spans) push(span.text, spanFont(span.bold, span.italic || parsed.spoken));
+    if (parsed.repeat) push(` ×${parsed.repeat}`, 'bold');
+
+    return {
+        chars,
+        chords: chords
+            ? parsed.chords.map(chord => ({ name: transposeChord(chord.name, transpose, { flats }), index: offset + chord.at }))
+            : []
+    };
+}
+
+/**
+ * Split a line's characters into pieces that fit the width, breaking
+ * after a space where possible. Pieces after the first are indented.
+ */
+function wrapCharacters({ chars, chords }, width, size) {
+    const pieces = [];
+    let start = 0;
+    do {
+        const available = pieces.length ? width - WRAP_INDENT : width;
+        let end = start;
+        let x = 0;
+        let lastBreak = -1;
+        while (end < chars.length) {
+            const charWidth = textWidth(chars[end].char, chars[end].font, size);
+            if (x + charWidth > available && end > start) break;
+            x += charWidth;
+            end++;
+            if (chars[end - 1].char === ' ') lastBreak = end;
+        }
+        if (end < chars.length && lastBreak > start) end = lastBreak;
+
+        const last = end >= chars.length;
+        pieces.push({
+            indent: pieces.length ? WRAP_INDENT : 0,
+            chars: chars.slice(start, end),
+            chords: chords
+                .filter(chord => chord.index >= start && (chord.index < end || last))
+                .map(chord => ({ name: chord.name, index: chord.index - start }))
+        });
+        start = end;
+    } while (start < chars.length);
+    return pieces;
+}
+
+// A piece of a lyric line: chords (if any) over the words
+function lyricRow(piece, sizes) {
+    const chordHeight = piece.chords.length ? lineHeight(sizes.chord) : 0;
+    return {
+        height: chordHeight + lineHeight(sizes.lyrics),
+        draw(page, left, top) {
+            const positions = [];
+            let x = left + piece.indent;
+            let run = null;
+            const flush = () => {
+                if (run) page.text(run.x, top + chordHeight + sizes.lyrics, run.text, { font: run.font, size: sizes.lyrics });
+                run = null;
+            };
+            for (const { char, font } of piece.chars) {
+                positions.push(x);
+                if (!run || run.font !== font) {
+                    flush();
+                    run = { x, font, text: '' };
+                }
+                run.text += char;
+                x += textWidth(char, font, sizes.lyrics);
+            }
+            flush();
+            positions.push(x);
+
+            // Chords too close together are pushed along
+            let chordEnd = -Infinity;
+            for (const chord of piece.chords) {
+                const chordX = Math.max(positions[chord.index], chordEnd);
+                page.text(chordX, top + sizes.chord, chord.name, { font: 'bold', size: sizes.chord });
+                chordEnd = chordX + textWidth(`${chord.name} `, 'bold', sizes.chord);
+            }
+        }
+    };
+}
+
+function textRow(text, { font, size, color, gap = 0 }) {
+    return {
+        height: lineHeight(size) + gap,
+        draw(page, left, top) {
+            page.text(left, top + size, text, { font, size, color });
+        }
+    };
+}
+
+/**
+ * A song as stanzas of rows ({ height, draw(page, left, top) }), the
+ * first stanza headed by the title. Rows in a stanza are kept together if
+ * they can be. Options: chords (false to leave them out) and transpose
+ * (semitones).
+ */
+function songStanzas(song, { columnWidth, sizes }, { chords = true, transpose = 0 } = {}) {
+    const heading = wrapWords(song.title, columnWidth, 'bold', sizes.title)
+        .map(line => textRow(line, { font: 'bold', size: sizes.title }));
+    const key = song.key ? transposeKey(song.key, transpose) : null;
+    const chordOptions = { chords, transpose, flats: key ? prefersFlats(key) : undefined };
+    const details = [key ? `Key of ${key}` : null, song.capo ? `Capo ${song.capo}` : null].filter(Boolean);
+    if (details.length) heading.push(textRow(details.join(' · '), { font: 'italic', size: sizes.details, color: GRAY }));
+    heading[heading.length - 1].height += STANZA_GAP / 2;
+
+    const stanzas = [heading];
+    let stanza = [];
+    const close = () => {
+        if (stanza.length) stanzas.push(stanza);
+        stanza = [];
+    };
+    for (const line of String(song.lyrics || '').split('\n')) {
+        const marker = parseMarker(line);
+        if (marker) {
+            close();
+            stanza.push(textRow(marker.label.toUpperCase(), { font: 'bold', size: sizes.label, color: GRAY }));
+        } else if (!line.trim()) {
+            close();
+        } else {
+            for (const piece of wrapCharacters(lyricCharacters(line, chordOptions), columnWidth, sizes.lyrics)) {
+                stanza.push(lyricRow(piece, sizes));
+            }
+        }
+    }
+    close();
+
+    // The title stays with the first stanza
+    if (stanzas.length > 1) stanzas.splice(0, 2, [...stanzas[0], ...stanzas[1]]);
+    return stanzas;
+}
+
+function stanzaHeight(stanza) {
+    return stanza.reduce((sum, row) => sum + row.height, 0);
+}
+
+function drawCover(page, setup, { siteName, listName, songCount, url }) {
+    const { margin, contentWidth, sizes } = setup;
+    centerText(page, margin + 60, siteName, { font: 'regular', size: sizes.siteName, color: GRAY });
+
+    let y = Math.round(setup.height * 0.28);
+    for (const line of wrapWords(listName, contentWidth, 'bold', sizes.listName)) {
+        centerText(page, y, line, { font: 'bold', size: sizes.listName });
+        y += lineHeight(sizes.listName);
+    }
+    centerText(page, y, `${songCount} ${songCount === 1 ? 'song' : 'songs'}`, { font: 'regular', size: sizes.contents + 1, color: GRAY });
+
+    if (!url) return;
+    const qr = QRCode.create(url, { errorCorrectionLevel: 'M' });
+    const size = qr.modules.size;
+    const cell = QR_SIZE / size;
+    const left = (setup.width - QR_SIZE) / 2;
+    const top = y + 60;
+    // One rectangle per run of dark modules in a row
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (!qr.modules.get(row, col)) continue;
+            const start = col;
+            while (col + 1 < size && qr.modules.get(row, col + 1)) col++;
+            page.rect(left + start * cell, top + row * cell, (col - start + 1) * cell, cell);
+        }
+    }
+    centerText(page, top + QR_SIZE + 20, fitText(url, contentWidth, 'regular', sizes.details), {
+        font: 'regular', size: sizes.details, color: GRAY
+    });
+}
+
+// Rows of the table of contents that fit on each page
+function contentsPerPage(setup, first) {
+    const { margin, bottom, sizes } = setup;
+    const height = bottom - margin - (first ? lineHeight(sizes.heading) + 12 : 0);
+    return Math.floor(height / lineHeight(sizes.contents));
+}
+
+function contentsPageCount(setup, entries) {
+    let count = 1;
+    let room = contentsPerPage(setup, true);
+    while (entries > room) {
+        entries -= room;
+        room = contentsPerPage(setup, false);
+        count++;
+    }
+    return count;
+}
+
+function drawContents(pages, setup, contents, { emptyMessage, links }) {
+    const { margin, contentWidth, sizes } = setup;
+    let pageIndex = 0;
+    let page = pages[0];
+    page.text(margin, margin + sizes.heading, 'Contents', { font: 'bold', size: sizes.heading });
+    let y = margin + lineHeight(sizes.heading) + 12;
+    let room = contentsPerPage(setup, true);
+
+    if (contents.length === 0 && emptyMessage) {
+        page.text(margin, y + sizes.contents, emptyMessage, { font: 'italic', size: sizes.contents, color: GRAY });
+    }
+
+    for (const entry of contents) {
+        if (room === 0) {
+            page = pages[++pageIndex];
+            y = margin;
+            room = contentsPerPage(setup, false);
+        }
+        const number = String(entry.page);
+        const numberWidth = textWidth(number, 'regular', sizes.contents);
+        const title = fitText(entry.title, contentWidth - numberWidth - 30, 'regular', sizes.contents);
+        const titleWidth = textWidth(title, 'regular', sizes.contents);
+        const dotWidth = textWidth(' .', 'regular', sizes.contents);
+        const dots = ' .'.repeat(Math.max(0, Math.floor((contentWidth - titleWidth - numberWidth - 8) / dotWidth)));
+        const baseline = y + sizes.contents;
+
+        page.text(margin, baseline, title, { size: sizes.contents });
+        page.text(margin + titleWidth, baseline, dots, { size: sizes.contents, color: GRAY });
+        page.text(margin + contentWidth - numberWidth, baseline, number, { size: sizes.contents });
+        if (links) page.link(margin, y, contentWidth, lineHeight(sizes.contents), entry.page - 1);
+
+        y += lineHeight(sizes.contents);
+        room--;
+    }
+}
+
+/**
+ * The sides of the sheets of a booklet, as [left, right] page indexes.
+ * Printed double-sided (flipping on the short edge), stacked, folded and
+ * stapled, the pages come out in order. pageCount must be a multiple of
+ * four.
+ */
+function bookletSheets(pageCount) {
+    const sides = [];
+    for (let i = 0; i < pageCount / 4; i++) {
+        sides.push([pageCount - 1 - 2 * i, 2 * i]);
+        sides.push([2 * i + 1, pageCount - 2 - 2 * i]);
+    }
+    return sides;
+}
+
+/**
+ * Read the transpositions asked for in a songbook's address, written
+ * songId:semitones and comma-separated ("abc:2,def:-3"). Returns
+ * { transpose, error }, transpose mapping song ids to semitones.
+ */
+function parseTranspose(value) {
+    const transpose = {};
+    if (value === undefined || value === '') return { transpose, error: null };
+
+    for (const pair of String(value).split(',')) {
+        const match = pair.match(/^([a-z0-9]+):(-?\d{1,2})$/i);
+        if (!match || Math.abs(Number(match[2])) > 11) {
+            return { transpose: null, error: 'Transpose must be song:semitones pairs like abc:2, from -11 to 11' };
+        }
+        transpose[match[1]] = Number(match[2]);
+    }
+    return { transpose, error: null };
+}
+
+/**
+ * Build a songbook. Options: siteName, listName, songs (in order), url
+ * (of the list, for the QR code), emptyMessage (shown in the contents of
+ * an empty list), layout (see lib/print-layouts.js), chords (false to
+ * leave them out) and transpose (song id -> semitones). Returns
+ * { pdf: Buffer, contents: [{ title, page }], pageCount }, page numbers
+ * counting the cover as page 1.
+ *
+ * A booklet's pages are made up to a multiple of four with blank pages
+ * and printed two to a sheet, so its contents can't link to them.
+ */
+function buildSongbook({ siteName, listName, songs, url = null, emptyMessage = '', layout = DEFAULT_LAYOUT, chords = true, transpose = {} }) {
+    if (!isLayout(layout)) throw new Error(`Unknown print layout: ${layout}`);
+    const setup = pageSetup(layout);
+    const { margin, bottom, columns, columnWidth, sizes } = setup;
+    const doc = createPdf({ title: listName, author: siteName, width: setup.width, height: setup.height });
+
+    drawCover(doc.addPage(), setup, { siteName, listName, songCount: songs.length, url });
+    const contentsPages = [];
+    for (let i = contentsPageCount(setup, songs.length); i > 0; i--) contentsPages.push(doc.addPage());
+
+    const contents = [];
+    let page = null;
+    let column = 0;
+    let y = bottom;
+    // The song being set, once it's been started
+    let continuing = null;
+    const nextColumn = ({ newPage = false } = {}) => {
+        if (page && !newPage && column + 1 < columns) {
+            column++;
+        } else {
+            page = doc.addPage();
+            column = 0;
+        }
+        y = margin;
+        if (continuing) {
+            const header = textRow(`${continuing.title} (continued)`, { font: 'italic', size: sizes.details, color: GRAY, gap: 4 });
+            header.draw(page, columnLeft(), y);
+            y += header.height;
+        }
+    };
+    const columnLeft = () => margin + column * (columnWidth + COLUMN_GAP);
+
+    for (const song of songs) {
+        const stanzas = songStanzas(song, setup, { chords, transpose: transpose[song.id] || 0 });
+        const songHeight = stanzas.reduce((sum, stanza) => sum + stanzaHeight(stanza) + STANZA_GAP, -STANZA_GAP);
+        // Start a fresh column for a song that would fit in one, or
+        // whose first stanza won't fit here
+        continuing = null;
+        if (setup.songPerPage) {
+            nextColumn({ newPage: true });
+        } else if (y + songHeight > bottom && (songHeight <= bottom - margin || y + stanzaHeight(stanzas[0]) > bottom)) {
+            nextColumn();
+        }
+        contents.push({ title: song.title, page: doc.pages.length });
+        continuing = song;
+
+        stanzas.forEach((stanza, i) => {
+            if (i > 0) y += STANZA_GAP;
+            const height = stanzaHeight(stanza);
+            if (y + height > bottom && height <= bottom - margin) nextColumn();
+            for (const row of stanza) {
+                if (y + row.height > bottom) nextColumn();
+                row.draw(page, columnLeft(), y);
+                y += row.height;
+            }
+        });
+        y += SONG_GAP;
+    }
+
+    drawContents(contentsPages, setup, contents, { emptyMessage, links: !setup.sheet });
+
+    doc.pages.forEach((numbered, index) => {
+        if (index === 0) return;
+        centerText(numbered, setup.height - margin + sizes.pageNumber, String(index + 1), {
+            font: 'regular', size: sizes.pageNumber, color: GRAY
+        });
+    });
+
+    if (!setup.sheet) {
+        return { pdf: doc.toBuffer(), contents, pageCount: doc.pages.length };
+    }
+
+    while (doc.pages.length % 4 !== 0) doc.addPage();
+    const booklet = createPdf({ title: listName, author: siteName, width: setup.sheet.width, height: setup.sheet.height });
+    for (const [left, right] of bookletSheets(doc.pages.length)) {
+        booklet.addPage()
+            .place(doc.pages[left], 0, 0)
+            .place(doc.pages[right], setup.width, 0);
+    }
+    return { pdf: booklet.toBuffer(), contents, pageCount: doc.pages.length };
+}
+
+module.exports = {
+    bookletSheets,
+    parseTranspose,
+    buildSongbook
+};
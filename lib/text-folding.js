@@ -0,0 +1,163 @@
+/**
+ * Text Folding
+ *
+ * Normalises text so that searches ignore spelling details that don't
+ * change a word: case, accents ("Noël" is "noel"), apostrophes ("o’er" and
+ * "o'er" are "oer") and hyphens ("well-known" reads as "well known").
+ *
+ * Sites can also list variant spellings and synonyms that should find each
+ * other, in their config (see docs/MULTI_SITE_SETUP.md):
+ *
+ *   search: { synonyms: [["o'er", 'over'], ["fo'c'sle", 'forecastle']] }
+ *
+ * Each group is a list of single words; every word in a group matches the
+ * others.
+ */
+
+// Letters that don't decompose into a base letter and an accent
+const SPECIAL_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i' };
+const SPECIAL_PATTERN = new RegExp(`[${Object.keys(SPECIAL_LETTERS).join('')}]`, 'g');
+
+const APOSTROPHES = /['’‘ʼ`]/g;
+const HYPHENS = /[-‐‑]/g;
+
+// Characters that fold to exactly one character of themselves (lowercased)
+const SIMPLE_TEXT = /^[^'’‘ʼ`\u0080-\uffff]*$/;
+
+const NO_SYNONYMS = new Map();
+const NO_WORDS = new Set();
+const synonymCache = new WeakMap();
+
+/**
+ * Lowercase text without accents or apostrophes, hyphens as spaces
+ */
+function foldText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(SPECIAL_PATTERN, char => SPECIAL_LETTERS[char])
+        .replace(APOSTROPHES, '')
+        .replace(HYPHENS, ' ');
+}
+
+/**
+ * Fold text, keeping where each folded character came from so matches in
+ * the folded text can be mapped back: { text, starts }, where starts[i] is
+ * the offset in the original text of folded character i (null when the
+ * offsets are the same).
+ */
+function foldWithOffsets(text) {
+    const original = String(text || '');
+    if (SIMPLE_TEXT.test(original)) {
+        return { text: foldText(original), starts: null };
+    }
+
+    let folded = '';
+    const starts = [];
+    let offset = 0;
+    for (const char of original) {
+        const piece = foldText(char);
+        for (let i = 0; i < piece.length; i++) starts.push(offset);
+        folded += piece;
+        offset += char.length;
+    }
+    starts.push(original.length);
+    return { text: folded, starts };
+}
+
+/**
+ * Map a range of folded text back to the original text
+ */
+function originalRange({ starts }, start, end) {
+    if (!starts) return { start, end };
+    let last = end;
+    while (last < starts.length - 1 && starts[last] === starts[end - 1]) last++;
+    return { start: starts[start], end: starts[last] };
+}
+
+/**
+ * A word as it's indexed and searched: folded, with nothing but letters
+ * and digits
+ */
+function normalizeWord(word) {
+    return foldText(word).replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Synonyms from a site's groups of words: Map(word -> other words in its
+ * groups). Built once per config.
+ */
+function buildSynonyms(groups) {
+    if (!Array.isArray(groups) || groups.length === 0) return NO_SYNONYMS;
+    if (synonymCache.has(groups)) return synonymCache.get(groups);
+
+    const synonyms = new Map();
+    for (const group of groups) {
+        const words = [...new Set(group.map(normalizeWord).filter(Boolean))];
+        for (const word of words) {
+            if (!synonyms.has(word)) synonyms.set(word, new Set());
+            words.filter(other => other !== word).forEach(other => synonyms.get(word).add(other));
+        }
+    }
+    synonymCache.set(groups, synonyms);
+    return synonyms;
+}
+
+/**
+ * Check a site's synonym groups; returns an error message or null
+ */
+function validateSynonyms(groups) {
+    if (groups === undefined) return null;
+    if (!Array.isArray(groups)) return 'search.synonyms must be a list of word groups';
+
+    for (const [i, group] of groups.entries()) {
+        if (!Array.isArray(group) || group.length < 2 || !group.every(word => typeof word === 'string')) {
+            return `search.synonyms[${i}] must be a list of at least two words`;
+        }
+        const phrase = group.find(word => /\s/.test(word.trim()) || !normalizeWord(word));
+        if (phrase !== undefined) {
+            return `search.synonyms[${i}]: "${phrase}" must be a single word`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Other words that should match a (normalised) word
+ */
+function synonymsOf(synonyms, word) {
+    return synonyms.get(word) || NO_WORDS;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for a phrase in folded text, with any run of whitespace
+ * (including line breaks) between its words. Words match anywhere, as in
+ * a substring search; their synonyms only as whole words.
+ */
+function phrasePattern(phrase, synonyms = NO_SYNONYMS) {
+    const words = foldText(phrase).trim().split(/\s+/).filter(Boolean);
+    const parts = words.map(word => {
+        const variants = [...synonymsOf(synonyms, normalizeWord(word))];
+        if (variants.length === 0) return escapeRegExp(word);
+        const whole = variants.map(variant => `(?<![\\p{L}\\p{N}])${escapeRegExp(variant)}(?![\\p{L}\\p{N}])`);
+        return `(?:${[escapeRegExp(word), ...whole].join('|')})`;
+    });
+    return new RegExp(parts.join('\\s+'), 'gu');
+}
+
+module.exports = {
+    NO_SYNONYMS,
+    foldText,
+    foldWithOffsets,
+    originalRange,
+    normalizeWord,
+    buildSynonyms,
+    validateSynonyms,
+    synonymsOf,
+    phrasePattern
+};
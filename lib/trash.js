@@ -0,0 +1,170 @@
+/**
+ * Trash
+ *
+ * Deleted songs and lists are moved to data.trash instead of being thrown
+ * away, and can be restored until they expire or are purged. A trashed
+ * song remembers which lists it was in, at what position, and its segment
+ * heading and leader in each (see lib/setlists.js), so restoring it puts
+ * it back where it was. Its revision history stays in data.revisions
+ * until the song is purged.
+ */
+const { removeRevisions } = require('./revisions');
+
+const TRASH_TYPES = ['song', 'list'];
+
+function ensureTrash(data) {
+    if (!data.trash) data.trash = [];
+    return data.trash;
+}
+
+function findTrashIndex(data, type, id) {
+    return (data.trash || []).findIndex(entry => entry.type === type && entry.item.id === id);
+}
+
+/**
+ * Move a song to the trash, taking it out of every list. Returns the trash
+ * entry, or null if there is no such song.
+ */
+function trashSong(data, songId, { deletedBy = null, now = new Date() } = {}) {
+    const index = data.songs.findIndex(s => s.id === songId);
+    if (index === -1) return null;
+
+    const listPositions = [];
+    for (const list of data.lists) {
+        const position = list.songIds.indexOf(songId);
+        if (position !== -1) {
+            const placement = { listId: list.id, position };
+            list.songIds.splice(position, 1);
+
+            const segment = (list.segments || []).find(s => s.startsAt === songId);
+            if (segment) {
+                placement.segment = segment;
+                list.segments = list.segments.filter(s => s !== segment);
+                if (list.segments.length === 0) delete list.segments;
+            }
+            if (list.leaders && songId in list.leaders) {
+                placement.leader = list.leaders[songId];
+                delete list.leaders[songId];
+                if (Object.keys(list.leaders).length === 0) delete list.leaders;
+            }
+            listPositions.push(placement);
+        }
+    }
+
+    const [song] = data.songs.splice(index, 1);
+    const entry = { type: 'song', item: song, listPositions, deletedAt: now.toISOString(), deletedBy };
+    ensureTrash(data).push(entry);
+    return entry;
+}
+
+/**
+ * Move a list to the trash. Returns the trash entry, or null if there is
+ * no such list.
+ */
+function trashList(data, listId, { deletedBy = null, now = new Date() } = {}) {
+    const index = data.lists.findIndex(l => l.id === listId);
+    if (index === -1) return null;
+
+    const [list] = data.lists.splice(index, 1);
+    const entry = { type: 'list', item: list, deletedAt: now.toISOString(), deletedBy };
+    ensureTrash(data).push(entry);
+    return entry;
+}
+
+/**
+ * Put a trashed song or list back. Returns the restored item, null if it
+ * isn't in the trash, or false if something with the same id already
+ * exists (e.g. it was restored from a snapshot in the meantime).
+ */
+function restoreFromTrash(data, type, id) {
+    const index = findTrashIndex(data, type, id);
+    if (index === -1) return null;
+
+    const entry = data.trash[index];
+    if (type === 'song') {
+        if (data.songs.some(s => s.id === id)) return false;
+        data.songs.push(entry.item);
+
+        for (const { listId, position, segment, leader } of entry.listPositions || []) {
+            const list = data.lists.find(l => l.id === listId);
+            if (!list || list.songIds.includes(id)) continue;
+
+            list.songIds.splice(Math.min(position, list.songIds.length), 0, id);
+            if (segment) {
+                // Segments are kept in running order
+                list.segments = [...(list.segments || []), segment]
+                    .sort((a, b) => list.songIds.indexOf(a.startsAt) - list.songIds.indexOf(b.startsAt));
+            }
+            if (leader !== undefined) {
+                list.leaders = { ...list.leaders, [id]: leader };
+            }
+        }
+    } else {
+        if (data.lists.some(l => l.id === id)) return false;
+
+        // Songs deleted since the list was trashed are left out
+        const songIds = new Set(data.songs.map(s => s.id));
+        data.lists.push({ ...entry.item, songIds: entry.item.songIds.filter(songId => songIds.has(songId)) });
+    }
+
+    data.trash.splice(index, 1);
+    return entry.item;
+}
+
+/**
+ * Take a song or list out of the trash without restoring it, for when it
+ * was put back some other way (e.g. from a snapshot). Returns the entry,
+ * or null if it wasn't in the trash.
+ */
+function removeFromTrash(data, type, id) {
+    const index = findTrashIndex(data, type, id);
+    return index === -1 ? null : data.trash.splice(index, 1)[0];
+}
+
+// Permanently drop a trash entry and anything kept for it
+function purgeEntry(data, entry) {
+    if (entry.type === 'song') {
+        removeRevisions(data, entry.item.id);
+    }
+}
+
+/**
+ * Permanently delete trashed items. `filter(entry)` picks which ones (all
+ * by default). Returns the number purged.
+ */
+function purgeTrash(data, filter = () => true) {
+    const trash = data.trash || [];
+    const purged = trash.filter(filter);
+    purged.forEach(entry => purgeEntry(data, entry));
+    data.trash = trash.filter(entry => !purged.includes(entry));
+    return purged.length;
+}
+
+/**
+ * Permanently delete items that have been in the trash longer than the
+ * retention period
+ */
+function purgeExpiredTrash(data, retentionDays, now = new Date()) {
+    if (!retentionDays) return 0;
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    return purgeTrash(data, entry => new Date(entry.deletedAt).getTime() < cutoff);
+}
+
+/**
+ * When a trashed item will be purged automatically
+ */
+function expiresAt(entry, retentionDays) {
+    if (!retentionDays) return null;
+    return new Date(new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+module.exports = {
+    TRASH_TYPES,
+    trashSong,
+    trashList,
+    restoreFromTrash,
+    removeFromTrash,
+    purgeTrash,
+    purgeExpiredTrash,
+    expiresAt
+};
@@ -0,0 +1,147 @@
+/**
+ * View Statistics
+ *
+ * Song and list views are counted twice (see storage/index.js): lifetime
+ * totals in stats.songViews and stats.listViews, and per day (UTC) in
+ * stats.daily:
+ *
+ *   daily: {
+ *     '2026-10-19': {
+ *       songViews: { songId: 3 },
+ *       listViews: { listId: 1 }
+ *     }
+ *   }
+ *
+ * Sites keep their own stats, so these are always one site's views. Days
+ * are YYYY-MM-DD strings, which sort and compare as dates.
+ */
+
+// Days covered when no range is asked for...
+const DEFAULT_RANGE_DAYS = 30;
+// ...and at most
+const MAX_RANGE_DAYS = 366;
+// Length of the weeks compared for trending songs
+const TRENDING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A date's day in UTC, as YYYY-MM-DD
+ */
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a value is a real day written as YYYY-MM-DD
+ */
+function isDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && dayKey(date) === value;
+}
+
+/**
+ * The day a number of days after (or, for negative days, before) another
+ */
+function addDays(day, days) {
+    return dayKey(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * Every day from one to another, both included
+ */
+function daysBetween(from, to) {
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+    return days;
+}
+
+/**
+ * Check a date range from a query ({ from, to }, either left out). `to`
+ * defaults to today and `from` to the 30 days up to `to`. Returns
+ * { from, to, error }.
+ */
+function parseRange({ from, to } = {}, today = dayKey()) {
+    const end = to || today;
+    const start = from || (isDay(end) ? addDays(end, 1 - DEFAULT_RANGE_DAYS) : end);
+
+    if (!isDay(start) || !isDay(end)) {
+        return { from: null, to: null, error: 'Dates must be like 2026-10-19' };
+    }
+    if (start > end) {
+        return { from: null, to: null, error: 'The range must start before it ends' };
+    }
+    if (addDays(start, MAX_RANGE_DAYS) <= end) {
+        return { from: null, to: null, error: `A range can cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    return { from: start, to: end, error: null };
+}
+
+// The per-day counts of one kind ('songViews' or 'listViews') on a day
+function countsOn(stats, day, kind) {
+    const counts = stats && stats.daily && stats.daily[day];
+    return (counts && counts[kind]) || {};
+}
+
+/**
+ * Views of one kind for each day in a range, zero for days without any:
+ * [{ date, views }]. With an id, only that song's or list's views.
+ */
+function viewsByDay(stats, kind, from, to, id = null) {
+    return daysBetween(from, to).map(date => {
+        const counts = countsOn(stats, date, kind);
+        const views = id === null
+            ? Object.values(counts).reduce((a, b) => a + b, 0)
+            : counts[id] || 0;
+        return { date, views };
+    });
+}
+
+/**
+ * Views of one kind in a range, per song or list: id -> views
+ */
+function viewsInRange(stats, kind, from, to) {
+    const totals = new Map();
+    for (const day of daysBetween(from, to)) {
+        for (const [id, views] of Object.entries(countsOn(stats, day, kind))) {
+            totals.set(id, (totals.get(id) || 0) + views);
+        }
+    }
+    return totals;
+}
+
+/**
+ * Songs or lists viewed more in the last seven days (up to and including
+ * today) than in the seven before. Returns { thisWeek, lastWeek, items },
+ * the weeks as { from, to } and items as { id, thisWeek, lastWeek, change },
+ * biggest rise first.
+ */
+function trending(stats, kind, today = dayKey()) {
+    const thisWeek = { from: addDays(today, 1 - TRENDING_DAYS), to: today };
+    const lastWeek = { from: addDays(today, 1 - 2 * TRENDING_DAYS), to: addDays(today, -TRENDING_DAYS) };
+    const current = viewsInRange(stats, kind, thisWeek.from, thisWeek.to);
+    const previous = viewsInRange(stats, kind, lastWeek.from, lastWeek.to);
+
+    const items = [...current]
+        .map(([id, views]) => ({ id, thisWeek: views, lastWeek: previous.get(id) || 0 }))
+        .filter(item => item.thisWeek > item.lastWeek)
+        .map(item => ({ ...item, change: item.thisWeek - item.lastWeek }))
+        .sort((a, b) => b.change - a.change || b.thisWeek - a.thisWeek);
+
+    return { thisWeek, lastWeek, items };
+}
+
+module.exports = {
+    DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS,
+    TRENDING_DAYS,
+    dayKey,
+    isDay,
+    addDays,
+    daysBetween,
+    parseRange,
+    viewsByDay,
+    viewsInRange,
+    trending
+};
@@ -2,7 +2,13 @@
 
 let songs = [];
 let lists = [];
+let users = [];
+let snapshots = [];
+let trashItems = [];
+let importedSongs = []; // Songs parsed from the files being imported
+let siteArchive = null; // Archive chosen on the Export / Import tab
 let editingListId = null;
+let currentUser = null; // { username, role, permissions } for the signed-in user
 
 // Get base path from config (set by admin.ejs template)
 const basePath = (window.adminConfig && window.adminConfig.basePath) || '';
@@ -29,9 +35,20 @@ const qrListName = document.getElementById('qrListName');
 const qrCodeImg = document.getElementById('qrCodeImg');
 const qrUrl = document.getElementById('qrUrl');
 
+// Live session modal elements
+const sessionModal = document.getElementById('sessionModal');
+const sessionStatus = document.getElementById('sessionStatus');
+const sessionSongs = document.getElementById('sessionSongs');
+const sessionSections = document.getElementById('sessionSections');
+const sessionRequests = document.getElementById('sessionRequests');
+let liveSession = null; // The session being led, with its list's songs in order and singers' requests
+let sessionRefresh = null; // Interval that keeps the follower count and requests current
+
 // Edit Song Modal elements
 const editSongModal = document.getElementById('editSongModal');
 const editSongForm = document.getElementById('editSongForm');
+const revisionsList = document.getElementById('revisionsList');
+const revisionDiff = document.getElementById('revisionDiff');
 
 // List form elements
 const listFormTitle = document.getElementById('listFormTitle');
@@ -44,20 +61,87 @@ const useCustomOrderCheckbox = document.getElementById('useCustomOrder');
 const customOrderSection = document.getElementById('customOrderSection');
 const songOrderList = document.getElementById('songOrderList');
 let orderedSongIds = []; // Tracks the custom order of selected songs
+let listSegments = {}; // Song id -> heading of the segment starting at it
+let listLeaders = {}; // Song id -> who leads it
+
+// Setlist history elements
+const notSungMonths = document.getElementById('notSungMonths');
+const notSungList = document.getElementById('notSungList');
+const sungModal = document.getElementById('sungModal');
+const sungSongs = document.getElementById('sungSongs');
+let songHistory = {}; // Song id -> { timesSung, lastSung } from events recorded as sung
+let sungList = null; // The list whose songs sung are being recorded, with the songs ticked
+
+// Stats tab elements
+const statsRange = document.getElementById('statsRange');
+const statsTotals = document.getElementById('statsTotals');
+const statsChart = document.getElementById('statsChart');
+const trendingList = document.getElementById('trendingList');
+const topViewedList = document.getElementById('topViewedList');
+const itemStats = document.getElementById('itemStats');
 
 // Settings form elements
 const changePasswordForm = document.getElementById('changePasswordForm');
 
+// Users tab elements
+const inviteUserForm = document.getElementById('inviteUserForm');
+const usersContainer = document.getElementById('usersContainer');
+
+// Import elements
+const importForm = document.getElementById('importForm');
+const importPreview = document.getElementById('importPreview');
+const importSongs = document.getElementById('importSongs');
+const importErrors = document.getElementById('importErrors');
+
+// Export / Import tab elements
+const importSiteForm = document.getElementById('importSiteForm');
+const siteImportReport = document.getElementById('siteImportReport');
+const siteImportSummary = document.getElementById('siteImportSummary');
+
+// Trash tab elements
+const trashContainer = document.getElementById('trashContainer');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+
+// Backups tab elements
+const snapshotsContainer = document.getElementById('snapshotsContainer');
+
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    // Check if already logged in
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+
+    // Check if already logged in with a session the server still accepts
+    if (sessionStorage.getItem('adminToken')) {
+        try {
+            const response = await apiFetch(basePath + '/api/auth/session');
+            if (response.ok) {
+                const data = await response.json();
+                currentUser = data.user;
+                showAdminPanel();
+            }
+        } catch (error) {
+            // Stay on the login screen
+        }
+    }
+});
+
+// Fetch wrapper for admin API calls - sends the session token and
+// returns to the login screen if the server rejects it
+async function apiFetch(url, options = {}) {
     const token = sessionStorage.getItem('adminToken');
+    const headers = { ...(options.headers || {}) };
     if (token) {
-        showAdminPanel();
+        headers.Authorization = `Bearer ${token}`;
     }
 
-    setupEventListeners();
-});
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401 && token) {
+        showLoginScreen();
+        showToast('Session expired - please log in again', 'error');
+    }
+
+    return response;
+}
 
 // Event Listeners
 function setupEventListeners() {
@@ -68,14 +152,33 @@ function setupEventListeners() {
     editSongForm.addEventListener('submit', handleEditSong);
     cancelEditBtn.addEventListener('click', cancelEditList);
     changePasswordForm.addEventListener('submit', handleChangePassword);
+    inviteUserForm.addEventListener('submit', handleInviteUser);
+    importForm.addEventListener('submit', handleImportPreview);
+    document.getElementById('importSubmitBtn').addEventListener('click', handleImport);
+    document.getElementById('importCancelBtn').addEventListener('click', resetImport);
 
     // Custom order toggle
     useCustomOrderCheckbox.addEventListener('change', handleCustomOrderToggle);
+    notSungMonths.addEventListener('change', loadNotSung);
 
     // Tab switching
     tabs.forEach(tab => {
         tab.addEventListener('click', () => switchTab(tab.dataset.tab));
     });
+    if (statsRange) { // Only on sites with statistics
+        document.querySelector('.tab[data-tab="stats"]').addEventListener('click', loadStats);
+        statsRange.addEventListener('change', loadStats);
+    }
+    document.querySelector('.tab[data-tab="trash"]').addEventListener('click', loadTrash);
+    document.querySelector('.tab[data-tab="backups"]').addEventListener('click', loadSnapshots);
+    emptyTrashBtn.addEventListener('click', emptyTrash);
+    document.getElementById('exportSiteBtn').addEventListener('click', exportSite);
+    importSiteForm.addEventListener('submit', handleSiteImportDryRun);
+    document.getElementById('siteImportConfirmBtn').addEventListener('click', handleSiteImport);
+
+    // Live lyrics previews
+    document.getElementById('songLyrics').addEventListener('input', () => updateLyricsPreview('songLyrics'));
+    document.getElementById('editSongLyrics').addEventListener('input', () => updateLyricsPreview('editSongLyrics'));
 
     // Close modals on overlay click
     qrModal.addEventListener('click', (e) => {
@@ -84,6 +187,18 @@ function setupEventListeners() {
     editSongModal.addEventListener('click', (e) => {
         if (e.target === editSongModal) closeEditSongModal();
     });
+    sessionModal.addEventListener('click', (e) => {
+        if (e.target === sessionModal) closeSessionModal();
+    });
+    sungModal.addEventListener('click', (e) => {
+        if (e.target === sungModal) closeSungModal();
+    });
+}
+
+// Render a lyrics textarea's markup into the preview beside it
+function updateLyricsPreview(textareaId) {
+    const lyrics = document.getElementById(textareaId).value;
+    document.getElementById(textareaId + 'Preview').innerHTML = window.LyricsMarkup.renderLyrics(lyrics);
 }
 
 // Tab switching
@@ -99,23 +214,25 @@ function switchTab(tabId) {
 // Login
 async function handleLogin(e) {
     e.preventDefault();
+    const username = document.getElementById('username').value.trim() || 'admin';
     const password = document.getElementById('password').value;
 
     try {
         const response = await fetch(basePath + '/api/auth/login', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ password })
+            body: JSON.stringify({ username, password })
         });
 
         const data = await response.json();
 
         if (data.success) {
             sessionStorage.setItem('adminToken', data.token);
+            currentUser = data.user;
             showAdminPanel();
             showToast('Logged in successfully', 'success');
         } else {
-            showToast('Invalid password', 'error');
+            showToast(data.error || 'Invalid username or password', 'error');
         }
     } catch (error) {
         showToast('Login failed', 'error');
@@ -123,12 +240,23 @@ async function handleLogin(e) {
 }
 
 // Logout
-function handleLogout() {
+async function handleLogout() {
+    try {
+        await apiFetch(basePath + '/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        // Token is discarded locally either way
+    }
+    showLoginScreen();
+    showToast('Logged out', 'info');
+}
+
+// Show login screen and forget the session token
+function showLoginScreen() {
     sessionStorage.removeItem('adminToken');
+    currentUser = null;
     loginScreen.style.display = 'block';
     adminPanel.style.display = 'none';
     document.getElementById('password').value = '';
-    showToast('Logged out', 'info');
 }
 
 // Change password
@@ -150,7 +278,7 @@ async function handleChangePassword(e) {
     }
 
     try {
-        const response = await fetch(basePath + '/api/auth/change-password', {
+        const response = await apiFetch(basePath + '/api/auth/change-password', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ currentPassword, newPassword })
@@ -173,14 +301,41 @@ async function handleChangePassword(e) {
 function showAdminPanel() {
     loginScreen.style.display = 'none';
     adminPanel.style.display = 'block';
+    applyRole();
     loadSongs();
     loadLists();
+    if (can('users:manage')) {
+        loadUsers();
+    }
+}
+
+// Check whether the signed-in user's role grants a permission
+function can(permission) {
+    return Boolean(currentUser && currentUser.permissions.includes(permission));
+}
+
+// Show or hide parts of the panel the signed-in user's role can't use
+function applyRole() {
+    document.querySelectorAll('.owner-only').forEach(el => {
+        el.style.display = can('users:manage') ? '' : 'none';
+    });
+    document.querySelectorAll('.song-editor-only').forEach(el => {
+        el.style.display = can('songs:write') ? '' : 'none';
+    });
+    document.querySelectorAll('.backups-only').forEach(el => {
+        el.style.display = can('backups:restore') ? '' : 'none';
+    });
+    document.getElementById('currentUsername').textContent = currentUser ? currentUser.username : '';
+    document.getElementById('currentRole').textContent = currentUser ? currentUser.role : '';
+
+    // Curators land on the lists tab since they can't edit songs
+    switchTab(can('songs:write') ? 'songs' : 'lists');
 }
 
 // Load songs
 async function loadSongs() {
     try {
-        const response = await fetch(basePath + '/api/songs');
+        const response = await apiFetch(basePath + '/api/songs');
         songs = await response.json();
         renderSongsList();
         renderSongCheckboxes();
@@ -192,14 +347,75 @@ async function loadSongs() {
 // Load lists
 async function loadLists() {
     try {
-        const response = await fetch(basePath + '/api/lists');
+        const response = await apiFetch(basePath + '/api/lists');
         lists = await response.json();
         renderLists();
+        loadSongHistory();
     } catch (error) {
         showToast('Failed to load lists', 'error');
     }
 }
 
+// Load when each song was last sung, for the song pickers and the report
+async function loadSongHistory() {
+    try {
+        const response = await apiFetch(basePath + '/api/reports/song-history');
+        const history = await response.json();
+        songHistory = Object.fromEntries(history.map(song => [song.id, song]));
+        updateLastSung();
+        loadNotSung();
+    } catch (error) {
+        showToast('Failed to load song history', 'error');
+    }
+}
+
+// The day six months ago, as YYYY-MM-DD: songs sung since are repeats
+function repeatCutoff() {
+    const date = new Date();
+    date.setMonth(date.getMonth() - 6);
+    return date.toISOString().slice(0, 10);
+}
+
+// "last sung" note for a song in the list pickers
+function lastSungHtml(songId) {
+    const history = songHistory[songId];
+    if (!history || !history.lastSung) return '';
+    const recent = history.lastSung >= repeatCutoff();
+    return `<span class="song-last-sung${recent ? ' recent' : ''}" title="${recent ? 'Sung in the last six months' : ''}">sung ${history.lastSung}</span>`;
+}
+
+function updateLastSung() {
+    document.querySelectorAll('[data-last-sung]').forEach(el => {
+        el.innerHTML = lastSungHtml(el.dataset.lastSung);
+    });
+}
+
+// Load the songs not sung in the months chosen
+async function loadNotSung() {
+    try {
+        const response = await apiFetch(`${basePath}/api/reports/not-sung?months=${notSungMonths.value}`);
+        const report = await response.json();
+        if (!response.ok) {
+            showToast(report.error || 'Failed to load song history', 'error');
+            return;
+        }
+        if (report.songs.length === 0) {
+            notSungList.innerHTML = '<p style="color: var(--text-secondary);">Every song has been sung in that time.</p>';
+            return;
+        }
+        notSungList.innerHTML = report.songs.map(song => `
+            <div class="admin-song-item">
+                <div class="admin-song-info">
+                    <div class="admin-song-title">${escapeHtml(song.title)}</div>
+                </div>
+                <span class="list-meta">${song.lastSung ? `Last sung ${song.lastSung} · ${song.timesSung} time${song.timesSung !== 1 ? 's' : ''}` : 'Never sung'}</span>
+            </div>
+        `).join('');
+    } catch (error) {
+        showToast('Failed to load song history', 'error');
+    }
+}
+
 // Render songs in manage section
 function renderSongsList() {
     if (songs.length === 0) {
@@ -213,8 +429,8 @@ function renderSongsList() {
                 <div class="admin-song-title">${escapeHtml(song.title)}</div>
             </div>
             <div class="admin-song-actions">
-                <button class="btn btn-secondary btn-small" onclick="openEditSong('${song.id}')">Edit</button>
-                <button class="btn btn-danger btn-small" onclick="deleteSong('${song.id}')">Delete</button>
+                ${can('songs:write') ? `<button class="btn btn-secondary btn-small" onclick="openEditSong('${song.id}')">Edit</button>` : ''}
+                ${can('songs:delete') ? `<button class="btn btn-danger btn-small" onclick="deleteSong('${song.id}')">Delete</button>` : ''}
             </div>
         </div>
     `).join('');
@@ -238,6 +454,7 @@ function renderSongCheckboxes(selectedIds = []) {
             <label for="song-${song.id}" class="admin-song-info" style="cursor: pointer;">
                 <div class="admin-song-title">${escapeHtml(song.title)}</div>
             </label>
+            <span data-last-sung="${song.id}">${lastSungHtml(song.id)}</span>
         </div>
     `).join('');
 
@@ -286,6 +503,12 @@ function renderSongOrderList() {
         const song = songs.find(s => s.id === songId);
         if (!song) return '';
         return `
+            ${listSegments[songId] ? `
+            <div class="drag-segment">
+                ${escapeHtml(listSegments[songId])}
+                <button type="button" class="btn btn-secondary btn-small" onclick="editSegment('${songId}')">Rename</button>
+            </div>
+            ` : ''}
             <div class="drag-item" draggable="true" data-id="${songId}">
                 <svg class="drag-handle" width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                     <circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/>
@@ -294,6 +517,9 @@ function renderSongOrderList() {
                 </svg>
                 <span class="drag-number">${index + 1}</span>
                 <span class="drag-title">${escapeHtml(song.title)}</span>
+                <input type="text" class="drag-leader" placeholder="Leader" aria-label="Who leads ${escapeHtml(song.title)}"
+                    value="${escapeHtml(listLeaders[songId] || '').replace(/"/g, '&quot;')}" onchange="setSongLeader('${songId}', this.value)">
+                ${listSegments[songId] ? '' : `<button type="button" class="btn btn-secondary btn-small" onclick="editSegment('${songId}')" title="Start a segment, like &quot;Opening&quot;, at this song">Heading</button>`}
             </div>
         `;
     }).join('');
@@ -302,6 +528,23 @@ function renderSongOrderList() {
     setupDragAndDrop();
 }
 
+// Set or change the heading of a segment starting at a song; an empty
+// heading removes it
+function editSegment(songId) {
+    const title = prompt('Segment heading above this song (e.g., Opening, Carols, Last Orders):', listSegments[songId] || '');
+    if (title === null) return;
+    if (title.trim()) {
+        listSegments[songId] = title.trim();
+    } else {
+        delete listSegments[songId];
+    }
+    renderSongOrderList();
+}
+
+function setSongLeader(songId, leader) {
+    listLeaders[songId] = leader.trim();
+}
+
 // Setup drag and drop functionality
 function setupDragAndDrop() {
     const items = songOrderList.querySelectorAll('.drag-item');
@@ -344,6 +587,16 @@ function setupDragAndDrop() {
     });
 }
 
+// A list's date, venue, song count and how many were sung
+function listMeta(list) {
+    return [
+        list.date,
+        list.venue && escapeHtml(list.venue),
+        `${list.songIds.length} song${list.songIds.length !== 1 ? 's' : ''}`,
+        list.sung && `${list.sung.songIds.length} sung`
+    ].filter(Boolean).join(' · ');
+}
+
 // Render lists
 function renderLists() {
     if (lists.length === 0) {
@@ -355,10 +608,13 @@ function renderLists() {
         <div class="list-item">
             <div class="list-info">
                 <div class="list-name">${escapeHtml(list.name)}</div>
-                <div class="list-meta">${list.songIds.length} song${list.songIds.length !== 1 ? 's' : ''}</div>
+                <div class="list-meta">${listMeta(list)}</div>
             </div>
             <div class="list-actions">
                 <button class="btn btn-secondary btn-small" onclick="showQrCode('${list.id}')">QR Code</button>
+                <button class="btn btn-secondary btn-small" onclick="startSession('${list.id}')">Live Session</button>
+                <button class="btn btn-secondary btn-small" onclick="openPresentation('${list.id}')">Present</button>
+                <button class="btn btn-secondary btn-small" onclick="openSungModal('${list.id}')">What Was Sung</button>
                 <button class="btn btn-secondary btn-small" onclick="editList('${list.id}')">Edit</button>
                 <button class="btn btn-danger btn-small" onclick="deleteList('${list.id}')">Delete</button>
             </div>
@@ -375,14 +631,15 @@ async function handleAddSong(e) {
     const url = document.getElementById('songUrl').value.trim() || null;
 
     try {
-        const response = await fetch(basePath + '/api/songs', {
+        const response = await apiFetch(basePath + '/api/songs', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, lyrics, url })
+            body: JSON.stringify({ title, lyrics, url, ...readMetadataFields('song') })
         });
 
         if (response.ok) {
             addSongForm.reset();
+            updateLyricsPreview('songLyrics');
             loadSongs();
             showToast('Song added successfully', 'success');
         } else {
@@ -394,6 +651,116 @@ async function handleAddSong(e) {
     }
 }
 
+// Read the chosen files and preview the songs in them
+async function handleImportPreview(e) {
+    e.preventDefault();
+
+    const fileInput = document.getElementById('importFiles');
+    const files = await Promise.all(Array.from(fileInput.files).map(async file => ({
+        name: file.name,
+        content: await file.text()
+    })));
+
+    try {
+        const response = await apiFetch(basePath + '/api/import/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ files })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            importedSongs = data.songs;
+            renderImportPreview(data.errors);
+        } else {
+            showToast(data.error || 'Failed to read files', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to read files', 'error');
+    }
+}
+
+// Render the import preview - duplicates and broken rows start unchecked
+function renderImportPreview(errors) {
+    importErrors.innerHTML = errors.map(err => `
+        <p style="color: var(--danger-color); margin-bottom: 0.5rem;">${escapeHtml(err.file || 'File')}: ${escapeHtml(err.error)}</p>
+    `).join('');
+
+    importSongs.innerHTML = importedSongs.map((song, index) => {
+        let note = escapeHtml(song.source);
+        if (song.error) {
+            note = escapeHtml(song.error);
+        } else if (song.duplicateOf) {
+            note += song.duplicateOf.batch
+                ? ' - duplicate of another song in this import'
+                : ` - already exists as "${escapeHtml(song.duplicateOf.title)}"`;
+        }
+        return `
+            <div class="admin-song-item">
+                <input type="checkbox" id="import-${index}" value="${index}"
+                    ${song.error || song.duplicateOf ? '' : 'checked'} ${song.error ? 'disabled' : ''}>
+                <label for="import-${index}" class="admin-song-info" style="cursor: pointer;">
+                    <div class="admin-song-title">${escapeHtml(song.title || '(no title)')}</div>
+                    <div class="list-meta">${note}</div>
+                </label>
+            </div>
+        `;
+    }).join('') || '<p style="color: var(--text-secondary);">No songs found.</p>';
+
+    importPreview.style.display = 'block';
+}
+
+// Create the checked songs
+async function handleImport() {
+    const selected = Array.from(importSongs.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(cb => {
+            // Send the song itself, without the preview annotations
+            const song = { ...importedSongs[Number(cb.value)] };
+            delete song.source;
+            delete song.duplicateOf;
+            delete song.error;
+            return song;
+        });
+
+    if (selected.length === 0) {
+        showToast('No songs selected', 'error');
+        return;
+    }
+
+    const listName = document.getElementById('importListName').value.trim();
+
+    try {
+        const response = await apiFetch(basePath + '/api/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ songs: selected, listName: listName || null })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            resetImport();
+            loadSongs();
+            if (data.list) loadLists();
+            showToast(`Imported ${data.songs.length} songs${data.list ? ` into "${data.list.name}"` : ''}`, 'success');
+        } else {
+            showToast(data.error || 'Failed to import songs', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to import songs', 'error');
+    }
+}
+
+function resetImport() {
+    importForm.reset();
+    importedSongs = [];
+    importSongs.innerHTML = '';
+    importErrors.innerHTML = '';
+    document.getElementById('importListName').value = '';
+    importPreview.style.display = 'none';
+}
+
 // Open edit song modal
 function openEditSong(id) {
     const song = songs.find(s => s.id === id);
@@ -402,8 +769,145 @@ function openEditSong(id) {
     document.getElementById('editSongId').value = song.id;
     document.getElementById('editSongTitle').value = song.title;
     document.getElementById('editSongLyrics').value = song.lyrics;
+    updateLyricsPreview('editSongLyrics');
     document.getElementById('editSongUrl').value = song.url || '';
+    fillMetadataFields('editSong', song);
     editSongModal.classList.add('active');
+    loadRevisions(song.id);
+}
+
+// Text inputs for song metadata, by field name (ids are prefix + suffix)
+const METADATA_TEXT_FIELDS = {
+    writer: 'Writer',
+    composer: 'Composer',
+    tune: 'Tune',
+    key: 'Key',
+    capo: 'Capo',
+    tempo: 'Tempo',
+    language: 'Language',
+    tags: 'Tags',
+    copyright: 'Copyright'
+};
+
+// Read the metadata fields of a song form. Empty fields are sent as null
+// so that clearing a field removes it from the song.
+function readMetadataFields(prefix) {
+    const metadata = {
+        traditional: document.getElementById(`${prefix}Traditional`).checked
+    };
+    for (const [field, suffix] of Object.entries(METADATA_TEXT_FIELDS)) {
+        metadata[field] = document.getElementById(prefix + suffix).value.trim() || null;
+    }
+    return metadata;
+}
+
+function fillMetadataFields(prefix, song) {
+    document.getElementById(`${prefix}Traditional`).checked = Boolean(song.traditional);
+    for (const [field, suffix] of Object.entries(METADATA_TEXT_FIELDS)) {
+        const value = song[field];
+        document.getElementById(prefix + suffix).value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+    }
+}
+
+// Load a song's revision history into the edit modal
+async function loadRevisions(songId) {
+    revisionsList.innerHTML = '';
+    revisionDiff.style.display = 'none';
+
+    try {
+        const response = await apiFetch(`${basePath}/api/songs/${songId}/revisions`);
+        if (!response.ok) return;
+        const revisions = await response.json();
+
+        if (revisions.length === 0) {
+            revisionsList.innerHTML = '<p style="color: var(--text-secondary);">No earlier versions yet.</p>';
+            return;
+        }
+
+        revisionsList.innerHTML = revisions.map((revision, index) => {
+            let what = revision.changes.length > 0 ? revision.changes.join(', ') : 'original';
+            if (revision.revertedFrom) what = `reverted to #${revision.revertedFrom}`;
+            if (revision.restoredFrom) what = `restored from snapshot ${revision.restoredFrom}`;
+            return `
+                <div class="revision-item">
+                    <div>
+                        <strong>#${escapeHtml(String(revision.number))}</strong>
+                        ${new Date(revision.createdAt).toLocaleString()}
+                        ${revision.author ? `by ${escapeHtml(revision.author)}` : ''}
+                        <span class="list-meta">(${escapeHtml(what)})</span>
+                    </div>
+                    ${index === 0 ? '<span class="list-meta">current</span>' : `
+                        <div class="list-actions">
+                            <button type="button" class="btn btn-secondary btn-small" onclick="showRevisionDiff('${songId}', ${Number(revision.number)})">Compare</button>
+                            <button type="button" class="btn btn-secondary btn-small" onclick="revertSong('${songId}', ${Number(revision.number)})">Revert</button>
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        showToast('Failed to load history', 'error');
+    }
+}
+
+// Show a revision's lyrics side by side with the current lyrics
+async function showRevisionDiff(songId, number) {
+    try {
+        const response = await apiFetch(`${basePath}/api/songs/${songId}/revisions/${number}`);
+        if (!response.ok) {
+            showToast('Failed to load revision', 'error');
+            return;
+        }
+        const revision = await response.json();
+
+        const titleRow = revision.title !== revision.current.title
+            ? `<tr class="diff-changed"><td>${escapeHtml(revision.title)}</td><td>${escapeHtml(revision.current.title)}</td></tr>`
+            : '';
+        const rows = revision.diff.map(row => `
+            <tr class="diff-${row.type}">
+                <td>${row.left !== undefined ? escapeHtml(row.left) : ''}</td>
+                <td>${row.right !== undefined ? escapeHtml(row.right) : ''}</td>
+            </tr>
+        `).join('');
+
+        revisionDiff.innerHTML = `
+            <table class="diff-table">
+                <thead><tr><th>#${escapeHtml(String(revision.number))}</th><th>Current</th></tr></thead>
+                <tbody>${titleRow}${rows}</tbody>
+            </table>
+        `;
+        revisionDiff.style.display = 'block';
+    } catch (error) {
+        showToast('Failed to load revision', 'error');
+    }
+}
+
+// Revert a song to an earlier revision
+async function revertSong(songId, number) {
+    if (!confirm(`Revert this song to revision #${number}? The current version stays in the history.`)) return;
+
+    try {
+        const response = await apiFetch(`${basePath}/api/songs/${songId}/revisions/${number}/revert`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            const song = await response.json();
+            document.getElementById('editSongTitle').value = song.title;
+            document.getElementById('editSongLyrics').value = song.lyrics;
+            updateLyricsPreview('editSongLyrics');
+            document.getElementById('editSongUrl').value = song.url || '';
+            fillMetadataFields('editSong', song);
+            loadSongs();
+            loadRevisions(songId);
+            showToast(`Reverted to revision #${number}`, 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to revert song', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to revert song', 'error');
+    }
 }
 
 // Close edit song modal
@@ -421,10 +925,10 @@ async function handleEditSong(e) {
     const url = document.getElementById('editSongUrl').value.trim() || null;
 
     try {
-        const response = await fetch(`${basePath}/api/songs/${id}`, {
+        const response = await apiFetch(`${basePath}/api/songs/${id}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, lyrics, url })
+            body: JSON.stringify({ title, lyrics, url, ...readMetadataFields('editSong') })
         });
 
         if (response.ok) {
@@ -432,7 +936,8 @@ async function handleEditSong(e) {
             loadSongs();
             showToast('Song updated successfully', 'success');
         } else {
-            showToast('Failed to update song', 'error');
+            const data = await response.json();
+            showToast(data.error || 'Failed to update song', 'error');
         }
     } catch (error) {
         showToast('Failed to update song', 'error');
@@ -441,17 +946,17 @@ async function handleEditSong(e) {
 
 // Delete song
 async function deleteSong(id) {
-    if (!confirm('Are you sure you want to delete this song?')) return;
+    if (!confirm('Move this song to the trash? You can restore it from the Trash tab.')) return;
 
     try {
-        const response = await fetch(`${basePath}/api/songs/${id}`, {
+        const response = await apiFetch(`${basePath}/api/songs/${id}`, {
             method: 'DELETE'
         });
 
         if (response.ok) {
             loadSongs();
             loadLists(); // Reload lists as song might be removed from them
-            showToast('Song deleted', 'success');
+            showToast('Song moved to trash', 'success');
         } else {
             showToast('Failed to delete song', 'error');
         }
@@ -486,14 +991,25 @@ async function handleListSubmit(e) {
         return;
     }
 
+    // Event details; headings and leaders only for songs still in the list
+    const segments = songIds.filter(id => listSegments[id]).map(id => ({ title: listSegments[id], startsAt: id }));
+    const leaders = Object.fromEntries(songIds.filter(id => listLeaders[id]).map(id => [id, listLeaders[id]]));
+    const event = {
+        date: document.getElementById('listDate').value,
+        venue: document.getElementById('listVenue').value,
+        notes: document.getElementById('listNotes').value,
+        segments,
+        leaders
+    };
+
     try {
         const url = editingListId ? `${basePath}/api/lists/${editingListId}` : `${basePath}/api/lists`;
         const method = editingListId ? 'PUT' : 'POST';
 
-        const response = await fetch(url, {
+        const response = await apiFetch(url, {
             method,
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, songIds, useCustomOrder })
+            body: JSON.stringify({ name, songIds, useCustomOrder, ...event })
         });
 
         if (response.ok) {
@@ -503,7 +1019,8 @@ async function handleListSubmit(e) {
             loadLists();
             showToast(editingListId ? 'List updated' : 'List created', 'success');
         } else {
-            showToast('Failed to save list', 'error');
+            const result = await response.json().catch(() => ({}));
+            showToast(result.error || 'Failed to save list', 'error');
         }
     } catch (error) {
         showToast('Failed to save list', 'error');
@@ -517,6 +1034,12 @@ async function editList(id) {
 
     editingListId = id;
     listName.value = list.name;
+    document.getElementById('listDate').value = list.date || '';
+    document.getElementById('listVenue').value = list.venue || '';
+    document.getElementById('listNotes').value = list.notes || '';
+    document.getElementById('listEventFields').open = Boolean(list.date || list.venue || list.notes);
+    listSegments = Object.fromEntries((list.segments || []).map(segment => [segment.startsAt, segment.title]));
+    listLeaders = { ...(list.leaders || {}) };
     renderSongCheckboxes(list.songIds);
 
     // Set custom order state
@@ -540,6 +1063,11 @@ async function editList(id) {
 function cancelEditList() {
     editingListId = null;
     listName.value = '';
+    document.getElementById('listDate').value = '';
+    document.getElementById('listVenue').value = '';
+    document.getElementById('listNotes').value = '';
+    listSegments = {};
+    listLeaders = {};
     renderSongCheckboxes();
 
     // Reset custom order state
@@ -554,16 +1082,16 @@ function cancelEditList() {
 
 // Delete list
 async function deleteList(id) {
-    if (!confirm('Are you sure you want to delete this list?')) return;
+    if (!confirm('Move this list to the trash? You can restore it from the Trash tab.')) return;
 
     try {
-        const response = await fetch(`${basePath}/api/lists/${id}`, {
+        const response = await apiFetch(`${basePath}/api/lists/${id}`, {
             method: 'DELETE'
         });
 
         if (response.ok) {
             loadLists();
-            showToast('List deleted', 'success');
+            showToast('List moved to trash', 'success');
         } else {
             showToast('Failed to delete list', 'error');
         }
@@ -578,7 +1106,7 @@ async function showQrCode(listId) {
     if (!list) return;
 
     try {
-        const response = await fetch(`${basePath}/api/qr/${listId}`);
+        const response = await apiFetch(`${basePath}/api/qr/${listId}`);
         const data = await response.json();
 
         qrListName.textContent = list.name;
@@ -595,6 +1123,817 @@ function closeQrModal() {
     qrModal.classList.remove('active');
 }
 
+// Start a live session on a list (or pick up the one running) and open
+// its controls; everyone on the list page follows the song picked here
+async function startSession(listId) {
+    try {
+        const listResponse = await fetch(`${basePath}/api/lists/${listId}`);
+        const list = await listResponse.json();
+        const response = await apiFetch(`${basePath}/api/lists/${listId}/session`, { method: 'POST' });
+        const session = await response.json();
+        if (!response.ok) {
+            showToast(session.error || 'Failed to start session', 'error');
+            return;
+        }
+
+        liveSession = { ...session, name: list.name, songs: list.songs, requests: [] };
+        document.getElementById('sessionListName').textContent = `Live: ${list.name}`;
+        renderSession();
+        loadSessionRequests();
+        sessionModal.classList.add('active');
+        clearInterval(sessionRefresh);
+        sessionRefresh = setInterval(refreshSession, 10000);
+    } catch (error) {
+        showToast('Failed to start session', 'error');
+    }
+}
+
+function renderSession() {
+    const followers = liveSession.followers;
+    sessionStatus.textContent = `${followers} ${followers === 1 ? 'page' : 'pages'} following`;
+
+    sessionSongs.innerHTML = liveSession.songs.map((song, i) => `
+        <button class="session-song${song.id === liveSession.songId ? ' active' : ''}" onclick="moveSession('${song.id}')">
+            ${i + 1}. ${escapeHtml(song.title)}
+        </button>
+    `).join('');
+
+    const current = liveSession.songs.find(s => s.id === liveSession.songId);
+    const sections = current && Array.isArray(current.sections) ? current.sections : [];
+    sessionSections.innerHTML = sections.map((section, i) => `
+        <button class="filter-chip${i === liveSession.section ? ' active' : ''}" onclick="moveSession('${current.id}', ${i})"
+            title="${escapeHtml((section.lines[0] || '').slice(0, 80)).replace(/"/g, '&quot;')}">${escapeHtml(window.Slides.sectionLabel(current, i))}</button>
+    `).join('');
+}
+
+// Singers' requests, with the leader's controls
+function renderSessionRequests() {
+    const requests = liveSession.requests;
+    if (requests.length === 0) {
+        sessionRequests.innerHTML = '<p class="request-empty">No requests yet</p>';
+        return;
+    }
+
+    sessionRequests.innerHTML = requests.map((request, i) => `
+        <div class="request-item">
+            <span class="request-title">${escapeHtml(request.title)}</span>
+            <span class="request-votes">${request.votes} ${request.votes === 1 ? 'vote' : 'votes'}</span>
+            ${request.status === 'accepted' ? '<span class="request-status">Accepted</span>' : ''}
+            <div class="request-actions">
+                <button class="btn btn-secondary btn-small" onclick="moveRequest('${request.id}', -1)" ${i === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                <button class="btn btn-secondary btn-small" onclick="moveRequest('${request.id}', 1)" ${i === requests.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+                ${request.status === 'pending' ? `<button class="btn btn-secondary btn-small" onclick="acceptRequest('${request.id}')">Accept</button>` : ''}
+                ${request.addedToList ? '' : `<button class="btn btn-secondary btn-small" onclick="addRequestToList('${request.id}')" title="Put the song in the list, after the song being sung">Add to List</button>`}
+                <button class="btn btn-danger btn-small" onclick="dismissRequest('${request.id}')">Dismiss</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function loadSessionRequests() {
+    if (!liveSession) return;
+    try {
+        const response = await fetch(`${basePath}/api/lists/${liveSession.listId}/requests`);
+        if (!response.ok) return;
+        const requests = await response.json();
+        if (!liveSession) return;
+        liveSession.requests = requests;
+        renderSessionRequests();
+    } catch (error) {
+        // Try again next time
+    }
+}
+
+// Send a change to the request queue, then show the queue as it is now
+async function changeRequests(url, options, failure) {
+    try {
+        const response = await apiFetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || failure, 'error');
+        }
+        await loadSessionRequests();
+        return response.ok ? result : null;
+    } catch (error) {
+        showToast(failure, 'error');
+        return null;
+    }
+}
+
+function acceptRequest(requestId) {
+    changeRequests(`${basePath}/api/lists/${liveSession.listId}/requests/${requestId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: 'accepted' })
+    }, 'Failed to accept request');
+}
+
+function dismissRequest(requestId) {
+    changeRequests(`${basePath}/api/lists/${liveSession.listId}/requests/${requestId}`, { method: 'DELETE' }, 'Failed to dismiss request');
+}
+
+function moveRequest(requestId, delta) {
+    const order = liveSession.requests.map(r => r.id);
+    const index = order.indexOf(requestId);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+
+    changeRequests(`${basePath}/api/lists/${liveSession.listId}/requests`, {
+        method: 'PUT',
+        body: JSON.stringify({ order })
+    }, 'Failed to reorder requests');
+}
+
+// Accept a request and put its song in the list, after the song being sung
+async function addRequestToList(requestId) {
+    const listId = liveSession.listId;
+    const result = await changeRequests(`${basePath}/api/lists/${listId}/requests/${requestId}/add`, {
+        method: 'POST',
+        body: JSON.stringify({})
+    }, 'Failed to add the song to the list');
+    if (!result) return;
+
+    showToast(`Added "${result.request.title}" to the list`, 'success');
+    const response = await fetch(`${basePath}/api/lists/${listId}`);
+    if (response.ok && liveSession) {
+        liveSession.songs = (await response.json()).songs;
+        renderSession();
+    }
+    loadLists();
+}
+
+// Move everyone to a song, and optionally a section of it
+async function moveSession(songId, section = null) {
+    try {
+        const response = await apiFetch(`${basePath}/api/lists/${liveSession.listId}/session`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ songId, section })
+        });
+        const session = await response.json();
+        if (!response.ok) {
+            showToast(session.error || 'Failed to update session', 'error');
+            if (response.status === 404) closeSessionModal();
+            return;
+        }
+        liveSession = { ...liveSession, ...session };
+        renderSession();
+    } catch (error) {
+        showToast('Failed to update session', 'error');
+    }
+}
+
+function stepSessionSong(delta) {
+    const index = liveSession.songs.findIndex(s => s.id === liveSession.songId);
+    const next = liveSession.songs[index === -1 ? 0 : index + delta];
+    if (next) moveSession(next.id);
+}
+
+// Keep the follower count and requests current, and notice a session
+// ended elsewhere
+async function refreshSession() {
+    if (!liveSession) return;
+    try {
+        const response = await fetch(`${basePath}/api/lists/${liveSession.listId}/session`);
+        if (response.status === 404) {
+            closeSessionModal();
+            showToast('The session has ended', 'info');
+            return;
+        }
+        liveSession = { ...liveSession, ...(await response.json()) };
+        renderSession();
+        loadSessionRequests();
+    } catch (error) {
+        // Try again next time
+    }
+}
+
+async function endSession() {
+    if (!confirm(`End the live session on "${liveSession.name}"?`)) return;
+    try {
+        const response = await apiFetch(`${basePath}/api/lists/${liveSession.listId}/session`, { method: 'DELETE' });
+        if (response.ok || response.status === 404) {
+            closeSessionModal();
+            showToast('Session ended', 'success');
+        }
+    } catch (error) {
+        showToast('Failed to end session', 'error');
+    }
+}
+
+// Close the controls, leaving the session running
+function closeSessionModal() {
+    clearInterval(sessionRefresh);
+    sessionRefresh = null;
+    liveSession = null;
+    sessionModal.classList.remove('active');
+}
+
+// Record what was actually sung at a list's event: the list's songs, ticked
+// (all of them the first time), and any others sung
+function openSungModal(listId) {
+    const list = lists.find(l => l.id === listId);
+    if (!list) return;
+
+    const recorded = list.sung ? list.sung.songIds : list.songIds;
+    sungList = {
+        id: list.id,
+        songIds: [...list.songIds, ...recorded.filter(id => !list.songIds.includes(id))],
+        ticked: new Set(recorded)
+    };
+    document.getElementById('sungListName').textContent = `What Was Sung: ${list.name}`;
+    renderSungSongs();
+    sungModal.classList.add('active');
+}
+
+function renderSungSongs() {
+    sungSongs.innerHTML = sungList.songIds.map(songId => {
+        const song = songs.find(s => s.id === songId);
+        if (!song) return '';
+        return `
+            <div class="admin-song-item">
+                <input type="checkbox" id="sung-${songId}" ${sungList.ticked.has(songId) ? 'checked' : ''}
+                    onchange="toggleSung('${songId}', this.checked)">
+                <label for="sung-${songId}" class="admin-song-info" style="cursor: pointer;">
+                    <div class="admin-song-title">${escapeHtml(song.title)}</div>
+                </label>
+            </div>
+        `;
+    }).join('');
+
+    const others = songs.filter(song => !sungList.songIds.includes(song.id));
+    document.getElementById('sungExtraSong').innerHTML = '<option value="">Another song sung...</option>' +
+        others.map(song => `<option value="${song.id}">${escapeHtml(song.title)}</option>`).join('');
+}
+
+function toggleSung(songId, sung) {
+    if (sung) {
+        sungList.ticked.add(songId);
+    } else {
+        sungList.ticked.delete(songId);
+    }
+}
+
+function addSungSong() {
+    const songId = document.getElementById('sungExtraSong').value;
+    if (!songId) return;
+    sungList.songIds.push(songId);
+    sungList.ticked.add(songId);
+    renderSungSongs();
+}
+
+async function saveSung() {
+    const songIds = sungList.songIds.filter(id => sungList.ticked.has(id));
+    try {
+        const response = await apiFetch(`${basePath}/api/lists/${sungList.id}/sung`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ songIds })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || 'Failed to save', 'error');
+            return;
+        }
+        closeSungModal();
+        loadLists();
+        showToast(songIds.length > 0 ? 'Songs sung recorded' : 'Record cleared', 'success');
+    } catch (error) {
+        showToast('Failed to save', 'error');
+    }
+}
+
+function closeSungModal() {
+    sungList = null;
+    sungModal.classList.remove('active');
+}
+
+// Open a list's presenter screen. A window opened from here starts with
+// a copy of this session's storage, so it can lead the live session too.
+function openPresentation(listId) {
+    window.open(`${basePath}/present.html?id=${encodeURIComponent(listId)}&view=presenter`, `presenter-${listId}`);
+}
+
+// First day of the range chosen on the Stats tab (the last one is today)
+function statsFrom() {
+    const days = Number(statsRange.value);
+    return new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Load views per day, trending and most viewed songs and lists
+async function loadStats() {
+    try {
+        const [viewsResponse, trendingResponse] = await Promise.all([
+            apiFetch(`${basePath}/api/stats/views?from=${statsFrom()}`),
+            apiFetch(`${basePath}/api/stats/trending`)
+        ]);
+        if (!viewsResponse.ok || !trendingResponse.ok) {
+            showToast('Failed to load stats', 'error');
+            return;
+        }
+        renderViews(await viewsResponse.json());
+        renderTrending(await trendingResponse.json());
+    } catch (error) {
+        showToast('Failed to load stats', 'error');
+    }
+}
+
+function renderViews(report) {
+    statsTotals.textContent = `${report.totalSongViews} song views and ${report.totalListViews} list views from ${report.from} to ${report.to}`;
+    statsChart.innerHTML = window.Charts.lineChart(report.songViews.map(day => day.date), [
+        { name: 'Song views', values: report.songViews.map(day => day.views), className: 'chart-songs' },
+        { name: 'List views', values: report.listViews.map(day => day.views), className: 'chart-lists' }
+    ], { title: 'Views per day' });
+
+    const items = [
+        ...report.topSongs.map(({ song, views }) => ({ type: 'song', item: song, name: song.title, views })),
+        ...report.topLists.map(({ list, views }) => ({ type: 'list', item: list, name: list.name, views }))
+    ];
+    itemStats.style.display = 'none';
+    if (items.length === 0) {
+        topViewedList.innerHTML = '<p style="color: var(--text-secondary);">Nothing has been viewed in that time.</p>';
+        return;
+    }
+    topViewedList.innerHTML = items.map(({ type, item, name, views }) => `
+        <div class="admin-song-item">
+            <div class="admin-song-info">
+                <div class="admin-song-title">${escapeHtml(name)}</div>
+                <div class="list-meta">${type === 'song' ? 'Song' : 'List'} · ${views} view${views !== 1 ? 's' : ''}</div>
+            </div>
+            <div class="admin-song-actions">
+                <button class="btn btn-secondary btn-small" onclick="showItemStats('${type}', '${item.id}')">By day</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderTrending(report) {
+    const items = [
+        ...report.songs.map(({ song, ...views }) => ({ type: 'Song', name: song.title, ...views })),
+        ...report.lists.map(({ list, ...views }) => ({ type: 'List', name: list.name, ...views }))
+    ];
+    if (items.length === 0) {
+        trendingList.innerHTML = '<p style="color: var(--text-secondary);">Nothing is being viewed more than last week.</p>';
+        return;
+    }
+    trendingList.innerHTML = items.map(item => `
+        <div class="admin-song-item">
+            <div class="admin-song-info">
+                <div class="admin-song-title">${escapeHtml(item.name)}</div>
+                <div class="list-meta">${item.type} · ${item.thisWeek} this week, ${item.lastWeek} last week</div>
+            </div>
+            <span class="trend-up">+${item.change}</span>
+        </div>
+    `).join('');
+}
+
+// Chart one song's or list's views per day over the chosen range
+async function showItemStats(type, id) {
+    try {
+        const response = await apiFetch(`${basePath}/api/stats/${type}/${id}?from=${statsFrom()}`);
+        const report = await response.json();
+        if (!response.ok) {
+            showToast(report.error || 'Failed to load stats', 'error');
+            return;
+        }
+        const name = type === 'song' ? report.song.title : report.list.name;
+        document.getElementById('itemStatsTitle').textContent = `${name}: ${report.total} view${report.total !== 1 ? 's' : ''}`;
+        document.getElementById('itemStatsChart').innerHTML = window.Charts.lineChart(report.days.map(day => day.date), [
+            { name: 'Views', values: report.days.map(day => day.views), className: type === 'song' ? 'chart-songs' : 'chart-lists' }
+        ], { title: `Views of ${name} per day` });
+        itemStats.style.display = '';
+    } catch (error) {
+        showToast('Failed to load stats', 'error');
+    }
+}
+
+// Load users
+async function loadUsers() {
+    try {
+        const response = await apiFetch(basePath + '/api/users');
+        if (!response.ok) return;
+        users = await response.json();
+        renderUsers();
+    } catch (error) {
+        showToast('Failed to load users', 'error');
+    }
+}
+
+// Render users
+function renderUsers() {
+    const roleOptions = ['owner', 'editor', 'list-curator'];
+
+    usersContainer.innerHTML = users.map(user => {
+        const isSelf = currentUser && user.username === currentUser.username;
+        return `
+            <div class="list-item">
+                <div class="list-info">
+                    <div class="list-name">${escapeHtml(user.username)}${isSelf ? ' (you)' : ''}</div>
+                    <div class="list-meta">${escapeHtml(user.role)}</div>
+                </div>
+                <div class="list-actions">
+                    <select class="btn btn-secondary btn-small" onchange="changeUserRole('${user.username}', this.value)" ${isSelf ? 'disabled' : ''}>
+                        ${roleOptions.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                    ${isSelf ? '' : `<button class="btn btn-danger btn-small" onclick="removeUser('${user.username}')">Remove</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Invite user
+async function handleInviteUser(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('inviteUsername').value.trim();
+    const password = document.getElementById('invitePassword').value;
+    const role = document.getElementById('inviteRole').value;
+
+    try {
+        const response = await apiFetch(basePath + '/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password, role })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            inviteUserForm.reset();
+            loadUsers();
+            showToast(`Invited ${data.username}`, 'success');
+        } else {
+            showToast(data.error || 'Failed to invite user', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to invite user', 'error');
+    }
+}
+
+// Change a user's role
+async function changeUserRole(username, role) {
+    try {
+        const response = await apiFetch(`${basePath}/api/users/${encodeURIComponent(username)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        });
+
+        if (response.ok) {
+            showToast(`${username} is now ${role}`, 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to change role', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to change role', 'error');
+    }
+    loadUsers();
+}
+
+// Remove user
+async function removeUser(username) {
+    if (!confirm(`Remove ${username}? They will be signed out immediately.`)) return;
+
+    try {
+        const response = await apiFetch(`${basePath}/api/users/${encodeURIComponent(username)}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            loadUsers();
+            showToast('User removed', 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to remove user', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to remove user', 'error');
+    }
+}
+
+// Load trash
+async function loadTrash() {
+    try {
+        const response = await apiFetch(basePath + '/api/trash');
+        if (!response.ok) return;
+        trashItems = await response.json();
+        renderTrash();
+    } catch (error) {
+        showToast('Failed to load trash', 'error');
+    }
+}
+
+// Render trash
+function renderTrash() {
+    emptyTrashBtn.style.display = trashItems.length > 0 ? '' : 'none';
+
+    if (trashItems.length === 0) {
+        trashContainer.innerHTML = '<p style="color: var(--text-secondary);">The trash is empty.</p>';
+        return;
+    }
+
+    trashContainer.innerHTML = trashItems.map(item => {
+        const deleted = `Deleted ${new Date(item.deletedAt).toLocaleString()}${item.deletedBy ? ` by ${escapeHtml(item.deletedBy)}` : ''}`;
+        const expires = item.expiresAt ? ` - purged after ${new Date(item.expiresAt).toLocaleDateString()}` : '';
+        return `
+            <div class="list-item">
+                <div class="list-info">
+                    <div class="list-name">${escapeHtml(item.name)}</div>
+                    <div class="list-meta">${item.type === 'song' ? 'Song' : 'List'} - ${deleted}${expires}</div>
+                </div>
+                <div class="list-actions">
+                    <button class="btn btn-primary btn-small" onclick="restoreTrashItem('${item.type}', '${item.id}')">Restore</button>
+                    <button class="btn btn-danger btn-small" onclick="purgeTrashItem('${item.type}', '${item.id}')">Delete forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Restore an item from the trash
+async function restoreTrashItem(type, id) {
+    try {
+        const response = await apiFetch(`${basePath}/api/trash/${type}/${id}/restore`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            loadSongs();
+            loadLists();
+            loadTrash();
+            showToast(type === 'song' ? 'Song restored' : 'List restored', 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to restore', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to restore', 'error');
+    }
+}
+
+// Permanently delete an item from the trash
+async function purgeTrashItem(type, id) {
+    if (!confirm(`Permanently delete this ${type}? This cannot be undone.`)) return;
+
+    try {
+        const response = await apiFetch(`${basePath}/api/trash/${type}/${id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            loadTrash();
+            showToast('Deleted permanently', 'success');
+        } else {
+            showToast('Failed to delete', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to delete', 'error');
+    }
+}
+
+// Permanently delete everything in the trash
+async function emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+        const response = await apiFetch(basePath + '/api/trash', { method: 'DELETE' });
+
+        if (response.ok) {
+            loadTrash();
+            showToast('Trash emptied', 'success');
+        } else {
+            showToast('Failed to empty trash', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to empty trash', 'error');
+    }
+}
+
+// Download the site archive
+async function exportSite() {
+    try {
+        const response = await apiFetch(basePath + '/api/site/export');
+        if (!response.ok) {
+            showToast('Failed to export site', 'error');
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = match ? match[1] : 'site.songbook.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        showToast('Failed to export site', 'error');
+    }
+}
+
+function siteImportOptions() {
+    return {
+        mode: document.getElementById('siteImportMode').value,
+        conflicts: document.getElementById('siteImportConflicts').value
+    };
+}
+
+// Send the archive for import (or a dry run)
+async function postSiteImport(dryRun) {
+    const response = await apiFetch(basePath + '/api/site/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ archive: siteArchive, ...siteImportOptions(), dryRun })
+    });
+    return { ok: response.ok, data: await response.json() };
+}
+
+// Describe an import report in a few lines
+function describeImportReport(report) {
+    const lines = [];
+    for (const [kind, label] of [['songs', 'songs'], ['lists', 'lists']]) {
+        const r = report[kind];
+        const parts = [`${r.added.length} added`];
+        if (r.renamed.length) parts.push(`${r.renamed.length} imported under a new id`);
+        if (r.overwritten.length) parts.push(`${r.overwritten.length} overwritten`);
+        if (r.skipped.length) parts.push(`${r.skipped.length} skipped`);
+        if (r.removed) parts.push(`${r.removed.length} removed`);
+        lines.push(`${label[0].toUpperCase()}${label.slice(1)}: ${parts.join(', ')}`);
+    }
+    if (report.attachments.added.length || report.attachments.skipped.length) {
+        lines.push(`Files: ${report.attachments.added.length} added, ${report.attachments.skipped.length} already present or skipped`);
+    }
+    return lines.map(line => `<p>${escapeHtml(line)}</p>`).join('');
+}
+
+// Read the archive and show what importing it would do
+async function handleSiteImportDryRun(e) {
+    e.preventDefault();
+
+    try {
+        const file = document.getElementById('siteArchiveFile').files[0];
+        siteArchive = JSON.parse(await file.text());
+    } catch (error) {
+        showToast('That file is not a site archive', 'error');
+        return;
+    }
+
+    try {
+        const { ok, data } = await postSiteImport(true);
+        if (ok) {
+            siteImportSummary.innerHTML = describeImportReport(data);
+            siteImportReport.style.display = 'block';
+        } else {
+            showToast(data.error || 'Failed to read archive', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to read archive', 'error');
+    }
+}
+
+// Import the archive for real
+async function handleSiteImport() {
+    const { mode } = siteImportOptions();
+    if (mode === 'replace' && !confirm('Replace all songs and lists on this site with the archive?')) return;
+
+    try {
+        const { ok, data } = await postSiteImport(false);
+        if (ok) {
+            importSiteForm.reset();
+            siteArchive = null;
+            siteImportReport.style.display = 'none';
+            loadSongs();
+            loadLists();
+            showToast('Site imported', 'success');
+        } else {
+            showToast(data.error || 'Failed to import site', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to import site', 'error');
+    }
+}
+
+// Load snapshots
+async function loadSnapshots() {
+    try {
+        const response = await apiFetch(basePath + '/api/snapshots');
+        if (!response.ok) return;
+        snapshots = await response.json();
+        renderSnapshots();
+    } catch (error) {
+        showToast('Failed to load snapshots', 'error');
+    }
+}
+
+// One-line description of what changed in a snapshot
+function describeSnapshot(snapshot) {
+    if (snapshot.baseline) return 'Data before the first recorded change';
+
+    const parts = [];
+    for (const [kind, label] of [['songs', 'song'], ['lists', 'list']]) {
+        const summary = snapshot.summary[kind];
+        for (const [action, items] of [['added', summary.added], ['removed', summary.removed], ['changed', summary.changed]]) {
+            if (items.length === 0) continue;
+            const names = items.slice(0, 3).map(item => item.title || item.name).join(', ');
+            const more = items.length > 3 ? ` and ${items.length - 3} more` : '';
+            parts.push(`${action} ${label}${items.length === 1 ? '' : 's'}: ${names}${more}`);
+        }
+    }
+    return parts.length > 0 ? parts.join('; ') : 'Settings or stats changed';
+}
+
+// Render snapshots
+function renderSnapshots() {
+    if (snapshots.length === 0) {
+        snapshotsContainer.innerHTML = '<p style="color: var(--text-secondary);">No snapshots yet. One is saved after every change.</p>';
+        return;
+    }
+
+    snapshotsContainer.innerHTML = snapshots.map(snapshot => `
+        <div class="list-item">
+            <div class="list-info">
+                <div class="list-name">${new Date(snapshot.createdAt).toLocaleString()}</div>
+                <div class="list-meta">${escapeHtml(describeSnapshot(snapshot))}</div>
+                <div id="snapshot-${snapshot.id}" style="margin-top: 0.5rem;"></div>
+            </div>
+            <div class="list-actions">
+                <button class="btn btn-secondary btn-small" onclick="showSnapshotItems('${snapshot.id}')">Restore item...</button>
+                <button class="btn btn-danger btn-small" onclick="restoreSnapshot('${snapshot.id}')">Restore all</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Show the songs and lists in a snapshot so one can be restored
+async function showSnapshotItems(id) {
+    const container = document.getElementById(`snapshot-${id}`);
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${basePath}/api/snapshots/${id}`);
+        if (!response.ok) {
+            showToast('Failed to load snapshot', 'error');
+            return;
+        }
+        const snapshot = await response.json();
+
+        const songOptions = snapshot.songs.map(s => `<option value="${s.id}">${escapeHtml(s.title)}</option>`).join('');
+        const listOptions = snapshot.lists.map(l => `<option value="${l.id}">${escapeHtml(l.name)} (${l.songCount} songs)</option>`).join('');
+
+        container.innerHTML = `
+            <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                <select class="btn btn-secondary btn-small" id="snapshot-song-${id}">${songOptions}</select>
+                <button class="btn btn-primary btn-small" onclick="restoreSnapshot('${id}', 'songId')" ${songOptions ? '' : 'disabled'}>Restore song</button>
+            </div>
+            <div style="display: flex; gap: 0.5rem;">
+                <select class="btn btn-secondary btn-small" id="snapshot-list-${id}">${listOptions}</select>
+                <button class="btn btn-primary btn-small" onclick="restoreSnapshot('${id}', 'listId')" ${listOptions ? '' : 'disabled'}>Restore list</button>
+            </div>
+        `;
+    } catch (error) {
+        showToast('Failed to load snapshot', 'error');
+    }
+}
+
+// Restore a snapshot - everything, or the song/list picked for it
+async function restoreSnapshot(id, field) {
+    const body = {};
+    if (field) {
+        const select = document.getElementById(field === 'songId' ? `snapshot-song-${id}` : `snapshot-list-${id}`);
+        body[field] = select.value;
+    } else if (!confirm('Restore all songs and lists to this snapshot? Later changes will be undone (a snapshot of the current data is kept).')) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${basePath}/api/snapshots/${id}/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            loadSongs();
+            loadLists();
+            loadSnapshots();
+            showToast(field ? 'Restored' : 'Restored all songs and lists', 'success');
+        } else {
+            const data = await response.json();
+            showToast(data.error || 'Failed to restore', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to restore', 'error');
+    }
+}
+
 // Utility functions
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -616,9 +1955,35 @@ function showToast(message, type = 'info') {
 // Global functions for onclick handlers
 window.openEditSong = openEditSong;
 window.closeEditSongModal = closeEditSongModal;
+window.showRevisionDiff = showRevisionDiff;
+window.revertSong = revertSong;
 window.deleteSong = deleteSong;
 window.editList = editList;
 window.deleteList = deleteList;
 window.showQrCode = showQrCode;
 window.closeQrModal = closeQrModal;
+window.startSession = startSession;
+window.moveSession = moveSession;
+window.stepSessionSong = stepSessionSong;
+window.endSession = endSession;
+window.closeSessionModal = closeSessionModal;
+window.acceptRequest = acceptRequest;
+window.dismissRequest = dismissRequest;
+window.moveRequest = moveRequest;
+window.addRequestToList = addRequestToList;
+window.openPresentation = openPresentation;
+window.editSegment = editSegment;
+window.setSongLeader = setSongLeader;
+window.openSungModal = openSungModal;
+window.toggleSung = toggleSung;
+window.addSungSong = addSungSong;
+window.saveSung = saveSung;
+window.closeSungModal = closeSungModal;
 window.handleSongCheckboxChange = handleSongCheckboxChange;
+window.changeUserRole = changeUserRole;
+window.removeUser = removeUser;
+window.showItemStats = showItemStats;
+window.restoreTrashItem = restoreTrashItem;
+window.purgeTrashItem = purgeTrashItem;
+window.showSnapshotItems = showSnapshotItems;
+window.restoreSnapshot = restoreSnapshot;
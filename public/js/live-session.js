@@ -0,0 +1,40 @@
+// Following a live sing-along session (see lib/live-sessions.js) on the
+// list page: the leader's current song and section are shown as they
+// change, unless the singer has chosen to browse freely, a choice
+// remembered across pages.
+
+(function () {
+    const BROWSE_KEY = 'browseFreely';
+
+    function browseFreely() {
+        return localStorage.getItem(BROWSE_KEY) === 'true';
+    }
+
+    function setBrowseFreely(browse) {
+        localStorage.setItem(BROWSE_KEY, browse ? 'true' : 'false');
+    }
+
+    // Listen to a list's session: onSession is called with the session,
+    // or null when there's none, on connecting and on every change. The
+    // browser reconnects by itself if the connection drops.
+    function followSession(listId, onSession) {
+        const source = new EventSource(`${window.siteConfig.basePath}/api/lists/${encodeURIComponent(listId)}/session/events`);
+        source.addEventListener('session', event => onSession(JSON.parse(event.data)));
+        return source;
+    }
+
+    // Mark the section being sung in rendered lyrics (see song-sections.js)
+    // and return its element, or null
+    function markLiveSection(container, section) {
+        document.querySelectorAll('.lyrics-section-live').forEach(el => el.classList.remove('lyrics-section-live'));
+        if (!container || section === null || section === undefined) return null;
+        const element = container.querySelector(`.lyrics-section[data-section="${section}"]`);
+        if (element) element.classList.add('lyrics-section-live');
+        return element;
+    }
+
+    window.browseFreely = browseFreely;
+    window.setBrowseFreely = setBrowseFreely;
+    window.followSession = followSession;
+    window.markLiveSection = markLiveSection;
+})();
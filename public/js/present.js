@@ -0,0 +1,324 @@
+// Presentation page JavaScript: a list's songs as slides (see
+// lib/slides.js), one verse or chorus at a time in large type, for a
+// projector. The audience screen fills the window; the presenter screen
+// (?view=presenter) shows the current and next slides and the running
+// order. Windows showing the same list on one computer move together,
+// and screens on other devices can follow a live session (?follow=1),
+// which the presenter can lead when signed in.
+
+const basePath = (window.presentConfig && window.presentConfig.basePath) || '';
+const params = new URLSearchParams(window.location.search);
+const listId = params.get('id');
+const isPresenter = params.get('view') === 'presenter';
+const followLive = params.get('follow') === '1';
+
+let songCount = 0;
+let slides = [];
+let current = 0;
+let blank = false;
+let leadingSession = false;
+let lastSentPlace = null; // The song and section last sent to the live session
+
+// Other windows on this computer showing the same list
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel(`present:${basePath}:${listId}`) : null;
+
+// Keys, including what presentation clickers send
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter', 'n'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace', 'p'];
+const BLANK_KEYS = ['b', 'B', '.'];
+
+// DOM Elements
+const audienceView = document.getElementById('audienceView');
+const presenterView = document.getElementById('presenterView');
+const audienceSlide = document.getElementById('audienceSlide');
+const audienceFooter = document.getElementById('audienceFooter');
+const currentSlide = document.getElementById('currentSlide');
+const nextSlidePreview = document.getElementById('nextSlidePreview');
+const presenterOutline = document.getElementById('presenterOutline');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    if (!listId) {
+        showMessage('No list chosen');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${basePath}/api/lists/${encodeURIComponent(listId)}`);
+        if (!response.ok) {
+            showMessage('List not found');
+            return;
+        }
+        const list = await response.json();
+        songCount = list.songs.length;
+        slides = window.Slides.buildSlides(list.songs);
+        document.title = `${list.name} - Presentation`;
+        document.getElementById('presenterTitle').textContent = list.name;
+    } catch (error) {
+        showMessage('Could not load the list');
+        return;
+    }
+
+    if (slides.length === 0) {
+        showMessage('This list is empty');
+        return;
+    }
+
+    if (isPresenter) {
+        setupPresenter();
+    } else {
+        setupAudience();
+    }
+    document.addEventListener('keydown', handleKey);
+    window.addEventListener('resize', render);
+    if (channel) {
+        channel.addEventListener('message', handleChannelMessage);
+        // Catch up with a presentation already under way
+        channel.postMessage({ type: 'request' });
+    }
+    render();
+});
+
+function setupAudience() {
+    audienceView.addEventListener('click', () => nextSlide());
+    setTimeout(() => document.getElementById('presentHint').classList.add('hidden'), 4000);
+
+    if (followLive) {
+        window.followSession(listId, session => {
+            if (!session || !session.songId) return;
+            const index = window.Slides.findSlide(slides, session.songId, session.section);
+            if (index !== -1) goTo(index, { broadcast: false });
+        });
+    }
+}
+
+function setupPresenter() {
+    audienceView.style.display = 'none';
+    presenterView.style.display = 'flex';
+    renderOutline();
+
+    // Signed-in presenters (opened from the admin panel) can lead a session
+    if (sessionStorage.getItem('adminToken')) {
+        document.getElementById('leadSessionToggle').style.display = 'flex';
+    }
+
+    const clock = document.getElementById('presenterClock');
+    const tick = () => {
+        clock.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    };
+    tick();
+    setInterval(tick, 10000);
+}
+
+function showMessage(message) {
+    audienceView.style.display = 'none';
+    presenterView.style.display = 'none';
+    const element = document.getElementById('presentMessage');
+    element.textContent = message;
+    element.style.display = 'flex';
+}
+
+// ============ Moving between slides ============
+
+// Go to a slide; other windows on this computer follow unless the move
+// came from one of them
+function goTo(index, { broadcast = true } = {}) {
+    current = Math.max(0, Math.min(slides.length - 1, index));
+    render();
+    if (broadcast && channel) channel.postMessage({ type: 'state', slide: current, blank });
+    if (leadingSession) sendPlace();
+}
+
+function nextSlide() {
+    goTo(current + 1);
+}
+
+function previousSlide() {
+    goTo(current - 1);
+}
+
+// The title slide of the next (or previous) song
+function stepSong(delta) {
+    const songNumber = slides[current].songNumber + delta;
+    const index = slides.findIndex(slide => slide.songNumber === songNumber);
+    if (index !== -1) goTo(index);
+}
+
+function toggleBlank() {
+    blank = !blank;
+    render();
+    if (channel) channel.postMessage({ type: 'state', slide: current, blank });
+}
+
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(() => {});
+    }
+}
+
+function handleKey(e) {
+    if (e.target.tagName === 'INPUT' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (NEXT_KEYS.includes(e.key)) {
+        nextSlide();
+    } else if (PREVIOUS_KEYS.includes(e.key)) {
+        previousSlide();
+    } else if (BLANK_KEYS.includes(e.key)) {
+        toggleBlank();
+    } else if (e.key === 'Escape' && blank) {
+        toggleBlank();
+    } else if (e.key === 'Home') {
+        goTo(0);
+    } else if (e.key === 'End') {
+        goTo(slides.length - 1);
+    } else if (e.key === ']') {
+        stepSong(1);
+    } else if (e.key === '[') {
+        stepSong(-1);
+    } else if (e.key === 'f' || e.key === 'F') {
+        toggleFullscreen();
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+function handleChannelMessage(event) {
+    const message = event.data;
+    if (message.type === 'request') {
+        channel.postMessage({ type: 'state', slide: current, blank });
+    } else if (message.type === 'state') {
+        blank = message.blank;
+        goTo(message.slide, { broadcast: false });
+    }
+}
+
+function openAudienceScreen() {
+    window.open(`${basePath}/present.html?id=${encodeURIComponent(listId)}`, `present-${listId}`, 'popup');
+}
+
+// ============ Leading a live session ============
+
+async function sessionFetch(options) {
+    return fetch(`${basePath}/api/lists/${encodeURIComponent(listId)}/session`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${sessionStorage.getItem('adminToken')}`
+        }
+    });
+}
+
+async function toggleLeadSession(lead) {
+    leadingSession = false;
+    if (!lead) return;
+
+    const response = await sessionFetch({ method: 'POST' }).catch(() => null);
+    if (!response || !response.ok) {
+        document.getElementById('leadSessionCheckbox').checked = false;
+        alert('Could not start a live session - please sign in to the admin panel again');
+        return;
+    }
+    leadingSession = true;
+    lastSentPlace = null;
+    sendPlace();
+}
+
+// Move the live session to the current song and section
+function sendPlace() {
+    const slide = slides[current];
+    const place = `${slide.songId}:${slide.section}`;
+    if (place === lastSentPlace) return;
+    lastSentPlace = place;
+    sessionFetch({ method: 'PUT', body: JSON.stringify({ songId: slide.songId, section: slide.section }) }).catch(() => {});
+}
+
+// ============ Rendering ============
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function slideHtml(slide) {
+    if (!slide) {
+        return '<div class="slide-subtitle">End of the list</div>';
+    }
+    if (slide.section === null) {
+        return `
+            <div class="slide-title">${escapeHtml(slide.songTitle)}</div>
+            <div class="slide-subtitle">Song ${slide.songNumber} of ${songCount}</div>
+        `;
+    }
+    const part = slide.parts > 1 ? ` (${slide.part}/${slide.parts})` : '';
+    const lines = slide.lines.map(line => `<div class="slide-line">${window.LyricsMarkup.renderLine(line, { chords: false })}</div>`);
+    return `
+        <div class="slide-label">${escapeHtml(slide.label + part)}</div>
+        <div class="slide-lines slide-${slide.type}">${lines.join('')}</div>
+    `;
+}
+
+// Set a slide's type as large as its box allows
+function fitSlide(element) {
+    let size = element.clientHeight / 9;
+    element.style.fontSize = `${size}px`;
+    while ((element.scrollHeight > element.clientHeight || element.scrollWidth > element.clientWidth) && size > 8) {
+        size *= 0.92;
+        element.style.fontSize = `${size}px`;
+    }
+}
+
+function showSlide(element, slide) {
+    element.innerHTML = slideHtml(slide);
+    fitSlide(element);
+}
+
+function render() {
+    const slide = slides[current];
+    if (!slide) return;
+
+    if (isPresenter) {
+        showSlide(currentSlide, slide);
+        showSlide(nextSlidePreview, slides[current + 1]);
+        currentSlide.classList.toggle('blank', blank);
+        document.getElementById('blankBtn').classList.toggle('active', blank);
+        document.getElementById('presenterPosition').textContent = `Slide ${current + 1} of ${slides.length}`;
+        presenterOutline.querySelectorAll('.filter-chip').forEach(chip => {
+            const active = Number(chip.dataset.slide) === current;
+            chip.classList.toggle('active', active);
+            if (active) chip.scrollIntoView({ block: 'nearest' });
+        });
+    } else {
+        audienceSlide.classList.toggle('blank', blank);
+        showSlide(audienceSlide, slide);
+        audienceFooter.textContent = slide.section === null ? '' : slide.songTitle;
+    }
+}
+
+// The running order: each song with a button for each of its slides
+function renderOutline() {
+    const songs = [];
+    slides.forEach((slide, index) => {
+        if (slide.section === null) songs.push({ slide, chips: [] });
+        const name = slide.section === null ? 'Title' : slide.label + (slide.parts > 1 ? ` (${slide.part})` : '');
+        songs[songs.length - 1].chips.push(`<button class="filter-chip" data-slide="${index}" onclick="goTo(${index})">${escapeHtml(name)}</button>`);
+    });
+
+    presenterOutline.innerHTML = songs.map(({ slide, chips }) => `
+        <div class="outline-song">
+            <div class="outline-song-title">${slide.songNumber}. ${escapeHtml(slide.songTitle)}</div>
+            <div class="outline-slides">${chips.join('')}</div>
+        </div>
+    `).join('');
+}
+
+// Global functions for onclick handlers
+window.goTo = goTo;
+window.nextSlide = nextSlide;
+window.previousSlide = previousSlide;
+window.toggleBlank = toggleBlank;
+window.openAudienceScreen = openAudienceScreen;
+window.toggleLeadSession = toggleLeadSession;
@@ -0,0 +1,34 @@
+// The print layout chosen for printouts and songbooks (see
+// lib/print-layouts.js): the last one picked in this browser, or the
+// site's default.
+
+(function () {
+    const LAYOUT_KEY = 'printLayout';
+
+    function printLayout() {
+        const saved = localStorage.getItem(LAYOUT_KEY);
+        return window.PrintLayouts.isLayout(saved) ? saved : window.siteConfig.print.layout;
+    }
+
+    function setPrintLayout(layout) {
+        localStorage.setItem(LAYOUT_KEY, layout);
+    }
+
+    // <option>s for a layout picker, the current layout selected
+    function printLayoutOptions() {
+        const current = printLayout();
+        return Object.entries(window.PrintLayouts.LAYOUTS).map(([layout, name]) =>
+            `<option value="${layout}"${layout === current ? ' selected' : ''}>${name}</option>`
+        ).join('');
+    }
+
+    // Styles for a print window in the current layout
+    function printLayoutStyles() {
+        return window.PrintLayouts.printStyles(printLayout());
+    }
+
+    window.printLayout = printLayout;
+    window.setPrintLayout = setPrintLayout;
+    window.printLayoutOptions = printLayoutOptions;
+    window.printLayoutStyles = printLayoutStyles;
+})();
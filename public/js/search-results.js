@@ -0,0 +1,64 @@
+// Search result display shared by the catalog and list pages: highlighted
+// titles, snippets of the matching lines, and jumping to the first match
+// when a result is expanded
+
+(function () {
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Text with the given { start, end } ranges wrapped in <mark>
+    function highlightText(text, highlights) {
+        let html = '';
+        let position = 0;
+        for (const { start, end } of highlights) {
+            if (start < position) continue;
+            html += escapeText(text.slice(position, start)) + `<mark>${escapeText(text.slice(start, end))}</mark>`;
+            position = end;
+        }
+        return html + escapeText(text.slice(position));
+    }
+
+    // Song title with any matches highlighted
+    function searchTitle(song) {
+        return highlightText(song.title, (song.matches || []).filter(m => m.field === 'title'));
+    }
+
+    // Matching lines of the lyrics, shown under the title
+    function searchSnippets(song) {
+        if (!song.snippets || song.snippets.length === 0) return '';
+        return `<span class="search-snippets">${song.snippets.map(snippet => `
+            <span class="search-snippet">${snippet.lines.map(line => `
+                <span class="snippet-line${line.highlights.length ? ' snippet-match' : ''}">${highlightText(line.text, line.highlights)}</span>`).join('')}
+            </span>`).join('')}</span>`;
+    }
+
+    // Lyrics HTML for a song card (see song-sections.js), with the lines
+    // that matched a search marked so expanding can jump to them.
+    // formatLyrics renders plain lyrics text.
+    function searchLyrics(song, formatLyrics) {
+        if (!song.snippets || song.snippets.length === 0) return window.lyricsHtml(song, formatLyrics);
+
+        const matched = new Set(song.snippets.flatMap(snippet =>
+            snippet.lines.filter(line => line.highlights.length).map(line => line.number)
+        ));
+        return window.lyricsHtml(song, formatLyrics, { matchedLines: matched });
+    }
+
+    // Scroll an expanded card to its first matching line, or into view
+    function scrollToMatch(card) {
+        const line = card.querySelector('.lyrics-line-match');
+        if (line) {
+            line.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    window.searchTitle = searchTitle;
+    window.searchSnippets = searchSnippets;
+    window.searchLyrics = searchLyrics;
+    window.scrollToMatch = scrollToMatch;
+})();
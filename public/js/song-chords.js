@@ -0,0 +1,72 @@
+// Chord display shared by the catalog and list pages, their print views
+// and downloads (see lib/chords.js). Chords can be hidden for singers, a
+// choice remembered across pages, and each song can be transposed up or
+// down for as long as the page is open.
+
+(function () {
+    const SHOW_KEY = 'showChords';
+
+    // Song id -> semitones
+    const transpositions = {};
+
+    function showChords() {
+        return localStorage.getItem(SHOW_KEY) !== 'false';
+    }
+
+    function setShowChords(show) {
+        localStorage.setItem(SHOW_KEY, show ? 'true' : 'false');
+    }
+
+    function songHasChords(song) {
+        return window.Chords.hasChords(song.lyrics);
+    }
+
+    function transposition(songId) {
+        return transpositions[songId] || 0;
+    }
+
+    // Move a song up or down; a whole octave either way comes back to 0
+    function transposeSong(songId, semitones) {
+        transpositions[songId] = (transposition(songId) + semitones) % 12 || 0;
+    }
+
+    function transposedKey(song) {
+        return song.key ? window.Chords.transposeKey(song.key, transposition(song.id)) : null;
+    }
+
+    // Options for LyricsMarkup.renderLyrics and plainLyrics
+    function chordOptions(song) {
+        const key = transposedKey(song);
+        return {
+            chords: showChords(),
+            transpose: transposition(song.id),
+            flats: key ? window.Chords.prefersFlats(key) : undefined
+        };
+    }
+
+    // "Key A (+2) · Capo 2", shown between the transpose buttons
+    function chordKeyLabel(song) {
+        const transpose = transposition(song.id);
+        const shift = transpose ? ` (${transpose > 0 ? '+' : ''}${transpose})` : '';
+        const parts = [(transposedKey(song) ? `Key ${transposedKey(song)}` : 'Transpose') + shift];
+        if (song.capo) parts.push(`Capo ${song.capo}`);
+        return parts.join(' · ');
+    }
+
+    // The chord settings as songbook address parameters (see lib/songbook.js)
+    function songbookChordParams() {
+        const params = new URLSearchParams();
+        if (!showChords()) params.set('chords', 'hide');
+        const moved = Object.entries(transpositions).filter(([, semitones]) => semitones);
+        if (moved.length) params.set('transpose', moved.map(([songId, semitones]) => `${songId}:${semitones}`).join(','));
+        return params;
+    }
+
+    window.showChords = showChords;
+    window.setShowChords = setShowChords;
+    window.songHasChords = songHasChords;
+    window.transposeSong = transposeSong;
+    window.chordOptions = chordOptions;
+    window.chordKeyLabel = chordKeyLabel;
+    window.songbookChordParams = songbookChordParams;
+})();
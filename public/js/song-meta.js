@@ -0,0 +1,49 @@
+// Song metadata display, shared by the catalog and list pages
+
+(function () {
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Short credit line under the title, e.g. "Trad. · Key of G"
+    function songMetaLine(song) {
+        const parts = [];
+        if (song.traditional) {
+            parts.push('Trad.');
+        } else if (song.writer || song.composer) {
+            parts.push([song.writer, song.composer].filter(Boolean).filter((name, i, all) => all.indexOf(name) === i).join(' / '));
+        }
+        if (song.key) parts.push(`Key of ${song.key}`);
+        return parts.length ? `<span class="song-meta-line">${escapeText(parts.join(' · '))}</span>` : '';
+    }
+
+    // Details block shown with the lyrics
+    function songMetaDetails(song) {
+        const rows = [
+            ['Words', song.writer],
+            ['Music', song.composer],
+            ['Tune', song.tune],
+            ['Key', song.key],
+            ['Capo', song.capo],
+            ['Tempo', song.tempo ? `${song.tempo} BPM` : null],
+            ['Language', song.language]
+        ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+        const tags = (song.tags || []).map(tag => `<span class="song-tag">${escapeText(tag)}</span>`).join('');
+
+        if (!rows.length && !tags && !song.traditional && !song.copyright) return '';
+
+        return `
+            <div class="song-meta">
+                ${song.traditional ? '<span class="song-tag song-tag-trad">Traditional</span>' : ''}${tags}
+                ${rows.length ? `<dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeText(String(value))}</dd>`).join('')}</dl>` : ''}
+                ${song.copyright ? `<p class="song-copyright">${escapeText(song.copyright)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    window.songMetaLine = songMetaLine;
+    window.songMetaDetails = songMetaDetails;
+})();
@@ -0,0 +1,43 @@
+// Asking for songs during a live session (see lib/song-requests.js) from
+// the list page. The page sends an id it makes up and keeps, so the
+// server can tell devices on the same network apart.
+
+(function () {
+    const DEVICE_KEY = 'deviceId';
+
+    function deviceId() {
+        let id = localStorage.getItem(DEVICE_KEY);
+        if (!id) {
+            id = Array.from(crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(DEVICE_KEY, id);
+        }
+        return id;
+    }
+
+    function requestsUrl(listId) {
+        return `${window.siteConfig.basePath}/api/lists/${encodeURIComponent(listId)}/requests`;
+    }
+
+    // A list's requests, marked with the ones this device voted for
+    async function fetchSongRequests(listId) {
+        const response = await fetch(requestsUrl(listId), { headers: { 'X-Device-Id': deviceId() } });
+        if (!response.ok) throw new Error('Failed to load requests');
+        return response.json();
+    }
+
+    // Ask for a song, or vote for it. Resolves to the request, or rejects
+    // with the server's reason (too many requests, say).
+    async function requestSong(listId, songId) {
+        const response = await fetch(requestsUrl(listId), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Device-Id': deviceId() },
+            body: JSON.stringify({ songId })
+        });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to request the song');
+        return body;
+    }
+
+    window.fetchSongRequests = fetchSongRequests;
+    window.requestSong = requestSong;
+})();
@@ -0,0 +1,62 @@
+// Lyrics rendered by section (see lib/sections.js), shared by the catalog
+// and list pages and their print views. Choruses and bridges are set apart
+// from verses, and a bare "Chorus" line can be expanded to the chorus it
+// repeats; that choice is remembered across pages.
+
+(function () {
+    const EXPAND_KEY = 'expandRepeats';
+
+    // Styles for print windows, which don't load the site stylesheet
+    const PRINT_STYLES = `
+        .lyrics-section { margin-bottom: 1.8em; }
+        .lyrics-section-label { font-size: 0.8em; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #666; }
+        .lyrics-section-chorus, .lyrics-section-prechorus { padding-left: 1em; border-left: 3px solid #999; font-style: italic; }
+        .lyrics-section-bridge { padding-left: 1em; border-left: 3px dashed #999; }
+        .lyrics-section-repeat .lyrics-section-label { font-style: italic; }
+    `;
+
+    function expandRepeats() {
+        return localStorage.getItem(EXPAND_KEY) === 'true';
+    }
+
+    function setExpandRepeats(expand) {
+        localStorage.setItem(EXPAND_KEY, expand ? 'true' : 'false');
+    }
+
+    function hasRepeats(song) {
+        return Array.isArray(song.sections) && song.sections.some(section => section.repeatOf !== undefined);
+    }
+
+    function lineHtml(song, line, number, formatLine, matchedLines) {
+        const matched = matchedLines && matchedLines.has(number);
+        return `<span class="lyrics-line${matched ? ' lyrics-line-match' : ''}" data-line="${number}">${formatLine(line, song)}</span>`;
+    }
+
+    // Lyrics HTML for a song. formatLine renders lyrics text, given the
+    // text and the song (for its chord settings); matchedLines is an
+    // optional Set of line numbers to mark as search matches. Songs
+    // without sections are shown as written.
+    function lyricsHtml(song, formatLine, { matchedLines = null, expand = expandRepeats() } = {}) {
+        if (!Array.isArray(song.sections) || song.sections.length === 0) {
+            if (!matchedLines) return formatLine(song.lyrics, song);
+            return song.lyrics.split('\n').map((line, number) => lineHtml(song, line, number, formatLine, matchedLines)).join('\n');
+        }
+
+        return song.sections.map((section, index) => {
+            const repeated = section.repeatOf !== undefined ? song.sections[section.repeatOf] : null;
+            const shown = repeated && expand ? repeated : section;
+            const classes = ['lyrics-section', `lyrics-section-${section.type}`];
+            if (repeated) classes.push('lyrics-section-repeat');
+
+            const label = section.label ? `<div class="lyrics-section-label">${formatLine(section.label)}</div>` : '';
+            const lines = shown.lines.map((line, i) => lineHtml(song, line, shown.start + i, formatLine, matchedLines)).join('\n');
+            return `<div class="${classes.join(' ')}" data-section="${index}">${label}${lines}</div>`;
+        }).join('');
+    }
+
+    window.PRINT_SECTION_STYLES = PRINT_STYLES;
+    window.expandRepeats = expandRepeats;
+    window.setExpandRepeats = setExpandRepeats;
+    window.hasRepeats = hasRepeats;
+    window.lyricsHtml = lyricsHtml;
+})();
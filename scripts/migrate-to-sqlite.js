@@ -0,0 +1,64 @@
+/**
+ * Migrate a site's JSON data file into an SQLite database
+ *
+ * Usage:
+ *   npm run migrate:sqlite -- <site-id>
+ *   npm run migrate:sqlite -- <data.json> [output.db]
+ *
+ * With a site id, the site's configured dataFile is migrated to a .db file
+ * next to it. The JSON file is left untouched; update the site config to
+ * `storage: 'sqlite'` and point `dataFile` at the new database afterwards.
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadSiteConfigs } = require('../config/site-loader');
+const { migrateStorage, closeStorage } = require('../storage');
+
+const ROOT = path.join(__dirname, '..');
+
+function resolveSource(arg) {
+    const sites = loadSiteConfigs();
+    if (sites.has(arg)) {
+        return path.join(ROOT, sites.get(arg).dataFile);
+    }
+    return path.resolve(arg);
+}
+
+async function main(args) {
+    if (args.length === 0) {
+        console.error('Usage: npm run migrate:sqlite -- <site-id | data.json> [output.db]');
+        return 1;
+    }
+
+    const source = resolveSource(args[0]);
+    const target = args[1]
+        ? path.resolve(args[1])
+        : source.replace(/\.json$/i, '') + '.db';
+
+    if (!fs.existsSync(source)) {
+        console.error(`Data file not found: ${source}`);
+        return 1;
+    }
+
+    if (fs.existsSync(target)) {
+        console.error(`Refusing to overwrite existing database: ${target}`);
+        return 1;
+    }
+
+    const counts = await migrateStorage(source, target, { fromType: 'json', toType: 'sqlite' });
+    closeStorage(target);
+
+    console.log(`Migrated ${counts.songs} songs, ${counts.lists} lists and ${counts.users} users`);
+    console.log(`  from ${path.relative(ROOT, source)}`);
+    console.log(`  to   ${path.relative(ROOT, target)}`);
+    console.log(`\nNow set storage: 'sqlite' and dataFile: '${path.relative(ROOT, target)}' in the site config.`);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
@@ -1,12 +1,41 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const QRCode = require('qrcode');
-const { loadSiteConfigs, getSiteByPath, generateThemeCSS } = require('./config/site-loader');
+const { loadSiteConfigs, getSiteByPath, generateThemeCSS, defaults: siteDefaults } = require('./config/site-loader');
+const { getStorage, upgradeLegacyAdmin } = require('./storage');
+const { recordSnapshot, listSnapshots, readSnapshot } = require('./storage/snapshots');
+const { songContent, applyContent, changedFields, getRevisions, getRevision, recordRevision, diffLines } = require('./lib/revisions');
+const { parseImportFile } = require('./lib/importers');
+const { parseMetadata, applyMetadata } = require('./lib/song-metadata');
+const { parseSetlist, applySetlist, validateSung, monthsBefore, songsWithHistory, notSungSince } = require('./lib/setlists');
+const { parseRange, viewsByDay, viewsInRange, trending } = require('./lib/view-stats');
+const { parseFacetFilters, filterSongs, facetCounts } = require('./lib/facets');
+const { getSearchIndex, refreshSearchIndex } = require('./lib/search-index');
+const { parseQuery, runQuery } = require('./lib/search-query');
+const { buildSynonyms } = require('./lib/text-folding');
+const { buildSnippets } = require('./lib/snippets');
+const { stripChords } = require('./lib/chords');
+const { buildSongbook, parseTranspose } = require('./lib/songbook');
+const { createLiveSessions, publicSession } = require('./lib/live-sessions');
+const { STATUSES: REQUEST_STATUSES, createSongRequests } = require('./lib/song-requests');
+const { LAYOUTS: PRINT_LAYOUTS, isLayout } = require('./lib/print-layouts');
+const { syncSections, ensureSections } = require('./lib/sections');
+const {
+    IMPORT_MODES,
+    CONFLICT_STRATEGIES,
+    collectAttachments,
+    createArchive,
+    validateArchive,
+    applyArchive,
+    writeAttachments
+} = require('./lib/archive');
+const { TRASH_TYPES, trashSong, trashList, restoreFromTrash, removeFromTrash, purgeTrash, purgeExpiredTrash, expiresAt } = require('./lib/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IMPORT_BODY_LIMIT = '20mb';
+const PUBLIC_DIR = path.join(__dirname, 'public');
 
 // Load site configurations
 const sites = loadSiteConfigs();
@@ -27,10 +56,40 @@ function getDataFile(site) {
 // Legacy DATA_FILE for backward compatibility with tests
 const DATA_FILE = DEFAULT_DATA_FILE;
 
+// Open each site's data file with the storage backend from its config
+if (process.env.NODE_ENV !== 'test') {
+    for (const [, site] of sites) {
+        getStorage(getDataFile(site), site.storage);
+    }
+}
+
+// Backup settings for a data file (from the site that uses it)
+function getSiteConfig(dataFile) {
+    for (const [, site] of sites) {
+        if (getDataFile(site) === dataFile) {
+            return site;
+        }
+    }
+    return siteDefaults;
+}
+
+function getBackupSettings(dataFile) {
+    return getSiteConfig(dataFile).backups;
+}
+
+function getTrashRetentionDays(dataFile) {
+    return getSiteConfig(dataFile).trash.retentionDays;
+}
+
 // Set up EJS as view engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Sing-along sessions led from the admin panel (see lib/live-sessions.js)
+const liveSessions = createLiveSessions();
+// Singers' song requests during sessions (see lib/song-requests.js)
+const songRequests = createSongRequests();
+
 // Rate limiting for login attempts
 const loginAttempts = new Map();
 const MAX_ATTEMPTS = 5;
@@ -75,7 +134,150 @@ function recordFailedAttempt(ip) {
     }
 }
 
+// User roles and the permissions each one grants
+const ROLES = {
+    owner: ['songs:write', 'songs:delete', 'lists:write', 'backups:restore', 'users:manage', 'site:transfer'],
+    editor: ['songs:write', 'songs:delete', 'lists:write', 'backups:restore'],
+    'list-curator': ['lists:write']
+};
+
+function hasPermission(role, permission) {
+    return Boolean(ROLES[role] && ROLES[role].includes(permission));
+}
+
+// Usernames are lowercase letters, digits, dots, dashes and underscores
+function normalizeUsername(username) {
+    if (typeof username !== 'string') return null;
+    const normalized = username.trim().toLowerCase();
+    return /^[a-z0-9._-]{2,32}$/.test(normalized) ? normalized : null;
+}
+
+// Check a password against a user record (hashed, or plain text for legacy data)
+function verifyUserPassword(user, password) {
+    if (typeof password !== 'string') return false;
+    if (user.salt) {
+        return hashPassword(password, user.salt) === user.password;
+    }
+    return password === user.password;
+}
+
+// Set a user's password with a new salt
+function setUserPassword(user, password) {
+    const salt = generateSalt();
+    user.salt = salt;
+    user.password = hashPassword(password, salt);
+}
+
+// Strip password fields before sending a user to the client
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        createdAt: user.createdAt
+    };
+}
+
+// The signed-in user as reported to the admin panel
+function sessionUser({ username, role }) {
+    return { username, role, permissions: ROLES[role] || [] };
+}
+
+// Admin sessions - tokens are signed and expire, and are also tracked
+// server-side so that logout (or a password change) can revoke them
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const sessions = new Map();
+
+function signSessionPayload(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('hex');
+}
+
+function createSession(dataFile, user) {
+    const now = Date.now();
+
+    // Clean up expired sessions
+    for (const [id, session] of sessions) {
+        if (now > session.expiresAt) sessions.delete(id);
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + SESSION_TTL;
+    sessions.set(id, { dataFile, username: user.username, role: user.role, expiresAt });
+
+    const payload = `${id}.${expiresAt}`;
+    return `${payload}.${signSessionPayload(payload)}`;
+}
+
+function verifySession(token, dataFile) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [id, expiresAt, signature] = parts;
+    const expected = signSessionPayload(`${id}.${expiresAt}`);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    if (Date.now() > session.expiresAt) {
+        sessions.delete(id);
+        return null;
+    }
+
+    // A session is only valid for the site (data file) it was issued for
+    if (session.dataFile !== dataFile) return null;
+
+    return { id, ...session };
+}
+
+function revokeSession(id) {
+    sessions.delete(id);
+}
+
+// Revoke all sessions for a user on a data file, optionally keeping one
+function revokeSessionsFor(dataFile, username, exceptId = null) {
+    for (const [id, session] of sessions) {
+        if (session.dataFile === dataFile && session.username === username && id !== exceptId) {
+            sessions.delete(id);
+        }
+    }
+}
+
+// Extract the bearer token from the Authorization header
+function getRequestToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Require a valid admin session - used on every route that changes data
+function requireAuth(req, res, next) {
+    const session = verifySession(getRequestToken(req), req.dataFile);
+    if (!session) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.session = session;
+    next();
+}
+
+// Require a role that grants the given permission (use after requireAuth)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.session.role, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
 // Middleware
+// Bulk imports and site archives carry whole files, so they get a larger body limit
+app.use(['/api/import', '/api/site/import'], express.json({ limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 
 // Trust proxy headers (required for X-Forwarded-Proto, X-Forwarded-Prefix, etc.)
@@ -98,28 +300,29 @@ app.use((req, res, next) => {
 });
 
 // Serve static files (CSS, JS, images)
-app.use(express.static('public'));
+app.use(express.static(PUBLIC_DIR));
+
+// The lyrics markup renderer, chord helpers, print layouts, slides and
+// charts are shared with the browser
+app.get('/js/lyrics-markup.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'lyrics-markup.js'));
+});
+app.get('/js/chords.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'chords.js'));
+});
+app.get('/js/print-layouts.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'print-layouts.js'));
+});
+app.get('/js/slides.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'slides.js'));
+});
+app.get('/js/charts.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'charts.js'));
+});
 
-// Ensure data directory and file exist
+// Ensure the data store exists (created with initial data if missing)
 function ensureDataFile(dataFile = DATA_FILE) {
-    const dataDir = path.dirname(dataFile);
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-    if (!fs.existsSync(dataFile)) {
-        const initialData = {
-            songs: [],
-            lists: [],
-            admin: {
-                password: 'admin123'  // Simple password - change in production
-            },
-            stats: {
-                songViews: {},
-                listViews: {}
-            }
-        };
-        fs.writeFileSync(dataFile, JSON.stringify(initialData, null, 2));
-    }
+    getStorage(dataFile).ensure();
 }
 
 // Ensure stats structure exists in data
@@ -135,16 +338,75 @@ function ensureStats(data) {
     return data;
 }
 
+// Ensure users structure exists in data, migrating the legacy single
+// admin password to an owner account named "admin"
+function ensureUsers(data) {
+    upgradeLegacyAdmin(data);
+    if (!data.users) data.users = [];
+    return data;
+}
+
+function findUser(data, username) {
+    return data.users.find(u => u.username === username);
+}
+
 // Read data
 function readData(dataFile = DATA_FILE) {
-    ensureDataFile(dataFile);
-    return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const data = getStorage(dataFile).read();
+    // Songs saved before lyrics were split into sections
+    ensureSections(data.songs || []);
+    return data;
 }
 
 // Write data
 function writeData(data, dataFile = DATA_FILE) {
-    ensureDataFile(dataFile);
-    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+    return getStorage(dataFile).write(data);
+}
+
+// Read-modify-write data as one queued step, so concurrent requests can't
+// overwrite each other's changes. The mutator returns the response as
+// { status, body }; the data is only written back for successful
+// responses, and not at all if the mutator sets changed: false. Resolves
+// to the response.
+async function updateData(dataFile, mutator) {
+    let response;
+    let before;
+    let after;
+    await getStorage(dataFile).update(data => {
+        before = structuredClone(data);
+        response = mutator(data);
+        const changed = response.status < 400 && response.changed !== false;
+        if (changed) {
+            syncSections(data.songs || [], before.songs || []);
+            after = data;
+        }
+        return changed ? response : null;
+    });
+
+    if (after) {
+        refreshSearchIndex(dataFile, after.songs || []);
+        takeSnapshot(dataFile, before, after);
+    }
+    return response;
+}
+
+// A route handler that waits for a write. Express 4 doesn't pass a
+// rejected promise on to the error handler by itself.
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Snapshot data after a change. A failed backup is logged but doesn't
+// fail the change that triggered it.
+function takeSnapshot(dataFile, before, after) {
+    const settings = getBackupSettings(dataFile);
+    if (!settings || !settings.enabled) return;
+
+    try {
+        recordSnapshot(dataFile, before, after, settings);
+    } catch (err) {
+        console.error(`Failed to snapshot ${dataFile}:`, err.message);
+    }
 }
 
 // Library-style sorting (ignores articles like "The", "A", "An")
@@ -166,7 +428,7 @@ function generateId() {
 
 // ============ AUTH ROUTES ============
 
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', asyncRoute(async (req, res) => {
     const ip = req.ip || req.connection.remoteAddress;
     const rateCheck = checkRateLimit(ip);
 
@@ -178,36 +440,54 @@ app.post('/api/auth/login', (req, res) => {
     }
 
     const { password } = req.body;
-    const data = readData(req.dataFile);
+    const username = normalizeUsername(req.body.username || 'admin');
+    const { status, user } = await updateData(req.dataFile, data => {
+        const usersBefore = data.users;
+        ensureUsers(data);
+        const needsUsersMigration = data.users !== usersBefore;
+        const user = username && findUser(data, username);
+
+        if (!user || !verifyUserPassword(user, password)) {
+            return { status: 401 };
+        }
 
-    // Support both hashed and plain text passwords for migration
-    let isValid = false;
-    if (data.admin.salt) {
-        // Hashed password
-        const hash = hashPassword(password, data.admin.salt);
-        isValid = hash === data.admin.password;
-    } else {
-        // Plain text password (legacy) - migrate to hashed
-        isValid = password === data.admin.password;
-        if (isValid) {
-            // Migrate to hashed password
-            const salt = generateSalt();
-            data.admin.salt = salt;
-            data.admin.password = hashPassword(password, salt);
-            writeData(data, req.dataFile);
+        // Migrate plain text (legacy) password to hashed
+        const needsPasswordMigration = !user.salt;
+        if (needsPasswordMigration) {
+            setUserPassword(user, password);
         }
-    }
 
-    if (isValid) {
+        return { status: 200, user, changed: needsUsersMigration || needsPasswordMigration };
+    });
+
+    if (status === 200) {
         loginAttempts.delete(ip); // Clear failed attempts on success
-        res.json({ success: true, token: 'admin-token-' + Date.now() });
+        res.json({
+            success: true,
+            token: createSession(req.dataFile, user),
+            user: sessionUser(user)
+        });
     } else {
         recordFailedAttempt(ip);
-        res.status(401).json({ success: false, error: 'Invalid password' });
+        res.status(401).json({ success: false, error: 'Invalid username or password' });
     }
+}));
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    revokeSession(req.session.id);
+    res.json({ success: true });
 });
 
-app.post('/api/auth/change-password', (req, res) => {
+// Check whether the current token is still valid
+app.get('/api/auth/session', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: sessionUser(req.session),
+        expiresAt: req.session.expiresAt
+    });
+});
+
+app.post('/api/auth/change-password', requireAuth, asyncRoute(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -224,32 +504,139 @@ app.post('/api/auth/change-password', (req, res) => {
         });
     }
 
-    const data = readData(req.dataFile);
+    const { status, body } = await updateData(req.dataFile, data => {
+        const user = findUser(ensureUsers(data), req.session.username);
 
-    // Validate current password
-    let isValid = false;
-    if (data.admin.salt) {
-        const hash = hashPassword(currentPassword, data.admin.salt);
-        isValid = hash === data.admin.password;
-    } else {
-        isValid = currentPassword === data.admin.password;
+        if (!user || !verifyUserPassword(user, currentPassword)) {
+            return {
+                status: 401,
+                body: { success: false, error: 'Current password is incorrect' }
+            };
+        }
+
+        setUserPassword(user, newPassword);
+        return {
+            status: 200,
+            body: { success: true, message: 'Password changed successfully' }
+        };
+    });
+
+    if (status === 200) {
+        // Sign out this user's other sessions that were using the old password
+        revokeSessionsFor(req.dataFile, req.session.username, req.session.id);
     }
 
-    if (!isValid) {
-        return res.status(401).json({
-            success: false,
-            error: 'Current password is incorrect'
+    res.status(status).json(body);
+}));
+
+// ============ USER ROUTES ============
+
+// List users
+app.get('/api/users', requireAuth, requirePermission('users:manage'), (req, res) => {
+    const data = ensureUsers(readData(req.dataFile));
+    res.json(data.users.map(publicUser));
+});
+
+// Invite (create) a user
+app.post('/api/users', requireAuth, requirePermission('users:manage'), asyncRoute(async (req, res) => {
+    const { password, role } = req.body;
+    const username = normalizeUsername(req.body.username);
+
+    if (!username) {
+        return res.status(400).json({
+            error: 'Username must be 2-32 characters: letters, numbers, dots, dashes or underscores'
         });
     }
 
-    // Set new password with new salt
-    const salt = generateSalt();
-    data.admin.salt = salt;
-    data.admin.password = hashPassword(newPassword, salt);
-    writeData(data, req.dataFile);
+    if (!ROLES[role]) {
+        return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
 
-    res.json({ success: true, message: 'Password changed successfully' });
-});
+    if (!password || password.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        if (findUser(ensureUsers(data), username)) {
+            return { status: 409, body: { error: 'A user with that username already exists' } };
+        }
+
+        const newUser = {
+            username,
+            role,
+            createdAt: new Date().toISOString()
+        };
+        setUserPassword(newUser, password);
+
+        data.users.push(newUser);
+        return { status: 201, body: publicUser(newUser) };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Change a user's role
+app.put('/api/users/:username', requireAuth, requirePermission('users:manage'), asyncRoute(async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES[role]) {
+        return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        const user = findUser(ensureUsers(data), req.params.username);
+
+        if (!user) {
+            return { status: 404, body: { error: 'User not found' } };
+        }
+
+        // A site must always keep at least one owner
+        const owners = data.users.filter(u => u.role === 'owner');
+        if (user.role === 'owner' && role !== 'owner' && owners.length === 1) {
+            return { status: 400, body: { error: 'Cannot remove the last owner' } };
+        }
+
+        user.role = role;
+        user.updatedAt = new Date().toISOString();
+        return { status: 200, body: publicUser(user) };
+    });
+
+    if (status === 200) {
+        // Existing sessions carry the old role
+        revokeSessionsFor(req.dataFile, req.params.username);
+    }
+
+    res.status(status).json(body);
+}));
+
+// Remove a user
+app.delete('/api/users/:username', requireAuth, requirePermission('users:manage'), asyncRoute(async (req, res) => {
+    if (req.params.username === req.session.username) {
+        return res.status(400).json({ error: 'You cannot remove your own account' });
+    }
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        const index = ensureUsers(data).users.findIndex(u => u.username === req.params.username);
+
+        if (index === -1) {
+            return { status: 404, body: { error: 'User not found' } };
+        }
+
+        const owners = data.users.filter(u => u.role === 'owner');
+        if (data.users[index].role === 'owner' && owners.length === 1) {
+            return { status: 400, body: { error: 'Cannot remove the last owner' } };
+        }
+
+        data.users.splice(index, 1);
+        return { status: 200, body: { success: true } };
+    });
+
+    if (status === 200) {
+        revokeSessionsFor(req.dataFile, req.params.username);
+    }
+
+    res.status(status).json(body);
+}));
 
 // ============ SONG ROUTES ============
 
@@ -271,14 +658,18 @@ app.get('/api/songs/:id', (req, res) => {
 });
 
 // Add new song
-app.post('/api/songs', (req, res) => {
+app.post('/api/songs', requireAuth, requirePermission('songs:write'), asyncRoute(async (req, res) => {
     const { title, lyrics, url } = req.body;
 
     if (!title || !lyrics) {
         return res.status(400).json({ error: 'Title and lyrics are required' });
     }
 
-    const data = readData(req.dataFile);
+    const metadata = parseMetadata(req.body);
+    if (metadata.error) {
+        return res.status(400).json({ error: metadata.error });
+    }
+
     const newSong = {
         id: generateId(),
         title: title.trim(),
@@ -291,171 +682,892 @@ app.post('/api/songs', (req, res) => {
         newSong.url = url.trim();
     }
 
-    data.songs.push(newSong);
-    writeData(data, req.dataFile);
+    applyMetadata(newSong, metadata.values);
 
-    res.status(201).json(newSong);
-});
+    const { status, body } = await updateData(req.dataFile, data => {
+        data.songs.push(newSong);
+        recordRevision(data, newSong, { author: req.session.username });
+        return { status: 201, body: newSong };
+    });
+
+    res.status(status).json(body);
+}));
 
 // Update song
-app.put('/api/songs/:id', (req, res) => {
+app.put('/api/songs/:id', requireAuth, requirePermission('songs:write'), asyncRoute(async (req, res) => {
     const { title, lyrics, url } = req.body;
-    const data = readData(req.dataFile);
-    const index = data.songs.findIndex(s => s.id === req.params.id);
 
-    if (index === -1) {
-        return res.status(404).json({ error: 'Song not found' });
+    const metadata = parseMetadata(req.body);
+    if (metadata.error) {
+        return res.status(400).json({ error: metadata.error });
     }
 
-    if (title) data.songs[index].title = title.trim();
-    if (lyrics) data.songs[index].lyrics = lyrics.trim();
+    const { status, body } = await updateData(req.dataFile, data => {
+        const song = data.songs.find(s => s.id === req.params.id);
 
-    // Handle URL - can be set, updated, or cleared
-    if (url !== undefined) {
-        if (url && url.trim()) {
-            data.songs[index].url = url.trim();
-        } else {
-            delete data.songs[index].url;
+        if (!song) {
+            return { status: 404, body: { error: 'Song not found' } };
         }
-    }
 
-    data.songs[index].updatedAt = new Date().toISOString();
+        const previous = songContent(song);
 
-    writeData(data, req.dataFile);
-    res.json(data.songs[index]);
-});
+        if (title) song.title = title.trim();
+        if (lyrics) song.lyrics = lyrics.trim();
 
-// Delete song
-app.delete('/api/songs/:id', (req, res) => {
-    const data = readData(req.dataFile);
-    const index = data.songs.findIndex(s => s.id === req.params.id);
+        // Handle URL - can be set, updated, or cleared
+        if (url !== undefined) {
+            if (url && url.trim()) {
+                song.url = url.trim();
+            } else {
+                delete song.url;
+            }
+        }
 
-    if (index === -1) {
-        return res.status(404).json({ error: 'Song not found' });
-    }
+        applyMetadata(song, metadata.values);
 
-    // Also remove from all lists
-    data.lists.forEach(list => {
-        list.songIds = list.songIds.filter(id => id !== req.params.id);
+        song.updatedAt = new Date().toISOString();
+        if (changedFields(previous, song).length > 0) {
+            recordRevision(data, song, { author: req.session.username, previous });
+        }
+        return { status: 200, body: song };
     });
 
-    data.songs.splice(index, 1);
-    writeData(data, req.dataFile);
-
-    res.json({ success: true });
-});
-
-// ============ LIST ROUTES ============
+    res.status(status).json(body);
+}));
 
-// Get all lists
-app.get('/api/lists', (req, res) => {
+// Get a song's revisions, newest first
+app.get('/api/songs/:id/revisions', requireAuth, requirePermission('songs:write'), (req, res) => {
     const data = readData(req.dataFile);
-    res.json(data.lists);
+    if (!data.songs.some(s => s.id === req.params.id)) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+    res.json([...getRevisions(data, req.params.id)].reverse());
 });
 
-// Get single list with songs
-app.get('/api/lists/:id', (req, res) => {
+// Get one revision with a line diff of its lyrics against the current song
+app.get('/api/songs/:id/revisions/:number', requireAuth, requirePermission('songs:write'), (req, res) => {
     const data = readData(req.dataFile);
-    const list = data.lists.find(l => l.id === req.params.id);
-
-    if (!list) {
-        return res.status(404).json({ error: 'List not found' });
+    const song = data.songs.find(s => s.id === req.params.id);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
     }
 
-    // Get full song data for the list, preserving songIds order
-    const songs = list.songIds
-        .map(id => data.songs.find(s => s.id === id))
-        .filter(Boolean);
-
-    // Sort alphabetically unless useCustomOrder is true
-    const orderedSongs = list.useCustomOrder ? songs : sortSongs(songs);
+    const revision = getRevision(data, song.id, Number(req.params.number));
+    if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
 
     res.json({
-        ...list,
-        songs: orderedSongs
+        ...revision,
+        current: songContent(song),
+        diff: diffLines(revision.lyrics, song.lyrics)
     });
 });
 
-// Create new list
-app.post('/api/lists', (req, res) => {
-    const { name, songIds } = req.body;
+// Revert a song to an earlier revision (recorded as a new revision)
+app.post('/api/songs/:id/revisions/:number/revert', requireAuth, requirePermission('songs:write'), asyncRoute(async (req, res) => {
+    const { status, body } = await updateData(req.dataFile, data => {
+        const song = data.songs.find(s => s.id === req.params.id);
+        if (!song) {
+            return { status: 404, body: { error: 'Song not found' } };
+        }
 
-    if (!name) {
-        return res.status(400).json({ error: 'List name is required' });
-    }
+        const revision = getRevision(data, song.id, Number(req.params.number));
+        if (!revision) {
+            return { status: 404, body: { error: 'Revision not found' } };
+        }
 
-    const data = readData(req.dataFile);
-    const newList = {
-        id: generateId(),
-        name: name.trim(),
-        songIds: songIds || [],
-        createdAt: new Date().toISOString()
-    };
+        const previous = songContent(song);
+        applyContent(song, revision);
 
-    data.lists.push(newList);
-    writeData(data, req.dataFile);
+        if (changedFields(previous, song).length === 0) {
+            return { status: 200, body: song, changed: false };
+        }
 
-    res.status(201).json(newList);
-});
+        song.updatedAt = new Date().toISOString();
+        recordRevision(data, song, { author: req.session.username, previous, revertedFrom: revision.number });
+        return { status: 200, body: song };
+    });
 
-// Update list
-app.put('/api/lists/:id', (req, res) => {
-    const { name, songIds, useCustomOrder } = req.body;
-    const data = readData(req.dataFile);
-    const index = data.lists.findIndex(l => l.id === req.params.id);
+    res.status(status).json(body);
+}));
 
-    if (index === -1) {
-        return res.status(404).json({ error: 'List not found' });
-    }
+// Delete song (moves it to the trash)
+app.delete('/api/songs/:id', requireAuth, requirePermission('songs:delete'), asyncRoute(async (req, res) => {
+    const { status, body } = await updateData(req.dataFile, data => {
+        purgeExpiredTrash(data, getTrashRetentionDays(req.dataFile));
+
+        if (!trashSong(data, req.params.id, { deletedBy: req.session.username })) {
+            return { status: 404, body: { error: 'Song not found' } };
+        }
+        return { status: 200, body: { success: true } };
+    });
 
-    if (name) data.lists[index].name = name.trim();
-    if (songIds !== undefined) data.lists[index].songIds = songIds;
-    if (useCustomOrder !== undefined) data.lists[index].useCustomOrder = useCustomOrder;
-    data.lists[index].updatedAt = new Date().toISOString();
+    res.status(status).json(body);
+}));
+
+// ============ IMPORT ROUTES ============
+
+// Mark songs whose title matches an existing song, or an earlier song in
+// the same batch, using the same key the catalog sorts by
+function findImportDuplicates(existingSongs, importedSongs) {
+    const seen = new Map(existingSongs.map(s => [librarySortKey(s.title), { id: s.id, title: s.title }]));
+    return importedSongs.map(song => {
+        if (!song.title) return song;
+        const key = librarySortKey(song.title);
+        const duplicateOf = seen.get(key) || null;
+        if (!duplicateOf) {
+            seen.set(key, { title: song.title, batch: true });
+        }
+        return { ...song, duplicateOf };
+    });
+}
 
-    writeData(data, req.dataFile);
-    res.json(data.lists[index]);
-});
+// Parse uploaded files and show what would be imported
+app.post('/api/import/preview', requireAuth, requirePermission('songs:write'), (req, res) => {
+    const { files } = req.body;
 
-// Delete list
-app.delete('/api/lists/:id', (req, res) => {
-    const data = readData(req.dataFile);
-    const index = data.lists.findIndex(l => l.id === req.params.id);
+    if (!Array.isArray(files) || files.length === 0) {
+        return res.status(400).json({ error: 'No files to import' });
+    }
 
-    if (index === -1) {
-        return res.status(404).json({ error: 'List not found' });
+    const songs = [];
+    const errors = [];
+    for (const file of files) {
+        try {
+            songs.push(...parseImportFile(file && file.name, file && file.content));
+        } catch (err) {
+            errors.push({ file: file && file.name, error: err.message });
+        }
     }
 
-    data.lists.splice(index, 1);
-    writeData(data, req.dataFile);
+    // Flag metadata the import would reject
+    for (const song of songs) {
+        const { error } = parseMetadata(song);
+        if (error && !song.error) song.error = error;
+    }
 
-    res.json({ success: true });
+    const data = readData(req.dataFile);
+    res.json({ songs: findImportDuplicates(data.songs, songs), errors });
 });
 
-// ============ QR CODE ROUTE ============
+// Create songs from a previewed batch, optionally as a new list
+app.post('/api/import', requireAuth, requirePermission('songs:write'), asyncRoute(async (req, res) => {
+    const { songs, listName } = req.body;
 
-app.get('/api/qr/:listId', async (req, res) => {
-    const protocol = req.protocol;
-    const host = req.get('host');
-    // Use site basePath, fall back to env or header
-    const basePath = (req.site && req.site.basePath) || process.env.BASE_PATH || req.get('x-forwarded-prefix') || '';
-    let url;
+    if (!Array.isArray(songs) || songs.length === 0) {
+        return res.status(400).json({ error: 'No songs to import' });
+    }
+    const invalid = songs.findIndex(song => !song || !song.title || !song.title.trim() || !song.lyrics || !song.lyrics.trim());
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `Song ${invalid + 1} is missing a title or lyrics` });
+    }
+    if (listName !== undefined && listName !== null && typeof listName !== 'string') {
+        return res.status(400).json({ error: 'List name must be a string' });
+    }
+    if (listName && listName.trim() && !hasPermission(req.session.role, 'lists:write')) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
 
-    // Special case for home page
-    if (req.params.listId === 'home') {
-        url = `${protocol}://${host}${basePath}/`;
-    } else if (req.params.listId === 'catalog') {
-        // Special case for catalog page
-        url = `${protocol}://${host}${basePath}/catalog.html`;
-    } else {
-        const data = readData(req.dataFile);
-        const list = data.lists.find(l => l.id === req.params.listId);
+    const metadata = songs.map(song => parseMetadata(song));
+    const badMetadata = metadata.findIndex(m => m.error);
+    if (badMetadata !== -1) {
+        return res.status(400).json({ error: `Song ${badMetadata + 1}: ${metadata[badMetadata].error}` });
+    }
 
-        if (!list) {
+    const createdAt = new Date().toISOString();
+    const newSongs = songs.map((song, i) => {
+        const newSong = {
+            id: generateId(),
+            title: song.title.trim(),
+            lyrics: song.lyrics.trim(),
+            createdAt
+        };
+        if (song.url && song.url.trim()) {
+            newSong.url = song.url.trim();
+        }
+        return applyMetadata(newSong, metadata[i].values);
+    });
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        for (const song of newSongs) {
+            data.songs.push(song);
+            recordRevision(data, song, { author: req.session.username });
+        }
+
+        let list = null;
+        if (listName && listName.trim()) {
+            list = {
+                id: generateId(),
+                name: listName.trim(),
+                songIds: newSongs.map(s => s.id),
+                createdAt
+            };
+            data.lists.push(list);
+        }
+
+        return { status: 201, body: { songs: newSongs, list } };
+    });
+
+    res.status(status).json(body);
+}));
+
+// ============ LIST ROUTES ============
+
+// A list's songs, in the list's order if it has a custom one and
+// alphabetically otherwise
+function listSongs(data, list) {
+    const songs = list.songIds
+        .map(id => data.songs.find(s => s.id === id))
+        .filter(Boolean);
+    return list.useCustomOrder ? songs : sortSongs(songs);
+}
+
+// Strip who recorded the songs sung before sending a list to the client
+function publicList(list) {
+    if (!list.sung) return list;
+    const { songIds, recordedAt } = list.sung;
+    return { ...list, sung: { songIds, recordedAt } };
+}
+
+// Get all lists
+app.get('/api/lists', (req, res) => {
+    const data = readData(req.dataFile);
+    res.json(data.lists.map(publicList));
+});
+
+// Get single list with songs
+app.get('/api/lists/:id', (req, res) => {
+    const data = readData(req.dataFile);
+    const list = data.lists.find(l => l.id === req.params.id);
+
+    if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({
+        ...publicList(list),
+        songs: listSongs(data, list)
+    });
+});
+
+// A printable songbook of a list, as a PDF (see lib/songbook.js), in the
+// layout asked for or the site's default (see lib/print-layouts.js), with
+// the chords shown and transposed as on the page it was printed from
+app.get('/api/lists/:id/songbook.pdf', (req, res) => {
+    const data = readData(req.dataFile);
+    const list = data.lists.find(l => l.id === req.params.id);
+
+    if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+
+    const layout = req.query.layout || req.site.print.layout;
+    if (!isLayout(layout)) {
+        return res.status(400).json({ error: `Layout must be one of: ${Object.keys(PRINT_LAYOUTS).join(', ')}` });
+    }
+
+    const { transpose, error } = parseTranspose(req.query.transpose);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { pdf } = buildSongbook({
+        siteName: req.site.name,
+        listName: list.name,
+        songs: listSongs(data, list),
+        url: siteUrl(req, `/list.html?id=${list.id}`),
+        emptyMessage: req.site.labels.emptyList,
+        layout,
+        chords: req.query.chords !== 'hide',
+        transpose
+    });
+
+    const fileName = list.name.replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'songbook';
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(pdf);
+});
+
+// Create new list, with any event details (see lib/setlists.js)
+app.post('/api/lists', requireAuth, requirePermission('lists:write'), asyncRoute(async (req, res) => {
+    const { name, songIds } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'List name is required' });
+    }
+
+    const setlist = parseSetlist(req.body);
+    if (setlist.error) {
+        return res.status(400).json({ error: setlist.error });
+    }
+
+    const newList = {
+        id: generateId(),
+        name: name.trim(),
+        songIds: songIds || [],
+        createdAt: new Date().toISOString()
+    };
+    applySetlist(newList, setlist.values);
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        data.lists.push(newList);
+        return { status: 201, body: newList };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Update list
+app.put('/api/lists/:id', requireAuth, requirePermission('lists:write'), asyncRoute(async (req, res) => {
+    const { name, songIds, useCustomOrder } = req.body;
+
+    const setlist = parseSetlist(req.body);
+    if (setlist.error) {
+        return res.status(400).json({ error: setlist.error });
+    }
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        const list = data.lists.find(l => l.id === req.params.id);
+
+        if (!list) {
+            return { status: 404, body: { error: 'List not found' } };
+        }
+
+        if (name) list.name = name.trim();
+        if (songIds !== undefined) list.songIds = songIds;
+        if (useCustomOrder !== undefined) list.useCustomOrder = useCustomOrder;
+        applySetlist(list, setlist.values);
+        list.updatedAt = new Date().toISOString();
+
+        return { status: 200, body: list };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Record the songs actually sung at a list's event: { songIds }, in the
+// order sung, from the whole catalog. An empty list clears the record.
+app.put('/api/lists/:id/sung', requireAuth, requirePermission('lists:write'), asyncRoute(async (req, res) => {
+    const { songIds } = req.body;
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        const list = data.lists.find(l => l.id === req.params.id);
+        if (!list) {
+            return { status: 404, body: { error: 'List not found' } };
+        }
+
+        const error = validateSung(songIds, new Set(data.songs.map(s => s.id)));
+        if (error) {
+            return { status: 400, body: { error } };
+        }
+
+        if (songIds.length === 0) {
+            delete list.sung;
+        } else {
+            list.sung = { songIds, recordedAt: new Date().toISOString(), recordedBy: req.session.username };
+        }
+        return { status: 200, body: list };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Delete list (moves it to the trash)
+app.delete('/api/lists/:id', requireAuth, requirePermission('lists:write'), asyncRoute(async (req, res) => {
+    const { status, body } = await updateData(req.dataFile, data => {
+        purgeExpiredTrash(data, getTrashRetentionDays(req.dataFile));
+
+        if (!trashList(data, req.params.id, { deletedBy: req.session.username })) {
+            return { status: 404, body: { error: 'List not found' } };
+        }
+        return { status: 200, body: { success: true } };
+    });
+
+    if (status === 200) {
+        liveSessions.end(req.dataFile, req.params.id);
+        songRequests.clear(req.dataFile, req.params.id);
+    }
+    res.status(status).json(body);
+}));
+
+// ============ LIVE SESSION ROUTES ============
+
+// A session as sent to the leader, with how many pages are following
+function sessionBody(req, session) {
+    return { ...session, followers: liveSessions.followerCount(req.dataFile, session.listId) };
+}
+
+// The running session on a list, as followers see it
+app.get('/api/lists/:id/session', (req, res) => {
+    const session = liveSessions.get(req.dataFile, req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'No session running' });
+    }
+    res.json(sessionBody(req, publicSession(session)));
+});
+
+// Follow a list's session as Server-Sent Events
+app.get('/api/lists/:id/session/events', (req, res) => {
+    const data = readData(req.dataFile);
+    if (!data.lists.some(l => l.id === req.params.id)) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    liveSessions.follow(req.dataFile, req.params.id, req, res);
+});
+
+// Start a session on a list (or rejoin the one running)
+app.post('/api/lists/:id/session', requireAuth, requirePermission('lists:write'), (req, res) => {
+    const data = readData(req.dataFile);
+    if (!data.lists.some(l => l.id === req.params.id)) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+
+    const running = liveSessions.get(req.dataFile, req.params.id);
+    const session = running || liveSessions.start(req.dataFile, req.params.id, { startedBy: req.session.username });
+    res.status(running ? 200 : 201).json(sessionBody(req, session));
+});
+
+// Move the session to a song of the list, and optionally a section of it
+app.put('/api/lists/:id/session', requireAuth, requirePermission('lists:write'), (req, res) => {
+    if (!liveSessions.get(req.dataFile, req.params.id)) {
+        return res.status(404).json({ error: 'No session running' });
+    }
+
+    const { songId = null, section = null } = req.body;
+    const data = readData(req.dataFile);
+    const list = data.lists.find(l => l.id === req.params.id);
+    if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    const song = songId === null ? null : data.songs.find(s => s.id === songId && list.songIds.includes(s.id));
+    if (songId !== null && !song) {
+        return res.status(400).json({ error: 'Song is not in this list' });
+    }
+    if (section !== null && !(song && Number.isInteger(section) && section >= 0 && section < (song.sections || []).length)) {
+        return res.status(400).json({ error: 'Section must be the index of one of the song\'s sections' });
+    }
+
+    res.json(sessionBody(req, liveSessions.update(req.dataFile, req.params.id, { songId, section })));
+});
+
+// End a list's session
+app.delete('/api/lists/:id/session', requireAuth, requirePermission('lists:write'), (req, res) => {
+    if (!liveSessions.end(req.dataFile, req.params.id)) {
+        return res.status(404).json({ error: 'No session running' });
+    }
+    songRequests.clear(req.dataFile, req.params.id);
+    res.json({ success: true });
+});
+
+// ============ SONG REQUEST ROUTES ============
+
+// Who is asking: the id the page keeps (see public/js/song-requests.js),
+// or the address for pages that don't send one
+function requestDevice(req) {
+    const id = req.get('X-Device-Id');
+    return id && /^[\w-]{8,64}$/.test(id) ? `device:${id}` : requestAddress(req);
+}
+
+// Where they're asking from. Pages choose their own ids, so addresses are
+// limited too.
+function requestAddress(req) {
+    return `ip:${req.ip}`;
+}
+
+// Tell pages following a list that its requests have changed
+function notifyRequests(req) {
+    liveSessions.send(req.dataFile, req.params.id, 'requests', songRequests.list(req.dataFile, req.params.id));
+}
+
+// A list's song requests, marked with the ones the asking device voted for
+app.get('/api/lists/:id/requests', (req, res) => {
+    const data = readData(req.dataFile);
+    if (!data.lists.some(l => l.id === req.params.id)) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    res.json(songRequests.list(req.dataFile, req.params.id, requestDevice(req)));
+});
+
+// Request a song from the catalog, or vote for it if it's already been
+// asked for. Open to anyone while a session is running on the list.
+app.post('/api/lists/:id/requests', (req, res) => {
+    const data = readData(req.dataFile);
+    if (!data.lists.some(l => l.id === req.params.id)) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+    if (!liveSessions.get(req.dataFile, req.params.id)) {
+        return res.status(409).json({ error: 'No session running' });
+    }
+    const song = data.songs.find(s => s.id === req.body.songId);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const result = songRequests.add(req.dataFile, req.params.id, { songId: song.id, title: song.title }, requestDevice(req), requestAddress(req));
+    if (result.error === 'limit') {
+        return res.status(429).json({ error: `Too many requests. Try again in ${result.remaining} minutes.` });
+    }
+    if (result.error === 'full') {
+        return res.status(409).json({ error: 'The request queue is full' });
+    }
+
+    notifyRequests(req);
+    res.status(result.created ? 201 : 200).json(result.request);
+});
+
+// Put the requests in a new order: { order: [requestId, ...] }, every
+// request once
+app.put('/api/lists/:id/requests', requireAuth, requirePermission('lists:write'), (req, res) => {
+    const requests = songRequests.reorder(req.dataFile, req.params.id, req.body.order);
+    if (!requests) {
+        return res.status(400).json({ error: 'Order must list every request once' });
+    }
+    notifyRequests(req);
+    res.json(requests);
+});
+
+// Accept a request (or put it back to pending)
+app.put('/api/lists/:id/requests/:requestId', requireAuth, requirePermission('lists:write'), (req, res) => {
+    const { status } = req.body;
+    if (!REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const request = songRequests.update(req.dataFile, req.params.id, req.params.requestId, { status });
+    if (!request) {
+        return res.status(404).json({ error: 'Request not found' });
+    }
+    notifyRequests(req);
+    res.json(request);
+});
+
+// Dismiss a request
+app.delete('/api/lists/:id/requests/:requestId', requireAuth, requirePermission('lists:write'), (req, res) => {
+    if (!songRequests.dismiss(req.dataFile, req.params.id, req.params.requestId)) {
+        return res.status(404).json({ error: 'Request not found' });
+    }
+    notifyRequests(req);
+    res.json({ success: true });
+});
+
+// Accept a request and put its song in the list: at { position } (an
+// index into the list's songs), or else after the song being sung, or at
+// the end
+app.post('/api/lists/:id/requests/:requestId/add', requireAuth, requirePermission('lists:write'), asyncRoute(async (req, res) => {
+    const request = songRequests.get(req.dataFile, req.params.id, req.params.requestId);
+    if (!request) {
+        return res.status(404).json({ error: 'Request not found' });
+    }
+    const { position } = req.body;
+    if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+        return res.status(400).json({ error: 'Position must be a whole number, from 0' });
+    }
+
+    const session = liveSessions.get(req.dataFile, req.params.id);
+    const { status, body } = await updateData(req.dataFile, data => {
+        const list = data.lists.find(l => l.id === req.params.id);
+        if (!list) {
+            return { status: 404, body: { error: 'List not found' } };
+        }
+        if (!data.songs.some(s => s.id === request.songId)) {
+            return { status: 404, body: { error: 'Song not found' } };
+        }
+        if (list.songIds.includes(request.songId)) {
+            return { status: 200, body: list, changed: false };
+        }
+
+        const current = session && session.songId ? list.songIds.indexOf(session.songId) : -1;
+        let index = list.songIds.length;
+        if (position !== undefined) {
+            index = Math.min(position, list.songIds.length);
+        } else if (current !== -1) {
+            index = current + 1;
+        }
+        list.songIds.splice(index, 0, request.songId);
+        list.updatedAt = new Date().toISOString();
+        return { status: 200, body: list };
+    });
+
+    if (status !== 200) {
+        return res.status(status).json(body);
+    }
+    const updated = songRequests.update(req.dataFile, req.params.id, req.params.requestId, { status: 'accepted', addedToList: true });
+    notifyRequests(req);
+    res.json({ request: updated, list: body });
+}));
+
+// ============ TRASH ROUTES ============
+
+// Permission needed to restore or purge each kind of trashed item
+const TRASH_PERMISSIONS = {
+    song: 'songs:delete',
+    list: 'lists:write'
+};
+
+function canManageTrash(session, type) {
+    return hasPermission(session.role, TRASH_PERMISSIONS[type]);
+}
+
+// Check the :type param and the signed-in user's permission for it
+function requireTrashType(req, res, next) {
+    if (!TRASH_TYPES.includes(req.params.type)) {
+        return res.status(404).json({ error: 'Unknown item type' });
+    }
+    if (!canManageTrash(req.session, req.params.type)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+}
+
+// List trashed items the signed-in user can restore, newest first
+app.get('/api/trash', requireAuth, (req, res) => {
+    const data = readData(req.dataFile);
+    const retentionDays = getTrashRetentionDays(req.dataFile);
+    const now = new Date().toISOString();
+
+    const items = (data.trash || [])
+        .filter(entry => canManageTrash(req.session, entry.type))
+        .map(entry => ({
+            type: entry.type,
+            id: entry.item.id,
+            name: entry.type === 'song' ? entry.item.title : entry.item.name,
+            deletedAt: entry.deletedAt,
+            deletedBy: entry.deletedBy,
+            expiresAt: expiresAt(entry, retentionDays),
+            lists: entry.listPositions ? entry.listPositions.length : undefined
+        }))
+        .filter(item => !item.expiresAt || item.expiresAt > now)
+        .reverse();
+
+    res.json(items);
+});
+
+// Restore a trashed song or list
+app.post('/api/trash/:type/:id/restore', requireAuth, requireTrashType, asyncRoute(async (req, res) => {
+    const { type, id } = req.params;
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        purgeExpiredTrash(data, getTrashRetentionDays(req.dataFile));
+
+        const restored = restoreFromTrash(data, type, id);
+        if (restored === null) {
+            return { status: 404, body: { error: 'Item not found in trash' } };
+        }
+        if (restored === false) {
+            return { status: 409, body: { error: `A ${type} with this id already exists` } };
+        }
+        return { status: 200, body: restored };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Permanently delete one trashed item
+app.delete('/api/trash/:type/:id', requireAuth, requireTrashType, asyncRoute(async (req, res) => {
+    const { type, id } = req.params;
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        purgeExpiredTrash(data, getTrashRetentionDays(req.dataFile));
+
+        if (!purgeTrash(data, entry => entry.type === type && entry.item.id === id)) {
+            return { status: 404, body: { error: 'Item not found in trash' } };
+        }
+        return { status: 200, body: { success: true } };
+    });
+
+    res.status(status).json(body);
+}));
+
+// Empty the trash (only the items the signed-in user may purge)
+app.delete('/api/trash', requireAuth, asyncRoute(async (req, res) => {
+    const { status, body } = await updateData(req.dataFile, data => {
+        const purged = purgeTrash(data, entry => canManageTrash(req.session, entry.type));
+        return { status: 200, body: { success: true, purged }, changed: purged > 0 };
+    });
+
+    res.status(status).json(body);
+}));
+
+// ============ SITE TRANSFER ROUTES ============
+
+// Download the site as a portable archive (no user accounts)
+app.get('/api/site/export', requireAuth, requirePermission('site:transfer'), (req, res) => {
+    const data = readData(req.dataFile);
+    const archive = createArchive(data, req.site, { attachments: collectAttachments(req.site, PUBLIC_DIR) });
+    const date = archive.exportedAt.slice(0, 10);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${req.site.id || 'site'}-${date}.songbook.json"`);
+    res.json(archive);
+});
+
+// Import an archive, merging into or replacing this site's data.
+// With dryRun, only report what would change.
+app.post('/api/site/import', requireAuth, requirePermission('site:transfer'), asyncRoute(async (req, res) => {
+    const { archive, mode = 'merge', conflicts = 'rename', dryRun = false } = req.body;
+
+    const invalid = validateArchive(archive);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    if (!CONFLICT_STRATEGIES.includes(conflicts)) {
+        return res.status(400).json({ error: `Conflicts must be one of: ${CONFLICT_STRATEGIES.join(', ')}` });
+    }
+
+    if (dryRun) {
+        const report = applyArchive(readData(req.dataFile), archive, { mode, conflicts });
+        report.attachments = writeAttachments(archive, PUBLIC_DIR, { dryRun: true });
+        return res.json({ dryRun: true, ...report });
+    }
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        return { status: 200, body: applyArchive(data, archive, { mode, conflicts }) };
+    });
+    body.attachments = writeAttachments(archive, PUBLIC_DIR);
+
+    res.status(status).json({ dryRun: false, ...body });
+}));
+
+// ============ BACKUP ROUTES ============
+
+// Put a song from a snapshot back, including into the lists (and at the
+// positions) it had in the snapshot. It comes out of the trash if it was
+// there, and the restore is recorded as a revision like any other change.
+function restoreSongFromSnapshot(data, snapshotData, songId, { snapshotId, author = null } = {}) {
+    const song = (snapshotData.songs || []).find(s => s.id === songId);
+    if (!song) return false;
+
+    const index = data.songs.findIndex(s => s.id === songId);
+    const trashed = removeFromTrash(data, 'song', songId);
+    const current = index === -1 ? trashed && trashed.item : data.songs[index];
+    const previous = current ? songContent(current) : null;
+    if (index === -1) {
+        data.songs.push(song);
+    } else {
+        data.songs[index] = song;
+    }
+
+    if (!previous || changedFields(previous, song).length > 0) {
+        song.updatedAt = new Date().toISOString();
+        recordRevision(data, song, { author, previous, restoredFrom: snapshotId });
+    }
+
+    for (const snapshotList of snapshotData.lists || []) {
+        const position = snapshotList.songIds.indexOf(songId);
+        const list = data.lists.find(l => l.id === snapshotList.id);
+        if (position !== -1 && list && !list.songIds.includes(songId)) {
+            list.songIds.splice(Math.min(position, list.songIds.length), 0, songId);
+        }
+    }
+    return true;
+}
+
+// Put a list from a snapshot back (out of the trash, if it was there),
+// keeping only songs that still exist
+function restoreListFromSnapshot(data, snapshotData, listId) {
+    const snapshotList = (snapshotData.lists || []).find(l => l.id === listId);
+    if (!snapshotList) return false;
+
+    removeFromTrash(data, 'list', listId);
+
+    const songIds = new Set(data.songs.map(s => s.id));
+    const list = { ...snapshotList, songIds: snapshotList.songIds.filter(id => songIds.has(id)) };
+
+    const index = data.lists.findIndex(l => l.id === listId);
+    if (index === -1) {
+        data.lists.push(list);
+    } else {
+        data.lists[index] = list;
+    }
+    return true;
+}
+
+// List snapshots, newest first
+app.get('/api/snapshots', requireAuth, requirePermission('backups:restore'), (req, res) => {
+    res.json(listSnapshots(req.dataFile));
+});
+
+// Get a snapshot's songs and lists (without lyrics) for picking what to restore
+app.get('/api/snapshots/:id', requireAuth, requirePermission('backups:restore'), (req, res) => {
+    const snapshot = readSnapshot(req.dataFile, req.params.id);
+    if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const { data, ...entry } = snapshot;
+    res.json({
+        ...entry,
+        songs: sortSongs(data.songs || []).map(s => ({ id: s.id, title: s.title })),
+        lists: (data.lists || []).map(l => ({ id: l.id, name: l.name, songCount: l.songIds.length }))
+    });
+});
+
+// Restore the whole site, or a single song or list, from a snapshot
+app.post('/api/snapshots/:id/restore', requireAuth, requirePermission('backups:restore'), asyncRoute(async (req, res) => {
+    const snapshot = readSnapshot(req.dataFile, req.params.id);
+    if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const { songId, listId } = req.body;
+
+    const { status, body } = await updateData(req.dataFile, data => {
+        if (songId) {
+            if (!restoreSongFromSnapshot(data, snapshot.data, songId, { snapshotId: req.params.id, author: req.session.username })) {
+                return { status: 404, body: { error: 'Song not found in snapshot' } };
+            }
+            return { status: 200, body: { success: true, restored: { songId } } };
+        }
+
+        if (listId) {
+            if (!restoreListFromSnapshot(data, snapshot.data, listId)) {
+                return { status: 404, body: { error: 'List not found in snapshot' } };
+            }
+            return { status: 200, body: { success: true, restored: { listId } } };
+        }
+
+        // Whole site - user accounts are never part of a snapshot
+        const users = data.users;
+        for (const key of Object.keys(data)) {
+            delete data[key];
+        }
+        Object.assign(data, structuredClone(snapshot.data), { users });
+        return { status: 200, body: { success: true, restored: 'all' } };
+    });
+
+    res.status(status).json(body);
+}));
+
+// ============ QR CODE ROUTE ============
+
+// Absolute URL of a page of the site
+function siteUrl(req, pagePath) {
+    // Use site basePath, fall back to env or header
+    const basePath = (req.site && req.site.basePath) || process.env.BASE_PATH || req.get('x-forwarded-prefix') || '';
+    return `${req.protocol}://${req.get('host')}${basePath}${pagePath}`;
+}
+
+app.get('/api/qr/:listId', async (req, res) => {
+    let url;
+
+    // Special case for home page
+    if (req.params.listId === 'home') {
+        url = siteUrl(req, '/');
+    } else if (req.params.listId === 'catalog') {
+        // Special case for catalog page
+        url = siteUrl(req, '/catalog.html');
+    } else {
+        const data = readData(req.dataFile);
+        const list = data.lists.find(l => l.id === req.params.listId);
+
+        if (!list) {
             return res.status(404).json({ error: 'List not found' });
         }
 
-        url = `${protocol}://${host}${basePath}/list.html?id=${list.id}`;
+        url = siteUrl(req, `/list.html?id=${list.id}`);
     }
 
     try {
@@ -503,102 +1615,34 @@ app.get('/api/qr/song/:songId', async (req, res) => {
 
 // ============ SEARCH ROUTE ============
 
-// Normalize whitespace - convert all whitespace (including newlines) to single spaces
-function normalizeWhitespace(text) {
-    return text.replace(/\s+/g, ' ').trim();
-}
-
-// Calculate Levenshtein distance between two strings
-function levenshteinDistance(a, b) {
-    const matrix = [];
-
-    for (let i = 0; i <= b.length; i++) {
-        matrix[i] = [i];
-    }
-    for (let j = 0; j <= a.length; j++) {
-        matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= b.length; i++) {
-        for (let j = 1; j <= a.length; j++) {
-            if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1, // substitution
-                    matrix[i][j - 1] + 1,     // insertion
-                    matrix[i - 1][j] + 1      // deletion
-                );
-            }
-        }
-    }
-
-    return matrix[b.length][a.length];
-}
-
-// Check if text contains a fuzzy match for the query
-function fuzzyMatch(text, query) {
-    const normalizedText = normalizeWhitespace(text).toLowerCase();
-    const normalizedQuery = normalizeWhitespace(query).toLowerCase();
-
-    // First check for exact substring match
-    if (normalizedText.includes(normalizedQuery)) {
-        return true;
-    }
-
-    // For short queries (1-2 chars), require exact match
-    if (normalizedQuery.length <= 2) {
-        return false;
-    }
-
-    // Split query into words for multi-word fuzzy matching
-    const queryWords = normalizedQuery.split(' ').filter(w => w.length > 0);
-    const textWords = normalizedText.split(' ').filter(w => w.length > 0);
-
-    // Each query word should fuzzy match at least one text word
-    return queryWords.every(queryWord => {
-        // Allow ~15% character errors for fuzzy matching
-        const maxDistance = Math.max(1, Math.floor(queryWord.length * 0.15));
-
-        return textWords.some(textWord => {
-            // Check if text word contains the query (e.g., "paradise" contains "para")
-            if (textWord.includes(queryWord)) {
-                return true;
-            }
-
-            // For fuzzy matching, only match words of similar length to avoid
-            // matching very short words (prevents "apple" from matching "a")
-            const lengthDiff = Math.abs(textWord.length - queryWord.length);
-            if (lengthDiff <= 2) {
-                // Check Levenshtein distance for typos
-                return levenshteinDistance(queryWord, textWord) <= maxDistance;
-            }
-
-            return false;
-        });
-    });
+// Songs matching a parsed search query (see lib/search-query.js), most
+// relevant first, each with its score, match positions and the matching
+// lines of its lyrics
+function searchSongs(req, data, songs, ast) {
+    const index = getSearchIndex(req.dataFile, data.songs, { synonyms: buildSynonyms(req.site.search.synonyms) });
+    const hits = runQuery(index, new Map(data.songs.map(s => [s.id, s])), ast);
+    return songs
+        .filter(s => hits.has(s.id))
+        .map(s => {
+            const hit = hits.get(s.id);
+            return { ...s, ...hit, snippets: buildSnippets(stripChords(s.lyrics), hit.matches) };
+        })
+        .sort((a, b) => b.score - a.score || librarySortKey(a.title).localeCompare(librarySortKey(b.title)));
 }
 
-// Check for exact match (used when query is in quotes)
-function exactMatch(text, query) {
-    const normalizedText = normalizeWhitespace(text).toLowerCase();
-    const normalizedQuery = normalizeWhitespace(query).toLowerCase();
-    return normalizedText.includes(normalizedQuery);
-}
-
-// Parse search query - detect quoted exact searches
-function parseSearchQuery(query) {
-    const exactMatch = query.match(/^"(.+)"$/);
-    if (exactMatch) {
-        return { type: 'exact', term: exactMatch[1] };
+// Parse the search query string: q, listId and facet filters
+function parseSearchRequest(query) {
+    const { ast, error: queryError } = parseQuery(query.q);
+    if (queryError) {
+        return { error: `Invalid search: ${queryError}` };
     }
-    return { type: 'fuzzy', term: query };
+    const { filters, error } = parseFacetFilters(query);
+    return { ast, filters, listId: query.listId, error };
 }
 
-app.get('/api/search', (req, res) => {
-    const { q, listId } = req.query;
-    const data = readData(req.dataFile);
-
+// Songs matching the search, before facet filters. Sorted alphabetically,
+// or by relevance when there's a query.
+function searchScope(req, data, { ast, listId }) {
     let songs = data.songs;
 
     // If listId provided, filter to that list's songs
@@ -609,66 +1653,56 @@ app.get('/api/search', (req, res) => {
         }
     }
 
-    // Search filter
-    if (q) {
-        const { type, term } = parseSearchQuery(q);
+    return ast ? searchSongs(req, data, songs, ast) : sortSongs(songs);
+}
 
-        if (type === 'exact') {
-            // Exact search (quoted) - handles newlines via normalization
-            songs = songs.filter(s =>
-                exactMatch(s.title, term) ||
-                exactMatch(s.lyrics, term)
-            );
-        } else {
-            // Fuzzy search (default)
-            songs = songs.filter(s =>
-                fuzzyMatch(s.title, term) ||
-                fuzzyMatch(s.lyrics, term)
-            );
-        }
+app.get('/api/search', (req, res) => {
+    const search = parseSearchRequest(req.query);
+    if (search.error) {
+        return res.status(400).json({ error: search.error });
+    }
+
+    const data = readData(req.dataFile);
+    res.json(filterSongs(searchScope(req, data, search), search.filters));
+});
+
+// Facet counts for the same query string as /api/search
+app.get('/api/search/facets', (req, res) => {
+    const search = parseSearchRequest(req.query);
+    if (search.error) {
+        return res.status(400).json({ error: search.error });
     }
 
-    res.json(sortSongs(songs));
+    const data = readData(req.dataFile);
+    res.json(facetCounts(searchScope(req, data, search), search.filters));
 });
 
 // ============ STATS ROUTES ============
 
 // Track song view
 app.post('/api/stats/song/:id', (req, res) => {
-    const data = readData(req.dataFile);
-    ensureStats(data);
-
+    const storage = getStorage(req.dataFile);
     const songId = req.params.id;
-    if (!data.songs.find(s => s.id === songId)) {
-        return res.status(404).json({ error: 'Song not found' });
-    }
 
-    if (!data.stats.songViews[songId]) {
-        data.stats.songViews[songId] = 0;
+    if (!storage.exists('songs', songId)) {
+        return res.status(404).json({ error: 'Song not found' });
     }
-    data.stats.songViews[songId]++;
 
-    writeData(data, req.dataFile);
-    res.json({ success: true, views: data.stats.songViews[songId] });
+    const views = storage.incrementView('songViews', songId);
+    res.json({ success: true, views });
 });
 
 // Track list view
 app.post('/api/stats/list/:id', (req, res) => {
-    const data = readData(req.dataFile);
-    ensureStats(data);
-
+    const storage = getStorage(req.dataFile);
     const listId = req.params.id;
-    if (!data.lists.find(l => l.id === listId)) {
-        return res.status(404).json({ error: 'List not found' });
-    }
 
-    if (!data.stats.listViews[listId]) {
-        data.stats.listViews[listId] = 0;
+    if (!storage.exists('lists', listId)) {
+        return res.status(404).json({ error: 'List not found' });
     }
-    data.stats.listViews[listId]++;
 
-    writeData(data, req.dataFile);
-    res.json({ success: true, views: data.stats.listViews[listId] });
+    const views = storage.incrementView('listViews', listId);
+    res.json({ success: true, views });
 });
 
 // Get all stats
@@ -705,6 +1739,129 @@ app.get('/api/stats', (req, res) => {
     });
 });
 
+// Views per day over a date range (?from=&to=, the last 30 days by
+// default), with the most viewed songs and lists in it (see lib/view-stats.js)
+app.get('/api/stats/views', (req, res) => {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = readData(req.dataFile);
+    ensureStats(data);
+
+    const songViews = viewsByDay(data.stats, 'songViews', from, to);
+    const listViews = viewsByDay(data.stats, 'listViews', from, to);
+
+    const topSongs = [...viewsInRange(data.stats, 'songViews', from, to)]
+        .map(([id, views]) => ({
+            song: data.songs.find(s => s.id === id),
+            views
+        }))
+        .filter(item => item.song)
+        .sort((a, b) => b.views - a.views)
+        .slice(0, 10);
+
+    const topLists = [...viewsInRange(data.stats, 'listViews', from, to)]
+        .map(([id, views]) => ({
+            list: data.lists.find(l => l.id === id),
+            views
+        }))
+        .filter(item => item.list)
+        .sort((a, b) => b.views - a.views)
+        .slice(0, 10);
+
+    res.json({
+        from,
+        to,
+        songViews,
+        listViews,
+        totalSongViews: songViews.reduce((total, day) => total + day.views, 0),
+        totalListViews: listViews.reduce((total, day) => total + day.views, 0),
+        topSongs,
+        topLists
+    });
+});
+
+// Songs and lists viewed more in the last seven days than the seven before
+app.get('/api/stats/trending', (req, res) => {
+    const data = readData(req.dataFile);
+    ensureStats(data);
+
+    const songs = trending(data.stats, 'songViews');
+    const lists = trending(data.stats, 'listViews');
+
+    res.json({
+        thisWeek: songs.thisWeek,
+        lastWeek: songs.lastWeek,
+        songs: songs.items
+            .map(({ id, ...views }) => ({ song: data.songs.find(s => s.id === id), ...views }))
+            .filter(item => item.song)
+            .slice(0, 10),
+        lists: lists.items
+            .map(({ id, ...views }) => ({ list: data.lists.find(l => l.id === id), ...views }))
+            .filter(item => item.list)
+            .slice(0, 10)
+    });
+});
+
+// One song's views per day over a date range
+app.get('/api/stats/song/:id', (req, res) => {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = readData(req.dataFile);
+    ensureStats(data);
+    const song = data.songs.find(s => s.id === req.params.id);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const days = viewsByDay(data.stats, 'songViews', from, to, song.id);
+    res.json({ from, to, song, total: days.reduce((total, day) => total + day.views, 0), days });
+});
+
+// One list's views per day over a date range
+app.get('/api/stats/list/:id', (req, res) => {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = readData(req.dataFile);
+    ensureStats(data);
+    const list = data.lists.find(l => l.id === req.params.id);
+    if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+    }
+
+    const days = viewsByDay(data.stats, 'listViews', from, to, list.id);
+    res.json({ from, to, list, total: days.reduce((total, day) => total + day.views, 0), days });
+});
+
+// ============ SETLIST HISTORY ROUTES ============
+
+// Every song with how often and when it was last sung, from the songs
+// recorded as sung at lists' events (see lib/setlists.js)
+app.get('/api/reports/song-history', (req, res) => {
+    const data = readData(req.dataFile);
+    res.json(songsWithHistory(data.songs, data.lists));
+});
+
+// Songs not sung in the last ?months= (6 by default), never sung first
+app.get('/api/reports/not-sung', (req, res) => {
+    const months = req.query.months === undefined ? 6 : Number(req.query.months);
+    if (!Number.isInteger(months) || months < 1 || months > 120) {
+        return res.status(400).json({ error: 'Months must be a whole number from 1 to 120' });
+    }
+
+    const data = readData(req.dataFile);
+    const since = monthsBefore(new Date(), months);
+    res.json({ months, since, songs: notSungSince(data.songs, data.lists, since) });
+});
+
 // Helper to render pages with site config
 function renderPage(res, template, site, extraData = {}) {
     const themeCSS = generateThemeCSS(site.theme);
@@ -736,6 +1893,11 @@ app.get('/list.html', (req, res) => {
     renderPage(res, 'list', req.site);
 });
 
+// Presentation (projector) view of a list
+app.get('/present.html', (req, res) => {
+    renderPage(res, 'present', req.site);
+});
+
 // Admin page
 app.get('/admin.html', (req, res) => {
     renderPage(res, 'admin', req.site);
@@ -754,10 +1916,25 @@ app.get('/catalog', (req, res) => {
     renderPage(res, 'catalog', req.site);
 });
 
+app.get('/present', (req, res) => {
+    renderPage(res, 'present', req.site);
+});
+
+// Errors thrown by routes (e.g. a failed write) - keep API
+// responses as JSON and never leak stack traces
+app.use((err, req, res, _next) => {
+    console.error(`Error handling ${req.method} ${req.path}:`, err.message);
+    if (req.path.startsWith('/api/')) {
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    res.status(500).send('Internal server error');
+});
+
 // Start server only if not in test mode
 if (process.env.NODE_ENV !== 'test') {
     app.listen(PORT, () => {
-        // Ensure data files exist for all sites
+        // Ensure data files exist for all sites (and recover any left
+        // inconsistent by a crash)
         for (const [, site] of sites) {
             const dataFile = getDataFile(site);
             ensureDataFile(dataFile);
@@ -776,11 +1953,6 @@ if (process.env.NODE_ENV !== 'test') {
 module.exports = {
     app,
     // Utility functions
-    normalizeWhitespace,
-    levenshteinDistance,
-    fuzzyMatch,
-    exactMatch,
-    parseSearchQuery,
     librarySortKey,
     sortSongs,
     generateId,
@@ -789,11 +1961,35 @@ module.exports = {
     checkRateLimit,
     recordFailedAttempt,
     loginAttempts,
+    liveSessions,
+    songRequests,
+    createSession,
+    verifySession,
+    revokeSession,
+    revokeSessionsFor,
+    getRequestToken,
+    requireAuth,
+    requirePermission,
+    sessions,
+    ROLES,
+    hasPermission,
+    normalizeUsername,
+    verifyUserPassword,
+    setUserPassword,
+    publicUser,
+    sessionUser,
     // Data functions
     readData,
     writeData,
+    updateData,
+    getSiteConfig,
+    getBackupSettings,
+    restoreSongFromSnapshot,
+    restoreListFromSnapshot,
     ensureDataFile,
     ensureStats,
+    ensureUsers,
+    findUser,
     getDataFile,
     // Site configuration
     sites,
@@ -801,5 +1997,6 @@ module.exports = {
     DATA_FILE,
     DEFAULT_DATA_FILE,
     MAX_ATTEMPTS,
-    LOCKOUT_TIME
+    LOCKOUT_TIME,
+    SESSION_TTL
 };
@@ -0,0 +1,135 @@
+/**
+ * Storage Backends
+ *
+ * Each site's data lives behind a storage adapter. Adapters are created
+ * by factory functions and share one interface:
+ *
+ *   ensure()                      Create the store with initial data if missing
+ *   read()                        Return the whole data object
+ *   write(data)                   Persist the whole data object (returns a promise)
+ *   update(mutator)               Read, let mutator(data) change it, and write it back
+ *                                 as one step, never overlapping another write; a
+ *                                 null/undefined result skips the write. Returns a
+ *                                 promise of the result
+ *   flush()                       Write any view counts still held in memory (a promise)
+ *   exists(collection, key)       Whether a song/list/user with that key exists
+ *   incrementView(kind, id, day)  Add one view ('songViews' or 'listViews') to the lifetime
+ *                                 and per-day counts (day is YYYY-MM-DD, today in UTC if
+ *                                 left out), returns the new lifetime count
+ *   close()                       Release any open handles
+ *
+ * The JSON adapter keeps the original single-file format, holding view
+ * counts in memory for a few seconds between writes. The SQLite
+ * adapter stores each song, list and user as its own row, so view pings
+ * and lookups don't have to rewrite the whole data set.
+ */
+const path = require('path');
+const { createJsonStorage } = require('./json-storage');
+const { createSqliteStorage } = require('./sqlite-storage');
+
+const adapters = {
+    json: createJsonStorage,
+    sqlite: createSqliteStorage
+};
+
+// Open adapters keyed by resolved file path
+const registry = new Map();
+
+/**
+ * Data for a brand new site
+ */
+function createInitialData() {
+    return {
+        songs: [],
+        lists: [],
+        users: [
+            {
+                username: 'admin',
+                role: 'owner',
+                password: 'admin123'  // Simple password - change in production
+            }
+        ],
+        stats: {
+            songViews: {},
+            listViews: {}
+        }
+    };
+}
+
+/**
+ * Turn the legacy single admin password ({ admin: { password, salt } })
+ * into an owner account named "admin", unless there are accounts already
+ */
+function upgradeLegacyAdmin(data) {
+    if (data.admin && (!data.users || data.users.length === 0)) {
+        data.users = [{ username: 'admin', role: 'owner', ...data.admin }];
+        delete data.admin;
+    }
+    return data;
+}
+
+/**
+ * Guess the storage type from a file name
+ */
+function inferStorageType(file) {
+    return /\.(db|sqlite3?)$/i.test(file) ? 'sqlite' : 'json';
+}
+
+/**
+ * Get (or open) the storage adapter for a data file.
+ * The type is only used the first time a file is opened.
+ */
+function getStorage(file, type = inferStorageType(file)) {
+    const key = path.resolve(file);
+    if (registry.has(key)) {
+        return registry.get(key);
+    }
+
+    const factory = adapters[type];
+    if (!factory) {
+        throw new Error(`Unknown storage type "${type}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+
+    const storage = factory(key, { createInitialData });
+    registry.set(key, storage);
+    return storage;
+}
+
+/**
+ * Close and forget an open adapter
+ */
+function closeStorage(file) {
+    const key = path.resolve(file);
+    const storage = registry.get(key);
+    if (storage) {
+        storage.close();
+        registry.delete(key);
+    }
+}
+
+/**
+ * Copy all data from one store into another (e.g. data.json -> SQLite)
+ */
+async function migrateStorage(fromFile, toFile, { fromType, toType } = {}) {
+    const source = getStorage(fromFile, fromType);
+    const target = getStorage(toFile, toType || 'sqlite');
+    // The SQLite adapter always has a users table, so data from before user
+    // accounts would come back with no users and the old password unused
+    const data = upgradeLegacyAdmin(source.read());
+    await target.write(data);
+    return {
+        songs: (data.songs || []).length,
+        lists: (data.lists || []).length,
+        users: (data.users || []).length
+    };
+}
+
+module.exports = {
+    getStorage,
+    closeStorage,
+    migrateStorage,
+    createInitialData,
+    upgradeLegacyAdmin,
+    inferStorageType,
+    storageTypes: Object.keys(adapters)
+};
@@ -0,0 +1,289 @@
+/**
+ * JSON File Storage
+ *
+ * The original format: the whole site is one pretty-printed JSON file.
+ *
+ * Writes are crash-safe:
+ *   1. The new contents are written to <file>.journal and fsync'd
+ *   2. The current file is copied to <file>.bak (the last good copy)
+ *   3. The new contents are written to a temp file, fsync'd and renamed
+ *      over the data file, then the directory is fsync'd
+ *   4. The journal is removed
+ *
+ * On first use, recovery replays a complete journal left by a crash and
+ * falls back to <file>.bak if the data file is truncated or corrupt.
+ *
+ * Writes and read-modify-write cycles (update()) are queued per data file:
+ * each starts once the one before it has finished, so requests can't
+ * overwrite each other's changes, and other requests are served while the
+ * disk catches up. Only one server process can use a JSON data file; use
+ * SQLite for a site shared between processes.
+ *
+ * Views are counted in memory. read() includes them, and they are written
+ * with the next change to the file, or VIEW_FLUSH_DELAY after the first
+ * view that hasn't been, so a busy page doesn't rewrite the file on every
+ * view.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const VIEW_FLUSH_DELAY = 5000;  // Write view counts at most 5 seconds after a view
+
+// Parse a JSON file, returning null if it is missing, empty or corrupt
+function tryReadJson(file) {
+    try {
+        const contents = fs.readFileSync(file, 'utf8');
+        return contents.trim() ? JSON.parse(contents) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Write a file and flush it to disk
+async function writeFileDurable(file, contents) {
+    const handle = await fs.promises.open(file, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+// The same, for recovery before the first read
+function writeFileDurableSync(file, contents) {
+    const fd = fs.openSync(file, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Flush a directory entry (so a rename survives power loss)
+async function fsyncDir(dir) {
+    let handle;
+    try {
+        handle = await fs.promises.open(dir, 'r');
+        await handle.sync();
+    } catch (err) {
+        // Not supported on every platform (e.g. Windows) - rename is still atomic
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+/**
+ * Add view counts ("day\nkind\nid" -> views) to data's lifetime and
+ * per-day stats
+ */
+function addViews(data, views) {
+    for (const [key, count] of views) {
+        const [day, kind, id] = key.split('\n');
+        if (!data.stats) data.stats = {};
+        if (!data.stats[kind]) data.stats[kind] = {};
+        data.stats[kind][id] = (data.stats[kind][id] || 0) + count;
+
+        if (!data.stats.daily) data.stats.daily = {};
+        if (!data.stats.daily[day]) data.stats.daily[day] = {};
+        if (!data.stats.daily[day][kind]) data.stats.daily[day][kind] = {};
+        const counts = data.stats.daily[day][kind];
+        counts[id] = (counts[id] || 0) + count;
+    }
+    return data;
+}
+
+/**
+ * Create a JSON file storage adapter
+ */
+function createJsonStorage(file, { createInitialData }) {
+    const dir = path.dirname(file);
+    const journalFile = `${file}.journal`;
+    const backupFile = `${file}.bak`;
+    const tmpPrefix = `${path.basename(file)}.tmp-`;
+
+    let recovered = false;
+    let tmpCounter = 0;
+    // The last queued write; the next one waits for it
+    let queue = Promise.resolve();
+    // Views not written yet: "day\nkind\nid" -> views
+    let pendingViews = new Map();
+    let flushTimer = null;
+
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    // Atomically replace the data file with new contents
+    async function commit(contents) {
+        const tmpFile = path.join(dir, `${tmpPrefix}${process.pid}-${tmpCounter++}`);
+        await writeFileDurable(tmpFile, contents);
+        await fs.promises.rename(tmpFile, file);
+        await fsyncDir(dir);
+    }
+
+    function commitSync(contents) {
+        const tmpFile = path.join(dir, `${tmpPrefix}${process.pid}-${tmpCounter++}`);
+        writeFileDurableSync(tmpFile, contents);
+        fs.renameSync(tmpFile, file);
+    }
+
+    // Bring the data file back to a consistent state after a crash
+    function recover() {
+        // Leftover temp files are from writes that never got renamed
+        for (const name of fs.readdirSync(dir)) {
+            if (name.startsWith(tmpPrefix)) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        }
+
+        // A complete journal is a write that may not have reached the data file
+        if (fs.existsSync(journalFile)) {
+            const pending = tryReadJson(journalFile);
+            if (pending) {
+                commitSync(JSON.stringify(pending, null, 2));
+                console.warn(`Recovered unfinished write to ${file} from journal`);
+            }
+            fs.unlinkSync(journalFile);
+        }
+
+        if (fs.existsSync(file) && tryReadJson(file) === null) {
+            const backup = tryReadJson(backupFile);
+            if (!backup) {
+                throw new Error(`Data file ${file} is corrupt and no valid backup (${backupFile}) was found`);
+            }
+
+            // Keep the corrupt file for inspection
+            const corruptFile = `${file}.corrupt-${Date.now()}`;
+            fs.renameSync(file, corruptFile);
+            commitSync(JSON.stringify(backup, null, 2));
+            console.warn(`Data file ${file} was corrupt; restored last good copy (corrupt file kept as ${corruptFile})`);
+        }
+    }
+
+    function ensure() {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        if (!recovered) {
+            recover();
+            recovered = true;
+        }
+
+        if (!fs.existsSync(file)) {
+            commitSync(JSON.stringify(createInitialData(), null, 2));
+        }
+    }
+
+    function readFile() {
+        ensure();
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    async function save(data) {
+        const contents = JSON.stringify(data, null, 2);
+        await writeFileDurable(journalFile, contents);
+        if (fs.existsSync(file)) {
+            await fs.promises.copyFile(file, backupFile);
+        }
+        await commit(contents);
+        await fs.promises.unlink(journalFile);
+    }
+
+    function scheduleFlush() {
+        if (flushTimer || pendingViews.size === 0) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush().catch(err => console.error(`Failed to write view counts to ${file}:`, err.message));
+        }, VIEW_FLUSH_DELAY);
+        // Don't keep the process alive just to write views
+        flushTimer.unref();
+    }
+
+    // Put back views that didn't get written, to go with the next write
+    function keepViews(views) {
+        for (const [key, count] of views) {
+            pendingViews.set(key, (pendingViews.get(key) || 0) + count);
+        }
+        scheduleFlush();
+    }
+
+    function read() {
+        return addViews(readFile(), pendingViews);
+    }
+
+    // Replace the whole file. Views not written yet are part of the data
+    // being replaced, so they are dropped.
+    function write(data) {
+        ensure();
+        return enqueue(async () => {
+            pendingViews = new Map();
+            await save(data);
+        });
+    }
+
+    // Read, modify and write as one queued step. The mutator returns a
+    // result; returning null or undefined skips the write. Resolves to
+    // the result.
+    function update(mutator) {
+        ensure();
+        return enqueue(async () => {
+            const views = pendingViews;
+            pendingViews = new Map();
+            let written = false;
+            try {
+                const data = addViews(readFile(), views);
+                const result = mutator(data);
+                if (result !== null && result !== undefined) {
+                    await save(data);
+                    written = true;
+                }
+                return result;
+            } finally {
+                if (!written) keepViews(views);
+            }
+        });
+    }
+
+    // Write the views counted so far
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (pendingViews.size === 0) return queue;
+        return update(() => true);
+    }
+
+    function exists(collection, key) {
+        const keyField = collection === 'users' ? 'username' : 'id';
+        return (readFile()[collection] || []).some(item => item[keyField] === key);
+    }
+
+    function incrementView(kind, id, day = new Date().toISOString().slice(0, 10)) {
+        const key = `${day}\n${kind}\n${id}`;
+        pendingViews.set(key, (pendingViews.get(key) || 0) + 1);
+        scheduleFlush();
+        return read().stats[kind][id];
+    }
+
+    return {
+        type: 'json',
+        file,
+        ensure,
+        read,
+        write,
+        update,
+        flush,
+        exists,
+        incrementView,
+        close() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+    };
+}
+
+module.exports = { createJsonStorage, VIEW_FLUSH_DELAY };
@@ -0,0 +1,193 @@
+/**
+ * Data Snapshots
+ *
+ * Rolling point-in-time copies of a site's data, taken after every change.
+ * Snapshots live in data/snapshots/<data file name>/ as one JSON file each,
+ * plus an index.json with timestamps and a summary of what changed, so the
+ * admin panel can list them without reading every snapshot.
+ *
+ * User accounts are left out of snapshots - backups never contain password
+ * hashes, and restoring never brings back removed users or old passwords.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Top-level keys that are not part of a snapshot
+const EXCLUDED_KEYS = ['users'];
+
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{6}$/;
+
+/**
+ * Directory holding snapshots for a data file
+ */
+function getSnapshotDir(dataFile) {
+    const name = path.basename(dataFile, path.extname(dataFile));
+    return path.join(path.dirname(dataFile), 'snapshots', name);
+}
+
+/**
+ * The part of the data that gets snapshotted
+ */
+function snapshotContent(data) {
+    const content = { ...data };
+    for (const key of EXCLUDED_KEYS) {
+        delete content[key];
+    }
+    return content;
+}
+
+// Sortable, filesystem-safe id, e.g. 20241224T183000123Z-1a2b3c
+function createSnapshotId(date) {
+    const stamp = date.toISOString().replace(/[-:.]/g, '');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function isValidSnapshotId(id) {
+    return typeof id === 'string' && SNAPSHOT_ID_PATTERN.test(id);
+}
+
+function summarizeCollection(before, after, labelField) {
+    before = before || [];
+    after = after || [];
+    const beforeById = new Map(before.map(item => [item.id, item]));
+    const afterById = new Map(after.map(item => [item.id, item]));
+    const describe = item => ({ id: item.id, [labelField]: item[labelField] });
+
+    return {
+        added: after.filter(item => !beforeById.has(item.id)).map(describe),
+        removed: before.filter(item => !afterById.has(item.id)).map(describe),
+        changed: after
+            .filter(item => beforeById.has(item.id) &&
+                JSON.stringify(item) !== JSON.stringify(beforeById.get(item.id)))
+            .map(describe)
+    };
+}
+
+/**
+ * Summarize the songs and lists that differ between two versions of the data
+ */
+function summarizeChanges(before, after) {
+    return {
+        songs: summarizeCollection(before && before.songs, after.songs, 'title'),
+        lists: summarizeCollection(before && before.lists, after.lists, 'name')
+    };
+}
+
+function readIndex(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    } catch (err) {
+        return [];
+    }
+}
+
+function writeIndex(dir, index) {
+    const indexFile = path.join(dir, 'index.json');
+    const tmpFile = `${indexFile}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpFile, JSON.stringify(index, null, 2));
+    fs.renameSync(tmpFile, indexFile);
+}
+
+/**
+ * Drop snapshots beyond the retention limits. The newest snapshot is
+ * always kept.
+ */
+function pruneSnapshots(dataFile, { keep, maxAgeDays } = {}, now = new Date()) {
+    const dir = getSnapshotDir(dataFile);
+    const index = readIndex(dir);
+    const cutoff = maxAgeDays ? now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const kept = [];
+    const removed = [];
+    // Index is oldest first; walk newest first
+    [...index].reverse().forEach((entry, position) => {
+        const tooMany = keep && position >= keep;
+        const tooOld = cutoff !== null && position > 0 && new Date(entry.createdAt).getTime() < cutoff;
+        (tooMany || tooOld ? removed : kept).push(entry);
+    });
+
+    for (const entry of removed) {
+        fs.rmSync(path.join(dir, `${entry.id}.json`), { force: true });
+    }
+    if (removed.length > 0) {
+        writeIndex(dir, kept.reverse());
+    }
+    return removed.length;
+}
+
+/**
+ * Record a snapshot of the data after a change. `before` is the data as
+ * it was before the change, used for the summary (and saved as a baseline
+ * snapshot if this is the first one). Returns the new index entry, or null
+ * if nothing that gets snapshotted changed.
+ */
+function recordSnapshot(dataFile, before, after, options = {}) {
+    const beforeContent = before ? snapshotContent(before) : null;
+    const afterContent = snapshotContent(after);
+
+    if (beforeContent && JSON.stringify(beforeContent) === JSON.stringify(afterContent)) {
+        return null;
+    }
+
+    const dir = getSnapshotDir(dataFile);
+    fs.mkdirSync(dir, { recursive: true });
+    const index = readIndex(dir);
+    const now = options.now || new Date();
+
+    // The first snapshot of a site also records where it started from
+    if (index.length === 0 && beforeContent) {
+        const baselineTime = new Date(now.getTime() - 1);
+        const baseline = {
+            id: createSnapshotId(baselineTime),
+            createdAt: baselineTime.toISOString(),
+            baseline: true,
+            summary: summarizeChanges(null, beforeContent)
+        };
+        fs.writeFileSync(path.join(dir, `${baseline.id}.json`), JSON.stringify({ ...baseline, data: beforeContent }));
+        index.push(baseline);
+    }
+
+    const entry = {
+        id: createSnapshotId(now),
+        createdAt: now.toISOString(),
+        summary: summarizeChanges(beforeContent, afterContent)
+    };
+
+    fs.writeFileSync(path.join(dir, `${entry.id}.json`), JSON.stringify({ ...entry, data: afterContent }));
+    index.push(entry);
+    writeIndex(dir, index);
+
+    pruneSnapshots(dataFile, options, now);
+    return entry;
+}
+
+/**
+ * List snapshots, newest first
+ */
+function listSnapshots(dataFile) {
+    return readIndex(getSnapshotDir(dataFile)).reverse();
+}
+
+/**
+ * Read one snapshot (with its data), or null if it doesn't exist
+ */
+function readSnapshot(dataFile, id) {
+    if (!isValidSnapshotId(id)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(path.join(getSnapshotDir(dataFile), `${id}.json`), 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    getSnapshotDir,
+    snapshotContent,
+    summarizeChanges,
+    recordSnapshot,
+    listSnapshots,
+    readSnapshot,
+    pruneSnapshots,
+    isValidSnapshotId
+};
@@ -0,0 +1,272 @@
+/**
+ * SQLite Storage
+ *
+ * Songs, lists and users are stored one row each (as JSON documents, with
+ * their position so ordering survives a round trip). View counters, lifetime
+ * and per day, have their own tables so a view ping is two UPSERTs. Any
+ * other top-level keys in the data object are kept in the meta table.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Collections stored one row per item, and the field used as their key
+const COLLECTIONS = {
+    songs: 'id',
+    lists: 'id',
+    users: 'username'
+};
+
+const VIEW_KINDS = ['songViews', 'listViews'];
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Create an SQLite storage adapter. The database is opened on first use.
+ */
+function createSqliteStorage(file, { createInitialData }) {
+    let db = null;
+    let statements = null;
+
+    function open() {
+        if (db) return db;
+
+        // Loaded lazily so JSON-only installs never touch the native module
+        const Database = require('better-sqlite3');
+
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.pragma('busy_timeout = 5000');
+
+        for (const collection of Object.keys(COLLECTIONS)) {
+            db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (
+                key TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                doc TEXT NOT NULL
+            )`);
+        }
+        db.exec(`CREATE TABLE IF NOT EXISTS views (
+            kind TEXT NOT NULL,
+            id TEXT NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (kind, id)
+        )`);
+        db.exec(`CREATE TABLE IF NOT EXISTS daily_views (
+            day TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            id TEXT NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (day, kind, id)
+        )`);
+        db.exec(`CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        )`);
+
+        statements = {
+            incrementView: db.prepare(`INSERT INTO views (kind, id, count) VALUES (?, ?, 1)
+                ON CONFLICT (kind, id) DO UPDATE SET count = count + 1
+                RETURNING count`),
+            incrementDailyView: db.prepare(`INSERT INTO daily_views (day, kind, id, count) VALUES (?, ?, ?, 1)
+                ON CONFLICT (day, kind, id) DO UPDATE SET count = count + 1`)
+        };
+
+        // A new database gets the same initial data as a new JSON file
+        if (db.pragma('user_version', { simple: true }) === 0) {
+            writeAll(createInitialData());
+            db.pragma(`user_version = ${SCHEMA_VERSION}`);
+        }
+
+        return db;
+    }
+
+    function readAll() {
+        const data = {};
+
+        for (const row of db.prepare('SELECT key, value FROM meta').all()) {
+            data[row.key] = JSON.parse(row.value);
+        }
+
+        for (const collection of Object.keys(COLLECTIONS)) {
+            data[collection] = db.prepare(`SELECT doc FROM ${collection} ORDER BY position`)
+                .all()
+                .map(row => JSON.parse(row.doc));
+        }
+
+        data.stats = { ...(data.stats || {}) };
+        for (const kind of VIEW_KINDS) {
+            data.stats[kind] = {};
+        }
+        for (const row of db.prepare('SELECT kind, id, count FROM views').all()) {
+            if (!data.stats[row.kind]) data.stats[row.kind] = {};
+            data.stats[row.kind][row.id] = row.count;
+        }
+
+        // Per-day counts, only there once something has been viewed
+        delete data.stats.daily;
+        for (const row of db.prepare('SELECT day, kind, id, count FROM daily_views').all()) {
+            if (!data.stats.daily) data.stats.daily = {};
+            if (!data.stats.daily[row.day]) data.stats.daily[row.day] = {};
+            if (!data.stats.daily[row.day][row.kind]) data.stats.daily[row.day][row.kind] = {};
+            data.stats.daily[row.day][row.kind][row.id] = row.count;
+        }
+
+        return data;
+    }
+
+    function writeAll(data) {
+        db.transaction(() => {
+            for (const [collection, keyField] of Object.entries(COLLECTIONS)) {
+                const upsert = db.prepare(`INSERT INTO ${collection} (key, position, doc) VALUES (?, ?, ?)
+                    ON CONFLICT (key) DO UPDATE SET position = excluded.position, doc = excluded.doc
+                    WHERE position != excluded.position OR doc != excluded.doc`);
+                const items = data[collection] || [];
+                const keys = new Set();
+
+                items.forEach((item, position) => {
+                    keys.add(item[keyField]);
+                    upsert.run(item[keyField], position, JSON.stringify(item));
+                });
+
+                removeMissing(collection, 'key', keys);
+            }
+
+            // View counters
+            const stats = data.stats || {};
+            const upsertView = db.prepare(`INSERT INTO views (kind, id, count) VALUES (?, ?, ?)
+                ON CONFLICT (kind, id) DO UPDATE SET count = excluded.count WHERE count != excluded.count`);
+            const deleteView = db.prepare('DELETE FROM views WHERE kind = ? AND id = ?');
+            const viewKeys = new Set();
+            for (const kind of VIEW_KINDS) {
+                for (const [id, count] of Object.entries(stats[kind] || {})) {
+                    viewKeys.add(`${kind}\u0000${id}`);
+                    upsertView.run(kind, id, count);
+                }
+            }
+            for (const row of db.prepare('SELECT kind, id FROM views').all()) {
+                if (!viewKeys.has(`${row.kind}\u0000${row.id}`)) {
+                    deleteView.run(row.kind, row.id);
+                }
+            }
+
+            const upsertDailyView = db.prepare(`INSERT INTO daily_views (day, kind, id, count) VALUES (?, ?, ?, ?)
+                ON CONFLICT (day, kind, id) DO UPDATE SET count = excluded.count WHERE count != excluded.count`);
+            const deleteDailyView = db.prepare('DELETE FROM daily_views WHERE day = ? AND kind = ? AND id = ?');
+            const dailyKeys = new Set();
+            for (const [day, kinds] of Object.entries(stats.daily || {})) {
+                for (const [kind, counts] of Object.entries(kinds)) {
+                    for (const [id, count] of Object.entries(counts)) {
+                        dailyKeys.add(`${day}\u0000${kind}\u0000${id}`);
+                        upsertDailyView.run(day, kind, id, count);
+                    }
+                }
+            }
+            for (const row of db.prepare('SELECT day, kind, id FROM daily_views').all()) {
+                if (!dailyKeys.has(`${row.day}\u0000${row.kind}\u0000${row.id}`)) {
+                    deleteDailyView.run(row.day, row.kind, row.id);
+                }
+            }
+
+            // Everything else (including any non-counter stats)
+            const meta = { ...data };
+            for (const collection of Object.keys(COLLECTIONS)) {
+                delete meta[collection];
+            }
+            const otherStats = { ...stats };
+            for (const kind of VIEW_KINDS) {
+                delete otherStats[kind];
+            }
+            delete otherStats.daily;
+            meta.stats = otherStats;
+
+            const upsertMeta = db.prepare(`INSERT INTO meta (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value WHERE value != excluded.value`);
+            for (const [key, value] of Object.entries(meta)) {
+                if (value !== undefined) {
+                    upsertMeta.run(key, JSON.stringify(value));
+                }
+            }
+            removeMissing('meta', 'key', new Set(Object.keys(meta).filter(key => meta[key] !== undefined)));
+        })();
+    }
+
+    function removeMissing(table, keyColumn, keep) {
+        const remove = db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`);
+        for (const row of db.prepare(`SELECT ${keyColumn} AS key FROM ${table}`).all()) {
+            if (!keep.has(row.key)) {
+                remove.run(row.key);
+            }
+        }
+    }
+
+    function read() {
+        open();
+        return readAll();
+    }
+
+    async function write(data) {
+        open();
+        writeAll(data);
+    }
+
+    // Read, modify and write inside one IMMEDIATE transaction, so other
+    // processes using the same database wait their turn. The mutator
+    // returns a result; returning null or undefined skips the write.
+    async function update(mutator) {
+        open();
+        return db.transaction(() => {
+            const data = readAll();
+            const result = mutator(data);
+            if (result !== null && result !== undefined) {
+                writeAll(data);
+            }
+            return result;
+        }).immediate();
+    }
+
+    // Views are written as they come, so there's nothing to wait for
+    async function flush() {}
+
+    function exists(collection, key) {
+        if (!COLLECTIONS[collection]) {
+            throw new Error(`Unknown collection "${collection}"`);
+        }
+        open();
+        return Boolean(db.prepare(`SELECT 1 FROM ${collection} WHERE key = ?`).get(key));
+    }
+
+    function incrementView(kind, id, day = new Date().toISOString().slice(0, 10)) {
+        open();
+        return db.transaction(() => {
+            statements.incrementDailyView.run(day, kind, id);
+            return statements.incrementView.get(kind, id).count;
+        })();
+    }
+
+    function close() {
+        if (db) {
+            db.close();
+            db = null;
+            statements = null;
+        }
+    }
+
+    return {
+        type: 'sqlite',
+        file,
+        ensure: open,
+        read,
+        write,
+        update,
+        flush,
+        exists,
+        incrementView,
+        close
+    };
+}
+
+module.exports = { createSqliteStorage };